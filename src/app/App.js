@@ -1,31 +1,90 @@
 import { AnimationEngine } from '../core/animation/AnimationEngine.js'
+import {
+  ANIMATABLE_PROPERTIES,
+  applyAnimatedValues,
+  createAnimator,
+  getPropertyValue
+} from '../core/animation/AnimatorUtils.js'
+import { KeyframeManager } from '../core/animation/KeyframeManager.js'
 import { TimelineController } from '../core/animation/TimelineController.js'
 import { CollectionManager } from '../core/collection/CollectionManager.js'
+import { HistoryManager } from '../core/history/HistoryManager.js'
 import { InteractionManager } from '../core/interaction/InteractionManager.js'
+import { ModuleManager } from '../core/modules/ModuleManager.js'
+import {
+  createModulePackage,
+  findModuleConflicts,
+  importModulePackage,
+  modulePackageToBlob,
+  readModulePackage,
+  suggestModuleName
+} from '../core/modules/ModulePackage.js'
+import { moduleResultToObjects } from '../core/modules/ModuleResult.js'
 import { ProjectManager } from '../core/projects/ProjectManager.js'
 import { Camera } from '../core/rendering/Camera.js'
 import { CanvasRenderer } from '../core/rendering/CanvasRenderer.js'
+import {
+  applyMatrix,
+  findObjectWithParents,
+  getObjectMatrix,
+  getObjectPivot,
+  getObjectScale
+} from '../core/rendering/Projection.js'
 import { SVGRenderer } from '../core/rendering/SVGRenderer.js'
 import { InferenceClient } from '../features/ai/InferenceClient.js'
+import { createTransport } from '../features/ai/InferenceTransport.js'
 import { LoRATrainingManager } from '../features/ai/LoRATrainingManager.js'
 import { SemanticModuleSelector } from '../features/ai/SemanticModuleSelector.js'
+import { createVectorizer } from '../features/ai/TextVectorizers.js'
 import { ContextGenerator } from '../features/context/ContextGenerator.js'
 import { ModifierGenerator } from '../features/context/ModifierGenerator.js'
+import { FrameExporter } from '../features/export/FrameExporter.js'
+import { SVGExporter } from '../features/export/SVGExporter.js'
+import { SVGImporter } from '../features/import/SVGImporter.js'
+import { PoseCorrectionStore } from '../features/pose/PoseCorrectionStore.js'
 import { PoseDetectionService } from '../features/pose/PoseDetectionService.js'
-import { PoseToObject } from '../features/pose/PoseToObject.js'
+import { PoseToObject, normalizePoseData } from '../features/pose/PoseToObject.js'
+import { PoseTracker } from '../features/pose/PoseTracker.js'
 import { PoseVisualizer } from '../features/pose/PoseVisualizer.js'
+import { skeletonRegistry } from '../features/pose/SkeletonRegistry.js'
+import { VideoFrameSampler } from '../features/pose/VideoFrameSampler.js'
 import FirebaseClient from '../services/api/FirebaseClient.js'
 import { createButton } from '../ui/components/Button.js'
+import { createModal } from '../ui/components/Modal.js'
 import { createPanel } from '../ui/components/Panel.js'
+import { createSkeletonSelect } from '../ui/components/SkeletonSelect.js'
 import { Ruler } from '../ui/components/Ruler.js'
 import { CollectionPanel } from '../ui/panels/CollectionPanel.js'
+import { ModulesPanel } from '../ui/panels/ModulesPanel.js'
 import { ProjectsPanel } from '../ui/panels/ProjectsPanel.js'
 import { PropertiesPanel } from '../ui/panels/PropertiesPanel.js'
 import { SettingsPanel } from '../ui/panels/SettingsPanel.js'
 import { TimelinePanel } from '../ui/panels/TimelinePanel.js'
-import { round } from '../utils/math.js'
+import { AIPanel } from '../ui/panels/AIPanel.js'
+import { TrainingPanel } from '../ui/panels/TrainingPanel.js'
+import { PoseVideoPanel } from '../ui/panels/PoseVideoPanel.js'
+import { degToRad, radToDeg, round } from '../utils/math.js'
+import { StorageManager } from '../utils/storage.js'
+import { isObject } from '../utils/validation.js'
 import DEFAULT_CONFIG, { createConfig } from './config.js'
 
+// Shape styling; groups have none of their own
+const APPEARANCE_PROPERTIES = ['fill', 'stroke', 'strokeWidth', 'opacity']
+
+// Values of transform properties an object does not set
+const TRANSFORM_DEFAULTS = {
+  offset: { x: 0, y: 0, z: 0 },
+  rotate: { x: 0, y: 0, z: 0 },
+  scale: { x: 1, y: 1, z: 1 }
+}
+
+// Smallest scale factor the scale handle goes down to (keeps transforms invertible)
+const MIN_HANDLE_SCALE = 0.01
+
+// Edits that move the fallback pivot of the object itself or of its parent groups
+const OWN_PIVOT_PROPERTIES = ['rotate', 'scale', 'nodes']
+const PARENT_PIVOT_PROPERTIES = ['offset', 'rotate', 'scale', 'nodes']
+
 export default class App {
   constructor(options = {}) {
     this.options = options
@@ -44,29 +103,65 @@ export default class App {
     )
     this.controlScale = 1
     this.config.controls = { ...this.baseControls }
-
+    this.settingsStorage = new StorageManager('preview2-settings')
+    this.rendererType = this.settingsStorage.get('renderer', this.config.renderer)
+
+    this.inferenceClient = new InferenceClient({
+      baseUrl: this.config.api.baseUrl,
+      timeout: this.config.api.timeout,
+      transport: createTransport(this.config.api),
+      maxConcurrent: this.config.api.maxConcurrent,
+      retries: this.config.api.retries,
+      retryDelay: this.config.api.retryDelay
+    })
+    this.moduleSelector = new SemanticModuleSelector({
+      vectorizer: createVectorizer(this.config.ai.vectorizer, {
+        client: this.inferenceClient,
+        model: this.config.ai.embeddingModel
+      })
+    })
+    this.trainingManager = new LoRATrainingManager({ client: this.inferenceClient })
+    this.poseService = new PoseDetectionService({ client: this.inferenceClient })
+    this.skeletonRegistry = skeletonRegistry
+    this.poseStorage = new StorageManager('preview2-pose')
+    this.poseSkeleton = this._loadPoseSkeletons()
+    this.poseConfidence = {
+      minScore: this.config.pose.minScore,
+      lowConfidence: this.config.pose.lowConfidence,
+      ...this.poseStorage.get('confidence', {})
+    }
+    this.poseToObject = new PoseToObject({
+      ...this.poseConfidence,
+      skeleton: this.poseSkeleton,
+      registry: this.skeletonRegistry
+    })
+    this.poseCorrections = new PoseCorrectionStore({ storage: this.poseStorage })
     // would be enabled later
-    // this.inferenceClient = new InferenceClient({
-    //   baseUrl: this.config.api.baseUrl,
-    //   timeout: this.config.api.timeout
-    // })
-    // this.trainingManager = new LoRATrainingManager({ client: this.inferenceClient })
-    // this.moduleSelector = new SemanticModuleSelector()
-    // this.poseService = new PoseDetectionService({ client: this.inferenceClient })
-    // this.poseToObject = new PoseToObject()
     // this.contextGenerator = new ContextGenerator()
     // this.modifierGenerator = new ModifierGenerator()
 
     this.projectManager = new ProjectManager({})
+    this.history = new HistoryManager()
     this.collectionManager = new CollectionManager({
-      projectManager: this.projectManager
+      projectManager: this.projectManager,
+      history: this.history
     })
+    this.currentProjectId = this.projectManager.getCurrent()?.id || null
+    this.moduleManager = new ModuleManager({ timeout: this.config.modules.timeout })
+    this.moduleManager.setPins(this.projectManager.getCurrent()?.modulePins || {})
+    this.modulePreviewId = null // Group holding the live module preview
     this.camera = new Camera({ z: DEFAULT_CONFIG.defaultZoom })
-    this.animationEngine = new AnimationEngine()
+    this.animationEngine = new AnimationEngine({
+      duration: this.config.animation.duration
+    })
     this.timelineController = new TimelineController(this.animationEngine)
+    this.keyframeManager = new KeyframeManager()
+    this.animatedValues = new Map() // objectId -> { property: value } at current time
+    this.autoKey = false // Record edits as keyframes at the playhead
 
     this.svgRenderer = null
     this.canvasRenderer = null
+    this.renderer = null // Active backend, one of the two above
     this.poseVisualizer = null
     this.interactionManager = null
     this.horizontalRuler = null
@@ -82,9 +177,17 @@ export default class App {
     this.settingsPanel = null
     this.settingsPanelRoot = null
     this.timelinePanel = null
+    this.modulesPanel = null
+    this.aiPanel = null
+    this.trainingPanel = null
+    this.poseVideoPanel = null
+    this.undoButton = null
+    this.redoButton = null
+    this.activityIndicator = null
     this.stageRoot = null
 
-    this.selectedObject = null
+    this.selectedObject = null // Primary selection (timeline, controls, single-object edits)
+    this.selectedIds = [] // Every selected object id, primary last
     this.activeHandle = null // Track active control point being dragged
 
     // Overlay image state
@@ -97,11 +200,55 @@ export default class App {
       fileName: null,
       labelPrefix: ''
     }
+    this.detectedPose = null // Poses found on the overlay image, in image pixels
+    this.detectedPoseOriginal = null // The same poses before keypoints were dragged
+    this.poseDetection = null // AbortController of the detection in flight
+    this.poseEditing = false // Keypoints on the overlay can be dragged
+    this.poseDrag = null // { pose, name, pointerId } of the keypoint being dragged
 
     this.collectionManager.subscribe(() => {
+      this._syncKeyframes()
       this._refreshCollectionPanel()
+      this.timelinePanel?.refresh()
       this.renderScene()
     })
+
+    // History belongs to one project; drop it when another project becomes current
+    this.projectManager.subscribe(() => {
+      const projectId = this.projectManager.getCurrent()?.id || null
+      if (projectId !== this.currentProjectId) {
+        this.currentProjectId = projectId
+        this.history.clear()
+        // Module versions are pinned per project
+        this.moduleManager.setPins(this.projectManager.getCurrent()?.modulePins || {})
+        this.modulesPanel?.refresh()
+      }
+    })
+
+    this.history.subscribe(({ canUndo, canRedo }) => {
+      if (this.undoButton) this.undoButton.disabled = !canUndo
+      if (this.redoButton) this.redoButton.disabled = !canRedo
+    })
+
+    this.animationEngine.subscribe(({ type, payload }) => {
+      if (type === 'update' || type === 'seek') {
+        this.timelinePanel?.setTime(payload.time)
+        this.renderScene()
+        // Keep property fields in sync with the playhead while scrubbing
+        if (
+          type === 'seek' &&
+          !this.animationEngine.isPlaying &&
+          this.selectedIds.some(id => this.animatedValues.has(id))
+        ) {
+          this._refreshPropertiesPanel(this._getSelectedObjects())
+        }
+      } else if (type === 'play' || type === 'pause' || type === 'stop') {
+        this.timelinePanel?.setPlaying(this.animationEngine.isPlaying)
+      }
+    })
+
+    this._loadAnimationSettings()
+    this._syncKeyframes()
   }
 
   mount(root) {
@@ -119,6 +266,39 @@ export default class App {
     this.renderScene()
   }
 
+  /**
+   * Toolbar badge that shows while AI backend requests are running or queued.
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createActivityIndicator() {
+    const indicator = document.createElement('span')
+    indicator.classList.add('app-activity')
+    indicator.hidden = true
+    this.activityIndicator = indicator
+
+    this.inferenceClient.subscribe(({ type, method, path, error, active, queued }) => {
+      if (type === 'request') {
+        indicator.title = `${method} ${path}`
+      } else if (type === 'response') {
+        indicator.classList.remove('is-error')
+      } else if (error.code !== 'aborted') {
+        // The last failure stays visible until a request succeeds
+        indicator.classList.add('is-error')
+        indicator.title = `${method} ${path}: ${error.message}`
+      }
+
+      const failed = indicator.classList.contains('is-error')
+      indicator.hidden = active + queued === 0 && !failed
+      if (active + queued === 0) {
+        indicator.textContent = 'AI · request failed'
+      } else {
+        indicator.textContent = queued > 0 ? `AI · ${active} running, ${queued} queued` : `AI · ${active} running`
+      }
+    })
+    return indicator
+  }
+
   _buildLayout() {
     const shell = document.createElement('div')
     shell.classList.add('app-shell')
@@ -127,6 +307,38 @@ export default class App {
     header.classList.add('app-header')
     // header.innerHTML = `<h1>Preview2</h1><p>Core systems wired. Feature integration in progress.</p>`
 
+    const toolbar = document.createElement('div')
+    toolbar.classList.add('app-toolbar')
+
+    this.undoButton = createButton({
+      label: 'Undo',
+      variant: 'ghost',
+      onClick: () => this._undo(),
+      disabled: !this.history.canUndo()
+    })
+    this.undoButton.title = 'Undo (Ctrl+Z)'
+
+    this.redoButton = createButton({
+      label: 'Redo',
+      variant: 'ghost',
+      onClick: () => this._redo(),
+      disabled: !this.history.canRedo()
+    })
+    this.redoButton.title = 'Redo (Ctrl+Shift+Z)'
+
+    this.marqueeButton = createButton({
+      label: 'Marquee',
+      variant: 'ghost',
+      onClick: () => this._toggleMarqueeMode()
+    })
+    this.marqueeButton.title = 'Drag on empty canvas to select (or hold Shift)'
+
+    toolbar.appendChild(this.undoButton)
+    toolbar.appendChild(this.redoButton)
+    toolbar.appendChild(this.marqueeButton)
+    toolbar.appendChild(this._createActivityIndicator())
+    header.appendChild(toolbar)
+
     const main = document.createElement('main')
     main.classList.add('app-main')
 
@@ -138,15 +350,24 @@ export default class App {
 
     this.collectionPanel = new CollectionPanel({
       manager: this.collectionManager,
-      onSelect: (obj) => this._selectObject(obj),
+      onSelect: (obj, { toggle = false } = {}) => {
+        if (toggle) {
+          this._toggleSelection(obj)
+        } else {
+          this._selectObject(obj)
+        }
+      },
       onCreate: () => this._createPlaceholderObject(),
       onCreateGroup: () => this._createPlaceholderGroup(),
-      onAssignToGroup: (objectId, groupId) =>
-        this._assignToGroup(objectId, groupId),
-      onDuplicate: (id) => this._duplicateObject(id),
-      onDelete: (id) => this._deleteObject(id),
+      onGroupSelection: (ids) => this._groupSelection(ids),
+      onAssignToGroup: (objectIds, groupId) =>
+        this._assignToGroup(objectIds, groupId),
+      onDuplicate: (ids) => this._duplicateObjects(ids),
+      onDelete: (ids) => this._deleteObjects(ids),
       onReset: () => this._resetCollection(),
-      onExport: () => this._exportCollection()
+      onExport: () => this._exportCollection(),
+      onExportSvg: () => this._openSvgExportDialog(),
+      onImport: () => this._importSvg()
     })
     this.collectionPanelRoot = this.collectionPanel.render()
 
@@ -160,15 +381,28 @@ export default class App {
       controlScale: this.controlScale,
       onControlScaleChange: (value) => this._updateControlScale(value),
       onZoomIn: () => this._handleZoomIn(),
-      onZoomOut: () => this._handleZoomOut()
+      onZoomOut: () => this._handleZoomOut(),
+      perspective: this.config.perspective,
+      cameraRotation: {
+        x: radToDeg(this.camera.rotation.x),
+        y: radToDeg(this.camera.rotation.y),
+        z: radToDeg(this.camera.rotation.z)
+      },
+      onPerspectiveChange: (value) => this._updatePerspective(value),
+      onCameraRotationChange: (rotation) => this._updateCameraRotation(rotation),
+      renderer: this.rendererType,
+      onRendererChange: (type) => this._setRenderer(type)
     })
     this.settingsPanelRoot = this.settingsPanel.render()
 
     this.projectsPanel = new ProjectsPanel({
       projectManager: this.projectManager,
       onProjectChange: (project) => {
+        this.animationEngine.stop()
+        this._loadAnimationSettings()
         // Refresh collection when project changes
         this._refreshCollectionPanel()
+        this.timelinePanel?.refresh()
         this.renderScene()
         // Clear selection when switching projects
         this._selectObject(null)
@@ -181,6 +415,10 @@ export default class App {
     this.projectsPanelRoot = this.projectsPanel.render()
 
     this.timelinePanel = new TimelinePanel({
+      engine: this.animationEngine,
+      controller: this.timelineController,
+      keyframes: this.keyframeManager,
+      getObjects: () => this._flattenObjects(this.collectionManager.getAll()),
       onPlayPause: () => {
         if (this.animationEngine.isPlaying) {
           this.animationEngine.pause()
@@ -188,15 +426,71 @@ export default class App {
           this.animationEngine.play()
         }
       },
-      onStop: () => this.animationEngine.stop()
+      onStop: () => this.animationEngine.stop(),
+      onSelectObject: (objectId) => {
+        const obj = this.collectionManager.findInGroups(objectId)
+        if (obj) {
+          this._selectObject(obj)
+        }
+      },
+      onKeyframesChange: (objectId) => this._commitKeyframes(objectId),
+      onDurationChange: (duration) => this._setAnimationDuration(duration),
+      autoKey: this.autoKey,
+      onAutoKeyChange: (enabled) => {
+        this.autoKey = enabled
+      },
+      onRender: () => this._openFrameExportDialog()
     })
 
     sidebar.appendChild(this.projectsPanelRoot)
     sidebar.appendChild(this.collectionPanelRoot)
     sidebar.appendChild(this.propertiesPanelRoot)
+    this.modulesPanel = new ModulesPanel({
+      manager: this.moduleManager,
+      onPreview: (specifier, config) => this._runModule(specifier, config, { preview: true }),
+      onPreviewEnd: () => this._clearModulePreview(),
+      onInsert: (specifier, config) => this._runModule(specifier, config),
+      onPin: (name, version) => this._pinModuleVersion(name, version),
+      onExport: (specifier) => this._openModuleExportDialog(specifier),
+      onImport: () => this._importModulePackage()
+    })
+    this.aiPanel = new AIPanel({
+      client: this.inferenceClient,
+      manager: this.moduleManager,
+      selector: this.moduleSelector,
+      onRunModule: (specifier, config, options) => this._runModule(specifier, config, options),
+      onPreviewResult: (result, name) => this._placeModuleResult(result, { name, preview: true }),
+      onPreviewEnd: () => this._clearModulePreview(),
+      onAccept: async (module) => {
+        this.modulesPanel?.refresh()
+        await this._runModule(`${module.name}@${module.version}`, {})
+      }
+    })
+
+    this.trainingPanel = new TrainingPanel({
+      manager: this.trainingManager,
+      projectManager: this.projectManager,
+      moduleManager: this.moduleManager,
+      poseCorrections: this.poseCorrections
+    })
+
+    this.poseVideoPanel = new PoseVideoPanel({
+      sampleRate: this.config.pose.sampleRate,
+      registry: this.skeletonRegistry,
+      skeleton: this.poseSkeleton,
+      onSkeletonChange: (id) => this._setPoseSkeleton(id),
+      onLoadSkeleton: () => this._loadSkeletonDefinition(),
+      onImport: (file, options) => this._importPoseVideo(file, options)
+    })
+
     sidebar.appendChild(this.settingsPanelRoot)
     sidebar.appendChild(this._createOverlayImagePanel())
+    sidebar.appendChild(this.poseVideoPanel.render())
     sidebar.appendChild(this.timelinePanel.render())
+    sidebar.appendChild(this.modulesPanel.render())
+    sidebar.appendChild(this.aiPanel.render())
+    sidebar.appendChild(this.trainingPanel.render())
+    this.trainingPanel.refresh()
 
     const stage = document.createElement('section')
     stage.classList.add('app-stage')
@@ -252,27 +546,39 @@ export default class App {
     this.svgRenderer = new SVGRenderer(svgContainer, {
       width: svgContainer.clientWidth || this.config.stage?.width || 1920,
       height: svgContainer.clientHeight || this.config.stage?.height || 1080,
-      controls: this.config.controls
+      controls: this.config.controls,
+      perspective: this.config.perspective
     })
     this.svgRenderer.init()
     this.svgRenderer.setControlsConfig(this.config.controls)
 
     this.canvasRenderer = new CanvasRenderer(svgContainer, {
       width: svgContainer.clientWidth || this.config.stage?.width || 1920,
-      height: svgContainer.clientHeight || this.config.stage?.height || 1080
+      height: svgContainer.clientHeight || this.config.stage?.height || 1080,
+      controls: this.config.controls,
+      perspective: this.config.perspective
     })
+    this.renderer = this.svgRenderer
 
-    this.poseVisualizer = new PoseVisualizer(canvasOverlay)
+    this.poseVisualizer = new PoseVisualizer(canvasOverlay, {
+      ...this.poseConfidence,
+      skeleton: this.poseSkeleton,
+      registry: this.skeletonRegistry
+    })
+    this._bindPoseEditing(canvasOverlay)
     this._resizeStage()
 
     // Initialize interaction manager
     this.interactionManager = new InteractionManager({
       container: svgContainer,
+      renderer: this.renderer,
       onUpdate: (event) => this._handleInteraction(event)
     })
+    this._setRenderer(this.rendererType)
     this._updateInteractionState()
 
     window.addEventListener('resize', () => this._resizeStage())
+    window.addEventListener('keydown', (event) => this._handleKeyDown(event))
 
     // Initialize selection with first object if available
     const initialObjects = this.collectionManager.getAll()
@@ -297,14 +603,21 @@ export default class App {
     const newPanel = this.collectionPanel.render()
     parent.replaceChild(newPanel, this.collectionPanelRoot)
     this.collectionPanelRoot = newPanel
-    this.collectionPanel.setSelected(this.selectedObject?.id || null)
+    this.collectionPanel.setSelected(this.selectedIds)
   }
 
-  _refreshPropertiesPanel(object) {
+  /**
+   * @param {object|object[]|null} selection - Selected object or objects
+   */
+  _refreshPropertiesPanel(selection) {
     if (!this.propertiesPanel || !this.propertiesPanelRoot) return
     const parent = this.propertiesPanelRoot.parentElement
     if (!parent) return
-    const newPanel = this.propertiesPanel.render(object)
+    // Show values at the playhead so edits start from what is on stage
+    const objects = (Array.isArray(selection) ? selection : [selection]).filter(Boolean)
+    const newPanel = this.propertiesPanel.render(
+      objects.map(obj => this._getAnimatedObject(obj))
+    )
     parent.replaceChild(newPanel, this.propertiesPanelRoot)
     this.propertiesPanelRoot = newPanel
   }
@@ -326,6 +639,7 @@ export default class App {
     this.svgRenderer.resize(width, height)
     this.canvasRenderer.resize(width, height)
     this.poseVisualizer.resize(width, height)
+    this._renderDetectedPose()
 
     // Resize rulers
     if (this.horizontalRuler) {
@@ -408,16 +722,36 @@ export default class App {
     this._selectObject(created)
   }
 
-  _assignToGroup(objectId, groupId = null) {
-    if (!objectId) return
+  /**
+   * Move objects into a group (or back to the top level when groupId is null)
+   * as one history entry.
+   * @param {string[]} objectIds
+   * @param {string|null} groupId
+   */
+  _moveObjectsToGroup(objectIds, groupId) {
+    this.history.beginTransaction(groupId ? 'Move to group' : 'Remove from group')
+    try {
+      objectIds.forEach(id => {
+        if (groupId) {
+          this.collectionManager.moveToGroup(id, groupId)
+        } else {
+          this.collectionManager.removeFromGroup(id)
+        }
+      })
+    } finally {
+      this.history.endTransaction()
+    }
+    this._refreshCollectionPanel()
+    this.renderScene()
+  }
+
+  _assignToGroup(objectIds, groupId = null) {
+    const ids = (Array.isArray(objectIds) ? objectIds : [objectIds]).filter(Boolean)
+    if (ids.length === 0) return
 
     // If groupId is provided (from drag and drop), assign directly
     if (groupId) {
-      const success = this.collectionManager.moveToGroup(objectId, groupId)
-      if (success) {
-        this._refreshCollectionPanel()
-        this.renderScene()
-      }
+      this._moveObjectsToGroup(ids, groupId)
       return
     }
 
@@ -506,14 +840,7 @@ export default class App {
       cursor: pointer;
     `
     assignBtn.onclick = () => {
-      const selectedGroupId = select.value
-      if (selectedGroupId) {
-        this.collectionManager.moveToGroup(objectId, selectedGroupId)
-      } else {
-        this.collectionManager.removeFromGroup(objectId)
-      }
-      this._refreshCollectionPanel()
-      this.renderScene()
+      this._moveObjectsToGroup(ids, select.value || null)
       modal.remove()
     }
 
@@ -535,80 +862,1113 @@ export default class App {
     select.focus()
   }
 
-  _selectObject(obj) {
-    this.selectedObject = obj || null
-    this.collectionPanel?.setSelected(this.selectedObject?.id || null)
-    this._refreshPropertiesPanel(this.selectedObject)
-    this.renderScene()
+  _handleKeyDown(event) {
+    // A focused panel (e.g. the timeline track) already handled the key
+    if (event.defaultPrevented) return
+
+    // Leave text fields to their native undo
+    const target = event.target
+    if (
+      target instanceof HTMLInputElement ||
+      target instanceof HTMLTextAreaElement ||
+      target instanceof HTMLSelectElement ||
+      target?.isContentEditable
+    ) {
+      return
+    }
+
+    if (event.key === 'Delete' || event.key === 'Backspace') {
+      if (this.selectedIds.length > 0) {
+        event.preventDefault()
+        this._deleteObjects(this.selectedIds)
+      }
+      return
+    }
+
+    if (event.key === 'Escape') {
+      this._selectObject(null)
+      return
+    }
+
+    if (!(event.ctrlKey || event.metaKey)) return
+
+    const key = event.key.toLowerCase()
+    if (key === 'a') {
+      event.preventDefault()
+      this._setSelection(this.collectionManager.getAll().map(obj => obj.id))
+    } else if (key === 'g') {
+      event.preventDefault()
+      this._groupSelection(this.selectedIds)
+    } else if (key === 'z') {
+      event.preventDefault()
+      if (event.shiftKey) {
+        this._redo()
+      } else {
+        this._undo()
+      }
+    } else if (key === 'y') {
+      event.preventDefault()
+      this._redo()
+    }
+  }
+
+  _undo() {
+    if (this.history.undo()) {
+      this._restoreSelection()
+    }
+  }
+
+  _redo() {
+    if (this.history.redo()) {
+      this._restoreSelection()
+    }
+  }
+
+  /**
+   * Re-resolve the selected object after the collection was replaced by undo/redo.
+   */
+  _restoreSelection() {
+    this._setSelection(this.selectedIds)
+  }
+
+  _selectObject(obj) {
+    this._setSelection(obj ? [obj.id] : [])
+  }
+
+  /**
+   * Replace the selection. Ids that no longer exist are dropped;
+   * the last id becomes the primary object.
+   * @param {string[]} ids
+   */
+  _setSelection(ids) {
+    const objects = [...new Set(ids)]
+      .map(id => this.collectionManager.findInGroups(id))
+      .filter(Boolean)
+
+    this.selectedIds = objects.map(obj => obj.id)
+    this.selectedObject = objects[objects.length - 1] || null
+    this.collectionPanel?.setSelected(this.selectedIds)
+    this.timelineController.selectObject(this.selectedObject?.id || null)
+    this.timelinePanel?.setSelected(this.selectedObject?.id || null)
+    this._refreshPropertiesPanel(objects)
+    this.renderScene()
+  }
+
+  _toggleSelection(obj) {
+    if (!obj) return
+    if (this.selectedIds.includes(obj.id)) {
+      this._setSelection(this.selectedIds.filter(id => id !== obj.id))
+    } else {
+      this._setSelection([...this.selectedIds, obj.id])
+    }
+  }
+
+  /**
+   * Current (non-animated) state of every selected object.
+   * @returns {object[]}
+   */
+  _getSelectedObjects() {
+    return this.selectedIds
+      .map(id => this.collectionManager.findInGroups(id))
+      .filter(Boolean)
+  }
+
+  _toggleMarqueeMode() {
+    const enabled = !this.interactionManager?.marqueeMode
+    this.interactionManager?.setMarqueeMode(enabled)
+    this.marqueeButton?.classList.toggle('is-active', enabled)
+  }
+
+  _updateSelectedObject(updates) {
+    if (this.selectedIds.length > 1) {
+      this._updateSelectedObjects(updates)
+      return
+    }
+    if (!this.selectedObject) return
+    const updated = this._applyObjectUpdates(this.selectedObject.id, updates)
+    if (updated) {
+      this._selectObject(updated)
+      // Refresh collection panel to show updated name/label
+      this._refreshCollectionPanel()
+    }
+  }
+
+  _addNodeToSelectedObject() {
+    if (!this.selectedObject) return
+
+    const result = this.collectionManager.addNode(this.selectedObject.id)
+    if (!result) {
+      window.alert?.('Unable to add node to the selected item.')
+      return
+    }
+
+    const refreshed = this.collectionManager.findInGroups(
+      this.selectedObject.id
+    )
+    if (refreshed) {
+      this._selectObject(refreshed)
+    } else {
+      this.renderScene()
+    }
+  }
+
+  /**
+   * Apply a properties edit to every selected object as one history entry.
+   * Nested values (offset, rotate, scale) are partial, e.g. { offset: { x } }, so
+   * the other axes keep their per-object values.
+   * @param {object} updates
+   */
+  _updateSelectedObjects(updates) {
+    const keys = Object.entries(updates)
+      .map(([property, value]) => isObject(value) ? `${property}.${Object.keys(value).join('.')}` : property)
+      .join(',')
+
+    // Consecutive edits of the same field (typing, spinner) merge into one entry
+    this.history.beginTransaction('Edit objects', { mergeKey: `multi:${keys}` })
+    try {
+      this._getSelectedObjects().forEach(source => {
+        const current = this._getAnimatedObject(source)
+        const isGroup = source.type === 'group' || source.svg_element === 'g'
+        const objectUpdates = {}
+
+        Object.entries(updates).forEach(([property, value]) => {
+          // Groups have no appearance of their own
+          if (isGroup && APPEARANCE_PROPERTIES.includes(property)) return
+          objectUpdates[property] = isObject(value)
+            ? { ...(TRANSFORM_DEFAULTS[property] || { x: 0, y: 0, z: 0 }), ...current[property], ...value }
+            : value
+        })
+
+        if (Object.keys(objectUpdates).length > 0) {
+          this._applyObjectUpdates(source.id, objectUpdates)
+        }
+      })
+    } finally {
+      this.history.endTransaction()
+    }
+
+    this._setSelection(this.selectedIds)
+  }
+
+  _duplicateObjects(ids) {
+    let clones = []
+    this.history.beginTransaction(ids.length > 1 ? 'Duplicate objects' : 'Duplicate object')
+    try {
+      clones = ids.map(id => this.collectionManager.clone(id)).filter(Boolean)
+    } finally {
+      this.history.endTransaction()
+    }
+
+    if (clones.length > 0) {
+      this._setSelection(clones.map(obj => obj.id))
+    }
+  }
+
+  _deleteObjects(ids) {
+    const removed = this.collectionManager.removeMany([...ids])
+    if (!removed) return
+
+    const remainingSelected = this.selectedIds.filter(id => this.collectionManager.findInGroups(id))
+    if (remainingSelected.length > 0) {
+      this._setSelection(remainingSelected)
+    } else {
+      const remaining = this.collectionManager.getAll()
+      this._selectObject(remaining[0] || null)
+    }
+  }
+
+  _groupSelection(ids) {
+    if (!Array.isArray(ids) || ids.length < 2) return
+
+    // Pivot fixed at the members' center so later edits to one child don't move it
+    const members = ids.map(id => this.collectionManager.findInGroups(id)).filter(Boolean)
+    const group = this.collectionManager.groupObjects(ids, {
+      type: 'group',
+      svg_element: 'g',
+      name: `Group ${Date.now()}`,
+      label: 'New group',
+      offset: { x: 0, y: 0, z: 0 },
+      rotate: { x: 0, y: 0, z: 0 },
+      pivot: getObjectPivot({ type: 'group', children: members })
+    })
+    if (group) {
+      this._selectObject(group)
+    }
+  }
+
+  _resetCollection() {
+    this.collectionManager.clear()
+    this._selectObject(null)
+  }
+
+  _exportCollection() {
+    const data = JSON.stringify(this.collectionManager.getAll(), null, 2)
+    const blob = new Blob([data], { type: 'application/json' })
+    this._downloadBlob(blob, `preview2-collection-${this._getExportTimestamp()}.json`)
+  }
+
+  _getExportTimestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-')
+  }
+
+  _downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
+  }
+
+  /**
+   * Pick an .svg file and add its shapes to the collection.
+   */
+  _importSvg() {
+    const input = document.createElement('input')
+    input.type = 'file'
+    input.accept = '.svg,image/svg+xml'
+    input.style.display = 'none'
+    input.addEventListener('change', async (e) => {
+      const file = e.target.files?.[0]
+      input.remove()
+      if (!file) return
+
+      try {
+        const importer = new SVGImporter()
+        const imported = await importer.importFile(file)
+        if (!imported) {
+          window.alert('No supported shapes were found in this SVG.')
+          return
+        }
+        if (importer.warnings.length > 0) {
+          console.warn('SVG import warnings:', importer.warnings)
+        }
+        const created = this.collectionManager.add(imported)
+        this._selectObject(created)
+      } catch (error) {
+        console.error('SVG import failed:', error)
+        window.alert(`Could not import SVG: ${error.message}`)
+      }
+    })
+    document.body.appendChild(input)
+    input.click()
+  }
+
+  /**
+   * Run a module's build in the sandbox and put the result in the collection as a group.
+   * A preview run replaces the previous preview group; a normal run inserts a new
+   * group, or keeps the current preview as the inserted result.
+   * Inserting pins the module's dependencies in the project, and the group
+   * records the exact version so the project keeps rendering the same result.
+   * @param {string} specifier - Module name or "name@range"
+   * @param {object} config - Module configuration
+   * @param {object} options
+   * @param {boolean} options.preview - Update the live preview group
+   * @returns {Promise<object>} The group in the collection
+   */
+  async _runModule(specifier, config = {}, { preview = false } = {}) {
+    const resolved = this.moduleManager.resolveModule(specifier)
+    if (!resolved) {
+      throw new Error(`Module "${specifier}" not found`)
+    }
+    const { name, version } = resolved
+    const result = await this.moduleManager.runModule(`${name}@${version}`, config)
+    const module = { name, version, config: JSON.parse(JSON.stringify(config)) }
+    const group = this._placeModuleResult(result, { name, module, preview })
+    if (!preview) {
+      this._saveModulePins(this.moduleManager.pinModule(`${name}@${version}`))
+    }
+    return group
+  }
+
+  /**
+   * Put a module build result in the collection as a group (see _runModule).
+   * @param {*} result - Value returned by the build function
+   * @param {object} options
+   * @param {string} options.name - Group name
+   * @param {object|null} options.module - Kept on the group as { name, version, config }
+   * @param {boolean} options.preview - Update the live preview group
+   * @returns {object} The group in the collection
+   */
+  _placeModuleResult(result, { name, module = null, preview = false }) {
+    const children = moduleResultToObjects(result, name)
+    if (children.length === 0) {
+      throw new Error('Module build returned no objects')
+    }
+
+    const groupName = preview ? `${name} (preview)` : name
+    const existing = this.modulePreviewId
+      ? this.collectionManager.findInGroups(this.modulePreviewId)
+      : null
+
+    let group
+    if (existing) {
+      // Consecutive preview runs, and inserting the preview, merge into one history entry
+      group = this.collectionManager.update(existing.id, { children, module, name: groupName, label: name }, {
+        mergeKey: `module-preview:${existing.id}`
+      })
+    } else {
+      group = this.collectionManager.add({
+        type: 'group',
+        svg_element: 'g',
+        name: groupName,
+        label: name,
+        children,
+        offset: { x: 0, y: 0, z: 0 },
+        rotate: { x: 0, y: 0, z: 0 },
+        module
+      })
+      this._selectObject(group)
+    }
+
+    // Inserting keeps the result; the next preview starts a new group
+    this.modulePreviewId = preview ? group.id : null
+    return group
+  }
+
+  /**
+   * Make the current project use one version of a module where it asks for it by name.
+   * @param {string} name - Module name
+   * @param {string} version - Exact version
+   */
+  _pinModuleVersion(name, version) {
+    this.moduleManager.setPins({ ...this.moduleManager.getPins(), [name]: version })
+    this._saveModulePins(this.moduleManager.pinModule(`${name}@${version}`))
+  }
+
+  /**
+   * @private
+   */
+  _saveModulePins(pins) {
+    const project = this.projectManager.getCurrent()
+    if (project) {
+      this.projectManager.updateProject(project.id, { modulePins: pins })
+    }
+  }
+
+  /**
+   * Ask which modules to export, then download them (with dependencies) as one package.
+   * @param {string|null} selectedSpecifier - Version open in the modules panel
+   */
+  _openModuleExportDialog(selectedSpecifier = null) {
+    const modules = this.moduleManager.getAllModules()
+    if (modules.length === 0) {
+      window.alert('There are no modules to export yet.')
+      return
+    }
+
+    const selected = selectedSpecifier ? this.moduleManager.getModule(selectedSpecifier) : null
+    const form = document.createElement('div')
+    form.classList.add('export-form')
+
+    const list = document.createElement('div')
+    list.classList.add('module-export-list')
+    const rows = modules.map(module => {
+      const row = document.createElement('label')
+      row.classList.add('export-form__toggle')
+
+      const checkbox = document.createElement('input')
+      checkbox.type = 'checkbox'
+      checkbox.checked = selected ? selected.name === module.name : true
+
+      const name = document.createElement('span')
+      name.textContent = module.name
+
+      const versionSelect = document.createElement('select')
+      this.moduleManager.getModuleVersions(module.name).reverse().forEach(version => {
+        const option = document.createElement('option')
+        option.value = version.version
+        option.textContent = version.version
+        versionSelect.appendChild(option)
+      })
+      versionSelect.value = selected?.name === module.name ? selected.version : module.version
+
+      row.appendChild(checkbox)
+      row.appendChild(name)
+      row.appendChild(versionSelect)
+      list.appendChild(row)
+      return { checkbox, specifier: () => `${module.name}@${versionSelect.value}` }
+    })
+
+    const formatField = document.createElement('label')
+    formatField.classList.add('export-form__field')
+    formatField.textContent = 'Format'
+    const formatSelect = document.createElement('select')
+    ;[
+      ['json', 'JSON (.json)'],
+      ['zip', 'Zip with source files (.zip)']
+    ].forEach(([value, label]) => {
+      const option = document.createElement('option')
+      option.value = value
+      option.textContent = label
+      formatSelect.appendChild(option)
+    })
+    formatField.appendChild(formatSelect)
+
+    const thumbnailField = document.createElement('label')
+    thumbnailField.classList.add('export-form__toggle')
+    const thumbnailInput = document.createElement('input')
+    thumbnailInput.type = 'checkbox'
+    thumbnailInput.checked = true
+    thumbnailField.appendChild(thumbnailInput)
+    thumbnailField.appendChild(document.createTextNode(' Include thumbnails'))
+
+    const note = document.createElement('p')
+    note.classList.add('export-form__status')
+    note.textContent = 'Modules they require are always included.'
+
+    form.appendChild(list)
+    form.appendChild(formatField)
+    form.appendChild(thumbnailField)
+    form.appendChild(note)
+
+    const exportButton = createButton({
+      label: 'Download package',
+      variant: 'primary',
+      onClick: async () => {
+        const specifiers = rows.filter(row => row.checkbox.checked).map(row => row.specifier())
+        if (specifiers.length === 0) {
+          note.textContent = 'Choose at least one module.'
+          return
+        }
+
+        exportButton.disabled = true
+        note.textContent = 'Packaging…'
+        try {
+          const pkg = await createModulePackage(this.moduleManager, specifiers, {
+            createThumbnail: thumbnailInput.checked
+              ? (module, compiled) => this._createModuleThumbnail(module, compiled)
+              : null
+          })
+          const format = formatSelect.value
+          this._downloadBlob(modulePackageToBlob(pkg, format), `preview2-modules-${this._getExportTimestamp()}.${format}`)
+          modal.close()
+        } catch (error) {
+          console.error('Module export failed:', error)
+          note.textContent = `Could not export modules: ${error.message}`
+          exportButton.disabled = false
+        }
+      }
+    })
+
+    const modal = createModal({
+      title: 'Export modules',
+      content: form,
+      actions: [exportButton]
+    })
+    document.body.appendChild(modal.overlay)
+  }
+
+  /**
+   * Render a module with its default parameters as an SVG thumbnail.
+   * @param {object} module - Module metadata
+   * @param {object} compiled - Compiled module handle
+   * @returns {Promise<string|null>} SVG markup
+   */
+  async _createModuleThumbnail(module, compiled) {
+    const objects = moduleResultToObjects(await compiled.run({}), module.name)
+    if (objects.length === 0) return null
+
+    const exporter = new SVGExporter({
+      width: this.svgRenderer?.baseViewBoxWidth,
+      height: this.svgRenderer?.baseViewBoxHeight,
+      perspective: this.config.perspective
+    })
+    return exporter.exportFrame(objects, { camera: { x: 0, y: 0, z: DEFAULT_CONFIG.defaultZoom } })
+  }
+
+  /**
+   * Pick a module package (.json or .zip) and install it, asking how to resolve conflicts.
+   */
+  _importModulePackage() {
+    const input = document.createElement('input')
+    input.type = 'file'
+    input.accept = '.json,.zip,application/json,application/zip'
+    input.style.display = 'none'
+    input.addEventListener('change', async (e) => {
+      const file = e.target.files?.[0]
+      input.remove()
+      if (!file) return
+
+      try {
+        const pkg = await readModulePackage(file)
+        const conflicts = findModuleConflicts(this.moduleManager, pkg)
+        if (conflicts.length > 0) {
+          this._openModuleConflictDialog(pkg, conflicts)
+          return
+        }
+        this._finishModuleImport(pkg, {})
+      } catch (error) {
+        console.error('Module import failed:', error)
+        window.alert(`Could not import modules: ${error.message}`)
+      }
+    })
+    document.body.appendChild(input)
+    input.click()
+  }
+
+  /**
+   * Ask whether to rename, overwrite or skip each conflicting module.
+   * @param {object} pkg - Validated package
+   * @param {Array} conflicts - From findModuleConflicts()
+   */
+  _openModuleConflictDialog(pkg, conflicts) {
+    const form = document.createElement('div')
+    form.classList.add('export-form')
+
+    const intro = document.createElement('p')
+    intro.textContent = `${conflicts.length} of ${pkg.modules.length} modules in this package clash with installed modules.`
+    form.appendChild(intro)
+
+    const rows = conflicts.map(conflict => {
+      const row = document.createElement('div')
+      row.classList.add('export-form__field', 'module-conflict')
+
+      const description = document.createElement('span')
+      description.textContent = conflict.type === 'name'
+        ? `${conflict.key} is already installed with different source`
+        : `${conflict.key} uses the same id as installed ${conflict.existing.name}@${conflict.existing.version}`
+
+      const controls = document.createElement('div')
+      controls.classList.add('module-conflict__controls')
+
+      const actionSelect = document.createElement('select')
+      ;[
+        ['rename', 'Import under a new name'],
+        ['overwrite', 'Overwrite installed'],
+        ['skip', 'Skip']
+      ].forEach(([value, label]) => {
+        const option = document.createElement('option')
+        option.value = value
+        option.textContent = label
+        actionSelect.appendChild(option)
+      })
+
+      const nameInput = document.createElement('input')
+      nameInput.type = 'text'
+      nameInput.value = suggestModuleName(this.moduleManager, conflict.entry.name, pkg)
+      actionSelect.addEventListener('change', () => {
+        nameInput.hidden = actionSelect.value !== 'rename'
+      })
+
+      controls.appendChild(actionSelect)
+      controls.appendChild(nameInput)
+      row.appendChild(description)
+      row.appendChild(controls)
+      form.appendChild(row)
+
+      return { conflict, actionSelect, nameInput }
+    })
+
+    const status = document.createElement('p')
+    status.classList.add('export-form__status')
+    form.appendChild(status)
+
+    const importButton = createButton({
+      label: 'Import',
+      variant: 'primary',
+      onClick: () => {
+        const resolutions = {}
+        rows.forEach(({ conflict, actionSelect, nameInput }) => {
+          resolutions[conflict.key] = { action: actionSelect.value, name: nameInput.value }
+        })
+        try {
+          this._finishModuleImport(pkg, resolutions)
+          modal.close()
+        } catch (error) {
+          status.textContent = error.message
+        }
+      }
+    })
+
+    const modal = createModal({
+      title: 'Import modules',
+      content: form,
+      actions: [importButton]
+    })
+    document.body.appendChild(modal.overlay)
+  }
+
+  /**
+   * @private
+   */
+  _finishModuleImport(pkg, resolutions) {
+    const result = importModulePackage(this.moduleManager, pkg, resolutions)
+    this.modulesPanel?.refresh()
+
+    const lines = [`Imported ${result.imported.length} module version${result.imported.length === 1 ? '' : 's'}.`]
+    if (result.unchanged.length > 0) {
+      lines.push(`Already installed: ${result.unchanged.join(', ')}`)
+    }
+    if (result.skipped.length > 0) {
+      lines.push(`Skipped: ${result.skipped.join(', ')}`)
+    }
+    Object.entries(result.renamed).forEach(([from, to]) => lines.push(`Renamed ${from} to ${to}`))
+    window.alert(lines.join('\n'))
+  }
+
+  /**
+   * Remove the live module preview group, if any.
+   */
+  _clearModulePreview() {
+    const id = this.modulePreviewId
+    this.modulePreviewId = null
+    if (id && this.collectionManager.findInGroups(id)) {
+      this._deleteObjects([id])
+    }
+  }
+
+  /**
+   * Ask for SVG export options, then download the scene as .svg.
+   */
+  _openSvgExportDialog() {
+    const form = document.createElement('div')
+    form.classList.add('export-form')
+
+    const animationField = document.createElement('label')
+    animationField.classList.add('export-form__field')
+    animationField.textContent = 'Animation'
+    const animationSelect = document.createElement('select')
+    ;[
+      ['none', 'None (current frame)'],
+      ['smil', 'SMIL <animate>'],
+      ['css', 'CSS keyframes']
+    ].forEach(([value, label]) => {
+      const option = document.createElement('option')
+      option.value = value
+      option.textContent = label
+      animationSelect.appendChild(option)
+    })
+    animationSelect.value = this.keyframeManager.getAnimatedObjectIds().length > 0 ? 'smil' : 'none'
+    animationField.appendChild(animationSelect)
+
+    const fpsField = document.createElement('label')
+    fpsField.classList.add('export-form__field')
+    fpsField.textContent = 'Samples per second'
+    const fpsInput = document.createElement('input')
+    fpsInput.type = 'number'
+    fpsInput.min = '1'
+    fpsInput.max = '60'
+    fpsInput.value = '30'
+    fpsField.appendChild(fpsInput)
+
+    const loopField = document.createElement('label')
+    loopField.classList.add('export-form__toggle')
+    const loopInput = document.createElement('input')
+    loopInput.type = 'checkbox'
+    loopInput.checked = this.animationEngine.loop !== false
+    loopField.appendChild(loopInput)
+    loopField.appendChild(document.createTextNode(' Loop'))
+
+    const updateFields = () => {
+      const animated = animationSelect.value !== 'none'
+      fpsInput.disabled = !animated
+      loopInput.disabled = !animated
+    }
+    animationSelect.addEventListener('change', updateFields)
+    updateFields()
+
+    form.appendChild(animationField)
+    form.appendChild(fpsField)
+    form.appendChild(loopField)
+
+    const exportButton = createButton({
+      label: 'Download SVG',
+      variant: 'primary',
+      onClick: () => {
+        try {
+          this._exportSvg({
+            animation: animationSelect.value,
+            fps: Math.min(Math.max(Number(fpsInput.value) || 30, 1), 60),
+            loop: loopInput.checked
+          })
+          modal.close()
+        } catch (error) {
+          console.error('SVG export failed:', error)
+          window.alert(`Could not export SVG: ${error.message}`)
+        }
+      }
+    })
+
+    const modal = createModal({
+      title: 'Export SVG',
+      content: form,
+      actions: [exportButton]
+    })
+    document.body.appendChild(modal.overlay)
+  }
+
+  /**
+   * Download the scene as a standalone SVG.
+   * @param {object} options - { animation: 'none'|'smil'|'css', fps, loop }
+   */
+  _exportSvg({ animation = 'none', fps = 30, loop = true } = {}) {
+    const exporter = new SVGExporter({
+      width: this.svgRenderer?.baseViewBoxWidth,
+      height: this.svgRenderer?.baseViewBoxHeight,
+      perspective: this.config.perspective
+    })
+
+    const markup = exporter.export(this.collectionManager.getAll(), {
+      camera: this.camera.getState(),
+      animation,
+      time: this.animationEngine.currentTime,
+      duration: this.animationEngine.duration,
+      fps,
+      loop
+    })
+
+    const blob = new Blob([markup], { type: 'image/svg+xml' })
+    this._downloadBlob(blob, `preview2-scene-${this._getExportTimestamp()}.svg`)
+  }
+
+  /**
+   * Ask for render options, then render the animation to PNG frames, GIF or WebM.
+   */
+  _openFrameExportDialog() {
+    const stage = this.config.stage || {}
+    const form = document.createElement('div')
+    form.classList.add('export-form')
+
+    const createField = (label, input) => {
+      const field = document.createElement('label')
+      field.classList.add('export-form__field')
+      field.textContent = label
+      field.appendChild(input)
+      form.appendChild(field)
+      return input
+    }
+    const createNumber = (value, min, max) => {
+      const input = document.createElement('input')
+      input.type = 'number'
+      input.min = String(min)
+      input.max = String(max)
+      input.value = String(value)
+      return input
+    }
+
+    const formatSelect = document.createElement('select')
+    ;[
+      ['png', 'PNG sequence (.zip)'],
+      ['gif', 'Animated GIF'],
+      ['webm', 'WebM video']
+    ].forEach(([value, label]) => {
+      const option = document.createElement('option')
+      option.value = value
+      option.textContent = label
+      formatSelect.appendChild(option)
+    })
+    createField('Format', formatSelect)
+    const fpsInput = createField('Frames per second', createNumber(30, 1, 60))
+    const widthInput = createField('Width (px)', createNumber(stage.width || 1920, 16, 7680))
+    const heightInput = createField('Height (px)', createNumber(stage.height || 1080, 16, 4320))
+
+    const status = document.createElement('p')
+    status.classList.add('export-form__status')
+    form.appendChild(status)
+
+    const exporter = new FrameExporter({
+      engine: this.animationEngine,
+      getScene: () => ({
+        objects: applyAnimatedValues(this.collectionManager.getAll(), this.animatedValues),
+        camera: this.camera.getState()
+      }),
+      stage,
+      perspective: this.config.perspective
+    })
+
+    const renderButton = createButton({
+      label: 'Render',
+      variant: 'primary',
+      onClick: async () => {
+        const format = formatSelect.value
+        renderButton.disabled = true
+        status.textContent = 'Rendering…'
+        try {
+          const blob = await exporter.export({
+            format,
+            fps: Math.min(Math.max(Number(fpsInput.value) || 30, 1), 60),
+            width: Number(widthInput.value) || stage.width,
+            height: Number(heightInput.value) || stage.height,
+            loop: this.animationEngine.loop !== false,
+            onProgress: ({ frame, total }) => {
+              status.textContent = `Rendering frame ${frame} of ${total}…`
+            }
+          })
+          const extension = format === 'png' ? 'zip' : format
+          this._downloadBlob(blob, `preview2-render-${this._getExportTimestamp()}.${extension}`)
+          modal.close()
+        } catch (error) {
+          if (!exporter.cancelled) {
+            console.error('Render failed:', error)
+          }
+          status.textContent = exporter.cancelled ? '' : `Render failed: ${error.message}`
+          renderButton.disabled = false
+        }
+      }
+    })
+
+    const modal = createModal({
+      title: 'Render Animation',
+      content: form,
+      actions: [renderButton],
+      onClose: () => exporter.cancel()
+    })
+    document.body.appendChild(modal.overlay)
+  }
+
+  /**
+   * Flatten objects and nested group children into a single list.
+   * @param {Array} objects
+   * @returns {Array}
+   */
+  _flattenObjects(objects) {
+    const result = []
+    const collect = (items) => {
+      items.forEach(item => {
+        if (!item) return
+        result.push(item)
+        if (Array.isArray(item.children)) {
+          collect(item.children)
+        }
+      })
+    }
+    collect(objects || [])
+    return result
+  }
+
+  /**
+   * Rebuild KeyframeManager and engine animators from the keyframes stored on objects.
+   * Objects are the source of truth so keyframes persist with the project.
+   */
+  _syncKeyframes() {
+    this.keyframeManager.clear()
+    this.animationEngine.clearAnimators()
+    this.animatedValues.clear()
+
+    this._flattenObjects(this.collectionManager.getAll()).forEach(obj => {
+      if (!obj.keyframes || !obj.id) return
+
+      this.keyframeManager.setObjectKeyframes(obj.id, obj.keyframes)
+      const animators = Object.keys(obj.keyframes).map(property =>
+        createAnimator({
+          objectId: obj.id,
+          property,
+          keyframes: this.keyframeManager,
+          apply: (value) => this._setAnimatedValue(obj.id, property, value)
+        })
+      )
+      this.animationEngine.registerAnimators(obj.id, animators)
+    })
+
+    // Re-apply animators at the current time
+    this.animationEngine.seek(this.animationEngine.currentTime)
+  }
+
+  _setAnimatedValue(objectId, property, value) {
+    const values = this.animatedValues.get(objectId) || {}
+    values[property] = value
+    this.animatedValues.set(objectId, values)
+  }
+
+  /**
+   * Get an object as currently displayed (animated values applied).
+   * @param {object} obj
+   * @returns {object}
+   */
+  _getAnimatedObject(obj) {
+    if (!obj || !this.animatedValues.has(obj.id)) return obj
+    return applyAnimatedValues([obj], this.animatedValues)[0]
+  }
+
+  /**
+   * Whether an edit to property should be written as a keyframe.
+   * Properties that are already animated are always keyed, otherwise
+   * the edit would be hidden by the animator.
+   * @param {string} objectId
+   * @param {string} property
+   * @returns {boolean}
+   */
+  _shouldRecordKeyframe(objectId, property) {
+    return this.autoKey || this.keyframeManager.getKeyframes(objectId, property).length > 0
   }
 
-  _updateSelectedObject(updates) {
-    if (!this.selectedObject) return
-    const updated = this.collectionManager.update(
-      this.selectedObject.id,
-      updates
-    )
-    if (updated) {
-      this._selectObject(updated)
-      // Refresh collection panel to show updated name/label
-      this._refreshCollectionPanel()
+  /**
+   * Write a keyframe at the playhead. The first key of a property recorded
+   * away from 0 also keys the previous value at 0 so the edit becomes motion.
+   * @param {string} objectId
+   * @param {string} property
+   * @param {*} value - New value
+   * @param {*} previous - Value before the edit
+   */
+  _recordKeyframe(objectId, property, value, previous) {
+    const time = Math.round(this.animationEngine.currentTime)
+    const copy = (data) => JSON.parse(JSON.stringify(data))
+
+    const isFirstKey = this.keyframeManager.getKeyframes(objectId, property).length === 0
+    if (isFirstKey && time !== 0 && previous !== undefined && previous !== null) {
+      this.keyframeManager.setKeyframe(objectId, property, {
+        time: 0,
+        value: copy(previous)
+      })
     }
-  }
 
-  _addNodeToSelectedObject() {
-    if (!this.selectedObject) return
+    this.keyframeManager.setKeyframe(objectId, property, {
+      time,
+      value: copy(value)
+    })
+  }
 
-    const result = this.collectionManager.addNode(this.selectedObject.id)
-    if (!result) {
-      window.alert?.('Unable to add node to the selected item.')
-      return
+  /**
+   * Apply edits to an object. Animatable properties are recorded as keyframes
+   * when auto-key is on; everything else updates the static object.
+   * @param {string} objectId
+   * @param {object} updates - Partial object updates
+   * @returns {object|null} Updated object or null if not found
+   */
+  _applyObjectUpdates(objectId, updates) {
+    const obj = this.collectionManager.findInGroups(objectId)
+    if (!obj) return null
+
+    const pins = this._getPivotPins(objectId, updates)
+    const staticUpdates = this._recordObjectUpdates(obj, updates)
+    const apply = () => Object.keys(staticUpdates).length === 0
+      ? obj
+      : this.collectionManager.update(objectId, staticUpdates)
+    if (pins.length === 0) return apply()
+
+    // Pin the pivots in the same history entry as the edit itself, keyed like
+    // the edit alone so the edits that follow still merge into it
+    const ownsTransaction = !this.history.isInTransaction()
+    if (ownsTransaction) {
+      this.history.beginTransaction('Edit object', {
+        mergeKey: this.collectionManager.getUpdateMergeKey(objectId, staticUpdates)
+      })
     }
-
-    const refreshed = this.collectionManager.findInGroups(
-      this.selectedObject.id
-    )
-    if (refreshed) {
-      this._selectObject(refreshed)
-    } else {
-      this.renderScene()
+    try {
+      pins.forEach(({ id, pivot }) => this.collectionManager.update(id, { pivot }))
+      return apply()
+    } finally {
+      if (ownsTransaction) {
+        this.history.endTransaction()
+      }
     }
   }
 
-  _duplicateObject(id) {
-    const cloned = this.collectionManager.clone(id)
-    if (cloned) {
-      this._selectObject(cloned)
+  /**
+   * Objects whose fallback pivot (node centroid, children's center) the edit
+   * would move, with that pivot made explicit. Without this, rotating one child
+   * moves the center of a rotated parent group and with it every sibling.
+   * @param {string} objectId
+   * @param {object} updates
+   * @returns {Array<{id: string, pivot: object}>}
+   * @private
+   */
+  _getPivotPins(objectId, updates) {
+    const found = findObjectWithParents(this.collectionManager.getAll(), objectId)
+    if (!found) return []
+
+    const changes = Object.keys(updates)
+    const targets = changes.some(property => PARENT_PIVOT_PROPERTIES.includes(property))
+      ? [...found.parents]
+      : []
+    if (!changes.includes('pivot') && changes.some(property => OWN_PIVOT_PROPERTIES.includes(property))) {
+      targets.push(found.object)
     }
+
+    return targets
+      .filter(obj => !obj.pivot)
+      .map(obj => ({ id: obj.id, pivot: getObjectPivot(obj) }))
   }
 
-  _deleteObject(id) {
-    const wasDeleted = this.collectionManager.remove(id)
-    if (!wasDeleted) return
+  /**
+   * Record the keyed part of an edit as keyframes.
+   * @param {object} obj - Static object
+   * @param {object} updates
+   * @returns {object} The updates to write onto the static object
+   * @private
+   */
+  _recordObjectUpdates(obj, updates) {
+    const objectId = obj.id
+    const current = this._getAnimatedObject(obj)
+    const staticUpdates = {}
+    let recorded = false
+
+    Object.entries(updates).forEach(([property, value]) => {
+      if (ANIMATABLE_PROPERTIES.includes(property) && this._shouldRecordKeyframe(objectId, property)) {
+        this._recordKeyframe(objectId, property, value, getPropertyValue(current, property) ?? TRANSFORM_DEFAULTS[property])
+        recorded = true
+        return
+      }
 
-    if (this.selectedObject && this.selectedObject.id === id) {
-      const remaining = this.collectionManager.getAll()
-      this._selectObject(remaining[0] || null)
-    } else {
-      this.collectionPanel?.setSelected(this.selectedObject?.id || null)
+      // Nodes are keyed one by one; adding/removing nodes is always a static edit
+      const nodes = current.nodes
+      if (property === 'nodes' && Array.isArray(value) && Array.isArray(nodes) && value.length === nodes.length) {
+        const staticNodes = [...obj.nodes]
+        let hasStaticChange = false
+
+        value.forEach((node, index) => {
+          if (node === nodes[index]) return
+
+          const nodeProperty = `nodes[${index}]`
+          if (this._shouldRecordKeyframe(objectId, nodeProperty)) {
+            this._recordKeyframe(objectId, nodeProperty, node, nodes[index])
+            recorded = true
+          } else {
+            staticNodes[index] = node
+            hasStaticChange = true
+          }
+        })
+
+        if (hasStaticChange) {
+          staticUpdates.nodes = staticNodes
+        }
+        return
+      }
+
+      staticUpdates[property] = value
+    })
+
+    if (recorded) {
+      staticUpdates.keyframes = this.keyframeManager.getObjectKeyframes(objectId)
     }
+
+    return staticUpdates
   }
 
-  _resetCollection() {
-    this.collectionManager.clear()
-    this._selectObject(null)
+  /**
+   * Write keyframes from KeyframeManager back onto the object.
+   * @param {string} objectId
+   */
+  _commitKeyframes(objectId) {
+    const keyframes = this.keyframeManager.getObjectKeyframes(objectId)
+    const hasKeyframes = Object.keys(keyframes).length > 0
+    this.collectionManager.update(objectId, {
+      keyframes: hasKeyframes ? keyframes : undefined
+    })
   }
 
-  _exportCollection() {
-    const data = JSON.stringify(this.collectionManager.getAll(), null, 2)
-    const blob = new Blob([data], { type: 'application/json' })
-    const url = URL.createObjectURL(blob)
-    const link = document.createElement('a')
-    link.href = url
-    link.download = `preview2-collection-${new Date().toISOString().replace(/[:.]/g, '-')}.json`
-    document.body.appendChild(link)
-    link.click()
-    link.remove()
-    URL.revokeObjectURL(url)
+  _loadAnimationSettings() {
+    const duration = this.projectManager.getCurrent()?.animationDuration
+    this.animationEngine.setDuration(
+      Number.isFinite(duration) && duration > 0
+        ? duration
+        : this.config.animation.duration
+    )
+  }
+
+  _setAnimationDuration(duration) {
+    this.animationEngine.setDuration(duration)
+
+    const project = this.projectManager.getCurrent()
+    if (project) {
+      this.projectManager.updateProject(project.id, { animationDuration: duration })
+    }
+
+    this.timelinePanel?.refresh()
+    this.animationEngine.seek(this.animationEngine.currentTime)
   }
 
   _applyFirebaseConfig(config) {
@@ -655,13 +2015,69 @@ export default class App {
 
     this.config.controls = scaledControls
     this.svgRenderer?.setControlsConfig(this.config.controls)
+    this.canvasRenderer?.setControlsConfig(this.config.controls)
     this.settingsPanel?.setControlScale(this.controlScale)
     this.renderScene()
   }
 
+  _updatePerspective(value) {
+    this.config.perspective = Math.max(0, Number(value) || 0)
+    this.svgRenderer?.setPerspective(this.config.perspective)
+    this.canvasRenderer?.setPerspective(this.config.perspective)
+    this.renderScene()
+  }
+
+  /**
+   * Rotate the view camera.
+   * @param {object} rotation - { x, y, z } in degrees
+   */
+  _updateCameraRotation(rotation) {
+    this.camera.setRotation(
+      degToRad(rotation.x || 0),
+      degToRad(rotation.y || 0),
+      degToRad(rotation.z || 0)
+    )
+    this.renderScene()
+  }
+
+  /**
+   * Draw the stage with another backend. The new renderer takes over the
+   * zoom and pan, receives pointer events and the choice is remembered.
+   * @param {'svg'|'canvas'} type
+   */
+  _setRenderer(type) {
+    const next = type === 'canvas' ? this.canvasRenderer : this.svgRenderer
+    if (!next) return
+    const previous = this.renderer
+
+    if (!next.getElement()) {
+      next.init()
+    }
+    if (previous && previous !== next) {
+      previous.stop()
+      next.zoomLevel = previous.getZoom()
+      next.setViewBox(previous.getViewBox())
+      previous.setMarquee(null)
+    }
+    ;[this.svgRenderer, this.canvasRenderer].forEach(renderer => {
+      const element = renderer?.getElement()
+      if (element) {
+        element.style.display = renderer === next ? 'block' : 'none'
+      }
+    })
+
+    this.renderer = next
+    this.rendererType = next === this.canvasRenderer ? 'canvas' : 'svg'
+    this.settingsStorage.set('renderer', this.rendererType)
+    this.settingsPanel?.setRenderer(this.rendererType)
+    this.interactionManager?.setRenderer(next)
+    this.activeHandle = null
+    this.renderScene()
+  }
+
   _handleZoomIn() {
-    if (this.svgRenderer) {
-      this.svgRenderer.zoomIn(1.5)
+    if (this.renderer) {
+      this.renderer.zoomIn(1.5)
       this._updateZoomUI()
       this._updateOverlayImageScale()
       this._updateRulers()
@@ -670,8 +2086,8 @@ export default class App {
   }
 
   _handleZoomOut() {
-    if (this.svgRenderer) {
-      this.svgRenderer.zoomOut()
+    if (this.renderer) {
+      this.renderer.zoomOut()
       this._updateZoomUI()
       this._updateOverlayImageScale()
       this._updateRulers()
@@ -680,31 +2096,25 @@ export default class App {
   }
 
   _updateZoomUI() {
-    if (this.svgRenderer && this.settingsPanel) {
-      const zoom = this.svgRenderer.getZoom()
+    if (this.renderer && this.settingsPanel) {
+      const zoom = this.renderer.getZoom()
       this.settingsPanel.setZoom(zoom)
     }
   }
 
   _updateOverlayImageScale() {
-    if (!this.svgRenderer || !this.imageOverlay) return
+    if (!this.renderer || !this.imageOverlay) return
     // Re-render overlay image with updated zoom scale
     this._renderOverlayImage()
   }
 
   _updateRulers() {
-    // Update rulers with actual viewBox from SVG (includes pan and zoom)
-    if (this.horizontalRuler && this.verticalRuler && this.svgRenderer?.svg) {
-      const svgViewBox = this.svgRenderer.svg.viewBox?.baseVal
-      if (svgViewBox) {
-        const viewBox = {
-          x: svgViewBox.x,
-          y: svgViewBox.y,
-          width: svgViewBox.width,
-          height: svgViewBox.height
-        }
+    // Update rulers with the renderer's viewBox (includes pan and zoom)
+    if (this.horizontalRuler && this.verticalRuler && this.renderer?.getElement()) {
+      const viewBox = this.renderer.getViewBox()
+      if (viewBox) {
         // Get zoom level from renderer
-        const zoom = this.svgRenderer.getZoom()
+        const zoom = this.renderer.getZoom()
         // Create camera-like object for compatibility (z represents zoom level)
         const cameraState = {
           x: 0,
@@ -954,6 +2364,64 @@ export default class App {
     buttonContainer.appendChild(removeBtn)
     container.appendChild(buttonContainer)
 
+    // Pose detection: preview the skeleton on the stage, then create it on request
+    const poseContainer = document.createElement('div')
+    poseContainer.style.display = 'flex'
+    poseContainer.style.gap = '0.5rem'
+    poseContainer.style.marginTop = '0.75rem'
+    poseContainer.style.flexDirection = 'column'
+
+    poseContainer.appendChild(createSkeletonSelect({
+      registry: this.skeletonRegistry,
+      value: this.poseSkeleton,
+      onChange: (id) => this._setPoseSkeleton(id),
+      onLoad: () => this._loadSkeletonDefinition()
+    }))
+    poseContainer.appendChild(this._createPoseConfidenceFields())
+    poseContainer.appendChild(createButton({
+      label: this.poseDetection ? 'Detecting Pose…' : 'Detect Pose',
+      variant: 'ghost',
+      onClick: () => this._detectOverlayPose(),
+      disabled: !this.overlayImage.url || Boolean(this.poseDetection)
+    }))
+
+    if (this.detectedPose) {
+      const poseInfo = document.createElement('div')
+      poseInfo.style.fontSize = '0.7rem'
+      poseInfo.style.color = 'var(--text-secondary)'
+      const count = this.detectedPose.poses.length
+      const corrected = this.detectedPose.poses
+        .reduce((sum, pose) => sum + pose.keypoints.filter(point => point.corrected).length, 0)
+      poseInfo.textContent = `${count} pose${count === 1 ? '' : 's'} detected` +
+        (corrected > 0 ? ` · ${corrected} keypoint${corrected === 1 ? '' : 's'} corrected` : '')
+      poseContainer.appendChild(poseInfo)
+
+      poseContainer.appendChild(createButton({
+        label: this.poseEditing ? 'Done Editing' : 'Edit Keypoints',
+        variant: 'ghost',
+        onClick: () => this._setPoseEditing(!this.poseEditing)
+      }))
+      if (corrected > 0) {
+        poseContainer.appendChild(createButton({
+          label: 'Reset Keypoints',
+          variant: 'ghost',
+          onClick: () => this._resetPoseCorrections()
+        }))
+      }
+      poseContainer.appendChild(createButton({
+        label: 'Create Skeleton',
+        variant: 'primary',
+        onClick: () => this._createPoseSkeletons(),
+        disabled: count === 0
+      }))
+      poseContainer.appendChild(createButton({
+        label: 'Clear Pose',
+        variant: 'ghost',
+        onClick: () => this._clearDetectedPose()
+      }))
+    }
+    container.appendChild(poseContainer)
+
     this.overlayImagePanel = container
 
     return createPanel({
@@ -975,6 +2443,9 @@ export default class App {
       const labelPrefix = this._setOverlayLabelPrefix(fileName, {
         resetCounter: true
       })
+      this.poseDetection?.abort()
+      this.poseDetection = null
+      this._clearDetectedPose({ refresh: false })
       this._updateOverlayImage({
         url: url,
         visible: true,
@@ -990,6 +2461,524 @@ export default class App {
     reader.readAsDataURL(file)
   }
 
+  /**
+   * Send the reference image to pose detection and preview the result on the stage.
+   */
+  async _detectOverlayPose() {
+    if (!this.overlayImage.url || !this.imageOverlay) return
+
+    this.poseDetection?.abort()
+    const controller = new AbortController()
+    this.poseDetection = controller
+    this._clearDetectedPose({ refresh: false })
+    this._refreshOverlayImagePanel()
+
+    const width = this.imageOverlay.naturalWidth
+    const height = this.imageOverlay.naturalHeight
+    try {
+      // The backend takes bare base64, not a data URL
+      const image = this.overlayImage.url.replace(/^data:[^,]*,/, '')
+      const response = await this.poseService.detect(image, { width, height, signal: controller.signal })
+      const poseData = normalizePoseData(response, {
+        width,
+        height,
+        skeleton: this.poseSkeleton,
+        registry: this.skeletonRegistry
+      })
+      if (poseData.poses.length === 0) {
+        alert('No pose found in the reference image')
+      } else {
+        this.detectedPose = poseData
+        this.detectedPoseOriginal = poseData
+      }
+    } catch (error) {
+      if (error.code !== 'aborted') {
+        console.error('Pose detection failed:', error)
+        alert(`Pose detection failed: ${error.message}`)
+      }
+    } finally {
+      if (this.poseDetection === controller) {
+        this.poseDetection = null
+        this._renderDetectedPose()
+        this._refreshOverlayImagePanel()
+      }
+    }
+  }
+
+  _clearDetectedPose({ refresh = true } = {}) {
+    this.detectedPose = null
+    this.detectedPoseOriginal = null
+    this._setPoseEditing(false, { refresh: false })
+    if (refresh) {
+      this._refreshOverlayImagePanel()
+    }
+  }
+
+  /**
+   * Minimum confidence and low-confidence display fields for detected poses.
+   * @returns {DocumentFragment}
+   */
+  _createPoseConfidenceFields() {
+    const fragment = document.createDocumentFragment()
+
+    const scoreSection = document.createElement('div')
+    scoreSection.classList.add('properties-field')
+    const scoreLabel = document.createElement('label')
+    scoreLabel.textContent = 'Minimum confidence'
+    const scoreContainer = document.createElement('div')
+    scoreContainer.style.display = 'flex'
+    scoreContainer.style.gap = '0.5rem'
+    scoreContainer.style.alignItems = 'center'
+
+    const scoreSlider = document.createElement('input')
+    scoreSlider.type = 'range'
+    scoreSlider.min = '0'
+    scoreSlider.max = '1'
+    scoreSlider.step = '0.05'
+    scoreSlider.value = this.poseConfidence.minScore
+    scoreSlider.style.flex = '1'
+
+    const scoreValue = document.createElement('input')
+    scoreValue.type = 'number'
+    scoreValue.min = '0'
+    scoreValue.max = '1'
+    scoreValue.step = '0.05'
+    scoreValue.value = this.poseConfidence.minScore
+    scoreValue.style.width = '60px'
+
+    scoreSlider.addEventListener('input', (e) => {
+      scoreValue.value = e.target.value
+      this._setPoseConfidence({ minScore: parseFloat(e.target.value) })
+    })
+    scoreValue.addEventListener('change', (e) => {
+      const value = Math.min(1, Math.max(0, parseFloat(e.target.value) || 0))
+      e.target.value = value
+      scoreSlider.value = value
+      this._setPoseConfidence({ minScore: value })
+    })
+
+    scoreContainer.appendChild(scoreSlider)
+    scoreContainer.appendChild(scoreValue)
+    scoreSection.appendChild(scoreLabel)
+    scoreSection.appendChild(scoreContainer)
+    fragment.appendChild(scoreSection)
+
+    const modeSection = document.createElement('div')
+    modeSection.classList.add('properties-field')
+    const modeLabel = document.createElement('label')
+    modeLabel.textContent = 'Low-confidence joints'
+    const modeSelect = document.createElement('select')
+    const modes = [['dim', 'Dim'], ['hide', 'Hide']]
+    modes.forEach(([value, text]) => {
+      const option = document.createElement('option')
+      option.value = value
+      option.textContent = text
+      modeSelect.appendChild(option)
+    })
+    modeSelect.value = this.poseConfidence.lowConfidence
+    modeSelect.addEventListener('change', (e) => {
+      this._setPoseConfidence({ lowConfidence: e.target.value })
+    })
+    modeSection.appendChild(modeLabel)
+    modeSection.appendChild(modeSelect)
+    fragment.appendChild(modeSection)
+
+    return fragment
+  }
+
+  /**
+   * Change which keypoints count as low confidence and how they are shown,
+   * for previews, new skeletons and video imports.
+   * @param {object} updates - { minScore, lowConfidence }
+   */
+  _setPoseConfidence(updates) {
+    this.poseConfidence = { ...this.poseConfidence, ...updates }
+    this.poseStorage.set('confidence', this.poseConfidence)
+    this.poseToObject.minScore = this.poseConfidence.minScore
+    this.poseToObject.lowConfidence = this.poseConfidence.lowConfidence
+    this.poseVisualizer?.setConfidence(this.poseConfidence)
+    this._renderDetectedPose()
+  }
+
+  /**
+   * Turn dragging of the overlay keypoints on or off.
+   * @param {boolean} editing
+   * @param {object} options
+   * @param {boolean} options.refresh - Rebuild the reference image panel
+   */
+  _setPoseEditing(editing, { refresh = true } = {}) {
+    this.poseEditing = Boolean(editing && this.detectedPose)
+    this.poseDrag = null
+    const canvas = this.poseVisualizer?.canvas
+    canvas?.classList.toggle('is-editing', this.poseEditing)
+    canvas?.classList.remove('is-dragging')
+    this._renderDetectedPose()
+    if (refresh) {
+      this._refreshOverlayImagePanel()
+    }
+  }
+
+  /**
+   * Put every keypoint back where detection found it.
+   */
+  _resetPoseCorrections() {
+    if (!this.detectedPoseOriginal) return
+    this.detectedPose = this.detectedPoseOriginal
+    this._renderDetectedPose()
+    this._refreshOverlayImagePanel()
+  }
+
+  /**
+   * Drag keypoints on the overlay canvas while editing. The canvas only takes
+   * pointer events then (see .app-stage__overlay.is-editing).
+   * @param {HTMLCanvasElement} canvas
+   */
+  _bindPoseEditing(canvas) {
+    canvas.addEventListener('pointerdown', (event) => {
+      if (!this.poseEditing || event.button !== 0) return
+      const hit = this._findPoseKeypoint(event.clientX, event.clientY)
+      if (!hit) return
+      event.preventDefault()
+      canvas.setPointerCapture(event.pointerId)
+      canvas.classList.add('is-dragging')
+      this.poseDrag = { ...hit, pointerId: event.pointerId }
+      this._renderDetectedPose()
+    })
+
+    canvas.addEventListener('pointermove', (event) => {
+      if (!this.poseDrag || event.pointerId !== this.poseDrag.pointerId) return
+      const point = this._clientToOverlayImage(event.clientX, event.clientY)
+      if (!point) return
+      this._moveDetectedKeypoint(this.poseDrag, point)
+      this._renderDetectedPose()
+    })
+
+    const endDrag = (event) => {
+      if (!this.poseDrag || event.pointerId !== this.poseDrag.pointerId) return
+      if (canvas.hasPointerCapture(event.pointerId)) {
+        canvas.releasePointerCapture(event.pointerId)
+      }
+      canvas.classList.remove('is-dragging')
+      this.poseDrag = null
+      this._renderDetectedPose()
+      this._refreshOverlayImagePanel()
+    }
+    canvas.addEventListener('pointerup', endDrag)
+    canvas.addEventListener('pointercancel', endDrag)
+  }
+
+  /**
+   * Keypoint of the detected poses nearest to a screen position.
+   * @param {number} clientX
+   * @param {number} clientY
+   * @param {number} radius - Farthest distance that still hits (px)
+   * @returns {{pose: number, name: string}|null}
+   */
+  _findPoseKeypoint(clientX, clientY, radius = 10) {
+    if (!this.detectedPose) return null
+    let best = null
+    let bestDistance = radius
+    this.detectedPose.poses.forEach((pose, index) => {
+      pose.keypoints.forEach(point => {
+        const client = this._overlayImageToClient(point)
+        if (!client) return
+        const distance = Math.hypot(client.x - clientX, client.y - clientY)
+        if (distance <= bestDistance) {
+          best = { pose: index, name: point.name }
+          bestDistance = distance
+        }
+      })
+    })
+    return best
+  }
+
+  /**
+   * Move a detected keypoint, marking it corrected. Corrected keypoints are
+   * trusted fully (score 1); the original detection stays in detectedPoseOriginal.
+   * @param {object} target - { pose, name }
+   * @param {object} point - { x, y } in image pixels
+   */
+  _moveDetectedKeypoint({ pose: poseIndex, name }, point) {
+    const { width, height } = this.detectedPose
+    const x = round(Math.min(width, Math.max(0, point.x)), 1)
+    const y = round(Math.min(height, Math.max(0, point.y)), 1)
+    this.detectedPose = {
+      ...this.detectedPose,
+      poses: this.detectedPose.poses.map((pose, index) => index !== poseIndex ? pose : {
+        ...pose,
+        keypoints: pose.keypoints.map(keypoint => keypoint.name !== name ? keypoint : {
+          ...keypoint,
+          x,
+          y,
+          score: 1,
+          corrected: true
+        })
+      })
+    }
+  }
+
+  /**
+   * Keep the keypoint corrections of the current detection for training.
+   * @returns {object[]} Saved entries
+   */
+  _savePoseCorrections() {
+    if (!this.detectedPose || !this.detectedPoseOriginal) return []
+    const [firstPose] = this.detectedPose.poses
+    return this.poseCorrections.add({
+      image: {
+        name: this.overlayImage.fileName,
+        width: this.detectedPose.width,
+        height: this.detectedPose.height
+      },
+      skeleton: this.skeletonRegistry.resolve(this.poseSkeleton, firstPose?.keypoints || []).id,
+      detected: this.detectedPoseOriginal,
+      corrected: this.detectedPose
+    })
+  }
+
+  /**
+   * Screen position of a pixel of the reference image.
+   * The image is scaled to fit (object-fit: contain) from its top-left corner,
+   * then moved and zoomed by CSS transforms, all of which the bounding rect includes.
+   * @param {object} point - { x, y } in image pixels
+   * @returns {{x: number, y: number}|null} Client coordinates
+   */
+  _overlayImageToClient(point) {
+    const image = this.imageOverlay
+    if (!image?.naturalWidth || !image.naturalHeight) return null
+    const rect = image.getBoundingClientRect()
+    const fit = Math.min(rect.width / image.naturalWidth, rect.height / image.naturalHeight)
+    return {
+      x: rect.left + point.x * fit,
+      y: rect.top + point.y * fit
+    }
+  }
+
+  /**
+   * Reference image pixel under a screen position (inverse of _overlayImageToClient).
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {{x: number, y: number}|null} Image pixels
+   */
+  _clientToOverlayImage(clientX, clientY) {
+    const image = this.imageOverlay
+    if (!image?.naturalWidth || !image.naturalHeight) return null
+    const rect = image.getBoundingClientRect()
+    const fit = Math.min(rect.width / image.naturalWidth, rect.height / image.naturalHeight)
+    if (!fit) return null
+    return {
+      x: (clientX - rect.left) / fit,
+      y: (clientY - rect.top) / fit
+    }
+  }
+
+  /**
+   * Draw the detected pose over the reference image (or clear the overlay).
+   */
+  _renderDetectedPose() {
+    if (!this.poseVisualizer) return
+    this.poseVisualizer.clear()
+    if (!this.detectedPose || !this.overlayImage.visible) return
+
+    const canvas = this.poseVisualizer.canvas
+    const canvasRect = canvas.getBoundingClientRect()
+    if (canvasRect.width === 0 || canvasRect.height === 0) return
+    const toCanvas = (point) => {
+      const client = this._overlayImageToClient(point)
+      return client && {
+        x: (client.x - canvasRect.left) * (canvas.width / canvasRect.width),
+        y: (client.y - canvasRect.top) * (canvas.height / canvasRect.height)
+      }
+    }
+
+    this.poseVisualizer.draw({
+      poses: this.detectedPose.poses.map(pose => ({
+        ...pose,
+        keypoints: pose.keypoints.flatMap(point => {
+          const position = toCanvas(point)
+          return position ? [{ ...point, ...position }] : []
+        })
+      }))
+    }, { editing: this.poseEditing, active: this.poseDrag })
+  }
+
+  /**
+   * Create one skeleton group per detected pose, lined up with the reference image.
+   */
+  _createPoseSkeletons() {
+    if (!this.detectedPose || !this.renderer?.getElement()) return
+
+    const camera = this.camera.getState()
+    const zoomScale = camera.z ? 200 / camera.z : 1
+    // Image pixel -> screen -> stage viewBox -> world (undoing the camera's pan and zoom)
+    const mapPoint = (point) => {
+      const client = this._overlayImageToClient(point)
+      const stage = this.renderer.clientToView(client.x, client.y) || client
+      return {
+        x: round((stage.x - (camera.x || 0)) / zoomScale, 2),
+        y: round((stage.y - (camera.y || 0)) / zoomScale, 2)
+      }
+    }
+
+    const prefix = (this.overlayImage.labelPrefix || '').trim()
+    const skeletons = moduleResultToObjects(
+      this.poseToObject.convert(this.detectedPose, { mapPoint, name: prefix ? `${prefix} pose` : 'Pose' }),
+      'Pose'
+    )
+    if (skeletons.length === 0) {
+      alert('The detected keypoints are not confident enough to build a skeleton')
+      return
+    }
+
+    let created = []
+    this.history.beginTransaction(skeletons.length > 1 ? 'Create skeletons' : 'Create skeleton')
+    try {
+      created = skeletons.map(skeleton => this.collectionManager.add(skeleton))
+    } finally {
+      this.history.endTransaction()
+    }
+
+    this._setSelection(created.map(obj => obj.id))
+    this._savePoseCorrections()
+    this._clearDetectedPose()
+  }
+
+  /**
+   * Register the custom skeleton definitions saved earlier.
+   * @returns {string} Skeleton to start with: the saved choice, or the configured one
+   */
+  _loadPoseSkeletons() {
+    this.poseStorage.get('skeletons', []).forEach(definition => {
+      try {
+        this.skeletonRegistry.register(definition)
+      } catch (error) {
+        console.warn('Ignoring saved skeleton definition:', error)
+      }
+    })
+
+    const skeleton = this.poseStorage.get('skeleton', this.config.pose.skeleton)
+    return skeleton === 'auto' || this.skeletonRegistry.has(skeleton) ? skeleton : 'auto'
+  }
+
+  /**
+   * Read detected poses with another skeleton definition from now on.
+   * @param {string} id - Skeleton id or 'auto'
+   */
+  _setPoseSkeleton(id) {
+    this.poseSkeleton = id
+    this.poseStorage.set('skeleton', id)
+    this.poseToObject.skeleton = id
+    this.poseVisualizer?.setSkeleton(id)
+    this.poseVideoPanel?.setSkeleton(id)
+    this._renderDetectedPose()
+    this._refreshOverlayImagePanel()
+  }
+
+  /**
+   * Pick a skeleton definition JSON file, keep it and select it.
+   */
+  _loadSkeletonDefinition() {
+    const input = document.createElement('input')
+    input.type = 'file'
+    input.accept = '.json,application/json'
+    input.style.display = 'none'
+    input.addEventListener('change', async (e) => {
+      const file = e.target.files?.[0]
+      input.remove()
+      if (!file) return
+
+      try {
+        const definition = this.skeletonRegistry.registerJSON(await file.text())
+        if (!this.poseStorage.set('skeletons', this.skeletonRegistry.getCustom())) {
+          console.warn('Could not save the custom skeleton definitions')
+        }
+        this._setPoseSkeleton(definition.id)
+      } catch (error) {
+        console.error('Skeleton definition import failed:', error)
+        const details = error.errors?.length > 1 ? `\n\n${error.errors.join('\n')}` : ''
+        window.alert(`Could not load ${file.name}: ${error.message}${details}`)
+      }
+    })
+    document.body.appendChild(input)
+    input.click()
+  }
+
+  /**
+   * Rotoscope a video: detect poses on sampled frames, follow each person
+   * through them and create one keyed skeleton per person, fitted to the stage.
+   * @param {File} file - Video file
+   * @param {object} options
+   * @param {number} options.fps - Frames per second to sample
+   * @param {AbortSignal} options.signal
+   * @param {Function} options.onProgress - ({ done, total }) => void
+   * @returns {Promise<string>} Summary for the panel
+   */
+  async _importPoseVideo(file, { fps, signal = null, onProgress = null } = {}) {
+    const sampler = new VideoFrameSampler({ maxSize: this.config.pose.maxFrameSize })
+    let frames
+    try {
+      await sampler.load(file)
+      frames = await this.poseService.detectVideo(sampler, {
+        fps,
+        signal,
+        onProgress,
+        skeleton: this.poseSkeleton,
+        registry: this.skeletonRegistry
+      })
+    } finally {
+      sampler.release()
+    }
+
+    const tracker = new PoseTracker({
+      minScore: this.poseConfidence.minScore,
+      smoothing: this.config.pose.smoothing
+    })
+    // A person seen in a single frame is more likely a false detection than a performer
+    const tracks = tracker.track(frames, { minFrames: Math.min(2, frames.length) })
+
+    // Fit the video frame into the stage, centered
+    const { width, height } = frames[0] || {}
+    const stageWidth = this.svgRenderer?.baseViewBoxWidth || DEFAULT_CONFIG.stage.width
+    const stageHeight = this.svgRenderer?.baseViewBoxHeight || DEFAULT_CONFIG.stage.height
+    const fit = Math.min(stageWidth / (width || 1), stageHeight / (height || 1))
+    const mapPoint = (point) => ({
+      x: round((stageWidth - width * fit) / 2 + point.x * fit, 2),
+      y: round((stageHeight - height * fit) / 2 + point.y * fit, 2)
+    })
+
+    const baseName = this._sanitizeLabelPrefix(file.name) || 'Video pose'
+    const skeletons = moduleResultToObjects(
+      tracks
+        .map((track, index) => this.poseToObject.convertTrack(track, {
+          mapPoint,
+          name: tracks.length > 1 ? `${baseName} ${index + 1}` : baseName
+        }))
+        .filter(Boolean),
+      baseName
+    )
+    if (skeletons.length === 0) {
+      throw new Error('No person was detected in the video')
+    }
+
+    let created = []
+    this.history.beginTransaction(skeletons.length > 1 ? 'Rotoscope skeletons' : 'Rotoscope skeleton')
+    try {
+      created = skeletons.map(skeleton => this.collectionManager.add(skeleton))
+    } finally {
+      this.history.endTransaction()
+    }
+
+    // Make room for the whole motion on the timeline
+    const end = Math.max(...frames.map(frame => frame.time))
+    if (end > this.animationEngine.duration) {
+      this._setAnimationDuration(end)
+    }
+    this._setSelection(created.map(obj => obj.id))
+
+    const people = created.length === 1 ? '1 skeleton' : `${created.length} skeletons`
+    return `Created ${people} from ${frames.length} frames`
+  }
+
   _sanitizeLabelPrefix(value) {
     if (!value) return ''
     const withoutExtension = value.replace(/\.[^/.]+$/, '')
@@ -1046,6 +3035,9 @@ export default class App {
       this.labelPrefixCounters.delete(previousPrefix.toLowerCase())
     }
     this.currentLabelPrefixKey = ''
+    this.poseDetection?.abort()
+    this.poseDetection = null
+    this._clearDetectedPose({ refresh: false })
     this.overlayImage = {
       url: null,
       opacity: 0.5,
@@ -1069,7 +3061,7 @@ export default class App {
       const position = this.overlayImage.position || { x: 0, y: 0 }
       // Scale should account for zoom level
       const baseScale = Number.isFinite(this.overlayImage.scale) ? this.overlayImage.scale : 1
-      const zoom = this.svgRenderer?.getZoom() || 1.0
+      const zoom = this.renderer?.getZoom() || 1.0
       const scale = baseScale / zoom // Compensate for zoom
       this.imageOverlay.style.transformOrigin = 'top left'
       this.imageOverlay.style.transform = `translate(${position.x}px, ${position.y}px) scale(${scale})`
@@ -1077,6 +3069,7 @@ export default class App {
       this.imageOverlay.style.display = 'none'
       this.imageOverlay.style.transform = ''
     }
+    this._renderDetectedPose()
   }
 
   _refreshOverlayImagePanel() {
@@ -1108,6 +3101,38 @@ export default class App {
       return
     }
 
+    if (event.type === 'marquee') {
+      this.renderer?.setMarquee(event.rect)
+      return
+    }
+
+    if (event.type === 'marquee-end') {
+      this.renderer?.setMarquee(null)
+      const { rect, additive } = event
+      if (!(rect.width > 0 || rect.height > 0)) {
+        // Plain click on empty canvas clears the selection
+        if (!additive) {
+          this._selectObject(null)
+        }
+        return
+      }
+      const hits = this.renderer?.getObjectIdsInRect(rect) || []
+      this._setSelection(additive ? [...this.selectedIds, ...hits] : hits)
+      return
+    }
+
+    if (
+      (event.type === 'pointer-down-on-handle' || event.type === 'pointer-down-on-object') &&
+      event.event?.shiftKey
+    ) {
+      // Shift-click adds or removes the object without starting a drag
+      this._toggleSelection(this.collectionManager.findInGroups(event.objectId))
+      return
+    }
+
+    // Pressing on an object that is part of a multi-selection drags the whole selection
+    const keepSelection = this.selectedIds.length > 1 && this.selectedIds.includes(event.objectId)
+
     if (event.type === 'pointer-down-on-handle') {
       // Check if object is locked
       const obj = this.collectionManager.findInGroups(event.objectId)
@@ -1125,7 +3150,11 @@ export default class App {
         }
         // Notify about active handle for visual feedback
         this.activeHandle = this.interactionManager.dragHandle
-        this._selectObject(obj)
+        if (keepSelection) {
+          this.renderScene()
+        } else {
+          this._selectObject(obj)
+        }
       }
       return
     }
@@ -1159,20 +3188,19 @@ export default class App {
         }
 
         // Always select the object when interacting with it
-        this._selectObject(obj)
+        if (!keepSelection) {
+          this._selectObject(obj)
+        }
       }
       return
     }
 
     if (event.type === 'pan') {
       // Handle pan (viewBox change)
-      if (this.svgRenderer && event.viewBox) {
-        const svg = this.svgRenderer.svg
-        if (svg) {
-          svg.setAttribute('viewBox', `${event.viewBox.x} ${event.viewBox.y} ${event.viewBox.width} ${event.viewBox.height}`)
-          // Update rulers immediately to follow pan
-          this._updateRulers()
-        }
+      if (this.renderer && event.viewBox) {
+        this.renderer.setViewBox(event.viewBox)
+        // Update rulers immediately to follow pan
+        this._updateRulers()
       }
       return
     }
@@ -1186,18 +3214,18 @@ export default class App {
 
     if (event.type === 'get-initial-zoom') {
       // Provide initial zoom for pinch-to-zoom and wheel zoom
-      if (this.svgRenderer && this.interactionManager) {
-        this.interactionManager.initialZoom = this.svgRenderer.getZoom()
+      if (this.renderer && this.interactionManager) {
+        this.interactionManager.initialZoom = this.renderer.getZoom()
       }
       return
     }
 
     if (event.type === 'wheel-zoom') {
       // Handle mouse wheel zoom
-      if (this.svgRenderer && event.delta !== undefined && event.centerX !== undefined && event.centerY !== undefined) {
-        const currentZoom = this.svgRenderer.getZoom()
+      if (this.renderer && event.delta !== undefined && event.centerX !== undefined && event.centerY !== undefined) {
+        const currentZoom = this.renderer.getZoom()
         const newZoom = Math.max(1.0, currentZoom + event.delta) // Minimum zoom is 1.0 (100%)
-        this.svgRenderer.zoomToPoint(newZoom, event.centerX, event.centerY)
+        this.renderer.zoomToPoint(newZoom, event.centerX, event.centerY)
         this._updateZoomUI()
         this._updateOverlayImageScale()
         // Update rulers immediately to follow zoom
@@ -1209,10 +3237,10 @@ export default class App {
 
     if (event.type === 'zoom') {
       // Handle zoom (from pinch-to-zoom)
-      if (this.svgRenderer && event.zoom && event.centerX !== undefined && event.centerY !== undefined) {
+      if (this.renderer && event.zoom && event.centerX !== undefined && event.centerY !== undefined) {
         // Ensure minimum zoom of 1.0 (100%)
         const clampedZoom = Math.max(1.0, event.zoom)
-        this.svgRenderer.zoomToPoint(clampedZoom, event.centerX, event.centerY)
+        this.renderer.zoomToPoint(clampedZoom, event.centerX, event.centerY)
         this._updateZoomUI()
         this._updateOverlayImageScale()
         // Update rulers immediately to follow zoom
@@ -1223,6 +3251,7 @@ export default class App {
     }
 
     if (event.type === 'drag-end') {
+      this.history.endTransaction()
       this.collectionManager.save()
       return
     }
@@ -1232,19 +3261,41 @@ export default class App {
     }
 
     const { handle, delta } = event
-    // Always get fresh object state to avoid stale references (might be nested in a group)
-    const obj = this.collectionManager.findInGroups(handle.objectId)
-    if (!obj) return
+    // A continuous drag becomes a single history entry (closed on drag-end)
+    this.history.beginTransaction('Drag handle')
+
+    if (handle.type === 'origin' && this.selectedIds.length > 1 && this.selectedIds.includes(handle.objectId)) {
+      this._moveSelectedObjects(delta)
+      return
+    }
+    // Always get fresh object state to avoid stale references (might be nested in a group).
+    // Deltas apply to the animated value so auto-key records what is on stage.
+    const source = this.collectionManager.findInGroups(handle.objectId)
+    const rendered = this._findRenderedObject(handle.objectId)
+    if (!source || !rendered) return
+    const obj = this._getAnimatedObject(source)
+    const { parents } = rendered
+
+    if (handle.type === 'rotate' || handle.type === 'scale') {
+      this._applyTransformHandle(handle, obj, parents, event)
+      if (this.selectedObject && this.selectedObject.id === handle.objectId) {
+        this.selectedObject = this.collectionManager.findInGroups(handle.objectId) || this.selectedObject
+        this._refreshPropertiesPanel(this._getSelectedObjects())
+      }
+      this.renderScene()
+      return
+    }
 
     // Handle groups - they can only be moved by offset
     if (obj.type === 'group' || obj.svg_element === 'g') {
       if (handle.type === 'origin') {
         const offset = obj.offset || { x: 0, y: 0, z: 0 }
-        const updated = this.collectionManager.update(handle.objectId, {
+        const move = this._toParentDelta(obj, parents, delta)
+        const updated = this._applyObjectUpdates(handle.objectId, {
           offset: {
-            x: offset.x + delta.x,
-            y: offset.y + delta.y,
-            z: offset.z + (delta.z || 0)
+            x: offset.x + move.x,
+            y: offset.y + move.y,
+            z: (offset.z || 0) + move.z
           }
         })
 
@@ -1260,7 +3311,7 @@ export default class App {
 
       // Refresh properties panel and re-render
       if (this.selectedObject && this.selectedObject.id === handle.objectId) {
-        this._refreshPropertiesPanel(this.selectedObject)
+        this._refreshPropertiesPanel(this._getSelectedObjects())
       }
       this.renderScene()
       return
@@ -1274,11 +3325,12 @@ export default class App {
     if (handle.type === 'origin') {
       // Move entire object by offset
       const offset = obj.offset || { x: 0, y: 0, z: 0 }
-      this.collectionManager.update(handle.objectId, {
+      const move = this._toParentDelta(obj, parents, delta)
+      this._applyObjectUpdates(handle.objectId, {
         offset: {
-          x: offset.x + delta.x,
-          y: offset.y + delta.y,
-          z: offset.z + (delta.z || 0)
+          x: offset.x + move.x,
+          y: offset.y + move.y,
+          z: (offset.z || 0) + move.z
         }
       })
     } else if (handle.type === 'anchor') {
@@ -1289,38 +3341,41 @@ export default class App {
         const baseX = node.x || 0
         const baseY = node.y || 0
         const baseZ = node.z || 0
+        // Nodes are local: undo the object's and its parents' rotation and scale
+        const move = this._toLocalDelta(obj, parents, delta, node)
 
         updatedNodes[nodeIndex] = {
           ...node,
-          x: baseX + delta.x,
-          y: baseY + delta.y,
-          z: baseZ + (delta.z || 0),
+          x: baseX + move.x,
+          y: baseY + move.y,
+          z: baseZ + move.z,
           start: {
             ...(node.start || { x: baseX, y: baseY }),
-            x: (node.start?.x ?? baseX) + delta.x,
-            y: (node.start?.y ?? baseY) + delta.y
+            x: (node.start?.x ?? baseX) + move.x,
+            y: (node.start?.y ?? baseY) + move.y
           },
           end: {
             ...(node.end || { x: baseX, y: baseY }),
-            x: (node.end?.x ?? baseX) + delta.x,
-            y: (node.end?.y ?? baseY) + delta.y
+            x: (node.end?.x ?? baseX) + move.x,
+            y: (node.end?.y ?? baseY) + move.y
           }
         }
-        this.collectionManager.update(handle.objectId, { nodes: updatedNodes })
+        this._applyObjectUpdates(handle.objectId, { nodes: updatedNodes })
       }
     } else if (handle.type === 'start' || handle.type === 'end') {
       // Move control point - only update the specific control point being dragged
       if (nodeIndex >= 0 && nodeIndex < obj.nodes.length) {
         const node = obj.nodes[nodeIndex]
         const updatedNodes = [...obj.nodes]
+        const move = this._toLocalDelta(obj, parents, delta, { ...node, ...(node[handle.type] || {}) })
         updatedNodes[nodeIndex] = {
           ...node,
           [handle.type]: {
-            x: node[handle.type]?.x + delta.x,
-            y: node[handle.type]?.y + delta.y
+            x: node[handle.type]?.x + move.x,
+            y: node[handle.type]?.y + move.y
           }
         }
-        this.collectionManager.update(handle.objectId, { nodes: updatedNodes })
+        this._applyObjectUpdates(handle.objectId, { nodes: updatedNodes })
       }
     }
 
@@ -1328,28 +3383,141 @@ export default class App {
     if (this.selectedObject && this.selectedObject.id === handle.objectId) {
       this.selectedObject = this.collectionManager.findInGroups(handle.objectId)
       if (this.selectedObject) {
-        this._refreshPropertiesPanel(this.selectedObject)
+        this._refreshPropertiesPanel(this._getSelectedObjects())
       }
     }
 
     this.renderScene()
   }
 
+  /**
+   * Offset every selected object by delta. Locked objects stay put, and
+   * objects inside a selected group move with the group only.
+   * @param {{x: number, y: number, z?: number}} delta - Movement in stage coordinates
+   */
+  _moveSelectedObjects(delta) {
+    const selected = this._getSelectedObjects()
+    selected
+      .filter(obj => !obj.locked)
+      .filter(obj => !selected.some(other =>
+        other !== obj && this.collectionManager.findInGroupChildren(other, obj.id)
+      ))
+      .forEach(source => {
+        const current = this._getAnimatedObject(source)
+        const offset = current.offset || { x: 0, y: 0, z: 0 }
+        const move = this._toParentDelta(current, this._findRenderedObject(source.id)?.parents || [], delta)
+        this._applyObjectUpdates(source.id, {
+          offset: {
+            x: offset.x + move.x,
+            y: offset.y + move.y,
+            z: (offset.z || 0) + move.z
+          }
+        })
+      })
+
+    this.selectedObject = this.collectionManager.findInGroups(this.selectedObject?.id) || this.selectedObject
+    this._refreshPropertiesPanel(this._getSelectedObjects())
+    this.renderScene()
+  }
+
+  /**
+   * An object as it is drawn (animated values applied) with its parent
+   * groups, outermost first.
+   * @param {string} objectId
+   * @returns {{object: object, parents: Array}|null}
+   */
+  _findRenderedObject(objectId) {
+    const objects = applyAnimatedValues(this.collectionManager.getAll(), this.animatedValues)
+    return findObjectWithParents(objects, objectId)
+  }
+
+  /**
+   * A stage movement in the space of an object's parent, where its offset lives.
+   * @param {object} obj
+   * @param {Array} parents - Parent groups, outermost first
+   * @param {object} delta - { x, y } in stage coordinates
+   * @returns {{x: number, y: number, z: number}}
+   */
+  _toParentDelta(obj, parents, delta) {
+    const projection = this.renderer.projection
+    const position = applyMatrix(getObjectMatrix(obj), getObjectPivot(obj))
+    return projection.unprojectDelta(projection.getParentMatrix(parents), delta, position) ||
+      { x: 0, y: 0, z: 0 }
+  }
+
+  /**
+   * A stage movement in an object's own space, where its nodes live.
+   * @param {object} obj
+   * @param {Array} parents - Parent groups, outermost first
+   * @param {object} delta - { x, y } in stage coordinates
+   * @param {object} point - Local point being moved
+   * @returns {{x: number, y: number, z: number}}
+   */
+  _toLocalDelta(obj, parents, delta, point) {
+    const projection = this.renderer.projection
+    return projection.unprojectDelta(projection.getViewMatrix(obj, parents), delta, point) ||
+      { x: 0, y: 0, z: 0 }
+  }
+
+  /**
+   * Turn or scale an object about its pivot from a rotate or scale handle
+   * drag: by the angle, or the change in distance, between the pointer's last
+   * and current position as seen from the pivot.
+   * @param {object} handle - { type: 'rotate'|'scale', objectId }
+   * @param {object} obj - Object with animated values
+   * @param {Array} parents - Parent groups, outermost first
+   * @param {object} event - Drag event: delta and point in stage coordinates
+   */
+  _applyTransformHandle(handle, obj, parents, { delta, point }) {
+    if (!point) return
+    const projection = this.renderer.projection
+    const pivot = projection.project(projection.getViewMatrix(obj, parents), getObjectPivot(obj))
+    const previous = { x: point.x - delta.x, y: point.y - delta.y }
+
+    if (handle.type === 'rotate') {
+      const turn = Math.atan2(point.y - pivot.y, point.x - pivot.x) -
+        Math.atan2(previous.y - pivot.y, previous.x - pivot.x)
+      // Under a mirrored parent the same screen turn is the opposite local one
+      const parentMatrix = projection.getParentMatrix(parents)
+      const mirrored = parentMatrix[0] * parentMatrix[5] - parentMatrix[1] * parentMatrix[4] < 0
+      const angle = Math.atan2(Math.sin(turn), Math.cos(turn)) * (mirrored ? -1 : 1)
+      const rotate = { ...TRANSFORM_DEFAULTS.rotate, ...obj.rotate }
+      this._applyObjectUpdates(handle.objectId, {
+        rotate: { ...rotate, z: rotate.z + angle }
+      })
+      return
+    }
+
+    const before = Math.hypot(previous.x - pivot.x, previous.y - pivot.y)
+    const after = Math.hypot(point.x - pivot.x, point.y - pivot.y)
+    if (before < 1e-6) return
+    const factor = after / before
+    const scale = getObjectScale(obj)
+    const limit = (value) => (value < 0 ? -1 : 1) * Math.max(MIN_HANDLE_SCALE, Math.abs(value))
+    this._applyObjectUpdates(handle.objectId, {
+      scale: { x: limit(scale.x * factor), y: limit(scale.y * factor), z: scale.z }
+    })
+  }
+
   renderScene() {
-    if (!this.svgRenderer) return
+    if (!this.renderer) return
 
     this._updateInteractionState()
 
     const scene = {
-      objects: this.collectionManager.getAll(),
+      objects: applyAnimatedValues(
+        this.collectionManager.getAll(),
+        this.animatedValues
+      ),
       camera: this.camera.getState(),
       selectedId: this.selectedObject?.id || null,
+      selectedIds: this.selectedIds,
       activeHandle: this.activeHandle
     }
 
-    this.svgRenderer.requestRender(scene)
+    this.renderer.requestRender(scene)
 
-    // Update rulers with actual viewBox from SVG (includes pan and zoom)
+    // Update rulers with the renderer's viewBox (includes pan and zoom)
     this._updateRulers()
   }
 }
@@ -12,12 +12,61 @@ const DEFAULT_CONFIG = {
   },
   api: {
     baseUrl: 'http://localhost:8000/api/v1',
-    timeout: 30000
+    timeout: 30000,
+    // 'http' (real backend), 'mock' (in-browser fixtures), 'record' or 'replay'
+    transport: 'http',
+    // Simulated response time of the mock transport (ms)
+    mockLatency: 150,
+    // 'mock' answers requests that were never recorded; null makes them fail
+    replayFallback: 'mock',
+    // Requests in flight at once; the rest wait in a queue
+    maxConcurrent: 4,
+    // Extra attempts for GET requests after timeouts, network errors and 429/5xx
+    retries: 2,
+    // Delay before the first retry in milliseconds (doubles each time)
+    retryDelay: 500
   },
   firebase: {
     databaseUrl: '',
     authToken: ''
   },
+  // Distance from the viewer to the z = 0 plane for 3D projection (0 = orthographic)
+  perspective: 1200,
+  // Stage backend: 'svg' or 'canvas' (faster for scenes with thousands of nodes)
+  renderer: 'svg',
+  animation: {
+    // Default timeline length in milliseconds (projects may override)
+    duration: 3000
+  },
+  modules: {
+    // Time budget for compiling or running one module in the sandbox worker (ms)
+    timeout: 1000
+  },
+  ai: {
+    // How prompts are matched to modules: 'tfidf', 'keywords' or 'embeddings'
+    vectorizer: 'tfidf',
+    // Model passed to the embeddings endpoint (backend default when null)
+    embeddingModel: null
+  },
+  pose: {
+    // Skeleton definition for detected keypoints: 'auto', 'coco-17', 'blazepose-33',
+    // 'hands-21' or the id of a loaded custom definition
+    skeleton: 'auto',
+    // Keypoints scoring lower are low confidence; tracking ignores them
+    minScore: 0.3,
+    // Low-confidence keypoints on skeletons and previews: 'dim' (kept, faded) or 'hide'
+    lowConfidence: 'dim',
+    // Frames per second sampled from pose videos
+    sampleRate: 10,
+    // Longest side of a sampled video frame sent for detection (px)
+    maxFrameSize: 640,
+    // One-Euro filter for keypoint tracks: cutoff at rest (Hz) and speed coefficient
+    smoothing: {
+      minCutoff: 1,
+      beta: 0.007,
+      dCutoff: 1
+    }
+  },
   controls: {
     // Handle sizes (in pixels, will be compensated by zoom scale)
     handleRadius: 4 * CONTROL_SCALE,
@@ -31,7 +80,9 @@ const DEFAULT_CONFIG = {
     labelOffset: 6 * CONTROL_SCALE,
     // Dash array for lines (in pixels, will be compensated by zoom scale)
     lineDashSize: 2 * CONTROL_SCALE,
-    bboxDashSize: 5 * CONTROL_SCALE
+    bboxDashSize: 5 * CONTROL_SCALE,
+    // Distance of the rotate handle above the selection (in pixels)
+    rotateHandleDistance: 24 * CONTROL_SCALE
   }
 }
 
@@ -53,6 +104,26 @@ export function createConfig(overrides = {}) {
     firebase: {
       ...DEFAULT_CONFIG.firebase,
       ...(overrides.firebase || {})
+    },
+    animation: {
+      ...DEFAULT_CONFIG.animation,
+      ...(overrides.animation || {})
+    },
+    modules: {
+      ...DEFAULT_CONFIG.modules,
+      ...(overrides.modules || {})
+    },
+    ai: {
+      ...DEFAULT_CONFIG.ai,
+      ...(overrides.ai || {})
+    },
+    pose: {
+      ...DEFAULT_CONFIG.pose,
+      ...(overrides.pose || {}),
+      smoothing: {
+        ...DEFAULT_CONFIG.pose.smoothing,
+        ...(overrides.pose?.smoothing || {})
+      }
     }
   }
 }
@@ -1,9 +1,13 @@
 import App from './App.js'
 import DEFAULT_CONFIG, { createConfig } from './config.js'
 
+// ?transport=mock (or record/replay) runs the AI features without the backend
+const transport = new URLSearchParams(window.location.search).get('transport')
+
 const app = new App({
   config: createConfig({
-    version: DEFAULT_CONFIG.version
+    version: DEFAULT_CONFIG.version,
+    ...(transport ? { api: { transport } } : {})
   })
 })
 
@@ -9,24 +9,121 @@ export function interpolateNumber(a, b, t) {
   return lerp(a, b, t)
 }
 
+const HEX_COLOR = /^#[0-9a-f]{6}$/i
+
+export function interpolateColor(a, b, t) {
+  const channel = (hex, offset) => parseInt(hex.slice(offset, offset + 2), 16)
+  return '#' + [1, 3, 5]
+    .map(offset => Math.round(lerp(channel(a, offset), channel(b, offset), t)))
+    .map(value => Math.min(Math.max(value, 0), 255)) // elastic/bounce easings overshoot
+    .map(value => value.toString(16).padStart(2, '0'))
+    .join('')
+}
+
 export function interpolateVector(a, b, t) {
   if (typeof a === 'number' && typeof b === 'number') {
     return interpolateNumber(a, b, t)
   }
 
+  if (typeof a === 'string' && typeof b === 'string' && HEX_COLOR.test(a) && HEX_COLOR.test(b)) {
+    return interpolateColor(a, b, t)
+  }
+
   if (Array.isArray(a) && Array.isArray(b)) {
-    return a.map((val, index) => interpolateNumber(val, b[index], t))
+    return a.map((val, index) => interpolateVector(val, b[index], t))
   }
 
-  if (typeof a === 'object' && typeof b === 'object') {
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
     const result = {}
     Object.keys({ ...a, ...b }).forEach(key => {
-      result[key] = interpolateNumber(a[key] || 0, b[key] || 0, t)
+      result[key] = interpolateVector(a[key] ?? 0, b[key] ?? 0, t)
     })
     return result
   }
 
-  return b
+  return t < 1 ? a : b
+}
+
+const INDEXED_PROPERTY = /^(\w+)\[(\d+)\]$/
+
+/**
+ * Object properties that can be keyframed (nodes are keyed per index as 'nodes[i]').
+ */
+export const ANIMATABLE_PROPERTIES = ['offset', 'rotate', 'scale', 'opacity', 'fill', 'stroke', 'strokeWidth']
+
+/**
+ * Read an animatable property from an object.
+ * Supports plain keys ('offset') and indexed keys ('nodes[2]').
+ * @param {object} target
+ * @param {string} property
+ * @returns {*}
+ */
+export function getPropertyValue(target, property) {
+  if (!target) return undefined
+
+  const match = INDEXED_PROPERTY.exec(property)
+  if (match) {
+    const list = target[match[1]]
+    return Array.isArray(list) ? list[Number(match[2])] : undefined
+  }
+
+  return target[property]
+}
+
+/**
+ * Write an animatable property on an object (mutates target).
+ * @param {object} target
+ * @param {string} property
+ * @param {*} value
+ */
+export function setPropertyValue(target, property, value) {
+  if (!target) return
+
+  const match = INDEXED_PROPERTY.exec(property)
+  if (match) {
+    const list = target[match[1]]
+    const index = Number(match[2])
+    if (Array.isArray(list) && index < list.length) {
+      list[index] = value
+    }
+    return
+  }
+
+  target[property] = value
+}
+
+/**
+ * Return copies of objects with animated values applied.
+ * Static objects are left untouched.
+ * @param {Array} objects - Objects (groups may contain children)
+ * @param {Map<string, object>} values - objectId -> { property: value }
+ * @returns {Array}
+ */
+export function applyAnimatedValues(objects, values) {
+  if (!Array.isArray(objects)) return []
+  if (!values || values.size === 0) return objects
+
+  return objects.map(obj => {
+    if (!obj) return obj
+
+    const overrides = values.get(obj.id)
+    const hasChildren = Array.isArray(obj.children) && obj.children.length > 0
+    if (!overrides && !hasChildren) return obj
+
+    const copy = { ...obj }
+    if (Array.isArray(obj.nodes)) {
+      copy.nodes = [...obj.nodes]
+    }
+    if (hasChildren) {
+      copy.children = applyAnimatedValues(obj.children, values)
+    }
+    if (overrides) {
+      Object.entries(overrides).forEach(([property, value]) => {
+        setPropertyValue(copy, property, value)
+      })
+    }
+    return copy
+  })
 }
 
 /**
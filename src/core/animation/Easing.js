@@ -0,0 +1,196 @@
+/**
+ * Easing - Timing functions for keyframe interpolation
+ * Easings are stored on keys as strings so they persist as JSON:
+ * a preset name ('ease-in-out'), 'cubic-bezier(x1, y1, x2, y2)' or 'steps(n, start|end)'.
+ */
+
+import { clamp } from '../../utils/math.js'
+
+const BEZIER_PATTERN = /^cubic-bezier\(\s*([^,]+),\s*([^,]+),\s*([^,]+),\s*([^)]+)\)$/
+const STEPS_PATTERN = /^steps\(\s*(\d+)\s*(?:,\s*(start|end)\s*)?\)$/
+
+/**
+ * Control points of the named bezier presets (CSS definitions).
+ */
+export const BEZIER_PRESETS = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1],
+  'ease-in-back': [0.36, 0, 0.66, -0.56],
+  'ease-out-back': [0.34, 1.56, 0.64, 1]
+}
+
+/**
+ * Build a cubic-bezier timing function (P0 = 0,0 and P3 = 1,1).
+ * @param {number} x1
+ * @param {number} y1
+ * @param {number} x2
+ * @param {number} y2
+ * @returns {Function} t -> eased t
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+  const cx = 3 * x1
+  const bx = 3 * (x2 - x1) - cx
+  const ax = 1 - cx - bx
+  const cy = 3 * y1
+  const by = 3 * (y2 - y1) - cy
+  const ay = 1 - cy - by
+
+  const sampleX = (u) => ((ax * u + bx) * u + cx) * u
+  const sampleY = (u) => ((ay * u + by) * u + cy) * u
+  const slopeX = (u) => (3 * ax * u + 2 * bx) * u + cx
+
+  // Find the curve parameter for x: Newton-Raphson first, bisection as fallback
+  const solveX = (x) => {
+    let u = x
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(u) - x
+      if (Math.abs(error) < 1e-6) return u
+      const slope = slopeX(u)
+      if (Math.abs(slope) < 1e-6) break
+      u -= error / slope
+    }
+
+    let low = 0
+    let high = 1
+    u = x
+    while (low < high) {
+      const value = sampleX(u)
+      if (Math.abs(value - x) < 1e-6) return u
+      if (x > value) {
+        low = u
+      } else {
+        high = u
+      }
+      u = (low + high) / 2
+      if (high - low < 1e-7) break
+    }
+    return u
+  }
+
+  return (t) => {
+    if (t <= 0) return 0
+    if (t >= 1) return 1
+    return sampleY(solveX(t))
+  }
+}
+
+/**
+ * Build a stepped timing function.
+ * @param {number} count - Number of steps
+ * @param {string} [position='end'] - 'start' jumps at the beginning of each step
+ * @returns {Function}
+ */
+export function steps(count, position = 'end') {
+  const total = Math.max(1, Math.floor(count))
+  return (t) => {
+    if (t >= 1) return 1
+    const step = position === 'start' ? Math.ceil(t * total) : Math.floor(t * total)
+    return clamp(step / total, 0, 1)
+  }
+}
+
+function bounceOut(t) {
+  const n = 7.5625
+  const d = 2.75
+  if (t < 1 / d) return n * t * t
+  if (t < 2 / d) return n * (t -= 1.5 / d) * t + 0.75
+  if (t < 2.5 / d) return n * (t -= 2.25 / d) * t + 0.9375
+  return n * (t -= 2.625 / d) * t + 0.984375
+}
+
+function elasticOut(t) {
+  if (t <= 0) return 0
+  if (t >= 1) return 1
+  return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI) / 3) + 1
+}
+
+const NAMED_EASINGS = {
+  hold: steps(1, 'end'),
+  'step-start': steps(1, 'start'),
+  'step-end': steps(1, 'end'),
+  'elastic-in': (t) => 1 - elasticOut(1 - t),
+  'elastic-out': elasticOut,
+  'bounce-in': (t) => 1 - bounceOut(1 - t),
+  'bounce-out': bounceOut,
+  'bounce-in-out': (t) => t < 0.5
+    ? (1 - bounceOut(1 - 2 * t)) / 2
+    : (1 + bounceOut(2 * t - 1)) / 2
+}
+
+/**
+ * Easing names offered in the UI, in display order.
+ */
+export const EASING_PRESETS = [
+  ...Object.keys(BEZIER_PRESETS),
+  ...Object.keys(NAMED_EASINGS)
+]
+
+/**
+ * Format control points as a cubic-bezier() easing string.
+ * @param {number[]} points - [x1, y1, x2, y2]
+ * @returns {string}
+ */
+export function formatCubicBezier(points) {
+  const values = points.map(value => Number(value.toFixed(3)))
+  return `cubic-bezier(${values.join(', ')})`
+}
+
+/**
+ * Get bezier control points for an easing, if it is bezier-shaped.
+ * @param {string} easing
+ * @returns {number[]|null} [x1, y1, x2, y2]
+ */
+export function getBezierPoints(easing) {
+  const name = typeof easing === 'string' ? easing.trim() : 'linear'
+  if (BEZIER_PRESETS[name || 'linear']) {
+    return [...BEZIER_PRESETS[name || 'linear']]
+  }
+
+  const match = BEZIER_PATTERN.exec(name)
+  if (!match) return null
+
+  const points = match.slice(1).map(Number)
+  if (points.some(value => !Number.isFinite(value))) return null
+  // x values must stay within 0..1 for the curve to be a function of time
+  if (points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1) return null
+  return points
+}
+
+const cache = new Map()
+
+/**
+ * Resolve an easing value to a timing function.
+ * Unknown easings fall back to linear.
+ * @param {string|Function} easing
+ * @returns {Function} t -> eased t
+ */
+export function resolveEasing(easing) {
+  if (typeof easing === 'function') return easing
+
+  const name = typeof easing === 'string' ? easing.trim() : 'linear'
+  if (cache.has(name)) return cache.get(name)
+
+  let fn = NAMED_EASINGS[name] || null
+  if (!fn) {
+    const points = getBezierPoints(name)
+    if (points) {
+      fn = name === 'linear' || name === '' ? (t) => t : cubicBezier(...points)
+    }
+  }
+  if (!fn) {
+    const match = STEPS_PATTERN.exec(name)
+    if (match) {
+      fn = steps(Number(match[1]), match[2])
+    }
+  }
+  if (!fn) {
+    console.warn(`Unknown easing "${name}", using linear`)
+    fn = (t) => t
+  }
+
+  cache.set(name, fn)
+  return fn
+}
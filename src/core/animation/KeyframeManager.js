@@ -3,6 +3,7 @@
  */
 
 import { isNumber, isObject, isArray } from '../../utils/validation.js'
+import { resolveEasing } from './Easing.js'
 
 export class KeyframeManager {
   constructor() {
@@ -45,6 +46,31 @@ export class KeyframeManager {
     return list
   }
 
+  /**
+   * Add or replace the keyframe at key.time for object/property.
+   * An existing key keeps its easing unless a new one is given; new keys default to linear.
+   * @param {string} objectId
+   * @param {string} property
+   * @param {object} key - { time, value, easing }
+   */
+  setKeyframe(objectId, property, key) {
+    if (!isObject(key) || !isNumber(key.time)) {
+      throw new Error('Keyframe must have a numeric time')
+    }
+
+    const list = this._ensure(objectId, property)
+    const existing = list.find(k => k.time === key.time)
+    if (existing) {
+      existing.value = key.value
+      if (key.easing !== undefined) {
+        existing.easing = key.easing
+      }
+      return list
+    }
+
+    return this.addKeyframe(objectId, property, { easing: 'linear', ...key })
+  }
+
   /**
    * Remove keyframe at time for object/property.
    * @param {string} objectId
@@ -60,6 +86,50 @@ export class KeyframeManager {
     return true
   }
 
+  /**
+   * Move keyframe to a new time, replacing any key already there.
+   * @param {string} objectId
+   * @param {string} property
+   * @param {number} fromTime
+   * @param {number} toTime
+   * @returns {boolean}
+   */
+  moveKeyframe(objectId, property, fromTime, toTime) {
+    if (!isNumber(toTime)) {
+      throw new Error('Keyframe must have a numeric time')
+    }
+
+    const list = this._ensure(objectId, property)
+    const key = list.find(k => k.time === fromTime)
+    if (!key) return false
+    if (fromTime === toTime) return true
+
+    const existing = list.findIndex(k => k.time === toTime)
+    if (existing !== -1) {
+      list.splice(existing, 1)
+    }
+
+    key.time = toTime
+    list.sort((a, b) => a.time - b.time)
+    return true
+  }
+
+  /**
+   * Set the easing of the keyframe at time (applies to the segment after it).
+   * @param {string} objectId
+   * @param {string} property
+   * @param {number} time
+   * @param {string} easing
+   * @returns {boolean}
+   */
+  setEasing(objectId, property, time, easing) {
+    const list = this._ensure(objectId, property)
+    const key = list.find(k => k.time === time)
+    if (!key) return false
+    key.easing = easing
+    return true
+  }
+
   /**
    * Get keyframes for object/property.
    * @param {string} objectId
@@ -82,11 +152,25 @@ export class KeyframeManager {
 
     const result = {}
     map.forEach((list, property) => {
+      if (list.length === 0) return
       result[property] = list.map(k => ({ ...k }))
     })
     return result
   }
 
+  /**
+   * Get IDs of objects that have at least one keyframe.
+   * @returns {string[]}
+   */
+  getAnimatedObjectIds() {
+    const ids = []
+    this.keyframes.forEach((map, objectId) => {
+      const hasKeys = Array.from(map.values()).some(list => list.length > 0)
+      if (hasKeys) ids.push(objectId)
+    })
+    return ids
+  }
+
   /**
    * Set full keyframe set for object.
    * @param {string} objectId
@@ -110,8 +194,16 @@ export class KeyframeManager {
     this.keyframes.delete(objectId)
   }
 
+  /**
+   * Remove all keyframes.
+   */
+  clear() {
+    this.keyframes.clear()
+  }
+
   /**
    * Sample value at time.
+   * The outgoing key's easing shapes the segment between two keys.
    * @param {string} objectId
    * @param {string} property
    * @param {number} time
@@ -135,7 +227,8 @@ export class KeyframeManager {
       const next = list[i + 1]
       if (time >= current.time && time <= next.time) {
         const span = next.time - current.time
-        const t = span === 0 ? 0 : (time - current.time) / span
+        const progress = span === 0 ? 0 : (time - current.time) / span
+        const t = resolveEasing(current.easing)(progress)
         if (typeof interpolate === 'function') {
           return interpolate(current.value, next.value, t, current, next)
         }
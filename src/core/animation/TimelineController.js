@@ -1,6 +1,6 @@
 /**
  * TimelineController - Coordinates timeline interactions
- * Placeholder for Phase 3; will integrate with UI timeline panel later.
+ * Bridges the timeline panel (scrubbing, key dragging) and the AnimationEngine.
  */
 
 export class TimelineController {
@@ -31,4 +31,23 @@ export class TimelineController {
       this.engine.play()
     }
   }
+
+  /**
+   * Jump to a time without entering scrub mode.
+   * @param {number} time - Time in milliseconds
+   */
+  seek(time) {
+    this.engine.seek(time)
+  }
+
+  /**
+   * Snap a time to the snap interval and clamp it to the engine duration.
+   * @param {number} time - Time in milliseconds
+   * @returns {number} Snapped time
+   */
+  snapTime(time) {
+    const interval = this.snapInterval > 0 ? this.snapInterval : 1
+    const snapped = Math.round(time / interval) * interval
+    return Math.min(Math.max(snapped, 0), this.engine.duration)
+  }
 }
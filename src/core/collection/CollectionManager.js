@@ -11,9 +11,11 @@ export class CollectionManager {
    * Create a collection manager.
    * @param {object} options - Collection options
    * @param {ProjectManager} options.projectManager - Project manager instance
+   * @param {HistoryManager} [options.history] - Records mutations for undo/redo
    */
   constructor(options = {}) {
     this.projectManager = options.projectManager || null
+    this.history = options.history || null
     this.objects = []
     this.listeners = new Set()
     
@@ -67,6 +69,70 @@ export class CollectionManager {
     this._notify()
   }
 
+  /**
+   * Serialize the collection for history snapshots.
+   * @returns {string}
+   * @private
+   */
+  _snapshot() {
+    return JSON.stringify(this.objects)
+  }
+
+  /**
+   * Snapshot to record as the state before a mutation. An edit that will merge
+   * into the pending history entry starts from that entry's after state, so a
+   * merge group (a drag, typing into a field) serializes its before only once.
+   * @param {string|null} mergeKey
+   * @returns {string}
+   * @private
+   */
+  _snapshotBefore(mergeKey = null) {
+    const target = this.history?.getMergeTarget(mergeKey)
+    return typeof target?.after === 'string' ? target.after : this._snapshot()
+  }
+
+  /**
+   * Record a mutation in history as a before/after snapshot.
+   * @param {string} label - History entry label
+   * @param {string} before - Snapshot taken before the mutation
+   * @param {string|null} mergeKey - Consecutive entries with this key merge
+   * @private
+   */
+  _record(label, before, mergeKey = null) {
+    if (!this.history) return
+
+    const after = this._snapshot()
+    if (after === before) return
+
+    this.history.push(this._createSnapshotCommand(label, before, after, mergeKey))
+  }
+
+  /**
+   * @private
+   */
+  _createSnapshotCommand(label, before, after, mergeKey) {
+    return {
+      label,
+      mergeKey,
+      after,
+      size: before.length + after.length,
+      undo: () => this.restore(before),
+      redo: () => this.restore(after),
+      merge: (next) => this._createSnapshotCommand(label, before, next.after, mergeKey)
+    }
+  }
+
+  /**
+   * Replace the collection with a snapshot (used by undo/redo).
+   * @param {string|Array} snapshot - Serialized or plain object list
+   */
+  restore(snapshot) {
+    const objects = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot
+    this.objects = isArray(objects) ? JSON.parse(JSON.stringify(objects)) : []
+    this.save()
+    this._notify()
+  }
+
   /**
    * Save assets to current project (only if changed).
    * @returns {boolean} Success status
@@ -119,20 +185,35 @@ export class CollectionManager {
       throw new Error(`Object with ID "${obj.id}" already exists`)
     }
 
+    const before = this._snapshot()
     this.objects.push(obj)
+    this._record('Add object', before)
     this.save()
     this._notify()
     
     return obj
   }
 
+  /**
+   * History merge key update() uses by default: consecutive edits of the same
+   * fields of one object merge.
+   * @param {string} id - Object ID
+   * @param {object} updates - Partial object updates
+   * @returns {string}
+   */
+  getUpdateMergeKey(id, updates) {
+    return `update:${id}:${Object.keys(updates).sort().join(',')}`
+  }
+
   /**
    * Update object in collection.
    * @param {string} id - Object ID
    * @param {object} updates - Partial object updates
+   * @param {object} [options] - Update options
+   * @param {string} [options.mergeKey] - History merge key (defaults to object + changed fields)
    * @returns {object|null} Updated object or null if not found
    */
-  update(id, updates) {
+  update(id, updates, options = {}) {
     if (!validateId(id)) return null
     if (!isObject(updates)) {
       throw new Error('Updates must be a valid object')
@@ -143,7 +224,10 @@ export class CollectionManager {
     if (!obj) return null
 
     // Merge updates
+    const mergeKey = options.mergeKey ?? this.getUpdateMergeKey(id, updates)
+    const before = this._snapshotBefore(mergeKey)
     Object.assign(obj, updates)
+    this._record('Edit object', before, mergeKey)
     
     this.save()
     this._notify()
@@ -163,6 +247,7 @@ export class CollectionManager {
     const target = this.findInGroups(objectId)
     if (!target) return null
 
+    const before = this._snapshot()
     if (!Array.isArray(target.nodes)) {
       target.nodes = []
     }
@@ -172,6 +257,7 @@ export class CollectionManager {
       : this._createDefaultNode(target.nodes[target.nodes.length - 1] || null)
 
     target.nodes.push(newNode)
+    this._record('Add node', before)
     this.save()
     this._notify()
 
@@ -189,18 +275,116 @@ export class CollectionManager {
     const index = this.objects.findIndex(obj => obj.id === id)
     if (index === -1) return false
 
+    const before = this._snapshot()
     this.objects.splice(index, 1)
+    this._record('Delete object', before)
     this.save()
     this._notify()
     
     return true
   }
 
+  /**
+   * Remove several objects (top-level or nested) as one history entry.
+   * @param {string[]} ids - Object IDs
+   * @returns {number} Number of objects removed
+   */
+  removeMany(ids) {
+    if (!Array.isArray(ids)) return 0
+
+    const before = this._snapshot()
+    let removed = 0
+    ids.filter(validateId).forEach(id => {
+      const index = this.objects.findIndex(obj => obj.id === id)
+      if (index !== -1) {
+        this.objects.splice(index, 1)
+        removed++
+        return
+      }
+      if (this.findInGroups(id)) {
+        this._removeFromAnyGroup(id)
+        removed++
+      }
+    })
+
+    if (removed === 0) return 0
+
+    this._record(removed === 1 ? 'Delete object' : 'Delete objects', before)
+    this.save()
+    this._notify()
+    return removed
+  }
+
+  /**
+   * Wrap objects in a new top-level group as one history entry.
+   * The group takes the place of the first top-level object; children keep collection order.
+   * @param {string[]} ids - Object IDs (top-level or nested)
+   * @param {object} group - Group definition (id is generated when missing)
+   * @returns {object|null} Created group or null if nothing could be grouped
+   */
+  groupObjects(ids, group) {
+    if (!Array.isArray(ids) || !isObject(group)) return null
+
+    // Skip objects whose ancestor is also being grouped - they move with it
+    const candidates = ids
+      .filter(validateId)
+      .map(id => this.findInGroups(id))
+      .filter(Boolean)
+    const members = candidates.filter(obj => !candidates.some(other =>
+      other !== obj && this.findInGroupChildren(other, obj.id)
+    ))
+    if (members.length === 0) return null
+
+    if (!group.id || !validateId(group.id)) {
+      group.id = this._generateId()
+    }
+
+    const before = this._snapshot()
+    const order = this._flatten(this.objects).map(obj => obj.id)
+    members.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id))
+
+    const topLevelIndexes = members
+      .map(obj => this.objects.findIndex(o => o.id === obj.id))
+      .filter(index => index !== -1)
+    const insertAt = topLevelIndexes.length > 0 ? Math.min(...topLevelIndexes) : this.objects.length
+
+    members.forEach(obj => {
+      const index = this.objects.findIndex(o => o.id === obj.id)
+      if (index !== -1) {
+        this.objects.splice(index, 1)
+      } else {
+        this._removeFromAnyGroup(obj.id)
+      }
+    })
+
+    group.children = [...(group.children || []), ...members]
+    this.objects.splice(Math.min(insertAt, this.objects.length), 0, group)
+
+    this._record('Group objects', before)
+    this.save()
+    this._notify()
+    return group
+  }
+
+  /**
+   * Flatten objects and nested group children (depth first).
+   * @param {Array} objects
+   * @returns {Array}
+   * @private
+   */
+  _flatten(objects) {
+    return objects.flatMap(obj =>
+      Array.isArray(obj?.children) ? [obj, ...this._flatten(obj.children)] : [obj]
+    )
+  }
+
   /**
    * Clear all objects from collection.
    */
   clear() {
+    const before = this._snapshot()
     this.objects = []
+    this._record('Clear collection', before)
     this.save()
     this._notify()
   }
@@ -309,6 +493,8 @@ export class CollectionManager {
       return false
     }
 
+    const before = this._snapshot()
+
     // Remove object from top-level collection if it exists there
     const topLevelIndex = this.objects.findIndex(o => o.id === objectId)
     if (topLevelIndex !== -1) {
@@ -324,6 +510,7 @@ export class CollectionManager {
     }
     group.children.push(obj)
 
+    this._record('Move to group', before)
     this.save()
     this._notify()
     return true
@@ -340,6 +527,8 @@ export class CollectionManager {
     const obj = this.findInGroups(objectId)
     if (!obj) return false
 
+    const before = this._snapshot()
+
     // Remove from group
     this._removeFromAnyGroup(objectId)
 
@@ -348,6 +537,7 @@ export class CollectionManager {
       this.objects.push(obj)
     }
 
+    this._record('Remove from group', before)
     this.save()
     this._notify()
     return true
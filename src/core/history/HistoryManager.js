@@ -0,0 +1,278 @@
+/**
+ * HistoryManager - Undo/redo stack of commands
+ * A command is { label, undo(), redo(), mergeKey?, merge?(next), size? }.
+ * Consecutive commands with the same mergeKey (e.g. typing in one field) collapse
+ * into one entry, and everything pushed inside a transaction (e.g. a handle drag)
+ * becomes a single entry. The oldest entries are dropped past `limit` entries or
+ * once the entries' sizes (e.g. snapshot lengths) add up to more than `maxSize`.
+ */
+
+// Default total size of undo entries, in snapshot characters
+const DEFAULT_MAX_SIZE = 32 * 1024 * 1024
+
+export class HistoryManager {
+  /**
+   * Create a history manager.
+   * @param {object} options - Configuration options
+   * @param {number} options.limit - Maximum number of undo entries
+   * @param {number} options.maxSize - Maximum total size of undo entries
+   * @param {number} options.mergeWindow - Max milliseconds between merged commands
+   */
+  constructor(options = {}) {
+    this.limit = options.limit || 100
+    this.maxSize = options.maxSize || DEFAULT_MAX_SIZE
+    this.mergeWindow = options.mergeWindow ?? 1000
+
+    this.undoStack = []
+    this.redoStack = []
+    this.transaction = null // { label, commands }
+    this.isApplying = false
+    this.listeners = new Set()
+  }
+
+  /**
+   * Register a listener for history changes.
+   * @param {Function} callback - Receives { canUndo, canRedo }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback)
+    return () => this.listeners.delete(callback)
+  }
+
+  /**
+   * Notify listeners of history changes.
+   * @private
+   */
+  _notify() {
+    const state = { canUndo: this.canUndo(), canRedo: this.canRedo() }
+    this.listeners.forEach(callback => {
+      try {
+        callback(state)
+      } catch (error) {
+        console.warn('History listener error:', error)
+      }
+    })
+  }
+
+  /**
+   * Record a command that has already been applied.
+   * Ignored while an undo/redo is being applied.
+   * @param {object} command
+   */
+  push(command) {
+    if (this.isApplying) return
+    if (!command || typeof command.undo !== 'function' || typeof command.redo !== 'function') {
+      throw new Error('Command must provide undo() and redo()')
+    }
+
+    const entry = { ...command, timestamp: Date.now() }
+
+    if (this.transaction) {
+      // Collapse repeats (e.g. every pointermove of a drag) as they come, so an
+      // open transaction holds one command per key rather than one per move
+      const commands = this.transaction.commands
+      const last = commands[commands.length - 1]
+      if (last && entry.mergeKey && last.mergeKey === entry.mergeKey && typeof last.merge === 'function') {
+        commands[commands.length - 1] = {
+          ...last.merge(entry),
+          label: last.label,
+          mergeKey: last.mergeKey,
+          timestamp: entry.timestamp
+        }
+      } else {
+        commands.push(entry)
+      }
+      return
+    }
+
+    this._pushEntry(entry)
+  }
+
+  /**
+   * Add an entry to the undo stack, merging with the previous one when possible.
+   * @param {object} entry
+   * @private
+   */
+  _pushEntry(entry) {
+    const top = this.undoStack[this.undoStack.length - 1]
+    if (this._canMerge(top, entry.mergeKey, entry.timestamp)) {
+      this.undoStack[this.undoStack.length - 1] = {
+        ...top.merge(entry),
+        label: top.label,
+        mergeKey: top.mergeKey,
+        timestamp: entry.timestamp
+      }
+    } else {
+      this.undoStack.push(entry)
+    }
+    this._trim()
+
+    this.redoStack = []
+    this._notify()
+  }
+
+  /**
+   * @private
+   */
+  _canMerge(top, mergeKey, timestamp) {
+    return Boolean(
+      top &&
+      mergeKey &&
+      top.mergeKey === mergeKey &&
+      typeof top.merge === 'function' &&
+      timestamp - top.timestamp <= this.mergeWindow
+    )
+  }
+
+  /**
+   * Drop the oldest entries past the entry limit or the size limit; the
+   * latest entry is always kept.
+   * @private
+   */
+  _trim() {
+    let size = this.undoStack.reduce((total, entry) => total + (entry.size || 0), 0)
+    while (
+      this.undoStack.length > 1 &&
+      (this.undoStack.length > this.limit || size > this.maxSize)
+    ) {
+      size -= this.undoStack.shift().size || 0
+    }
+  }
+
+  /**
+   * The command a push with this mergeKey would merge into right now: the
+   * open transaction's latest command, or the latest undo entry.
+   * @param {string|null} mergeKey
+   * @returns {object|null}
+   */
+  getMergeTarget(mergeKey) {
+    if (!mergeKey || this.isApplying) return null
+
+    if (this.transaction) {
+      const last = this.transaction.commands[this.transaction.commands.length - 1]
+      return last?.mergeKey === mergeKey ? last : null
+    }
+
+    const top = this.undoStack[this.undoStack.length - 1]
+    return this._canMerge(top, mergeKey, Date.now()) ? top : null
+  }
+
+  /**
+   * Start grouping pushed commands into one entry.
+   * Nested calls join the open transaction.
+   * @param {string} label - Entry label
+   * @param {object} options
+   * @param {string|null} options.mergeKey - Lets consecutive transactions merge (e.g. typing into a multi-selection)
+   */
+  beginTransaction(label = 'Edit', { mergeKey = null } = {}) {
+    if (this.transaction) return
+    this.transaction = { label, mergeKey, commands: [] }
+  }
+
+  /**
+   * Close the open transaction and record its commands as one entry.
+   */
+  endTransaction() {
+    const transaction = this.transaction
+    this.transaction = null
+    if (!transaction || transaction.commands.length === 0) return
+
+    const { label, mergeKey, commands } = transaction
+    if (commands.length === 1) {
+      this._pushEntry({ ...commands[0], label, mergeKey })
+      return
+    }
+
+    // Commands that know how to merge collapse into the first one
+    const mergeable = commands.every(command => typeof command.merge === 'function')
+    if (mergeable) {
+      const merged = commands.slice(1).reduce((acc, command) => acc.merge(command), commands[0])
+      this._pushEntry({ ...merged, label, mergeKey, timestamp: Date.now() })
+      return
+    }
+
+    this._pushEntry({
+      label,
+      mergeKey: null,
+      timestamp: Date.now(),
+      size: commands.reduce((total, command) => total + (command.size || 0), 0),
+      undo: () => [...commands].reverse().forEach(command => command.undo()),
+      redo: () => commands.forEach(command => command.redo())
+    })
+  }
+
+  /**
+   * Whether a transaction is open.
+   * @returns {boolean}
+   */
+  isInTransaction() {
+    return this.transaction !== null
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0
+  }
+
+  /**
+   * Undo the latest entry.
+   * @returns {boolean} True if something was undone
+   */
+  undo() {
+    if (this.transaction) {
+      this.endTransaction()
+    }
+
+    const entry = this.undoStack.pop()
+    if (!entry) return false
+
+    this._apply(() => entry.undo())
+    this.redoStack.push(entry)
+    this._notify()
+    return true
+  }
+
+  /**
+   * Redo the latest undone entry.
+   * @returns {boolean} True if something was redone
+   */
+  redo() {
+    const entry = this.redoStack.pop()
+    if (!entry) return false
+
+    this._apply(() => entry.redo())
+    // Re-done entries never merge with what comes next
+    this.undoStack.push({ ...entry, mergeKey: null })
+    this._trim()
+    this._notify()
+    return true
+  }
+
+  /**
+   * Run an undo/redo without recording the mutations it causes.
+   * @param {Function} action
+   * @private
+   */
+  _apply(action) {
+    this.isApplying = true
+    try {
+      action()
+    } finally {
+      this.isApplying = false
+    }
+  }
+
+  /**
+   * Drop all history.
+   */
+  clear() {
+    this.undoStack = []
+    this.redoStack = []
+    this.transaction = null
+    this._notify()
+  }
+}
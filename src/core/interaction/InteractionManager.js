@@ -1,19 +1,30 @@
 /**
  * Interaction Manager - Handles mouse/touch interactions for canvas editing
- * Supports dragging handles, moving objects, and rotation gestures
+ * Supports dragging handles, moving objects, rotation gestures and marquee selection.
+ * Empty-canvas drags pan; with Shift held (or in marquee mode) they draw a selection rectangle.
+ *
+ * Drag events carry the pointer movement and position in stage coordinates
+ * (the camera's pan and zoom undone). They know nothing of the dragged
+ * object's parents: the receiver maps them into the object's own space.
+ *
+ * The viewBox and client-to-stage mapping come from the active renderer
+ * (see setRenderer). Handles and objects are found from the data-* attributes
+ * of the event target, or, when the renderer draws everything into one
+ * element (canvas), from renderer.hitTest.
  */
 
 import { degToRad } from '../../utils/math.js'
 
 export class InteractionManager {
-  constructor({ container, onUpdate = () => {} }) {
+  constructor({ container, renderer = null, onUpdate = () => {} }) {
     this.container = container
+    this.renderer = renderer
     this.onUpdate = onUpdate
 
     this.isDragging = false
     this.isPanning = false
     this.activePointerType = null
-    this.dragHandle = null // { type: 'origin'|'anchor'|'start'|'end', index: number, objectId: string }
+    this.dragHandle = null // { type: 'origin'|'anchor'|'start'|'end'|'rotate'|'scale', index: number, objectId: string }
     this.lastX = 0
     this.lastY = 0
     this.lastMoveTime = 0
@@ -23,6 +34,12 @@ export class InteractionManager {
     this.clickThreshold = 5 // pixels - if mouse moves more than this, it's a drag, not a click
     this.panStartViewBox = null // Store initial viewBox when panning starts
 
+    // Marquee selection state (rect in SVG viewBox coordinates)
+    this.marqueeMode = false // Tool mode: empty-canvas drags select instead of pan
+    this.isMarquee = false
+    this.marqueeStart = null
+    this.marqueeAdditive = false
+
     // Two-finger gesture state (zoom or pan)
     this.isTwoFingerGesture = false
     this.gestureType = null // 'zoom' or 'pan'
@@ -93,6 +110,47 @@ export class InteractionManager {
     }
   }
 
+  /**
+   * Use another renderer's viewBox and hit-testing (e.g. after switching backends).
+   * @param {RenderEngine|null} renderer
+   */
+  setRenderer(renderer) {
+    this.reset()
+    this.renderer = renderer
+  }
+
+  /**
+   * Element the stage is drawn into, with its on-screen rect and viewBox.
+   * Falls back to the container's SVG when no renderer is set.
+   * @returns {{element: Element, rect: DOMRect, viewBox: object}|null}
+   * @private
+   */
+  _getViewport() {
+    const element = this.renderer ? this.renderer.getElement() : this.container?.querySelector('svg')
+    if (!element) return null
+    const viewBox = this.renderer ? this.renderer.getViewBox() : element.viewBox?.baseVal
+    if (!viewBox) return null
+    return { element, rect: element.getBoundingClientRect(), viewBox }
+  }
+
+  /**
+   * Handle or object under the pointer, from the target's data-* attributes
+   * or the renderer's hit-test.
+   * @returns {{objectId: string, handleType: string|null, index: number, isHandle: boolean}|null}
+   * @private
+   */
+  _resolveHit(target, clientX, clientY) {
+    const handleType = target.getAttribute?.('data-type') || null
+    const index = parseInt(target.getAttribute?.('data-index') || '0', 10)
+    if (handleType && target.hasAttribute?.('data-object-id')) {
+      return { objectId: target.getAttribute('data-object-id'), handleType, index, isHandle: true }
+    }
+    if (target.hasAttribute?.('data-object')) {
+      return { objectId: target.getAttribute('data-object'), handleType, index, isHandle: false }
+    }
+    return this.renderer?.hitTest(clientX, clientY) || null
+  }
+
   setCamera(camera) {
     this.camera = { ...camera }
   }
@@ -101,6 +159,14 @@ export class InteractionManager {
     this.rotation = { ...rotation }
   }
 
+  /**
+   * Make empty-canvas drags draw a marquee (needed on touch, where there is no Shift).
+   * @param {boolean} enabled
+   */
+  setMarqueeMode(enabled) {
+    this.marqueeMode = Boolean(enabled)
+  }
+
   _onMouseDown(e) {
     this.activePointerType = 'mouse'
     this._handlePointerDown({
@@ -168,15 +234,14 @@ export class InteractionManager {
     let shouldPreventDefault = false
 
     // Check for handle (including origin handles)
-    const handleType = target.getAttribute?.('data-type')
-    if (handleType && target.hasAttribute?.('data-object-id')) {
-      const objectId = target.getAttribute('data-object-id')
+    const hit = this._resolveHit(target, clientX, clientY)
+    if (hit?.isHandle) {
       // Request to check if object is locked - App.js will respond
       this.onUpdate({
         type: 'pointer-down-on-handle',
-        handleType: handleType,
-        objectId: objectId,
-        index: parseInt(target.getAttribute('data-index') || '0', 10),
+        handleType: hit.handleType,
+        objectId: hit.objectId,
+        index: hit.index,
         event: event,
         clientX: clientX,
         clientY: clientY
@@ -187,35 +252,13 @@ export class InteractionManager {
         event.stopPropagation()
       }
       return
-    } else if (target.hasAttribute && target.hasAttribute('data-object')) {
-      // Check for object (including draggable paths with origin type)
-      // But skip if it also has data-object-id (should have been caught above)
-      // This handles objects that are draggable but don't have data-object-id
-      const objectId = target.getAttribute('data-object')
-      
-      // If it has data-type='origin' and data-object-id, it should have been caught above
-      // This is a fallback for objects without data-object-id
-      if (handleType === 'origin' && target.hasAttribute('data-object-id')) {
-        // Should have been caught above, but just in case, handle it here too
-        const objId = target.getAttribute('data-object-id')
-        this.onUpdate({
-          type: 'pointer-down-on-handle',
-          handleType: 'origin',
-          objectId: objId,
-          index: parseInt(target.getAttribute('data-index') || '0', 10),
-          event: event,
-          clientX: clientX,
-          clientY: clientY
-        })
-        shouldPreventDefault = true
-        return
-      }
-      
+    } else if (hit) {
       // Request to check if object is locked - App.js will handle the decision
       this.onUpdate({
         type: 'pointer-down-on-object',
-        objectId: objectId,
-        handleType: handleType,
+        objectId: hit.objectId,
+        handleType: hit.handleType,
+        index: hit.index,
         target: target,
         event: event,
         clientX: clientX,
@@ -223,6 +266,10 @@ export class InteractionManager {
       })
       shouldPreventDefault = true
       return
+    } else if (this.marqueeMode || (!isMobile && event.shiftKey)) {
+      // Clicked on empty SVG area with Shift (or in marquee mode) - rubber-band select
+      this._startMarquee(clientX, clientY, Boolean(event.shiftKey))
+      shouldPreventDefault = true
     } else {
       // Clicked on empty SVG area
       // On mobile, don't allow single-finger panning (use two fingers instead)
@@ -242,9 +289,9 @@ export class InteractionManager {
   _startPanning(event, clientX, clientY) {
     // Only allow panning if zoomed in (zoom > 1.0)
     // Check zoom level by comparing viewBox width to base width
-    const svg = this.container?.querySelector('svg')
-    if (svg) {
-      const viewBox = svg.viewBox?.baseVal
+    const viewport = this._getViewport()
+    if (viewport) {
+      const viewBox = viewport.viewBox
       if (viewBox) {
         // If viewBox width equals base width (1920), we're at 100% zoom - no panning
         const baseWidth = 1920
@@ -273,11 +320,88 @@ export class InteractionManager {
     }
   }
 
+  _startMarquee(clientX, clientY, additive) {
+    const start = this._toSvgPoint(clientX, clientY)
+    if (!start) return
+
+    this.isMarquee = true
+    this.isPanning = false
+    this.isDragging = false
+    this.dragHandle = null
+    this.marqueeStart = start
+    this.marqueeAdditive = additive
+
+    this.onUpdate({
+      type: 'marquee',
+      rect: { x: start.x, y: start.y, width: 0, height: 0 },
+      additive
+    })
+  }
+
+  _getMarqueeRect(clientX, clientY) {
+    const point = this._toSvgPoint(clientX, clientY) || this.marqueeStart
+    return {
+      x: Math.min(this.marqueeStart.x, point.x),
+      y: Math.min(this.marqueeStart.y, point.y),
+      width: Math.abs(point.x - this.marqueeStart.x),
+      height: Math.abs(point.y - this.marqueeStart.y)
+    }
+  }
+
+  _finishMarquee() {
+    if (!this.isMarquee) return
+
+    const rect = this._getMarqueeRect(this.lastX, this.lastY)
+    const additive = this.marqueeAdditive
+    this.isMarquee = false
+    this.marqueeStart = null
+    this.marqueeAdditive = false
+    this.activePointerType = null
+
+    this.onUpdate({
+      type: 'marquee-end',
+      rect,
+      additive
+    })
+  }
+
+  /**
+   * Convert client coordinates to SVG viewBox coordinates.
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {{x: number, y: number}|null}
+   */
+  _toSvgPoint(clientX, clientY) {
+    if (this.renderer) {
+      return this.renderer.clientToView(clientX, clientY)
+    }
+    const svg = this.container?.querySelector('svg')
+    if (!svg) return null
+
+    const ctm = svg.getScreenCTM?.()
+    if (ctm && typeof svg.createSVGPoint === 'function') {
+      const point = svg.createSVGPoint()
+      point.x = clientX
+      point.y = clientY
+      const transformed = point.matrixTransform(ctm.inverse())
+      return { x: transformed.x, y: transformed.y }
+    }
+
+    // Fallback: assume the viewBox fills the element
+    const svgRect = svg.getBoundingClientRect()
+    const viewBox = svg.viewBox?.baseVal
+    if (!viewBox || svgRect.width === 0 || svgRect.height === 0) return null
+    return {
+      x: viewBox.x + ((clientX - svgRect.left) / svgRect.width) * viewBox.width,
+      y: viewBox.y + ((clientY - svgRect.top) / svgRect.height) * viewBox.height
+    }
+  }
+
   _startTwoFingerPanning(centerX, centerY) {
     // Initialize two-finger panning state
-    const svg = this.container?.querySelector('svg')
-    if (svg) {
-      const viewBox = svg.viewBox?.baseVal
+    const viewport = this._getViewport()
+    if (viewport) {
+      const viewBox = viewport.viewBox
       if (viewBox) {
         this.isPanning = true
         this.isDragging = false
@@ -356,10 +480,9 @@ export class InteractionManager {
         this.pinchCenterY = currentCenterY
         
         // Calculate center point in SVG coordinates
-        const svg = this.container?.querySelector('svg')
-        if (svg) {
-          const svgRect = svg.getBoundingClientRect()
-          const viewBox = svg.viewBox?.baseVal
+        const viewport = this._getViewport()
+        if (viewport) {
+          const { rect: svgRect, viewBox } = viewport
           if (viewBox) {
             // Convert screen coordinates to viewBox coordinates
             const relX = (this.pinchCenterX - svgRect.left) / svgRect.width
@@ -384,10 +507,9 @@ export class InteractionManager {
         const dy = currentCenterY - this.panStartY
         
         // Convert screen delta to viewBox delta
-        const svg = this.container?.querySelector('svg')
-        if (svg) {
-          const svgRect = svg.getBoundingClientRect()
-          const viewBox = svg.viewBox?.baseVal
+        const viewport = this._getViewport()
+        if (viewport) {
+          const { rect: svgRect, viewBox } = viewport
           if (viewBox && svgRect.width > 0 && svgRect.height > 0) {
             // Calculate scale factor
             const scaleX = viewBox.width / svgRect.width
@@ -450,7 +572,8 @@ export class InteractionManager {
       this.onUpdate({
         type: 'drag',
         handle: this.dragHandle,
-        delta: worldDelta
+        delta: worldDelta,
+        point: this._toWorldPoint(clientX, clientY)
       })
 
       if (this.activePointerType === 'touch') {
@@ -463,16 +586,29 @@ export class InteractionManager {
       return
     }
 
+    if (this.isMarquee) {
+      this.lastX = clientX
+      this.lastY = clientY
+      this.onUpdate({
+        type: 'marquee',
+        rect: this._getMarqueeRect(clientX, clientY),
+        additive: this.marqueeAdditive
+      })
+      if (this.activePointerType === 'touch') {
+        event.preventDefault()
+      }
+      return
+    }
+
     // Handle panning (only if not dragging)
     if (this.isPanning && this.panStartViewBox) {
       const dx = clientX - this.panStartX
       const dy = clientY - this.panStartY
 
       // Convert screen delta to viewBox delta
-      const svg = this.container?.querySelector('svg')
-      if (svg) {
-        const svgRect = svg.getBoundingClientRect()
-        const viewBox = svg.viewBox?.baseVal
+      const viewport = this._getViewport()
+      if (viewport) {
+        const { rect: svgRect, viewBox } = viewport
         if (viewBox && svgRect.width > 0 && svgRect.height > 0) {
           // Calculate scale factor
           const scaleX = viewBox.width / svgRect.width
@@ -517,9 +653,10 @@ export class InteractionManager {
   }
 
   _onWheel(e) {
-    // Only handle wheel zoom when mouse is over SVG
-    const svg = this.container?.querySelector('svg')
-    if (!svg) return
+    // Only handle wheel zoom when mouse is over the stage element
+    const viewport = this._getViewport()
+    if (!viewport) return
+    const svg = viewport.element
 
     // Check if mouse is over SVG by checking if target is SVG or a child of SVG
     let target = e.target
@@ -553,9 +690,7 @@ export class InteractionManager {
     const zoomDelta = -e.deltaY > 0 ? this.wheelZoomStep : -this.wheelZoomStep
 
     // Get SVG element and calculate mouse position in viewBox coordinates
-    const svgRect = svg.getBoundingClientRect()
-    const viewBox = svg.viewBox?.baseVal
-    if (!viewBox) return
+    const { rect: svgRect, viewBox } = viewport
 
     // Convert mouse position to viewBox coordinates
     const relX = (e.clientX - svgRect.left) / svgRect.width
@@ -591,6 +726,11 @@ export class InteractionManager {
       return
     }
     
+    if (this.isMarquee) {
+      this._finishMarquee()
+      return
+    }
+
     // handle specially for touch events
     if (this.isDragging) {
       // this.isDragging = false
@@ -603,6 +743,10 @@ export class InteractionManager {
   }
 
   _handlePointerUp(e) {
+    if (this.isMarquee) {
+      this._finishMarquee()
+    }
+
     if (this.isPanning) {
       this.isPanning = false
       this.panStartViewBox = null
@@ -624,11 +768,12 @@ export class InteractionManager {
   _computeSvgDelta(dx, dy) {
     if (!this.container) return { dx: 0, dy: 0 }
 
-    const svg = this.container.querySelector('svg')
-    if (!svg) return { dx: 0, dy: 0 }
+    const viewport = this._getViewport()
+    if (!viewport) return { dx: 0, dy: 0 }
 
-    const svgRect = svg.getBoundingClientRect()
-    const viewBox = svg.viewBox?.baseVal
+    const svg = viewport.element
+    const svgRect = viewport.rect
+    const viewBox = viewport.viewBox
 
     if (!viewBox || viewBox.width === 0 || viewBox.height === 0) {
       // Fallback: use SVG dimensions directly
@@ -668,6 +813,29 @@ export class InteractionManager {
     }
   }
 
+  /**
+   * Convert client coordinates to stage coordinates (inside the camera transform).
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {{x: number, y: number}|null}
+   */
+  _toWorldPoint(clientX, clientY) {
+    const point = this._toSvgPoint(clientX, clientY)
+    if (!point) return null
+    const cameraScale = 200 / (this.camera.z || 200)
+    return {
+      x: (point.x - (this.camera.x || 0)) / cameraScale,
+      y: (point.y - (this.camera.y || 0)) / cameraScale
+    }
+  }
+
+  /**
+   * Convert an SVG viewBox movement to a stage movement. Parent group
+   * transforms are applied by the receiver (see Projection.unprojectDelta).
+   * @param {number} svgDx
+   * @param {number} svgDy
+   * @returns {{x: number, y: number, z: number}}
+   */
   _toWorldDelta(svgDx, svgDy) {
     // Account for camera zoom/scale
     // The SVG transform applies scale(200 / camera.z), so we need to convert
@@ -691,6 +859,9 @@ export class InteractionManager {
     this.dragHandle = null
     this.activePointerType = null
     this.panStartViewBox = null
+    this.isMarquee = false
+    this.marqueeStart = null
+    this.marqueeAdditive = false
     this.isTwoFingerGesture = false
     this.gestureType = null
     this.initialPinchDistance = 0
@@ -1,60 +1,83 @@
 /**
- * ModuleLoader - Dynamically compiles module source code
+ * ModuleLoader - Compiles module source inside a ModuleSandbox
+ * Module code never runs on the main thread, so compile() and run() are async.
+ * Config is checked against the module's parameter schema (see ModuleSchema)
+ * and completed with defaults before build is called.
  */
 
+import { ModuleSandbox } from './ModuleSandbox.js'
+import { applySchema, normalizeSchema } from './ModuleSchema.js'
+
 export class ModuleLoader {
+  /**
+   * @param {object} options
+   * @param {ModuleSandbox} options.sandbox - Shared sandbox (one is created when missing)
+   * @param {string[]} options.helpers - Helper names exposed to modules
+   * @param {number} options.timeout - Time budget per compile/run in milliseconds
+   */
   constructor(options = {}) {
-    this.helpers = options.helpers || {}
+    this.sandbox = options.sandbox || new ModuleSandbox({
+      helpers: options.helpers,
+      timeout: options.timeout
+    })
   }
 
   /**
-   * Compile module source into factory/build functions.
+   * Compile module source in the sandbox.
    * @param {string} source - Module source code
-   * @returns {{ factory: Function, build: Function }}
+   * @param {object} options
+   * @param {object} options.dependencies - specifier -> id of an already compiled module,
+   *   for the module's helpers.require() calls
+   * @returns {Promise<{ id: string, schema: object, run: Function }>} Compiled module handle
+   * @throws {ModuleSchemaError} When the module declares invalid parameters
    */
-  compile(source) {
+  async compile(source, { dependencies = {} } = {}) {
     if (typeof source !== 'string' || source.trim().length === 0) {
       throw new Error('Module source must be a non-empty string')
     }
 
-    // Wrap source in a function to avoid global scope pollution
-    const wrappedSource = `return (function ModuleFactory(helpers) {\n${source}\n})(helpers)`
-
-    let factory
+    const { id, parameters } = await this.sandbox.compile(source, { dependencies })
+    let schema
     try {
-      // eslint-disable-next-line no-new-func
-      const moduleFunction = new Function('helpers', wrappedSource)
-      factory = moduleFunction(this.helpers)
+      schema = normalizeSchema(parameters)
     } catch (error) {
-      console.error('Failed to compile module source:', error)
-      throw new Error(`Module compilation failed: ${error.message}`)
-    }
-
-    if (typeof factory !== 'function') {
-      throw new Error('Module source did not return a factory function')
+      this.sandbox.release(id)
+      throw error
     }
 
-    const build = factory(this.helpers)
-    if (typeof build !== 'function') {
-      throw new Error('Module factory did not return a build function')
+    const compiled = {
+      id,
+      schema,
+      run: (config = {}, state = {}, options = {}) => this.run(compiled, config, state, options)
     }
-
-    return { factory, build }
+    return compiled
   }
 
   /**
-   * Execute module build function.
-   * @param {Function} build - Build function returned by compile()
+   * Execute a compiled module's build function.
+   * @param {object} compiled - Handle returned by compile()
    * @param {object} config - Module configuration
    * @param {object} state - Module state
    * @param {object} options - Additional options
-   * @returns {object} Module result
+   * @returns {Promise<object>} Module result
+   * @throws {ModuleSchemaError} When config does not match the schema
    */
-  run(build, config = {}, state = {}, options = {}) {
-    if (typeof build !== 'function') {
-      throw new Error('Build must be a function')
+  async run(compiled, config = {}, state = {}, options = {}) {
+    if (!compiled || typeof compiled.id !== 'string') {
+      throw new Error('Compiled module is required')
     }
 
-    return build({ x: 0, y: 0, z: 0 }, config, state, options)
+    const validConfig = applySchema(compiled.schema, config)
+    return this.sandbox.run(compiled.id, validConfig, state, options)
+  }
+
+  /**
+   * Free a compiled module in the sandbox.
+   * @param {object} compiled - Handle returned by compile()
+   */
+  release(compiled) {
+    if (compiled?.id) {
+      this.sandbox.release(compiled.id)
+    }
   }
 }
@@ -1,16 +1,94 @@
 /**
  * ModuleManager - Manages animation modules and metadata
+ * Modules are compiled and run through ModuleLoader, i.e. inside the sandbox worker.
+ *
+ * Every module name keeps its versions side by side ("wing@1.0.0", "wing@1.1.0");
+ * a published version never changes. Modules import each other with
+ * `helpers.require('wing@^1')`, and the specifiers are resolved here before
+ * compiling. Pins map specifiers to exact versions (see setPins) so a project
+ * keeps resolving to the versions it was built with.
  */
 
 import { StorageManager } from '../../utils/storage.js'
+import { ModuleLoader } from './ModuleLoader.js'
 import { validateId, validateNonEmpty } from '../../utils/validation.js'
+import {
+  compareVersions,
+  incrementVersion,
+  isValidVersion,
+  maxSatisfying,
+  parseRange,
+  satisfies
+} from '../../utils/semver.js'
+
+export const INITIAL_VERSION = '1.0.0'
+
+// require('name@range') calls with a literal specifier
+const REQUIRE_PATTERN = /\brequire\(\s*(['"`])([^'"`\n]+)\1\s*\)/g
+
+/**
+ * Error for a dependency that cannot be resolved.
+ * code: 'missing-dependency' | 'dependency-cycle' | 'invalid-specifier'
+ */
+export class ModuleDependencyError extends Error {
+  constructor(message, { code = 'missing-dependency', chain = [] } = {}) {
+    super(message)
+    this.name = 'ModuleDependencyError'
+    this.code = code
+    this.chain = chain // Module keys from the root to the failing dependency
+  }
+}
+
+/**
+ * Split a specifier into name and version range.
+ * @param {string} specifier - e.g. "wing", "wing@^1" or "wing@1.2.0"
+ * @returns {{ name: string, range: string }} Range is '' when none is given
+ */
+export function parseModuleSpecifier(specifier) {
+  const value = typeof specifier === 'string' ? specifier.trim() : ''
+  const at = value.lastIndexOf('@')
+  if (at <= 0) {
+    return { name: value, range: '' }
+  }
+  return { name: value.slice(0, at).trim(), range: value.slice(at + 1).trim() }
+}
+
+/**
+ * Specifiers required by module source, in order of appearance.
+ * @param {string} source - Module source code
+ * @returns {string[]}
+ */
+export function findRequiredModules(source) {
+  const specifiers = new Set()
+  for (const match of String(source).matchAll(REQUIRE_PATTERN)) {
+    specifiers.add(match[2].trim())
+  }
+  return Array.from(specifiers)
+}
+
+/**
+ * Point require() calls at renamed modules, keeping their version ranges.
+ * @param {string} source - Module source code
+ * @param {object} renames - old name -> new name
+ * @returns {string}
+ */
+export function renameRequiredModules(source, renames = {}) {
+  return String(source).replace(REQUIRE_PATTERN, (call, quote, specifier) => {
+    const { name, range } = parseModuleSpecifier(specifier)
+    if (!Object.prototype.hasOwnProperty.call(renames, name)) return call
+    return `require(${quote}${renames[name]}${range ? `@${range}` : ''}${quote})`
+  })
+}
 
 export class ModuleManager {
   constructor(options = {}) {
-    this.modules = new Map() // name -> moduleData
+    this.modules = new Map() // name -> Map(version -> moduleData)
+    this.pins = {} // specifier -> exact version
     this.storage = new StorageManager('preview2-modules')
     this.metadataKey = options.metadataKey || 'metadata'
     this.modulePrefix = options.modulePrefix || 'module:'
+    this.loader = options.loader || null // Created on first run
+    this.loaderOptions = { timeout: options.timeout, helpers: options.helpers }
     this.loaded = false
   }
 
@@ -24,7 +102,9 @@ export class ModuleManager {
     metadata.forEach(meta => {
       const source = this.storage.get(`${this.modulePrefix}${meta.id}`, null)
       if (source) {
-        this.modules.set(meta.name, { ...meta, source, factory: null })
+        // Modules saved before versioning become their first version
+        const version = isValidVersion(meta.version) ? meta.version : INITIAL_VERSION
+        this._getVersions(meta.name, true).set(version, this._createModuleData({ ...meta, version, source }))
       }
     })
 
@@ -36,83 +116,486 @@ export class ModuleManager {
    * @private
    */
   _saveMetadata() {
-    const metadata = Array.from(this.modules.values()).map(module => ({
-      id: module.id,
-      name: module.name,
-      createdAt: module.createdAt,
-      updatedAt: module.updatedAt
-    }))
+    const metadata = []
+    this.modules.forEach(versions => {
+      versions.forEach(module => {
+        metadata.push({
+          id: module.id,
+          name: module.name,
+          version: module.version,
+          description: module.description,
+          createdAt: module.createdAt,
+          updatedAt: module.updatedAt
+        })
+      })
+    })
     this.storage.set(this.metadataKey, metadata)
   }
 
   /**
-   * Register a module.
+   * Register a new version of a module.
+   * Without an explicit version the first registration is 1.0.0 and later
+   * ones bump the latest version; saving unchanged source registers nothing.
    * @param {string} name
    * @param {string} source
-   * @param {string} [id]
+   * @param {object} options
+   * @param {string} options.version - Exact version to publish
+   * @param {'major'|'minor'|'patch'} options.release - Bump used when no version is given
+   * @param {string} options.id - Storage id (a new one is generated if it is taken)
+   * @param {string} options.description - What the module draws (kept from the previous version when omitted)
    * @returns {object} metadata
+   * @throws {Error} When the version exists with different source
    */
-  registerModule(name, source, id = null) {
+  registerModule(name, source, { version = null, release = 'patch', id = null, description = null } = {}) {
     this.loadFromStorage()
 
     if (!validateNonEmpty(name)) {
       throw new Error('Module name is required')
     }
+    if (name.includes('@')) {
+      throw new Error('Module name cannot contain "@"')
+    }
     if (!validateNonEmpty(source)) {
       throw new Error('Module source is required')
     }
+    if (version !== null && !isValidVersion(version)) {
+      throw new Error(`Invalid version "${version}" (use MAJOR.MINOR.PATCH, e.g. 1.2.0)`)
+    }
 
-    const moduleId = id && validateId(id) ? id : this._generateId(name)
-    const timestamp = Date.now()
+    const latest = this.getModule(name)
+    if (version === null) {
+      if (latest && latest.source === source) return latest
+      version = latest ? incrementVersion(latest.version, release) : INITIAL_VERSION
+    }
 
-    const moduleData = {
-      id: moduleId,
+    const versions = this._getVersions(name, true)
+    const existing = versions.get(version)
+    if (existing) {
+      if (existing.source === source) return existing
+      throw new Error(`Module ${name}@${version} already exists; publish the change as a new version`)
+    }
+
+    const timestamp = Date.now()
+    const moduleData = this._createModuleData({
+      id: id && validateId(id) && !this.getModuleById(id) ? id : this._generateId(name),
       name,
+      version,
       source,
-      factory: null,
-      createdAt: this.modules.get(name)?.createdAt || timestamp,
+      description: description ?? latest?.description ?? '',
+      createdAt: latest?.createdAt || timestamp,
       updatedAt: timestamp
-    }
+    })
 
-    this.modules.set(name, moduleData)
-    this.storage.set(`${this.modulePrefix}${moduleId}`, source)
+    versions.set(version, moduleData)
+    this.storage.set(`${this.modulePrefix}${moduleData.id}`, source)
     this._saveMetadata()
+    // Ranges that matched an older version may now resolve to this one
+    this._releaseResolvedFactories()
 
     return moduleData
   }
 
   /**
    * Get module metadata by name.
+   * Ignores pins; use resolveModule() to resolve the way runs do.
+   * @param {string} name - Module name or "name@range"
+   * @param {string} [range] - Version range (latest version when omitted)
+   * @returns {object|null}
    */
-  getModule(name) {
+  getModule(name, range) {
     this.loadFromStorage()
-    return this.modules.get(name) || null
+    const specifier = range === undefined ? parseModuleSpecifier(name) : { name, range }
+    const versions = this.modules.get(specifier.name)
+    if (!versions) return null
+
+    const version = maxSatisfying(Array.from(versions.keys()), specifier.range)
+    return version ? versions.get(version) : null
+  }
+
+  /**
+   * Find a module version by its storage id.
+   * @param {string} id
+   * @returns {object|null}
+   */
+  getModuleById(id) {
+    this.loadFromStorage()
+    for (const versions of this.modules.values()) {
+      for (const module of versions.values()) {
+        if (module.id === id) return module
+      }
+    }
+    return null
   }
 
   /**
-   * Get all module metadata.
+   * Every version of a module, oldest first.
+   * @param {string} name
+   * @returns {object[]}
+   */
+  getModuleVersions(name) {
+    this.loadFromStorage()
+    const versions = this.modules.get(name)
+    if (!versions) return []
+    return Array.from(versions.values()).sort((a, b) => compareVersions(a.version, b.version))
+  }
+
+  /**
+   * Get the latest version of every module.
    */
   getAllModules() {
     this.loadFromStorage()
-    return Array.from(this.modules.values())
+    return Array.from(this.modules.keys())
+      .map(name => this.getModule(name))
+      .filter(Boolean)
   }
 
   /**
-   * Remove a module.
+   * Resolve a specifier the way runs do: a pinned version wins while it
+   * still satisfies the range, otherwise the highest matching version.
+   * @param {string} specifier - "name" or "name@range"
+   * @returns {object|null}
+   */
+  resolveModule(specifier) {
+    const { name, range } = parseModuleSpecifier(specifier)
+    const pinned = this.pins[this._pinKey(name, range)]
+    if (pinned) {
+      const module = this.getModule(name, pinned)
+      if (module && (!range || satisfies(module.version, range))) {
+        return module
+      }
+    }
+    return this.getModule(name, range)
+  }
+
+  /**
+   * Remove a module version, or every version of a module.
    * @param {string} name
+   * @param {string} [version] - Exact version (all versions when omitted)
    * @returns {boolean}
    */
-  removeModule(name) {
+  removeModule(name, version = null) {
     this.loadFromStorage()
-    const module = this.modules.get(name)
-    if (!module) return false
+    const versions = this.modules.get(name)
+    const removed = versions
+      ? (version ? [versions.get(version)].filter(Boolean) : Array.from(versions.values()))
+      : []
+    if (removed.length === 0) return false
 
-    this.storage.remove(`${this.modulePrefix}${module.id}`)
-    this.modules.delete(name)
+    removed.forEach(module => {
+      this._releaseFactory(module)
+      this.storage.remove(`${this.modulePrefix}${module.id}`)
+      versions.delete(module.version)
+    })
+    if (versions.size === 0) {
+      this.modules.delete(name)
+    }
     this._saveMetadata()
+    // Dependents compiled against a removed version must resolve again
+    this._releaseResolvedFactories()
     return true
   }
 
+  /**
+   * Replace the pins (e.g. when another project becomes current).
+   * @param {object} pins - specifier -> exact version
+   */
+  setPins(pins = {}) {
+    this.pins = { ...pins }
+    this._releaseResolvedFactories()
+  }
+
+  /**
+   * @returns {object} Copy of the pins
+   */
+  getPins() {
+    return { ...this.pins }
+  }
+
+  /**
+   * Pin a module and everything it requires to the versions they resolve to now.
+   * Existing pins are kept, so a project stays on the versions it first used.
+   * An exact version pins the bare module name.
+   * @param {string} specifier - "name" or "name@range"
+   * @returns {object} Updated pins
+   * @throws {ModuleDependencyError} When a dependency is missing or cyclic
+   */
+  pinModule(specifier) {
+    const { name, range } = parseModuleSpecifier(specifier)
+    const module = this._resolveOrThrow(name, range, [])
+    const pins = { ...this.pins }
+    const rootKey = isValidVersion(range) ? name : this._pinKey(name, range)
+    if (!pins[rootKey]) {
+      pins[rootKey] = module.version
+    }
+
+    this._walkDependencies(module, [], (dependencySpecifier, dependency) => {
+      const parsed = parseModuleSpecifier(dependencySpecifier)
+      if (isValidVersion(parsed.range)) return
+      const dependencyKey = this._pinKey(parsed.name, parsed.range)
+      if (!pins[dependencyKey]) {
+        pins[dependencyKey] = dependency.version
+      }
+    })
+
+    this.pins = pins
+    return this.getPins()
+  }
+
+  /**
+   * Dependencies of a module resolved with the current pins, checking the
+   * whole graph for missing modules and cycles.
+   * @param {string} specifier - "name" or "name@range"
+   * @returns {object} specifier -> "name@version" for direct dependencies
+   * @throws {ModuleDependencyError}
+   */
+  getDependencies(specifier) {
+    const { name, range } = parseModuleSpecifier(specifier)
+    const module = this._resolveOrThrow(name, range, [])
+    const dependencies = {}
+    Object.entries(this._resolveDependencies(module, [])).forEach(([key, dependency]) => {
+      dependencies[key] = this._moduleKey(dependency)
+    })
+    return dependencies
+  }
+
+  /**
+   * Compile a module in the sandbox (once per version).
+   * @param {string} specifier - "name" or "name@range"
+   * @returns {Promise<{ id: string, schema: object, run: Function }>} Compiled module handle
+   */
+  compileModule(specifier) {
+    return this._track(specifier, (module) => this._getCompiled(module))
+  }
+
+  /**
+   * Compile source that is not registered (e.g. a generated draft) with its
+   * require() calls resolved like a module's. Release the handle through
+   * getLoader().release() when it is no longer needed.
+   * @param {string} source - Module source code
+   * @returns {Promise<{ id: string, schema: object, run: Function }>} Compiled module handle
+   */
+  compileDraft(source) {
+    return this._compile(this._createModuleData({ name: 'draft', version: '0.0.0-draft', source }))
+  }
+
+  /**
+   * Compile (once) and run a module in the sandbox.
+   * Failures are kept on the module as `lastError` ({ code, message, at }) and rethrown.
+   * @param {string} specifier - "name" or "name@range"
+   * @param {object} config - Module configuration
+   * @param {object} state - Module state
+   * @param {object} options - Additional options
+   * @returns {Promise<object>} Module result
+   */
+  runModule(specifier, config = {}, state = {}, options = {}) {
+    return this._track(specifier, async (module) => {
+      const compiled = await this._getCompiled(module)
+      return compiled.run(config, state, options)
+    })
+  }
+
+  /**
+   * Run a sandbox task for a module and record its outcome on the module.
+   * @private
+   */
+  async _track(specifier, task) {
+    const module = this.resolveModule(specifier)
+    if (!module) {
+      throw new Error(`Module "${specifier}" not found`)
+    }
+
+    try {
+      const result = await task(module)
+      module.lastError = null
+      return result
+    } catch (error) {
+      error.moduleName = module.name
+      error.moduleVersion = module.version
+      module.lastError = {
+        code: error.code || 'runtime',
+        message: error.message,
+        at: Date.now()
+      }
+      throw error
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getCompiled(module) {
+    if (!module.factory) {
+      const factory = this._compile(module).catch((error) => {
+        // Let a later run retry (e.g. after a timeout)
+        if (module.factory === factory) {
+          module.factory = null
+        }
+        throw error
+      })
+      module.factory = factory
+    }
+    return module.factory
+  }
+
+  /**
+   * Compile dependencies first, then the module with their sandbox ids.
+   * @private
+   */
+  async _compile(module) {
+    // Throws on missing or cyclic dependencies before anything is awaited
+    const resolved = this._resolveDependencies(module, [])
+    module.dependencies = Object.keys(resolved)
+
+    const dependencies = {}
+    for (const [specifier, dependency] of Object.entries(resolved)) {
+      const compiled = await this._getCompiled(dependency)
+      dependencies[specifier] = compiled.id
+    }
+
+    return this.getLoader().compile(module.source, { dependencies })
+  }
+
+  /**
+   * Direct dependencies of a module; walks the whole graph to detect cycles.
+   * @private
+   */
+  _resolveDependencies(module, stack) {
+    const resolved = {}
+    this._walkDependencies(module, stack, (specifier, dependency, depth) => {
+      if (depth === 0) {
+        resolved[specifier] = dependency
+      }
+    })
+    return resolved
+  }
+
+  /**
+   * Depth-first walk over required modules.
+   * @private
+   */
+  _walkDependencies(module, stack, visit, depth = 0) {
+    const chain = [...stack, this._moduleKey(module)]
+
+    findRequiredModules(module.source).forEach(specifier => {
+      const { name, range } = parseModuleSpecifier(specifier)
+      if (!name || (range && !parseRange(range))) {
+        throw new ModuleDependencyError(
+          `${chain[chain.length - 1]} requires "${specifier}", which is not a valid module specifier`,
+          { code: 'invalid-specifier', chain }
+        )
+      }
+
+      const dependency = this._resolveOrThrow(name, range, chain)
+      const key = this._moduleKey(dependency)
+      if (chain.includes(key)) {
+        const cycle = [...chain.slice(chain.indexOf(key)), key]
+        throw new ModuleDependencyError(
+          `Circular module dependency: ${cycle.join(' -> ')}`,
+          { code: 'dependency-cycle', chain: cycle }
+        )
+      }
+
+      visit(specifier, dependency, depth)
+      this._walkDependencies(dependency, chain, visit, depth + 1)
+    })
+  }
+
+  /**
+   * @private
+   */
+  _resolveOrThrow(name, range, chain) {
+    const specifier = range ? `${name}@${range}` : name
+    const module = this.resolveModule(specifier)
+    if (module) return module
+
+    const available = this.getModuleVersions(name).map(version => version.version)
+    const problem = available.length > 0
+      ? `no version of "${name}" matches "${range}" (available: ${available.join(', ')})`
+      : `module "${name}" is not registered`
+    const message = chain.length > 0
+      ? `${chain[chain.length - 1]} requires "${specifier}", but ${problem}`
+      : `Cannot resolve "${specifier}": ${problem}`
+    throw new ModuleDependencyError(message, { code: 'missing-dependency', chain })
+  }
+
+  /**
+   * @private
+   */
+  _getVersions(name, create = false) {
+    if (!this.modules.has(name) && create) {
+      this.modules.set(name, new Map())
+    }
+    return this.modules.get(name) || null
+  }
+
+  /**
+   * @private
+   */
+  _createModuleData({ id, name, version, source, description = '', createdAt, updatedAt }) {
+    return {
+      id,
+      name,
+      version,
+      source,
+      description,
+      factory: null, // Promise of the compiled handle
+      dependencies: [], // Specifiers the compiled handle was built against
+      lastError: null,
+      createdAt,
+      updatedAt
+    }
+  }
+
+  /**
+   * @private
+   */
+  _moduleKey(module) {
+    return `${module.name}@${module.version}`
+  }
+
+  /**
+   * @private
+   */
+  _pinKey(name, range) {
+    return range ? `${name}@${range}` : name
+  }
+
+  /**
+   * Drop compiled handles that depend on how specifiers resolve.
+   * @private
+   */
+  _releaseResolvedFactories() {
+    this.modules.forEach(versions => {
+      versions.forEach(module => {
+        if (module.dependencies.length > 0) {
+          this._releaseFactory(module)
+        }
+      })
+    })
+  }
+
+  /**
+   * Loader (and sandbox) shared by every module, e.g. to compile drafts.
+   * @returns {ModuleLoader}
+   */
+  getLoader() {
+    if (!this.loader) {
+      this.loader = new ModuleLoader(this.loaderOptions)
+    }
+    return this.loader
+  }
+
+  /**
+   * @private
+   */
+  _releaseFactory(module) {
+    if (!module?.factory || !this.loader) return
+    const loader = this.loader
+    module.factory.then(compiled => loader.release(compiled), () => {})
+    module.factory = null
+    module.dependencies = []
+  }
+
   /**
    * Generate unique module ID.
    * @private
@@ -0,0 +1,359 @@
+/**
+ * ModulePackage - Bundles ModuleManager modules into one shareable file
+ * A package holds the chosen module versions plus everything they require,
+ * each with its source, parameter schema and an optional SVG thumbnail.
+ * It is written as JSON, or as a zip with one file per source and thumbnail:
+ *
+ *   manifest.json              { format, formatVersion, exportedAt, roots, modules: [...] }
+ *   modules/<name>@<ver>.js    module source
+ *   thumbnails/<name>@<ver>.svg
+ *
+ * Importing reports conflicts with installed modules (same name and version
+ * with different source, or a storage id already in use) so the caller can
+ * choose to rename, overwrite or skip each one.
+ */
+
+import { createZip, readZip } from '../../utils/zip.js'
+import { isObject } from '../../utils/validation.js'
+import { isValidVersion } from '../../utils/semver.js'
+import { renameRequiredModules } from './ModuleManager.js'
+
+export const MODULE_PACKAGE_FORMAT = 'preview2-module-package'
+export const MODULE_PACKAGE_VERSION = 1
+export const CONFLICT_ACTIONS = ['rename', 'overwrite', 'skip']
+
+const MANIFEST_FILE = 'manifest.json'
+
+/**
+ * @private
+ */
+function entryKey(entry) {
+  return `${entry.name}@${entry.version}`
+}
+
+/**
+ * Collect modules and their dependency closure into a package.
+ * @param {ModuleManager} manager
+ * @param {string[]} specifiers - Modules to export, e.g. ["wing@1.2.0", "star"]
+ * @param {object} options
+ * @param {Function} options.createThumbnail - async (module, compiled) => SVG markup or null
+ * @returns {Promise<object>} Package object
+ * @throws {ModuleDependencyError} When a dependency cannot be resolved
+ */
+export async function createModulePackage(manager, specifiers, { createThumbnail = null } = {}) {
+  const roots = []
+  const modules = new Map() // key -> module
+  const dependencies = new Map() // key -> { specifier: key }
+  const pending = []
+
+  specifiers.forEach(specifier => {
+    const module = manager.resolveModule(specifier)
+    if (!module) {
+      throw new Error(`Module "${specifier}" not found`)
+    }
+    roots.push(entryKey(module))
+    pending.push(module)
+  })
+
+  while (pending.length > 0) {
+    const module = pending.shift()
+    const key = entryKey(module)
+    if (modules.has(key)) continue
+
+    modules.set(key, module)
+    const resolved = manager.getDependencies(key)
+    dependencies.set(key, resolved)
+    Object.values(resolved).forEach(dependencyKey => pending.push(manager.getModule(dependencyKey)))
+  }
+
+  const entries = []
+  for (const [key, module] of modules) {
+    let compiled = null
+    try {
+      compiled = await manager.compileModule(key)
+    } catch (error) {
+      // Broken modules are still shared, just without a schema or thumbnail
+    }
+
+    let thumbnail = null
+    if (compiled && createThumbnail) {
+      try {
+        thumbnail = await createThumbnail(module, compiled)
+      } catch (error) {
+        console.warn(`Could not create a thumbnail for ${key}:`, error)
+      }
+    }
+
+    entries.push({
+      id: module.id,
+      name: module.name,
+      version: module.version,
+      description: module.description || '',
+      source: module.source,
+      schema: compiled?.schema || null,
+      dependencies: dependencies.get(key),
+      thumbnail: typeof thumbnail === 'string' ? thumbnail : null,
+      createdAt: module.createdAt,
+      updatedAt: module.updatedAt
+    })
+  }
+
+  return {
+    format: MODULE_PACKAGE_FORMAT,
+    formatVersion: MODULE_PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    roots,
+    modules: entries
+  }
+}
+
+/**
+ * Serialize a package for download.
+ * @param {object} pkg - Package from createModulePackage()
+ * @param {'json'|'zip'} format
+ * @returns {Blob}
+ */
+export function modulePackageToBlob(pkg, format = 'json') {
+  if (format === 'json') {
+    return new Blob([JSON.stringify(pkg, null, 2)], { type: 'application/json' })
+  }
+  if (format !== 'zip') {
+    throw new Error(`Unknown package format: ${format}`)
+  }
+
+  const encoder = new TextEncoder()
+  const files = []
+  const manifest = {
+    ...pkg,
+    modules: pkg.modules.map(entry => {
+      const { source, thumbnail, ...meta } = entry
+      const key = entryKey(entry)
+      const item = { ...meta, sourceFile: `modules/${key}.js` }
+      files.push({ name: item.sourceFile, data: encoder.encode(source) })
+      if (thumbnail) {
+        item.thumbnailFile = `thumbnails/${key}.svg`
+        files.push({ name: item.thumbnailFile, data: encoder.encode(thumbnail) })
+      }
+      return item
+    })
+  }
+
+  files.unshift({ name: MANIFEST_FILE, data: encoder.encode(JSON.stringify(manifest, null, 2)) })
+  return new Blob([createZip(files)], { type: 'application/zip' })
+}
+
+/**
+ * Read a package file (JSON or zip).
+ * @param {Blob|ArrayBuffer|Uint8Array|string} input
+ * @returns {Promise<object>} Validated package
+ * @throws {Error} When the file is not a module package
+ */
+export async function readModulePackage(input) {
+  let bytes
+  if (typeof input === 'string') {
+    bytes = new TextEncoder().encode(input)
+  } else if (input instanceof Uint8Array) {
+    bytes = input
+  } else if (input instanceof ArrayBuffer) {
+    bytes = new Uint8Array(input)
+  } else {
+    bytes = new Uint8Array(await input.arrayBuffer())
+  }
+
+  const decoder = new TextDecoder()
+  let pkg
+  // Zip files start with "PK\x03\x04"
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04) {
+    const files = new Map((await readZip(bytes)).map(file => [file.name, file.data]))
+    if (!files.has(MANIFEST_FILE)) {
+      throw new Error(`Zip has no ${MANIFEST_FILE}; it is not a module package`)
+    }
+    pkg = parseJson(decoder.decode(files.get(MANIFEST_FILE)))
+    if (Array.isArray(pkg?.modules)) {
+      pkg.modules = pkg.modules.map(entry => {
+        if (!isObject(entry)) return entry
+        const { sourceFile, thumbnailFile, ...meta } = entry
+        return {
+          ...meta,
+          source: files.has(sourceFile) ? decoder.decode(files.get(sourceFile)) : meta.source,
+          thumbnail: files.has(thumbnailFile) ? decoder.decode(files.get(thumbnailFile)) : null
+        }
+      })
+    }
+  } else {
+    pkg = parseJson(decoder.decode(bytes))
+  }
+
+  return validateModulePackage(pkg)
+}
+
+/**
+ * @private
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    throw new Error(`Module package is not valid JSON: ${error.message}`)
+  }
+}
+
+/**
+ * Check a parsed package and describe the first problems found.
+ * @param {object} pkg
+ * @returns {object} The same package
+ * @throws {Error}
+ */
+export function validateModulePackage(pkg) {
+  if (!isObject(pkg) || pkg.format !== MODULE_PACKAGE_FORMAT) {
+    throw new Error('File is not a Preview2 module package')
+  }
+  if (pkg.formatVersion > MODULE_PACKAGE_VERSION) {
+    throw new Error(`Module package format ${pkg.formatVersion} is newer than this app supports (${MODULE_PACKAGE_VERSION})`)
+  }
+  if (!Array.isArray(pkg.modules) || pkg.modules.length === 0) {
+    throw new Error('Module package contains no modules')
+  }
+
+  const problems = []
+  const keys = new Set()
+  pkg.modules.forEach((entry, index) => {
+    const label = isObject(entry) && entry.name ? `"${entry.name}"` : `#${index + 1}`
+    if (!isObject(entry) || typeof entry.name !== 'string' || !entry.name.trim() || entry.name.includes('@')) {
+      problems.push(`module ${label} has an invalid name`)
+    } else if (!isValidVersion(entry.version)) {
+      problems.push(`module ${label} has an invalid version "${entry.version}"`)
+    } else if (typeof entry.source !== 'string' || !entry.source.trim()) {
+      problems.push(`module ${label} has no source`)
+    } else if (keys.has(entryKey(entry))) {
+      problems.push(`module ${entryKey(entry)} appears twice`)
+    } else {
+      keys.add(entryKey(entry))
+    }
+  })
+  if (problems.length > 0) {
+    throw new Error(`Invalid module package: ${problems.slice(0, 5).join('; ')}`)
+  }
+
+  return pkg
+}
+
+/**
+ * Compare a package with the installed modules.
+ * @param {ModuleManager} manager
+ * @param {object} pkg - Validated package
+ * @returns {Array<{ key: string, entry: object, type: 'name'|'id', existing: object }>}
+ *   One item per conflicting entry; entries already installed unchanged are not conflicts
+ */
+export function findModuleConflicts(manager, pkg) {
+  const conflicts = []
+  pkg.modules.forEach(entry => {
+    const sameVersion = manager.getModule(entry.name, entry.version)
+    if (sameVersion && sameVersion.version === entry.version) {
+      if (sameVersion.source !== entry.source) {
+        conflicts.push({ key: entryKey(entry), entry, type: 'name', existing: sameVersion })
+      }
+      return
+    }
+
+    const sameId = entry.id ? manager.getModuleById(entry.id) : null
+    if (sameId) {
+      conflicts.push({ key: entryKey(entry), entry, type: 'id', existing: sameId })
+    }
+  })
+  return conflicts
+}
+
+/**
+ * A module name that is not installed and not used by the package.
+ * @param {ModuleManager} manager
+ * @param {string} name
+ * @param {object} pkg
+ * @returns {string} e.g. "wing-2"
+ */
+export function suggestModuleName(manager, name, pkg = { modules: [] }) {
+  const taken = new Set(pkg.modules.map(entry => entry.name))
+  let index = 2
+  while (manager.getModuleVersions(`${name}-${index}`).length > 0 || taken.has(`${name}-${index}`)) {
+    index++
+  }
+  return `${name}-${index}`
+}
+
+/**
+ * Install a package.
+ * Renaming applies to every version of that name in the package, and require()
+ * calls in the package follow the new name. Unresolved conflicts are skipped.
+ * Every entry is checked before anything is installed, so a failed import
+ * leaves the installed modules as they were.
+ * @param {ModuleManager} manager
+ * @param {object} pkg - Validated package
+ * @param {object} resolutions - entry key -> { action: 'rename'|'overwrite'|'skip', name }
+ * @returns {{ imported: string[], skipped: string[], unchanged: string[], renamed: object }}
+ * @throws {Error} When a rename target is invalid or taken (nothing is installed then)
+ */
+export function importModulePackage(manager, pkg, resolutions = {}) {
+  const conflicts = new Map(findModuleConflicts(manager, pkg).map(conflict => [conflict.key, conflict]))
+  const renamed = {}
+
+  conflicts.forEach((conflict, key) => {
+    const resolution = resolutions[key]
+    if (resolution?.action !== 'rename') return
+
+    const name = String(resolution.name || '').trim()
+    if (!name || name.includes('@')) {
+      throw new Error(`Cannot rename ${key}: enter a new name without "@"`)
+    }
+    renamed[conflict.entry.name] = renamed[conflict.entry.name] || name
+  })
+
+  // Plan every install first: a renamed entry must not land on a different
+  // module, installed or from this package
+  const result = { imported: [], skipped: [], unchanged: [], renamed }
+  const planned = new Map() // name@version -> source
+  const steps = []
+  pkg.modules.forEach(entry => {
+    const key = entryKey(entry)
+    const conflict = conflicts.get(key)
+    const action = conflict ? resolutions[key]?.action || 'skip' : null
+    if (action === 'skip') {
+      result.skipped.push(key)
+      return
+    }
+
+    const name = renamed[entry.name] || entry.name
+    const target = `${name}@${entry.version}`
+    const source = renameRequiredModules(entry.source, renamed)
+    const existing = action === 'overwrite' ? null : manager.getModule(name, entry.version)
+    const installed = existing?.version === entry.version ? existing : null
+    if (name !== entry.name && installed && installed.source !== source) {
+      throw new Error(`Cannot rename ${key}: ${target} already exists`)
+    }
+    if (planned.has(target) && planned.get(target) !== source) {
+      throw new Error(`Cannot rename ${key}: ${target} is also in the package`)
+    }
+    planned.set(target, source)
+
+    if (installed && installed.source === source) {
+      result.unchanged.push(key)
+      return
+    }
+    steps.push({ entry, name, source, overwrite: action === 'overwrite' ? conflict.existing : null })
+  })
+
+  steps.forEach(({ entry, name, source, overwrite }) => {
+    if (overwrite) {
+      manager.removeModule(overwrite.name, overwrite.version)
+    }
+
+    const module = manager.registerModule(name, source, {
+      version: entry.version,
+      description: typeof entry.description === 'string' ? entry.description : '',
+      // A clashing id is replaced unless the clashing module was overwritten
+      id: entry.id
+    })
+    result.imported.push(`${module.name}@${module.version}`)
+  })
+
+  return result
+}
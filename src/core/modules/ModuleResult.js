@@ -0,0 +1,128 @@
+/**
+ * ModuleResult - Turns module build output into collection objects
+ * A build may return one object, an array of objects or { objects: [...] }.
+ * Objects with `children` become groups, everything else becomes a path;
+ * missing fields get the same defaults as objects created in the editor.
+ */
+
+import { isObject } from '../../utils/validation.js'
+
+let idCounter = 0
+
+/**
+ * Nested objects never pass through CollectionManager.add, so ids are generated here.
+ * @private
+ */
+function generateId() {
+  idCounter++
+  return `obj_${Date.now()}_${idCounter}_${Math.random().toString(36).substr(2, 5)}`
+}
+
+function toPoint(value, fallback) {
+  return {
+    x: Number.isFinite(value?.x) ? value.x : fallback.x,
+    y: Number.isFinite(value?.y) ? value.y : fallback.y
+  }
+}
+
+function toVector(value) {
+  return {
+    x: Number.isFinite(value?.x) ? value.x : 0,
+    y: Number.isFinite(value?.y) ? value.y : 0,
+    z: Number.isFinite(value?.z) ? value.z : 0
+  }
+}
+
+/**
+ * A number scales x and y alike.
+ * @private
+ */
+function toScale(value) {
+  if (Number.isFinite(value)) {
+    return { x: value, y: value, z: 1 }
+  }
+  return {
+    x: Number.isFinite(value?.x) ? value.x : 1,
+    y: Number.isFinite(value?.y) ? value.y : 1,
+    z: Number.isFinite(value?.z) ? value.z : 1
+  }
+}
+
+function toNode(node) {
+  const anchor = {
+    x: Number.isFinite(node.x) ? node.x : 0,
+    y: Number.isFinite(node.y) ? node.y : 0
+  }
+  const normalized = {
+    ...anchor,
+    // Missing control points make a straight segment
+    start: toPoint(node.start, anchor),
+    end: toPoint(node.end, anchor)
+  }
+  if (Number.isFinite(node.z)) {
+    normalized.z = node.z
+  }
+  if (isObject(node.metadata)) {
+    normalized.metadata = { ...node.metadata }
+  }
+  return normalized
+}
+
+function toObject(item, name) {
+  const base = {
+    id: generateId(),
+    name: typeof item.name === 'string' && item.name ? item.name : name,
+    label: typeof item.label === 'string' && item.label ? item.label : (item.name || name),
+    offset: toVector(item.offset),
+    rotate: toVector(item.rotate)
+  }
+  if (item.scale !== undefined) {
+    base.scale = toScale(item.scale)
+  }
+
+  if (Array.isArray(item.children)) {
+    return {
+      ...item,
+      ...base,
+      type: 'group',
+      svg_element: 'g',
+      children: item.children
+        .filter(isObject)
+        .map((child, index) => toObject(child, `${base.name} ${index + 1}`))
+    }
+  }
+
+  return {
+    fill: '#ffffff',
+    stroke: '#000000',
+    strokeWidth: 1,
+    opacity: 1,
+    closed: false,
+    ...item,
+    ...base,
+    type: 'object',
+    svg_element: 'path',
+    nodes: Array.isArray(item.nodes) ? item.nodes.filter(isObject).map(toNode) : []
+  }
+}
+
+/**
+ * Convert a build result into collection objects with fresh ids.
+ * @param {*} result - Value returned by the module's build function
+ * @param {string} name - Base name for unnamed objects
+ * @returns {object[]} Objects ready for CollectionManager
+ */
+export function moduleResultToObjects(result, name = 'Module') {
+  let items = []
+  if (Array.isArray(result)) {
+    items = result
+  } else if (isObject(result) && Array.isArray(result.objects)) {
+    items = result.objects
+  } else if (isObject(result)) {
+    items = [result]
+  }
+
+  return items
+    .filter(isObject)
+    .map((item, index) => toObject(item, `${name} ${index + 1}`))
+}
@@ -0,0 +1,280 @@
+/**
+ * ModuleSandbox - Runs module source in a Web Worker instead of the main thread
+ * Module code cannot reach window, the DOM, localStorage or the network.
+ * Requests are handled one at a time, each with a time budget; a module that
+ * exceeds it has its worker terminated, and the next request starts a fresh
+ * worker that recompiles modules on demand.
+ * A module may require other compiled modules; those are compiled first in
+ * every worker it runs in.
+ */
+
+export const DEFAULT_HELPERS = [
+  'degToRad',
+  'radToDeg',
+  'clamp',
+  'lerp',
+  'distance2D',
+  'distance3D',
+  'normalize2D',
+  'angle2D',
+  'round',
+  'cubicBezier',
+  'resolveEasing'
+]
+
+/**
+ * Error raised for anything that goes wrong inside the sandbox.
+ * code: 'compile' | 'runtime' | 'timeout' | 'invalid-result' | 'unavailable'
+ */
+export class ModuleSandboxError extends Error {
+  constructor(message, { code = 'runtime', moduleId = null, sandboxStack = null } = {}) {
+    super(message)
+    this.name = 'ModuleSandboxError'
+    this.code = code
+    this.moduleId = moduleId
+    this.sandboxStack = sandboxStack // Stack trace from inside the worker
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      moduleId: this.moduleId
+    }
+  }
+}
+
+export class ModuleSandbox {
+  /**
+   * Create a sandbox.
+   * @param {object} options
+   * @param {number} options.timeout - Time budget per compile/run in milliseconds
+   * @param {string[]} options.helpers - Helper names modules may use (see DEFAULT_HELPERS)
+   * @param {URL|string} options.workerUrl - Worker script (defaults to ModuleSandboxWorker.js)
+   */
+  constructor({
+    timeout = 1000,
+    helpers = DEFAULT_HELPERS,
+    workerUrl = new URL('./ModuleSandboxWorker.js', import.meta.url)
+  } = {}) {
+    this.timeout = timeout
+    this.helpers = [...helpers]
+    this.workerUrl = workerUrl
+    this.worker = null
+    this.workerReady = null // Resolves once the worker script has loaded
+    this.workerModules = new Set() // Module ids compiled in the current worker
+    this.sources = new Map() // moduleId -> source
+    this.dependencies = new Map() // moduleId -> { specifier: moduleId }
+    this.queue = Promise.resolve()
+    this.active = null // { id, resolve, reject, timer, moduleId }
+    this.rejectWorkerReady = null
+    this.nextRequestId = 1
+    this.nextModuleId = 1
+  }
+
+  /**
+   * Compile module source.
+   * @param {string} source - Module source code
+   * @param {object} options
+   * @param {object} options.dependencies - specifier -> module id returned by an earlier compile()
+   * @returns {Promise<{ id: string, parameters: object|null }>} Module id to pass to run() and declared parameters
+   */
+  compile(source, { dependencies = {} } = {}) {
+    if (typeof source !== 'string' || source.trim().length === 0) {
+      return Promise.reject(new Error('Module source must be a non-empty string'))
+    }
+
+    const moduleId = `sandbox_${this.nextModuleId++}`
+    this.sources.set(moduleId, source)
+    this.dependencies.set(moduleId, { ...dependencies })
+
+    return this._enqueue(async () => {
+      const { parameters } = await this._compileInWorker(moduleId)
+      return { id: moduleId, parameters }
+    }).catch((error) => {
+      this.sources.delete(moduleId)
+      this.dependencies.delete(moduleId)
+      throw error
+    })
+  }
+
+  /**
+   * Run a compiled module's build function.
+   * @param {string} moduleId - Id returned by compile()
+   * @param {object} config - Module configuration
+   * @param {object} state - Module state
+   * @param {object} options - Additional options
+   * @param {object} runOptions
+   * @param {number} runOptions.timeout - Override the time budget for this run
+   * @returns {Promise<*>} Structured-cloned build result
+   */
+  run(moduleId, config = {}, state = {}, options = {}, { timeout = this.timeout } = {}) {
+    if (!this.sources.has(moduleId)) {
+      return Promise.reject(new ModuleSandboxError(`Unknown module: ${moduleId}`, { code: 'unavailable', moduleId }))
+    }
+
+    return this._enqueue(async () => {
+      if (!this.workerModules.has(moduleId)) {
+        await this._compileInWorker(moduleId)
+      }
+      return this._request({ type: 'run', moduleId, config, state, options }, timeout)
+    })
+  }
+
+  /**
+   * Forget a compiled module.
+   * @param {string} moduleId
+   */
+  release(moduleId) {
+    if (!this.sources.delete(moduleId)) return
+    this.dependencies.delete(moduleId)
+    if (this.worker && this.workerModules.delete(moduleId)) {
+      this._enqueue(() => this._request({ type: 'release', moduleId }, this.timeout)).catch(() => {})
+    }
+  }
+
+  /**
+   * Stop the worker and forget every module.
+   */
+  terminate() {
+    this._killWorker(new ModuleSandboxError('Sandbox was terminated', { code: 'unavailable' }))
+    this.sources.clear()
+    this.dependencies.clear()
+  }
+
+  /**
+   * Run tasks one after another so each time budget only covers its own work.
+   * @private
+   */
+  _enqueue(task) {
+    const result = this.queue.then(task)
+    this.queue = result.catch(() => {})
+    return result
+  }
+
+  /**
+   * Compile a module, and any dependency the worker does not have yet.
+   * @private
+   */
+  async _compileInWorker(moduleId) {
+    const dependencies = this.dependencies.get(moduleId) || {}
+    for (const [specifier, dependencyId] of Object.entries(dependencies)) {
+      if (!this.sources.has(dependencyId)) {
+        throw new ModuleSandboxError(`Dependency "${specifier}" was released`, { code: 'unavailable', moduleId })
+      }
+      if (!this.workerModules.has(dependencyId)) {
+        await this._compileInWorker(dependencyId)
+      }
+    }
+
+    const result = await this._request({
+      type: 'compile',
+      moduleId,
+      source: this.sources.get(moduleId),
+      helpers: this.helpers,
+      dependencies
+    }, this.timeout)
+    this.workerModules.add(moduleId)
+    return result || {}
+  }
+
+  /**
+   * @private
+   */
+  _ensureWorker() {
+    if (this.worker) return this.workerReady
+
+    if (typeof Worker === 'undefined') {
+      return Promise.reject(new ModuleSandboxError('Web Workers are not available; modules cannot run', { code: 'unavailable' }))
+    }
+
+    const worker = new Worker(this.workerUrl, { type: 'module' })
+    this.worker = worker
+    this.workerReady = new Promise((resolve, reject) => {
+      this.rejectWorkerReady = reject
+      worker.addEventListener('message', (event) => {
+        if (event.data?.type === 'ready') {
+          this.rejectWorkerReady = null
+          resolve(worker)
+          return
+        }
+        this._handleMessage(event.data)
+      })
+    })
+    worker.addEventListener('error', (event) => {
+      event.preventDefault?.()
+      this._killWorker(new ModuleSandboxError(
+        `Sandbox worker failed: ${event.message || 'unknown error'}`,
+        { code: 'unavailable', moduleId: this.active?.moduleId || null }
+      ))
+    })
+    return this.workerReady
+  }
+
+  /**
+   * Send one message; the time budget starts once the worker is ready.
+   * @private
+   */
+  async _request(message, timeout) {
+    const worker = await this._ensureWorker()
+    return new Promise((resolve, reject) => {
+      const id = this.nextRequestId++
+      const timer = setTimeout(() => {
+        this._killWorker(new ModuleSandboxError(
+          `Module exceeded its time budget of ${timeout}ms`,
+          { code: 'timeout', moduleId: message.moduleId }
+        ))
+      }, timeout)
+
+      this.active = { id, resolve, reject, timer, moduleId: message.moduleId }
+      worker.postMessage({ ...message, id })
+    })
+  }
+
+  /**
+   * @private
+   */
+  _handleMessage(data) {
+    const active = this.active
+    if (!active || !data || data.id !== active.id) return
+
+    clearTimeout(active.timer)
+    this.active = null
+
+    if (data.ok) {
+      active.resolve(data.result)
+      return
+    }
+
+    const error = data.error || {}
+    active.reject(new ModuleSandboxError(
+      error.name && error.name !== 'Error' ? `${error.name}: ${error.message}` : error.message || 'Module failed',
+      { code: error.code || 'runtime', moduleId: active.moduleId, sandboxStack: error.stack || null }
+    ))
+  }
+
+  /**
+   * Terminate the worker and reject the request in flight.
+   * @private
+   */
+  _killWorker(error) {
+    if (this.worker) {
+      this.worker.terminate()
+      this.worker = null
+      this.workerReady = null
+    }
+    this.workerModules.clear()
+    if (this.rejectWorkerReady) {
+      this.rejectWorkerReady(error)
+      this.rejectWorkerReady = null
+    }
+
+    const active = this.active
+    this.active = null
+    if (active) {
+      clearTimeout(active.timer)
+      active.reject(error)
+    }
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * ModuleSandboxWorker - Compiles and runs module source inside a Web Worker
+ * Started by ModuleSandbox as a module worker. Network, storage and nested
+ * workers are removed from the worker scope before any module code runs, and
+ * modules only see the helpers whitelisted by the sandbox, plus
+ * helpers.require(specifier) for the dependencies the sandbox resolved.
+ *
+ * import() is syntax, not a global, so it cannot be removed. Sources that use
+ * the word import anywhere (code, strings or comments) are rejected at compile
+ * time, since a comment or line break between import and ( still makes a call.
+ * eval, the Function constructors and string timers are disabled so it cannot
+ * be assembled from strings at run time. This is a source check, not an
+ * isolation boundary: the worker runs with the page's Content-Security-Policy,
+ * so deployments should set a script-src that allows no other origins.
+ *
+ * Messages in:  { id, type: 'compile', moduleId, source, helpers, dependencies }
+ *               { id, type: 'run', moduleId, config, state, options }
+ *               { id, type: 'release', moduleId }
+ * Messages out: { type: 'ready' } once loaded, then per request
+ *               { id, ok: true, result } | { id, ok: false, error: { code, name, message, stack } }
+ */
+
+import * as math from '../../utils/math.js'
+import { cubicBezier, resolveEasing } from '../animation/Easing.js'
+import { applySchema, normalizeSchema } from './ModuleSchema.js'
+
+const AVAILABLE_HELPERS = {
+  ...math,
+  cubicBezier,
+  resolveEasing
+}
+
+const BLOCKED_GLOBALS = [
+  'fetch',
+  'XMLHttpRequest',
+  'WebSocket',
+  'WebTransport',
+  'EventSource',
+  'BroadcastChannel',
+  'importScripts',
+  'indexedDB',
+  'caches',
+  'Worker',
+  'SharedWorker',
+  'postMessage',
+  'eval',
+  'Function'
+]
+
+// Any import token: import() loads code from any origin the page allows, and
+// comments or line breaks may sit between the keyword and its parenthesis
+const IMPORT_KEYWORD = /(^|[^\w$])import(?![\w$])/
+
+const post = self.postMessage.bind(self)
+const createFunction = Function
+const modules = new Map() // moduleId -> { build, exported }
+
+BLOCKED_GLOBALS.forEach(name => {
+  try {
+    Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false })
+  } catch (error) {
+    // Not present in this browser
+  }
+})
+
+// Every function's constructor compiles strings, like the Function global
+function blockedConstructor() {
+  throw new Error('Creating functions from strings is not allowed in modules')
+}
+;[function () {}, async function () {}, function * () {}, async function * () {}].forEach(fn => {
+  Object.defineProperty(Object.getPrototypeOf(fn), 'constructor', { value: blockedConstructor, writable: false, configurable: false })
+})
+
+;['setTimeout', 'setInterval'].forEach(name => {
+  const timer = self[name].bind(self)
+  Object.defineProperty(self, name, {
+    value: (handler, ...args) => {
+      if (typeof handler !== 'function') {
+        throw new Error(`${name}() only accepts a function in modules`)
+      }
+      return timer(handler, ...args)
+    },
+    writable: false,
+    configurable: false
+  })
+})
+
+/**
+ * @param {Error|*} error
+ * @param {string} code - Failure stage
+ * @returns {{code: string, name: string, message: string, stack: string|null}}
+ */
+function toErrorInfo(error, code) {
+  return {
+    code,
+    name: error?.name || 'Error',
+    message: error?.message || String(error),
+    stack: typeof error?.stack === 'string' ? error.stack : null
+  }
+}
+
+/**
+ * require() for one module: only its resolved dependencies are reachable.
+ * @param {object} dependencies - specifier -> moduleId
+ */
+function createRequire(dependencies = {}) {
+  return (specifier) => {
+    const entry = modules.get(dependencies[specifier])
+    if (!entry) {
+      throw new Error(`"${specifier}" is not a dependency of this module (require() needs a string literal)`)
+    }
+    return entry.exported
+  }
+}
+
+/**
+ * A required module's build with its parameter defaults applied, as for top-level runs.
+ */
+function exportBuild(build, parameters) {
+  let schema = null
+  const exported = (origin = { x: 0, y: 0, z: 0 }, config = {}, state = {}, options = {}) => {
+    schema = schema || normalizeSchema(parameters)
+    return build(origin, applySchema(schema, config), state, options)
+  }
+  exported.parameters = parameters
+  return Object.freeze(exported)
+}
+
+function pickHelpers(names = [], dependencies = {}) {
+  const helpers = {}
+  names.forEach(name => {
+    if (typeof AVAILABLE_HELPERS[name] === 'function') {
+      helpers[name] = AVAILABLE_HELPERS[name]
+    }
+  })
+  helpers.require = createRequire(dependencies)
+  return Object.freeze(helpers)
+}
+
+function compile({ moduleId, source, helpers: helperNames, dependencies }) {
+  if (IMPORT_KEYWORD.test(source)) {
+    throw new Error('Modules cannot use "import", even in strings or comments; declare dependencies with helpers.require()')
+  }
+
+  const helpers = pickHelpers(helperNames, dependencies)
+  const wrappedSource = `return (function ModuleFactory(helpers) {\n${source}\n})(helpers)`
+
+  // eslint-disable-next-line no-new-func
+  const factory = createFunction('helpers', wrappedSource)(helpers)
+  if (typeof factory !== 'function') {
+    throw new Error('Module source did not return a factory function')
+  }
+
+  const build = factory(helpers)
+  if (typeof build !== 'function') {
+    throw new Error('Module factory did not return a build function')
+  }
+
+  // Modules declare their parameters as a plain object on the build (or factory) function
+  const parameters = build.parameters ?? factory.parameters ?? null
+  modules.set(moduleId, { build, exported: exportBuild(build, parameters) })
+  return { parameters }
+}
+
+function run({ moduleId, config = {}, state = {}, options = {} }) {
+  const entry = modules.get(moduleId)
+  if (!entry) {
+    throw new Error(`Module ${moduleId} is not compiled`)
+  }
+  return entry.build({ x: 0, y: 0, z: 0 }, config, state, options)
+}
+
+function reply(id, result) {
+  try {
+    post({ id, ok: true, result })
+  } catch (error) {
+    // Functions, DOM nodes and similar cannot leave the worker
+    post({
+      id,
+      ok: false,
+      error: toErrorInfo(new Error(`Module result could not be transferred: ${error.message}`), 'invalid-result')
+    })
+  }
+}
+
+self.addEventListener('message', async (event) => {
+  const message = event.data || {}
+
+  if (message.type === 'release') {
+    modules.delete(message.moduleId)
+    reply(message.id, true)
+    return
+  }
+
+  const code = message.type === 'compile' ? 'compile' : 'runtime'
+  try {
+    if (message.type === 'compile') {
+      reply(message.id, compile(message))
+    } else if (message.type === 'run') {
+      // Builds may be async; the sandbox time budget still applies
+      reply(message.id, await run(message))
+    } else {
+      throw new Error(`Unknown sandbox message: ${message.type}`)
+    }
+  } catch (error) {
+    post({ id: message.id, ok: false, error: toErrorInfo(error, code) })
+  }
+})
+
+post({ type: 'ready' })
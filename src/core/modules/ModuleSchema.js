@@ -0,0 +1,238 @@
+/**
+ * ModuleSchema - Parameter schemas for modules
+ * A module declares its parameters on the build function:
+ *
+ *   build.parameters = {
+ *     count: { type: 'integer', default: 5, min: 1, max: 20 },
+ *     tint: { type: 'color', default: '#ff8800' },
+ *     mode: { type: 'enum', options: ['wave', 'spin'], default: 'wave' },
+ *     center: { type: 'vector2', default: { x: 0, y: 0 } },
+ *     label: { type: 'string', required: true }
+ *   }
+ *
+ * ModuleLoader checks config against the schema and fills defaults before build runs.
+ */
+
+import {
+  isInteger,
+  isNumber,
+  isObject,
+  isString,
+  validateRange,
+  validateRequired
+} from '../../utils/validation.js'
+
+export const PARAMETER_TYPES = ['number', 'integer', 'boolean', 'string', 'color', 'enum', 'vector2', 'vector3']
+
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/
+const VECTOR_AXES = {
+  vector2: ['x', 'y'],
+  vector3: ['x', 'y', 'z']
+}
+
+/**
+ * Error for an invalid schema ('invalid-schema') or config ('invalid-config').
+ * errors lists every problem as { key, message }.
+ */
+export class ModuleSchemaError extends Error {
+  constructor(message, { code = 'invalid-config', errors = [] } = {}) {
+    super(message)
+    this.name = 'ModuleSchemaError'
+    this.code = code
+    this.errors = errors
+  }
+}
+
+/**
+ * Describe the allowed range, e.g. "between 1 and 20" or "at least 0".
+ * @private
+ */
+function describeRange(parameter) {
+  const hasMin = isNumber(parameter.min)
+  const hasMax = isNumber(parameter.max)
+  if (hasMin && hasMax) return `between ${parameter.min} and ${parameter.max}`
+  if (hasMin) return `at least ${parameter.min}`
+  return `at most ${parameter.max}`
+}
+
+/**
+ * @private
+ */
+function checkRange(parameter, value) {
+  const min = isNumber(parameter.min) ? parameter.min : -Infinity
+  const max = isNumber(parameter.max) ? parameter.max : Infinity
+  return validateRange(value, min, max)
+}
+
+/**
+ * @private
+ */
+function formatValue(value) {
+  try {
+    return JSON.stringify(value) ?? String(value)
+  } catch (error) {
+    return String(value)
+  }
+}
+
+/**
+ * Check one value against its parameter definition.
+ * @param {object} parameter - Normalized parameter definition
+ * @param {*} value - Value to check
+ * @param {string} key - Parameter name (for the message)
+ * @returns {string|null} Readable problem or null if the value is valid
+ */
+export function checkParameterValue(parameter, value, key) {
+  const name = `"${key}"`
+  const got = ` (got ${formatValue(value)})`
+
+  switch (parameter.type) {
+    case 'number':
+    case 'integer': {
+      const valid = parameter.type === 'integer' ? isInteger(value) : isNumber(value)
+      if (!valid) return `${name} must be ${parameter.type === 'integer' ? 'a whole number' : 'a number'}${got}`
+      if (!checkRange(parameter, value)) return `${name} must be ${describeRange(parameter)}${got}`
+      return null
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${name} must be true or false${got}`
+    case 'string':
+      return isString(value) ? null : `${name} must be text${got}`
+    case 'color':
+      return isString(value) && (COLOR_PATTERN.test(value) || value === 'none')
+        ? null
+        : `${name} must be a color like #ff8800 or "none"${got}`
+    case 'enum':
+      return parameter.options.includes(value)
+        ? null
+        : `${name} must be one of ${parameter.options.map(formatValue).join(', ')}${got}`
+    case 'vector2':
+    case 'vector3': {
+      const axes = VECTOR_AXES[parameter.type]
+      const { valid } = validateRequired(value, axes)
+      if (!valid || axes.some(axis => !isNumber(value[axis]))) {
+        return `${name} must be a vector { ${axes.join(', ')} } of numbers${got}`
+      }
+      const outOfRange = axes.find(axis => !checkRange(parameter, value[axis]))
+      if (outOfRange) {
+        return `"${key}.${outOfRange}" must be ${describeRange(parameter)} (got ${formatValue(value[outOfRange])})`
+      }
+      return null
+    }
+    default:
+      return `${name} has unknown type "${parameter.type}"`
+  }
+}
+
+/**
+ * Validate a declared schema and return a normalized copy.
+ * @param {object|null} parameters - Parameters as declared by the module
+ * @returns {object} Schema (empty when the module declares none)
+ * @throws {ModuleSchemaError} When the declaration itself is invalid
+ */
+export function normalizeSchema(parameters) {
+  if (parameters === null || parameters === undefined) return {}
+  if (!isObject(parameters)) {
+    throw new ModuleSchemaError('Module parameters must be an object of parameter definitions', { code: 'invalid-schema' })
+  }
+
+  const errors = []
+  const schema = {}
+
+  Object.entries(parameters).forEach(([key, definition]) => {
+    if (!isObject(definition)) {
+      errors.push({ key, message: `"${key}" must be a parameter definition object` })
+      return
+    }
+
+    const parameter = { ...definition, type: definition.type || 'number' }
+    if (!PARAMETER_TYPES.includes(parameter.type)) {
+      errors.push({ key, message: `"${key}" has unknown type "${parameter.type}" (use ${PARAMETER_TYPES.join(', ')})` })
+      return
+    }
+    if (parameter.type === 'enum' && (!Array.isArray(parameter.options) || parameter.options.length === 0)) {
+      errors.push({ key, message: `"${key}" is an enum and needs a non-empty options list` })
+      return
+    }
+    if (isNumber(parameter.min) && isNumber(parameter.max) && parameter.min > parameter.max) {
+      errors.push({ key, message: `"${key}" has min greater than max` })
+      return
+    }
+    if (parameter.default !== undefined) {
+      const problem = checkParameterValue(parameter, parameter.default, key)
+      if (problem) {
+        errors.push({ key, message: `default of ${problem}` })
+        return
+      }
+    }
+
+    schema[key] = parameter
+  })
+
+  if (errors.length > 0) {
+    throw new ModuleSchemaError(
+      `Invalid module parameters: ${errors.map(error => error.message).join('; ')}`,
+      { code: 'invalid-schema', errors }
+    )
+  }
+
+  return schema
+}
+
+/**
+ * Default values declared by a schema.
+ * @param {object} schema - Normalized schema
+ * @returns {object} Config with every declared default
+ */
+export function getDefaultConfig(schema = {}) {
+  const config = {}
+  Object.entries(schema).forEach(([key, parameter]) => {
+    if (parameter.default !== undefined) {
+      config[key] = JSON.parse(JSON.stringify(parameter.default))
+    }
+  })
+  return config
+}
+
+/**
+ * Validate config against a schema and fill in defaults.
+ * Keys the schema does not declare are passed through unchanged.
+ * @param {object} schema - Normalized schema
+ * @param {object} config - Config supplied by the caller
+ * @returns {object} Config ready for build
+ * @throws {ModuleSchemaError} Listing every invalid or missing value
+ */
+export function applySchema(schema = {}, config = {}) {
+  if (!isObject(config)) {
+    throw new ModuleSchemaError('Module config must be an object')
+  }
+
+  const result = { ...config }
+  Object.entries(getDefaultConfig(schema)).forEach(([key, value]) => {
+    if (result[key] === undefined) {
+      result[key] = value
+    }
+  })
+  const errors = []
+
+  const required = Object.keys(schema).filter(key => schema[key].required && schema[key].default === undefined)
+  const { missing } = validateRequired(config, required)
+  missing.forEach(key => errors.push({ key, message: `"${key}" is required` }))
+
+  Object.entries(schema).forEach(([key, parameter]) => {
+    if (config[key] === undefined) return
+    const problem = checkParameterValue(parameter, config[key], key)
+    if (problem) {
+      errors.push({ key, message: problem })
+    }
+  })
+
+  if (errors.length > 0) {
+    throw new ModuleSchemaError(
+      `Invalid module config: ${errors.map(error => error.message).join('; ')}`,
+      { code: 'invalid-config', errors }
+    )
+  }
+
+  return result
+}
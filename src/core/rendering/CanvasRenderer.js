@@ -1,9 +1,41 @@
 /**
  * Canvas Renderer - Renders objects on HTML5 Canvas
- * Extends RenderEngine to provide canvas-based rendering.
+ * Extends RenderEngine to provide canvas-based rendering, an alternative to
+ * SVGRenderer for large scenes where thousands of SVG elements get slow.
+ * Objects are projected like in SVGRenderer: offset, rotation and scale
+ * compose down through parent groups, and camera pan/zoom and the viewBox
+ * are context transforms.
+ *
+ * A frame is built as a display list of Path2D items (shapes, selection
+ * outlines, control handles) painted to the visible canvas. Hit-testing
+ * paints the same paths into an offscreen pick buffer, each pickable item
+ * in its own colour, and reads back the pixel under the pointer. The buffer
+ * is only redrawn when a hit-test follows a new frame.
  */
 
 import { RenderEngine } from './RenderEngine.js'
+import { getObjectPivot, getStrokeScale, isGroup } from './Projection.js'
+import DEFAULT_CONFIG from '../../app/config.js'
+
+// Cursor shown over each kind of pick target, as SVGRenderer styles its elements
+const HANDLE_CURSORS = {
+  origin: 'move',
+  anchor: 'move',
+  start: 'pointer',
+  end: 'pointer',
+  rotate: 'grab',
+  scale: 'nwse-resize'
+}
+
+// Thinnest stroke, in screen pixels, the pick buffer draws so hairlines stay clickable
+const PICK_MIN_STROKE_WIDTH = 4
+
+/**
+ * @private
+ */
+function isPaint(value) {
+  return Boolean(value) && value !== 'none' && value !== 'transparent'
+}
 
 export class CanvasRenderer extends RenderEngine {
   /**
@@ -15,6 +47,12 @@ export class CanvasRenderer extends RenderEngine {
     super(container, options)
     this.canvas = null
     this.ctx = null
+    this.pickCanvas = null
+    this.pickCtx = null
+    this.pickDirty = true
+    this.pickTargets = new Map() // colour key -> pick target
+    this.displayList = []
+    this.marquee = null
   }
 
   /**
@@ -26,18 +64,51 @@ export class CanvasRenderer extends RenderEngine {
     this.canvas.width = this.options.width
     this.canvas.height = this.options.height
     this.canvas.style.display = 'block'
-    
+    this.canvas.style.width = '100%'
+    this.canvas.style.height = '100%'
+
     // Get 2D context
     this.ctx = this.canvas.getContext('2d')
     if (!this.ctx) {
       throw new Error('Could not get 2D rendering context')
     }
-    
-    // Clear container and append canvas
-    this.container.innerHTML = ''
+
+    // Offscreen buffer for hit-testing, one pixel per CSS pixel
+    this.pickCanvas = document.createElement('canvas')
+    this.pickCtx = this.pickCanvas.getContext('2d', { willReadFrequently: true })
+
+    this.canvas.addEventListener('mousemove', (event) => this._updateCursor(event))
+
+    // Shares the stage container with the SVG renderer, so it is appended, not swapped in
     this.container.appendChild(this.canvas)
   }
 
+  /**
+   * @returns {HTMLCanvasElement|null}
+   */
+  getElement() {
+    return this.canvas
+  }
+
+  /**
+   * @protected
+   */
+  _applyViewBox() {
+    this._requestRedraw()
+  }
+
+  /**
+   * Redraw the latest scene, e.g. after the viewBox or marquee changed.
+   * @private
+   */
+  _requestRedraw() {
+    const scene = this.pendingScene || this.lastScene
+    // Only while active: a stopped renderer redraws when it is next asked to
+    if (this.canvas && scene && this.isRendering) {
+      this.requestRender(scene)
+    }
+  }
+
   /**
    * Render scene to canvas.
    * @param {object} scene - Scene data with objects array
@@ -46,153 +117,595 @@ export class CanvasRenderer extends RenderEngine {
     if (!this.canvas || !this.ctx) {
       this.init()
     }
-    
-    // Clear canvas
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
-    
-    if (!scene || !scene.objects || !Array.isArray(scene.objects)) {
-      return
+
+    this.lastScene = scene
+    this.displayList = []
+    this.pickDirty = true
+
+    if (scene && Array.isArray(scene.objects)) {
+      this._buildDisplayList(scene)
     }
-    
-    // Save context state
-    this.ctx.save()
-    
-    // Apply camera transform
-    const camera = scene.camera || { x: 0, y: 0, z: 200 }
-    const scale = camera.z ? 200 / camera.z : 1
-    this.ctx.translate(camera.x || 0, camera.y || 0)
-    this.ctx.scale(scale, scale)
-    
-    // Render each object
-    scene.objects.forEach(obj => {
-      this._renderObject(obj)
+
+    const ratio = this._syncCanvasSize(this.canvas, window.devicePixelRatio || 1)
+    const ctx = this.ctx
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
+
+    ctx.save()
+    this._applyViewTransform(ctx, ratio)
+    ctx.save()
+    this._applyCameraTransform(ctx, scene?.camera)
+    this.displayList.forEach(item => this._paintItem(ctx, item))
+    ctx.restore()
+
+    // The marquee is in viewBox coordinates, outside the camera transform
+    if (this.marquee) {
+      const zoomScale = this._getZoomScale()
+      const path = new Path2D()
+      path.rect(
+        Math.min(this.marquee.x, this.marquee.x + this.marquee.width),
+        Math.min(this.marquee.y, this.marquee.y + this.marquee.height),
+        Math.abs(this.marquee.width),
+        Math.abs(this.marquee.height)
+      )
+      this._paintItem(ctx, {
+        path,
+        fill: 'rgba(59, 130, 246, 0.12)',
+        stroke: '#3b82f6',
+        lineWidth: 1 / zoomScale
+      })
+    }
+    ctx.restore()
+  }
+
+  /**
+   * Collect the items of a frame, back to front: objects, then controls.
+   * @param {object} scene
+   * @private
+   */
+  _buildDisplayList(scene) {
+    const selectedId = scene.selectedId || null
+    const selectedIds = new Set(scene.selectedIds || (selectedId ? [selectedId] : []))
+    const activeHandle = scene.activeHandle || null
+
+    this.projection.setCamera(scene.camera || { x: 0, y: 0, z: 200 })
+
+    this._sortByDepth(scene.objects).forEach(obj => {
+      this._addObject(obj, [], selectedIds)
     })
-    
-    // Restore context state
-    this.ctx.restore()
+
+    if (!this.showControls) return
+
+    // Several selected objects share one bounding box instead of per-object handles
+    if (selectedIds.size > 1) {
+      this._addSelectionBounds(scene.objects, selectedIds)
+      return
+    }
+
+    if (selectedId) {
+      const found = this._findObjectAndParents(scene.objects, selectedId)
+      if (found) {
+        this._addControls(found.object, found.parents, activeHandle)
+      }
+    }
   }
 
   /**
-   * Render a single object.
+   * Add an object, or a group's children, to the display list.
    * @param {object} obj - Object to render
+   * @param {Array} parents - Parent groups, outermost first
+   * @param {Set<string>} selectedIds - Objects drawn with a selection outline
    * @private
    */
-  _renderObject(obj) {
-    if (!obj || !obj.nodes || !Array.isArray(obj.nodes)) {
+  _addObject(obj, parents, selectedIds) {
+    if (!obj) {
+      return
+    }
+
+    if (isGroup(obj)) {
+      const children = obj.children || []
+      const childParents = [...parents, obj]
+
+      // Invisible area under the children for clicking and dragging the group
+      const bounds = children.length > 0 && this._calculateGroupBounds(obj, parents)
+      if (bounds) {
+        const path = new Path2D()
+        path.rect(bounds.minX - 10, bounds.minY - 10, bounds.width + 20, bounds.height + 20)
+        this.displayList.push({
+          path,
+          pickOnly: true,
+          target: { objectId: String(obj.id), handleType: 'origin', index: 0, isHandle: true }
+        })
+      }
+
+      this._sortByDepth(children, childParents).forEach(child => {
+        this._addObject(child, childParents, selectedIds)
+      })
+      return
+    }
+
+    // Regular objects need nodes
+    if (!obj.nodes || !Array.isArray(obj.nodes)) {
       return
     }
-    
-    this.ctx.save()
-    
-    // Apply object transform
-    if (obj.offset) {
-      this.ctx.translate(obj.offset.x || 0, obj.offset.y || 0)
-    }
-    
-    if (obj.rotate) {
-      const angle = obj.rotate.z || 0
-      this.ctx.rotate(angle)
-    }
-    
-    // Set styles
-    this.ctx.fillStyle = obj.fill || 'transparent'
-    this.ctx.strokeStyle = obj.stroke || '#000'
-    this.ctx.lineWidth = obj.strokeWidth || 1
-    this.ctx.globalAlpha = obj.opacity !== undefined ? obj.opacity : 1
-    
-    // Render based on type
+
+    const matrix = this.projection.getViewMatrix(obj, parents)
+    const lineScale = getStrokeScale(obj, parents)
+    let shape = null
     if (obj.svg_element === 'path' && obj.nodes.length >= 2) {
-      this._renderPath(obj)
+      shape = this._tracePath(obj, matrix, lineScale)
     } else if (obj.svg_element === 'circle') {
-      this._renderCircle(obj)
+      shape = this._traceCircle(obj, matrix, lineScale)
     } else if (obj.svg_element === 'rect') {
-      this._renderRect(obj)
+      shape = this._traceRect(obj, matrix, lineScale)
+    }
+    if (!shape) return
+
+    const fill = obj.fill || 'none'
+    const opacity = obj.opacity !== undefined ? obj.opacity : 1
+    // Filled paths drag by their origin, like the SVG renderer's data-type="origin" paths
+    const isDraggableFill = obj.svg_element === 'path' &&
+      fill.toLowerCase() !== 'none' && fill.toLowerCase() !== 'transparent' && opacity !== 0
+    const lineWidth = (obj.strokeWidth || 1) * shape.depthScale
+
+    this.displayList.push({
+      path: shape.path,
+      fill,
+      stroke: obj.stroke || '#000',
+      lineWidth,
+      opacity,
+      target: isDraggableFill
+        ? { objectId: String(obj.id), handleType: 'origin', index: 0, isHandle: true }
+        : { objectId: String(obj.id), handleType: null, index: 0, isHandle: false }
+    })
+
+    if (selectedIds.has(obj.id)) {
+      this.displayList.push({
+        path: shape.path,
+        fill: 'none',
+        stroke: '#3b82f6',
+        lineWidth: lineWidth + 2,
+        opacity: 0.45
+      })
     }
-    
-    this.ctx.restore()
   }
 
   /**
-   * Render object as path.
+   * Trace a path object through its projected nodes.
    * @param {object} obj - Object with nodes
+   * @param {number[]} matrix - View matrix for the object
+   * @param {number} lineScale - Stroke scale from the object's and its parents' scale
+   * @returns {{path: Path2D, depthScale: number}|null}
    * @private
    */
-  _renderPath(obj) {
+  _tracePath(obj, matrix, lineScale = 1) {
     const nodes = obj.nodes || []
-    if (nodes.length === 0) return
-    
-    this.ctx.beginPath()
-    
-    // Move to first point
-    const first = nodes[0]
-    this.ctx.moveTo(first.x, first.y)
-    
-    // Draw lines or curves
-    for (let i = 1; i < nodes.length; i++) {
-      const node = nodes[i]
-      
-      if (node.start && node.end) {
-        // Bezier curve
-        this.ctx.bezierCurveTo(
-          node.start.x, node.start.y,
-          node.end.x, node.end.y,
-          node.x, node.y
-        )
+    if (nodes.length === 0) return null
+
+    // Control points are projected like anchors (exact for affine transforms,
+    // a close approximation under perspective)
+    const project = (point) => this._project(matrix, point)
+    const hasPoint = (point) => point && typeof point.x === 'number' && typeof point.y === 'number'
+    const path = new Path2D()
+    // Curve from a's outgoing control to b's incoming one, as in SVGRenderer
+    const segment = (a, b) => {
+      const point = project(b)
+      if (hasPoint(a.end) || hasPoint(b.start)) {
+        const aEnd = project({ ...a, ...(a.end || {}) })
+        const bStart = project({ ...b, ...(b.start || {}) })
+        path.bezierCurveTo(aEnd.x, aEnd.y, bStart.x, bStart.y, point.x, point.y)
       } else {
-        // Straight line
-        this.ctx.lineTo(node.x, node.y)
+        path.lineTo(point.x, point.y)
       }
     }
-    
+
+    const first = project(nodes[0])
+    path.moveTo(first.x, first.y)
+    for (let i = 1; i < nodes.length; i++) {
+      if (nodes[i - 1] && nodes[i]) {
+        segment(nodes[i - 1], nodes[i])
+      }
+    }
+
     // Close path if needed
     if (obj.closed !== false && nodes.length > 2) {
-      this.ctx.closePath()
-    }
-    
-    // Fill and stroke
-    if (obj.fill && obj.fill !== 'none' && obj.fill !== 'transparent') {
-      this.ctx.fill()
-    }
-    if (obj.stroke && obj.stroke !== 'none') {
-      this.ctx.stroke()
+      segment(nodes[nodes.length - 1], nodes[0])
+      path.closePath()
     }
+
+    return { path, depthScale: project(getObjectPivot(obj)).scale * lineScale }
   }
 
   /**
-   * Render object as circle.
+   * Trace a circle object.
    * @param {object} obj - Object data
+   * @param {number[]} matrix - View matrix for the object
+   * @param {number} lineScale - Radius and stroke scale from the object's and its parents' scale
+   * @returns {{path: Path2D, depthScale: number}}
    * @private
    */
-  _renderCircle(obj) {
-    const center = obj.nodes && obj.nodes[0] ? obj.nodes[0] : { x: 0, y: 0 }
-    const radius = obj.radius || 10
-    
-    this.ctx.beginPath()
-    this.ctx.arc(center.x, center.y, radius, 0, Math.PI * 2)
-    
-    if (obj.fill && obj.fill !== 'none' && obj.fill !== 'transparent') {
-      this.ctx.fill()
-    }
-    if (obj.stroke && obj.stroke !== 'none') {
-      this.ctx.stroke()
-    }
+  _traceCircle(obj, matrix, lineScale = 1) {
+    const center = this._project(matrix, obj.nodes && obj.nodes[0] ? obj.nodes[0] : { x: 0, y: 0 })
+    const radius = (obj.radius || 10) * center.scale * lineScale
+    const path = new Path2D()
+    path.arc(center.x, center.y, radius, 0, Math.PI * 2)
+    return { path, depthScale: center.scale * lineScale }
   }
 
   /**
-   * Render object as rect.
+   * Trace a rect object as a projected quad (rotation may skew it).
    * @param {object} obj - Object data
+   * @param {number[]} matrix - View matrix for the object
+   * @param {number} lineScale - Stroke scale from the object's and its parents' scale
+   * @returns {{path: Path2D, depthScale: number}}
    * @private
    */
-  _renderRect(obj) {
+  _traceRect(obj, matrix, lineScale = 1) {
     const first = obj.nodes && obj.nodes[0] ? obj.nodes[0] : { x: 0, y: 0 }
     const width = obj.width || 10
     const height = obj.height || 10
-    
-    this.ctx.fillRect(first.x - width / 2, first.y - height / 2, width, height)
-    
-    if (obj.stroke && obj.stroke !== 'none') {
-      this.ctx.strokeRect(first.x - width / 2, first.y - height / 2, width, height)
+    const z = first.z || 0
+
+    const corners = [
+      { x: first.x - width / 2, y: first.y - height / 2, z },
+      { x: first.x + width / 2, y: first.y - height / 2, z },
+      { x: first.x + width / 2, y: first.y + height / 2, z },
+      { x: first.x - width / 2, y: first.y + height / 2, z }
+    ].map(corner => this._project(matrix, corner))
+
+    const path = new Path2D()
+    corners.forEach((corner, index) => {
+      if (index === 0) {
+        path.moveTo(corner.x, corner.y)
+      } else {
+        path.lineTo(corner.x, corner.y)
+      }
+    })
+    path.closePath()
+    return { path, depthScale: this._project(matrix, first).scale * lineScale }
+  }
+
+  /**
+   * Add a dashed box around all selected objects.
+   * @param {Array} objects - Scene objects
+   * @param {Set<string>} selectedIds
+   * @private
+   */
+  _addSelectionBounds(objects, selectedIds) {
+    const bounds = this._calculateSelectionBounds(objects, selectedIds)
+    if (!bounds) return
+
+    const zoomScale = this._getZoomScale()
+    const controls = this.controlsConfig || DEFAULT_CONFIG.controls || {}
+    const padding = 5 / zoomScale
+    const dash = (controls.bboxDashSize || 5) / zoomScale
+
+    const path = new Path2D()
+    path.rect(
+      bounds.minX - padding,
+      bounds.minY - padding,
+      bounds.maxX - bounds.minX + padding * 2,
+      bounds.maxY - bounds.minY + padding * 2
+    )
+    this.displayList.push({
+      path,
+      fill: 'none',
+      stroke: '#3b82f6',
+      lineWidth: (controls.lineStrokeWidth || 1) / zoomScale,
+      dash: [dash, dash]
+    })
+  }
+
+  /**
+   * Add a round or square handle.
+   * @param {object} options
+   * @param {string} options.type - Handle type
+   * @param {number} options.index - Node index (0 for object handles)
+   * @param {object} options.obj - Object the handle belongs to
+   * @param {object} options.center - { x, y } in stage coordinates
+   * @param {number} options.radius - Radius (half the side for squares)
+   * @param {number} options.strokeWidth
+   * @param {string[]} options.colors - [fill, stroke, active fill, active stroke]
+   * @param {object|null} options.activeHandle
+   * @param {boolean} options.square
+   * @private
+   */
+  _addHandle({ type, index, obj, center, radius, strokeWidth, colors, activeHandle, square = false }) {
+    const isActive = this._isHandleActive(type, index, obj.id, activeHandle)
+    const size = isActive ? radius * 1.5 : radius
+    const path = new Path2D()
+    if (square) {
+      path.rect(center.x - size, center.y - size, size * 2, size * 2)
+    } else {
+      path.arc(center.x, center.y, size, 0, Math.PI * 2)
+    }
+    this.displayList.push({
+      path,
+      fill: isActive ? colors[2] : colors[0],
+      stroke: isActive ? colors[3] : colors[1],
+      lineWidth: isActive ? strokeWidth * 1.5 : strokeWidth,
+      target: { objectId: String(obj.id), handleType: type, index, isHandle: true }
+    })
+  }
+
+  /**
+   * Add a straight guide line (not pickable).
+   * @private
+   */
+  _addLine(from, to, { stroke, lineWidth, opacity = 1, dash = null }) {
+    const path = new Path2D()
+    path.moveTo(from.x, from.y)
+    path.lineTo(to.x, to.y)
+    this.displayList.push({ path, fill: 'none', stroke, lineWidth, opacity, dash })
+  }
+
+  /**
+   * Add control handles for an object at their projected positions, with
+   * the sizes and colours SVGRenderer uses.
+   * @param {object} obj - Object to render controls for
+   * @param {Array} parents - Parent groups, outermost first
+   * @param {object|null} activeHandle - Handle being dragged { type, index, objectId }
+   * @private
+   */
+  _addControls(obj, parents = [], activeHandle = null) {
+    const zoomScale = this._getZoomScale()
+    const controls = this.controlsConfig || DEFAULT_CONFIG.controls || {}
+
+    // Compensate control sizes based on zoom scale
+    const handleRadius = (controls.handleRadius || 4) / zoomScale
+    const originRadius = (controls.originRadius || 6) / zoomScale
+    const handleStrokeWidth = (controls.handleStrokeWidth || 1.5) / zoomScale
+    const originStrokeWidth = (controls.originStrokeWidth || 2) / zoomScale
+    const lineStrokeWidth = (controls.lineStrokeWidth || 1) / zoomScale
+    const lineDashSize = (controls.lineDashSize || 2) / zoomScale
+    const bboxDashSize = (controls.bboxDashSize || 5) / zoomScale
+
+    const matrix = this.projection.getViewMatrix(obj, parents)
+    const pivot = this._project(matrix, getObjectPivot(obj))
+    const originColors = ['#8b5cf6', '#7c3aed', '#7c3aed', '#6d28d9']
+    let bounds = null
+
+    if (isGroup(obj)) {
+      bounds = this._calculateGroupBounds(obj, parents)
+      if (!bounds) return
+
+      // Bounding box (draggable)
+      const padding = 5 / zoomScale
+      const path = new Path2D()
+      path.rect(bounds.minX - padding, bounds.minY - padding, bounds.width + padding * 2, bounds.height + padding * 2)
+      this.displayList.push({
+        path,
+        fill: 'rgba(59, 130, 246, 0.1)',
+        stroke: '#3b82f6',
+        lineWidth: originStrokeWidth,
+        opacity: 0.6,
+        dash: [bboxDashSize, bboxDashSize],
+        target: { objectId: String(obj.id), handleType: 'origin', index: 0, isHandle: true }
+      })
+    } else {
+      if (!Array.isArray(obj.nodes) || obj.nodes.length === 0) return
+
+      const guide = { stroke: '#94a3b8', lineWidth: lineStrokeWidth, opacity: 0.6, dash: [lineDashSize, lineDashSize] }
+      obj.nodes.forEach((node, i) => {
+        const point = this._project(matrix, node)
+        const start = this._project(matrix, { ...node, ...(node.start || {}) })
+        const end = this._project(matrix, { ...node, ...(node.end || {}) })
+        const handle = { index: i, obj, radius: handleRadius, strokeWidth: handleStrokeWidth, activeHandle }
+
+        this._addLine(point, start, guide)
+        this._addLine(point, end, guide)
+        this._addHandle({ ...handle, type: 'start', center: start, colors: ['#60a5fa', '#3b82f6', '#3b82f6', '#1d4ed8'] })
+        this._addHandle({ ...handle, type: 'end', center: end, colors: ['#60a5fa', '#3b82f6', '#3b82f6', '#1d4ed8'] })
+        this._addHandle({ ...handle, type: 'anchor', center: point, colors: ['#fbbf24', '#f59e0b', '#f59e0b', '#d97706'] })
+      })
+      bounds = this._calculateObjectBounds(obj, parents)
+    }
+
+    // Origin handle at the pivot
+    this._addHandle({
+      type: 'origin',
+      index: 0,
+      obj,
+      center: pivot,
+      radius: originRadius,
+      strokeWidth: originStrokeWidth,
+      colors: originColors,
+      activeHandle
+    })
+
+    if (!bounds) return
+
+    // Rotate handle on a stem above the bounds, scale handle at their bottom-right
+    const distance = (controls.rotateHandleDistance || 24) / zoomScale
+    const padding = 5 / zoomScale
+    const top = { x: (bounds.minX + bounds.maxX) / 2, y: bounds.minY - padding }
+    const knob = { x: top.x, y: top.y - distance }
+    this._addLine(top, knob, { stroke: '#10b981', lineWidth: lineStrokeWidth, opacity: 0.6 })
+    this._addHandle({
+      type: 'rotate',
+      index: 0,
+      obj,
+      center: knob,
+      radius: handleRadius,
+      strokeWidth: handleStrokeWidth,
+      colors: ['#34d399', '#10b981', '#059669', '#047857'],
+      activeHandle
+    })
+    this._addHandle({
+      type: 'scale',
+      index: 0,
+      obj,
+      center: { x: bounds.maxX + padding, y: bounds.maxY + padding },
+      radius: handleRadius,
+      strokeWidth: handleStrokeWidth,
+      colors: ['#f472b6', '#ec4899', '#db2777', '#be185d'],
+      activeHandle,
+      square: true
+    })
+  }
+
+  /**
+   * Paint one display list item.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} item
+   * @private
+   */
+  _paintItem(ctx, item) {
+    if (item.pickOnly) return
+    ctx.globalAlpha = item.opacity ?? 1
+    ctx.setLineDash(item.dash || [])
+    if (isPaint(item.fill)) {
+      ctx.fillStyle = item.fill
+      ctx.fill(item.path)
+    }
+    if (isPaint(item.stroke) && item.lineWidth > 0) {
+      ctx.strokeStyle = item.stroke
+      ctx.lineWidth = item.lineWidth
+      ctx.stroke(item.path)
+    }
+  }
+
+  /**
+   * Size a canvas's backing store to its displayed size.
+   * @param {HTMLCanvasElement} canvas
+   * @param {number} ratio - Device pixels per CSS pixel
+   * @returns {number} Backing pixels per CSS pixel
+   * @private
+   */
+  _syncCanvasSize(canvas, ratio) {
+    const cssWidth = this.canvas.clientWidth || this.options.width
+    const cssHeight = this.canvas.clientHeight || this.options.height
+    const width = Math.max(1, Math.round(cssWidth * ratio))
+    const height = Math.max(1, Math.round(cssHeight * ratio))
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width
+      canvas.height = height
     }
+    return width / cssWidth
+  }
+
+  /**
+   * Map viewBox coordinates onto the canvas, fitted and centered like an SVG
+   * with preserveAspectRatio="xMidYMid meet".
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} ratio - Backing pixels per CSS pixel
+   * @private
+   */
+  _applyViewTransform(ctx, ratio) {
+    const cssWidth = this.canvas.clientWidth || this.options.width
+    const cssHeight = this.canvas.clientHeight || this.options.height
+    const { x, y, width, height } = this.viewBox
+    const scale = Math.min(cssWidth / width, cssHeight / height)
+    const offsetX = (cssWidth - width * scale) / 2 - x * scale
+    const offsetY = (cssHeight - height * scale) / 2 - y * scale
+    ctx.setTransform(ratio * scale, 0, 0, ratio * scale, ratio * offsetX, ratio * offsetY)
+  }
+
+  /**
+   * Apply camera pan/zoom on top of the view transform.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} camera
+   * @private
+   */
+  _applyCameraTransform(ctx, camera = { x: 0, y: 0, z: 200 }) {
+    const scale = camera.z ? 200 / camera.z : 1
+    ctx.translate(camera.x || 0, camera.y || 0)
+    ctx.scale(scale, scale)
+  }
+
+  /**
+   * Redraw the pick buffer: every pickable item filled (and stroked) with
+   * a colour of its own. Strokes are widened to a few screen pixels so thin
+   * lines can be hit. Anti-aliased edges blend colours, so hitTest ignores
+   * pixels whose colour is no known key.
+   * @private
+   */
+  _renderPickBuffer() {
+    const ctx = this.pickCtx
+    const minLineWidth = PICK_MIN_STROKE_WIDTH / this._getZoomScale()
+    this._syncCanvasSize(this.pickCanvas, 1)
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.clearRect(0, 0, this.pickCanvas.width, this.pickCanvas.height)
+    this.pickTargets = new Map()
+
+    ctx.save()
+    this._applyViewTransform(ctx, 1)
+    this._applyCameraTransform(ctx, this.lastScene?.camera)
+    this.displayList.forEach(item => {
+      if (!item.target) return
+      const key = this._createPickKey()
+      this.pickTargets.set(key, item.target)
+      const color = `#${key.toString(16).padStart(6, '0')}`
+      ctx.fillStyle = color
+      ctx.strokeStyle = color
+      // Like SVG pointer-events="visiblePainted": painted fill and stroke areas
+      if (item.pickOnly || (item.fill && item.fill !== 'none')) {
+        ctx.fill(item.path)
+      }
+      if (!item.pickOnly && item.stroke && item.stroke !== 'none' && item.lineWidth > 0) {
+        ctx.lineWidth = Math.max(item.lineWidth, minLineWidth)
+        ctx.stroke(item.path)
+      }
+    })
+    ctx.restore()
+    this.pickDirty = false
+  }
+
+  /**
+   * Random unused colour, so a blend of two neighbouring colours is unlikely
+   * to be another target's.
+   * @returns {number} 24-bit colour
+   * @private
+   */
+  _createPickKey() {
+    let key
+    do {
+      key = 1 + Math.floor(Math.random() * 0xfffffe)
+    } while (this.pickTargets.has(key))
+    return key
+  }
+
+  /**
+   * What is drawn at a client position, read from the pick buffer.
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {{objectId: string, handleType: string|null, index: number, isHandle: boolean}|null}
+   */
+  hitTest(clientX, clientY) {
+    if (!this.canvas || !this.lastScene) return null
+    if (this.pickDirty) {
+      this._renderPickBuffer()
+    }
+
+    const rect = this.canvas.getBoundingClientRect()
+    const x = Math.floor(clientX - rect.left)
+    const y = Math.floor(clientY - rect.top)
+    if (x < 0 || y < 0 || x >= this.pickCanvas.width || y >= this.pickCanvas.height) return null
+
+    // Edge pixels are partly transparent but keep their key's colour
+    const [r, g, b, a] = this.pickCtx.getImageData(x, y, 1, 1).data
+    if (a === 0) return null
+    return this.pickTargets.get((r << 16) | (g << 8) | b) || null
+  }
+
+  /**
+   * Show what can be clicked under the pointer.
+   * @param {MouseEvent} event
+   * @private
+   */
+  _updateCursor(event) {
+    if (event.buttons) return
+    const hit = this.hitTest(event.clientX, event.clientY)
+    this.canvas.style.cursor = hit ? (HANDLE_CURSORS[hit.handleType] || 'pointer') : ''
+  }
+
+  /**
+   * Show or hide the marquee rectangle.
+   * @param {object|null} rect - { x, y, width, height } in viewBox coordinates
+   */
+  setMarquee(rect) {
+    this.marquee = rect ? { ...rect } : null
+    this._requestRedraw()
   }
 
   /**
@@ -202,10 +715,6 @@ export class CanvasRenderer extends RenderEngine {
    */
   resize(width, height) {
     super.resize(width, height)
-    if (this.canvas) {
-      this.canvas.width = width
-      this.canvas.height = height
-    }
+    this._requestRedraw()
   }
 }
-
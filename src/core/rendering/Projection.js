@@ -0,0 +1,411 @@
+/**
+ * Projection - 3D transforms and perspective projection for renderers
+ * Node coordinates are local to their object. A point reaches the screen through:
+ * object scale and rotation (both about its pivot) + offset, each parent group
+ * in turn, camera rotation about the stage center, then perspective. Groups
+ * transform like any object, so children follow their parents' rotation and scale.
+ *
+ * Matrices are affine 3x4, row-major: [a, b, c, tx, d, e, f, ty, g, h, i, tz].
+ * +z points away from the viewer, so larger z is drawn smaller and further back.
+ */
+
+const MIN_DEPTH_RATIO = 0.01 // Nearest depth as a fraction of the perspective distance
+
+/**
+ * Identity matrix.
+ * @returns {number[]}
+ */
+export function identityMatrix() {
+  return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0]
+}
+
+/**
+ * Translation matrix.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {number[]}
+ */
+export function translationMatrix(x = 0, y = 0, z = 0) {
+  return [1, 0, 0, x, 0, 1, 0, y, 0, 0, 1, z]
+}
+
+/**
+ * Rotation matrix applying X, then Y, then Z rotation.
+ * @param {object} rotation - { x, y, z } in radians
+ * @returns {number[]}
+ */
+export function rotationMatrix(rotation = {}) {
+  const rx = rotation.x || 0
+  const ry = rotation.y || 0
+  const rz = rotation.z || 0
+  const [sx, cx] = [Math.sin(rx), Math.cos(rx)]
+  const [sy, cy] = [Math.sin(ry), Math.cos(ry)]
+  const [sz, cz] = [Math.sin(rz), Math.cos(rz)]
+
+  // Rz * Ry * Rx
+  return [
+    cz * cy, cz * sy * sx - sz * cx, cz * sy * cx + sz * sx, 0,
+    sz * cy, sz * sy * sx + cz * cx, sz * sy * cx - cz * sx, 0,
+    -sy, cy * sx, cy * cx, 0
+  ]
+}
+
+/**
+ * Scale matrix.
+ * @param {object} scale - { x, y, z } factors (missing axes are 1)
+ * @returns {number[]}
+ */
+export function scaleMatrix(scale = {}) {
+  const { x, y, z } = getObjectScale({ scale })
+  return [x, 0, 0, 0, 0, y, 0, 0, 0, 0, z, 0]
+}
+
+/**
+ * Multiply two matrices. The result applies b first, then a.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]}
+ */
+export function multiplyMatrices(a, b) {
+  const result = new Array(12)
+  for (let row = 0; row < 3; row++) {
+    const r = row * 4
+    for (let col = 0; col < 3; col++) {
+      result[r + col] =
+        a[r] * b[col] +
+        a[r + 1] * b[4 + col] +
+        a[r + 2] * b[8 + col]
+    }
+    result[r + 3] =
+      a[r] * b[3] +
+      a[r + 1] * b[7] +
+      a[r + 2] * b[11] +
+      a[r + 3]
+  }
+  return result
+}
+
+/**
+ * Transform a point.
+ * @param {number[]} m
+ * @param {object} point - { x, y, z? }
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function applyMatrix(m, point) {
+  const x = point?.x || 0
+  const y = point?.y || 0
+  const z = point?.z || 0
+  return {
+    x: m[0] * x + m[1] * y + m[2] * z + m[3],
+    y: m[4] * x + m[5] * y + m[6] * z + m[7],
+    z: m[8] * x + m[9] * y + m[10] * z + m[11]
+  }
+}
+
+/**
+ * Transform a direction (the linear part only, no translation).
+ * @param {number[]} m
+ * @param {object} vector - { x, y, z? }
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function applyMatrixToVector(m, vector) {
+  return applyMatrix([...m.slice(0, 3), 0, ...m.slice(4, 7), 0, ...m.slice(8, 11), 0], vector)
+}
+
+/**
+ * Inverse of an affine matrix.
+ * @param {number[]} m
+ * @returns {number[]|null} Null when the matrix is singular (e.g. a zero scale)
+ */
+export function invertMatrix(m) {
+  const [a, b, c, tx, d, e, f, ty, g, h, i, tz] = m
+  const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g)
+  if (!Number.isFinite(det) || Math.abs(det) < 1e-12) return null
+
+  const inv = [
+    (e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det,
+    (f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det,
+    (d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det
+  ]
+  const translation = [
+    -(inv[0] * tx + inv[1] * ty + inv[2] * tz),
+    -(inv[3] * tx + inv[4] * ty + inv[5] * tz),
+    -(inv[6] * tx + inv[7] * ty + inv[8] * tz)
+  ]
+  return [
+    inv[0], inv[1], inv[2], translation[0],
+    inv[3], inv[4], inv[5], translation[1],
+    inv[6], inv[7], inv[8], translation[2]
+  ]
+}
+
+/**
+ * Whether an object is a group.
+ * @param {object} obj
+ * @returns {boolean}
+ */
+export function isGroup(obj) {
+  return Boolean(obj) && (obj.type === 'group' || obj.svg_element === 'g')
+}
+
+/**
+ * Collect an object's points in its parent's space (anchors only).
+ * @param {object} obj
+ * @returns {Array}
+ * @private
+ */
+function collectPoints(obj) {
+  const matrix = getObjectMatrix(obj)
+  if (isGroup(obj)) {
+    return (obj.children || [])
+      .flatMap(child => collectPoints(child))
+      .map(point => applyMatrix(matrix, point))
+  }
+  return (obj.nodes || []).map(node => applyMatrix(matrix, node))
+}
+
+/**
+ * Get the pivot an object rotates about, in its local space.
+ * Uses obj.pivot when set, otherwise the node centroid (or the children's center for groups).
+ * @param {object} obj
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function getObjectPivot(obj) {
+  if (obj?.pivot) {
+    return { x: obj.pivot.x || 0, y: obj.pivot.y || 0, z: obj.pivot.z || 0 }
+  }
+
+  const points = isGroup(obj)
+    ? (obj.children || []).flatMap(child => collectPoints(child))
+    : (obj?.nodes || [])
+
+  if (points.length === 0) {
+    return { x: 0, y: 0, z: 0 }
+  }
+
+  if (isGroup(obj)) {
+    // Center of the children's bounds
+    const xs = points.map(p => p.x || 0)
+    const ys = points.map(p => p.y || 0)
+    const zs = points.map(p => p.z || 0)
+    return {
+      x: (Math.min(...xs) + Math.max(...xs)) / 2,
+      y: (Math.min(...ys) + Math.max(...ys)) / 2,
+      z: (Math.min(...zs) + Math.max(...zs)) / 2
+    }
+  }
+
+  const sum = points.reduce(
+    (acc, p) => ({ x: acc.x + (p.x || 0), y: acc.y + (p.y || 0), z: acc.z + (p.z || 0) }),
+    { x: 0, y: 0, z: 0 }
+  )
+  return {
+    x: sum.x / points.length,
+    y: sum.y / points.length,
+    z: sum.z / points.length
+  }
+}
+
+/**
+ * Scale factors of an object, 1 on axes it does not set.
+ * @param {object} obj
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function getObjectScale(obj) {
+  const scale = obj?.scale || {}
+  return {
+    x: Number.isFinite(scale.x) ? scale.x : 1,
+    y: Number.isFinite(scale.y) ? scale.y : 1,
+    z: Number.isFinite(scale.z) ? scale.z : 1
+  }
+}
+
+/**
+ * Local-to-parent matrix of an object: scale and rotation about the pivot, then offset.
+ * @param {object} obj
+ * @returns {number[]}
+ */
+export function getObjectMatrix(obj) {
+  const offset = obj?.offset || {}
+  const translate = translationMatrix(offset.x || 0, offset.y || 0, offset.z || 0)
+
+  const rotate = obj?.rotate || {}
+  const scale = getObjectScale(obj)
+  const isRotated = rotate.x || rotate.y || rotate.z
+  const isScaled = scale.x !== 1 || scale.y !== 1 || scale.z !== 1
+  if (!isRotated && !isScaled) {
+    return translate
+  }
+
+  const pivot = getObjectPivot(obj)
+  return multiplyMatrices(
+    translate,
+    multiplyMatrices(
+      translationMatrix(pivot.x, pivot.y, pivot.z),
+      multiplyMatrices(
+        multiplyMatrices(rotationMatrix(rotate), scaleMatrix(scale)),
+        translationMatrix(-pivot.x, -pivot.y, -pivot.z)
+      )
+    )
+  )
+}
+
+/**
+ * How much an object's lines are scaled by its own and its parents' scale:
+ * the geometric mean of the x and y factors, multiplied down the hierarchy.
+ * Used for stroke widths and circle radii.
+ * @param {object} obj
+ * @param {Array} parents - Parent groups, outermost first
+ * @returns {number}
+ */
+export function getStrokeScale(obj, parents = []) {
+  return [...parents, obj].reduce((product, item) => {
+    const { x, y } = getObjectScale(item)
+    return product * Math.sqrt(Math.abs(x * y))
+  }, 1)
+}
+
+/**
+ * Find an object and its parent groups (outermost first) in a scene tree.
+ * @param {Array} objects - Top-level objects
+ * @param {string} objectId
+ * @returns {{object: object, parents: Array}|null}
+ */
+export function findObjectWithParents(objects, objectId, parents = []) {
+  if (!Array.isArray(objects)) return null
+
+  for (const obj of objects) {
+    if (!obj) continue
+    if (obj.id === objectId) {
+      return { object: obj, parents }
+    }
+
+    if (isGroup(obj) && Array.isArray(obj.children)) {
+      const found = findObjectWithParents(obj.children, objectId, [...parents, obj])
+      if (found) {
+        return found
+      }
+    }
+  }
+
+  return null
+}
+
+export class Projection {
+  /**
+   * Create a projection.
+   * @param {object} options
+   * @param {number} options.perspective - Distance from viewer to the z = 0 plane (0 = orthographic)
+   * @param {number} options.width - Stage width (camera rotates about the stage center)
+   * @param {number} options.height - Stage height
+   */
+  constructor({ perspective = 1200, width = 1920, height = 1080 } = {}) {
+    this.perspective = perspective
+    this.center = { x: width / 2, y: height / 2 }
+    this.cameraMatrix = identityMatrix()
+  }
+
+  /**
+   * Set perspective distance.
+   * @param {number} distance - 0 or less disables perspective
+   */
+  setPerspective(distance) {
+    this.perspective = Number.isFinite(distance) ? distance : 0
+  }
+
+  /**
+   * Set camera rotation.
+   * @param {object} camera - Camera state ({ rotation: { x, y, z } })
+   */
+  setCamera(camera = {}) {
+    const rotation = camera.rotation || {}
+    if (!rotation.x && !rotation.y && !rotation.z) {
+      this.cameraMatrix = identityMatrix()
+      return
+    }
+
+    const { x, y } = this.center
+    this.cameraMatrix = multiplyMatrices(
+      translationMatrix(x, y, 0),
+      multiplyMatrices(rotationMatrix(rotation), translationMatrix(-x, -y, 0))
+    )
+  }
+
+  /**
+   * Get the matrix taking an object's local points to view space.
+   * @param {object} obj - Object
+   * @param {Array} parents - Parent groups, outermost first
+   * @returns {number[]}
+   */
+  getViewMatrix(obj, parents = []) {
+    return multiplyMatrices(this.getParentMatrix(parents), getObjectMatrix(obj))
+  }
+
+  /**
+   * Get the matrix taking points in the space of the innermost parent (where
+   * an object's offset lives) to view space.
+   * @param {Array} parents - Parent groups, outermost first
+   * @returns {number[]}
+   */
+  getParentMatrix(parents = []) {
+    let matrix = this.cameraMatrix
+    parents.forEach(parent => {
+      matrix = multiplyMatrices(matrix, getObjectMatrix(parent))
+    })
+    return matrix
+  }
+
+  /**
+   * Turn a movement on the stage into a movement in some local space, so a
+   * dragged point follows the pointer whatever rotation and scale lie above it.
+   * Under perspective the movement is taken at the depth of `origin`.
+   * @param {number[]} matrix - Local-to-view matrix (getViewMatrix or getParentMatrix)
+   * @param {object} delta - { x, y } movement in stage coordinates
+   * @param {object} origin - Local point being moved, for its depth
+   * @returns {{x: number, y: number, z: number}|null} Null when the space is degenerate
+   */
+  unprojectDelta(matrix, delta, origin = {}) {
+    const inverse = invertMatrix(matrix)
+    if (!inverse) return null
+    const scale = this.getScale(applyMatrix(matrix, origin).z)
+    return applyMatrixToVector(inverse, { x: (delta.x || 0) / scale, y: (delta.y || 0) / scale, z: 0 })
+  }
+
+  /**
+   * Perspective scale factor at view-space depth z.
+   * @param {number} z
+   * @returns {number}
+   */
+  getScale(z = 0) {
+    if (!(this.perspective > 0)) return 1
+    // Points at or behind the viewer are pinned just in front of it
+    const depth = Math.max(this.perspective + z, this.perspective * MIN_DEPTH_RATIO)
+    return this.perspective / depth
+  }
+
+  /**
+   * Project a view-space point onto the stage.
+   * @param {object} point - { x, y, z }
+   * @returns {{x: number, y: number, z: number, scale: number}}
+   */
+  projectPoint(point) {
+    const scale = this.getScale(point.z)
+    return {
+      x: this.center.x + (point.x - this.center.x) * scale,
+      y: this.center.y + (point.y - this.center.y) * scale,
+      z: point.z,
+      scale
+    }
+  }
+
+  /**
+   * Transform a local point by a view matrix and project it.
+   * @param {number[]} matrix - From getViewMatrix
+   * @param {object} point - { x, y, z? }
+   * @returns {{x: number, y: number, z: number, scale: number}}
+   */
+  project(matrix, point) {
+    return this.projectPoint(applyMatrix(matrix, point))
+  }
+}
@@ -1,9 +1,19 @@
 /**
  * Render Engine - Base class for rendering systems
- * Provides common rendering functionality and lifecycle management.
+ * Provides common rendering functionality and lifecycle management, the
+ * viewport (zoom and the visible viewBox of the stage) and the projected
+ * geometry shared by the backends: depth order, bounds and marquee hits.
+ * Subclasses draw the scene and report what lies under the pointer.
  */
 
 import DEFAULT_CONFIG from '../../app/config.js'
+import {
+  Projection,
+  applyMatrix,
+  findObjectWithParents,
+  getObjectPivot,
+  isGroup
+} from './Projection.js'
 
 export class RenderEngine {
   /**
@@ -30,6 +40,25 @@ export class RenderEngine {
     this.isRendering = false
     this.needsRender = false
     this.frameId = null
+
+    this.lastScene = null
+    this.showControls = true
+    this.controlsConfig =
+      options.controls ||
+      (options.config && options.config.controls) ||
+      DEFAULT_CONFIG.controls
+
+    // Zoom state
+    this.zoomLevel = 1.0 // 1.0 = 100%, minimum zoom
+    this.baseViewBoxWidth = this.options.viewBoxWidth || 1920
+    this.baseViewBoxHeight = this.options.viewBoxHeight || 1080
+    this.viewBox = { x: 0, y: 0, width: this.baseViewBoxWidth, height: this.baseViewBoxHeight }
+
+    this.projection = new Projection({
+      perspective: this.options.perspective ?? DEFAULT_CONFIG.perspective,
+      width: this.baseViewBoxWidth,
+      height: this.baseViewBoxHeight
+    })
   }
 
   /**
@@ -49,6 +78,27 @@ export class RenderEngine {
     throw new Error('render() must be implemented by subclass')
   }
 
+  /**
+   * Element the stage is drawn into (null before init).
+   * Must be implemented by subclasses.
+   * @returns {Element|null}
+   */
+  getElement() {
+    throw new Error('getElement() must be implemented by subclass')
+  }
+
+  /**
+   * What is drawn at a client position: a handle, or an object.
+   * Backends whose elements carry data-* attributes (SVG) leave this to the
+   * event target and return null.
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {{objectId: string, handleType: string|null, index: number, isHandle: boolean}|null}
+   */
+  hitTest(clientX, clientY) {
+    return null
+  }
+
   /**
    * Request a render (schedules render on next frame).
    * @param {object} scene - Scene data to render
@@ -96,6 +146,394 @@ export class RenderEngine {
     }
   }
 
+  setControlsConfig(controls) {
+    this.controlsConfig = controls || DEFAULT_CONFIG.controls
+  }
+
+  /**
+   * Set perspective distance (0 = orthographic).
+   * @param {number} distance - Distance from viewer to the z = 0 plane
+   */
+  setPerspective(distance) {
+    this.projection.setPerspective(distance)
+    // A stopped (inactive) renderer picks the change up on its next render
+    if (this.pendingScene && this.isRendering) {
+      this.requestRender(this.pendingScene)
+    }
+  }
+
+  /**
+   * Visible part of the stage, in stage coordinates.
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  getViewBox() {
+    return { ...this.viewBox }
+  }
+
+  /**
+   * Show another part of the stage (pan).
+   * @param {object} viewBox - { x, y, width, height }
+   */
+  setViewBox(viewBox) {
+    this.viewBox = {
+      x: viewBox.x,
+      y: viewBox.y,
+      width: viewBox.width,
+      height: viewBox.height
+    }
+    this._applyViewBox()
+  }
+
+  /**
+   * Called when the viewBox changed. Subclasses update their element.
+   * @protected
+   */
+  _applyViewBox() {}
+
+  /**
+   * Update viewBox based on zoom level.
+   * @private
+   */
+  _updateViewBox() {
+    // Calculate new viewBox dimensions (smaller viewBox = zoomed in)
+    const viewBoxWidth = this.baseViewBoxWidth / this.zoomLevel
+    const viewBoxHeight = this.baseViewBoxHeight / this.zoomLevel
+    
+    // Center the viewBox
+    const viewBoxX = (this.baseViewBoxWidth - viewBoxWidth) / 2
+    const viewBoxY = (this.baseViewBoxHeight - viewBoxHeight) / 2
+    
+    this.setViewBox({ x: viewBoxX, y: viewBoxY, width: viewBoxWidth, height: viewBoxHeight })
+  }
+
+  /**
+   * Set zoom level (1.0 = 100%, minimum)
+   * @param {number} zoom - Zoom level (>= 1.0)
+   */
+  setZoom(zoom) {
+    this.zoomLevel = Math.max(1.0, zoom)
+    this._updateViewBox()
+    // Trigger re-render if needed
+    if (this.needsRender && this.pendingScene) {
+      this.render(this.pendingScene)
+    }
+  }
+
+  /**
+   * Get current zoom level
+   * @returns {number} Current zoom level
+   */
+  getZoom() {
+    return this.zoomLevel
+  }
+
+  /**
+   * Zoom in by a factor
+   * @param {number} factor - Zoom factor (e.g., 1.5 for 50% zoom in)
+   */
+  zoomIn(factor = 1.5) {
+    this.setZoom(this.zoomLevel * factor)
+  }
+
+  /**
+   * Zoom out to 100% (can't zoom out beyond 100%)
+   */
+  zoomOut() {
+    this.setZoom(1.0)
+  }
+
+  /**
+   * Zoom to a specific point (for pinch-to-zoom)
+   * @param {number} zoom - New zoom level
+   * @param {number} centerX - X coordinate to zoom towards (in viewBox coordinates)
+   * @param {number} centerY - Y coordinate to zoom towards (in viewBox coordinates)
+   */
+  zoomToPoint(zoom, centerX, centerY) {
+    const oldZoom = this.zoomLevel
+    this.zoomLevel = Math.max(1.0, zoom)
+    
+    if (oldZoom === this.zoomLevel) return
+    
+    // Calculate the point's position relative to current viewBox
+    const currentViewBox = this.viewBox
+    const relX = (centerX - currentViewBox.x) / currentViewBox.width
+    const relY = (centerY - currentViewBox.y) / currentViewBox.height
+    
+    // Calculate new viewBox dimensions
+    const newWidth = this.baseViewBoxWidth / this.zoomLevel
+    const newHeight = this.baseViewBoxHeight / this.zoomLevel
+    
+    // Calculate new viewBox position to keep the point at the same relative position
+    const newX = centerX - (relX * newWidth)
+    const newY = centerY - (relY * newHeight)
+    
+    // Clamp to bounds
+    const clampedX = Math.max(0, Math.min(this.baseViewBoxWidth - newWidth, newX))
+    const clampedY = Math.max(0, Math.min(this.baseViewBoxHeight - newHeight, newY))
+    
+    this.setViewBox({ x: clampedX, y: clampedY, width: newWidth, height: newHeight })
+  }
+
+  /**
+   * Where the viewBox is drawn inside the element: scaled uniformly to fit
+   * and centered (like preserveAspectRatio="xMidYMid meet").
+   * @returns {{left: number, top: number, scale: number}|null} Client offset and pixels per stage unit
+   * @protected
+   */
+  _getViewportTransform() {
+    const rect = this.getElement()?.getBoundingClientRect()
+    const viewBox = this.viewBox
+    if (!rect || rect.width === 0 || rect.height === 0 || !viewBox.width || !viewBox.height) {
+      return null
+    }
+    const scale = Math.min(rect.width / viewBox.width, rect.height / viewBox.height)
+    return {
+      left: rect.left + (rect.width - viewBox.width * scale) / 2,
+      top: rect.top + (rect.height - viewBox.height * scale) / 2,
+      scale
+    }
+  }
+
+  /**
+   * Convert client coordinates to viewBox (stage) coordinates.
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {{x: number, y: number}|null}
+   */
+  clientToView(clientX, clientY) {
+    const transform = this._getViewportTransform()
+    if (!transform) return null
+    return {
+      x: this.viewBox.x + (clientX - transform.left) / transform.scale,
+      y: this.viewBox.y + (clientY - transform.top) / transform.scale
+    }
+  }
+
+  /**
+   * Convert viewBox (stage) coordinates to client coordinates.
+   * @param {number} x
+   * @param {number} y
+   * @returns {{x: number, y: number}|null}
+   */
+  viewToClient(x, y) {
+    const transform = this._getViewportTransform()
+    if (!transform) return null
+    return {
+      x: transform.left + (x - this.viewBox.x) * transform.scale,
+      y: transform.top + (y - this.viewBox.y) * transform.scale
+    }
+  }
+
+  /**
+   * Stage units per screen pixel, so controls keep their on-screen size.
+   * @returns {number} Zoom scale factor
+   * @protected
+   */
+  _getZoomScale() {
+    const rect = this.getElement()?.getBoundingClientRect()
+    if (!rect || rect.width === 0 || !this.viewBox.width) return 1
+    
+    // Calculate zoom scale: viewBox width / actual rendered width
+    return this.viewBox.width / rect.width
+  }
+
+  /**
+   * Find an object and its parent groups (outermost first).
+   * @param {Array} objects - Array of top-level objects
+   * @param {string} objectId - ID of the object
+   * @returns {{object: object, parents: Array}|null}
+   * @protected
+   */
+  _findObjectAndParents(objects, objectId) {
+    return findObjectWithParents(objects, objectId)
+  }
+
+  /**
+   * Project a local point of an object onto the stage.
+   * @param {number[]} matrix - View matrix from Projection.getViewMatrix
+   * @param {object} point - Local point { x, y, z? }
+   * @returns {{x: number, y: number, z: number, scale: number}}
+   * @protected
+   */
+  _project(matrix, point) {
+    return this.projection.project(matrix, point)
+  }
+
+  /**
+   * Sort siblings back to front by the depth of their pivot.
+   * Objects at equal depth keep their collection order.
+   * @param {Array} objects - Sibling objects
+   * @param {Array} parents - Parent groups, outermost first
+   * @returns {Array}
+   * @protected
+   */
+  _sortByDepth(objects, parents = []) {
+    return objects
+      .filter(Boolean)
+      .map(obj => {
+        const matrix = this.projection.getViewMatrix(obj, parents)
+        return { obj, depth: applyMatrix(matrix, getObjectPivot(obj)).z }
+      })
+      .sort((a, b) => b.depth - a.depth)
+      .map(entry => entry.obj)
+  }
+
+  /**
+   * Calculate projected bounding box of a group's descendants.
+   * @param {object} group - Group object
+   * @param {Array} parents - Parent groups of the group, outermost first
+   * @returns {object|null} Bounding box { minX, minY, maxX, maxY, width, height }
+   * @protected
+   */
+  _calculateGroupBounds(group, parents = []) {
+    const children = group?.children || []
+    if (children.length === 0) return null
+
+    let minX = Infinity
+    let minY = Infinity
+    let maxX = -Infinity
+    let maxY = -Infinity
+
+    const childParents = [...parents, group]
+    children.forEach(child => {
+      if (!child) return
+
+      if (isGroup(child)) {
+        // Recursively calculate bounds for nested groups
+        const childBounds = this._calculateGroupBounds(child, childParents)
+        if (childBounds) {
+          minX = Math.min(minX, childBounds.minX)
+          minY = Math.min(minY, childBounds.minY)
+          maxX = Math.max(maxX, childBounds.maxX)
+          maxY = Math.max(maxY, childBounds.maxY)
+        }
+      } else if (child.nodes && Array.isArray(child.nodes) && child.nodes.length > 0) {
+        // Calculate bounds from projected nodes
+        const matrix = this.projection.getViewMatrix(child, childParents)
+        child.nodes.forEach(node => {
+          const point = this._project(matrix, node)
+          minX = Math.min(minX, point.x)
+          minY = Math.min(minY, point.y)
+          maxX = Math.max(maxX, point.x)
+          maxY = Math.max(maxY, point.y)
+        })
+      }
+    })
+
+    if (minX === Infinity) return null
+
+    return {
+      minX,
+      minY,
+      maxX,
+      maxY,
+      width: maxX - minX,
+      height: maxY - minY
+    }
+  }
+
+  /**
+   * Calculate projected bounding box of any object.
+   * @param {object} obj - Object or group
+   * @param {Array} parents - Parent groups, outermost first
+   * @returns {object|null} Bounding box { minX, minY, maxX, maxY, width, height }
+   * @protected
+   */
+  _calculateObjectBounds(obj, parents = []) {
+    if (isGroup(obj)) {
+      return this._calculateGroupBounds(obj, parents)
+    }
+    if (!Array.isArray(obj?.nodes) || obj.nodes.length === 0) return null
+
+    const matrix = this.projection.getViewMatrix(obj, parents)
+    const points = obj.nodes.map(node => this._project(matrix, node))
+    const xs = points.map(point => point.x)
+    const ys = points.map(point => point.y)
+    const minX = Math.min(...xs)
+    const minY = Math.min(...ys)
+    const maxX = Math.max(...xs)
+    const maxY = Math.max(...ys)
+    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY }
+  }
+
+  /**
+   * Bounds around several objects (found anywhere in the hierarchy).
+   * @param {Array} objects - Scene objects
+   * @param {Set<string>} ids
+   * @returns {object|null} Bounding box { minX, minY, maxX, maxY }
+   * @protected
+   */
+  _calculateSelectionBounds(objects, ids) {
+    let minX = Infinity
+    let minY = Infinity
+    let maxX = -Infinity
+    let maxY = -Infinity
+
+    ids.forEach(id => {
+      const found = this._findObjectAndParents(objects, id)
+      const bounds = found && this._calculateObjectBounds(found.object, found.parents)
+      if (!bounds) return
+      minX = Math.min(minX, bounds.minX)
+      minY = Math.min(minY, bounds.minY)
+      maxX = Math.max(maxX, bounds.maxX)
+      maxY = Math.max(maxY, bounds.maxY)
+    })
+    if (minX === Infinity) return null
+    return { minX, minY, maxX, maxY }
+  }
+
+  /**
+   * Get ids of top-level objects whose projected bounds intersect a rectangle.
+   * Uses the most recently rendered scene.
+   * @param {object} rect - { x, y, width, height } in viewBox coordinates
+   * @returns {string[]}
+   */
+  getObjectIdsInRect(rect) {
+    const scene = this.lastScene
+    if (!scene || !Array.isArray(scene.objects) || !rect) return []
+
+    // Objects are drawn inside the camera pan/zoom transform
+    const camera = scene.camera || { x: 0, y: 0, z: 200 }
+    const scale = camera.z ? 200 / camera.z : 1
+    const toLayer = (x, y) => ({
+      x: (x - (camera.x || 0)) / scale,
+      y: (y - (camera.y || 0)) / scale
+    })
+    const a = toLayer(rect.x, rect.y)
+    const b = toLayer(rect.x + rect.width, rect.y + rect.height)
+    const minX = Math.min(a.x, b.x)
+    const minY = Math.min(a.y, b.y)
+    const maxX = Math.max(a.x, b.x)
+    const maxY = Math.max(a.y, b.y)
+
+    return scene.objects
+      .filter(obj => {
+        const bounds = obj && this._calculateObjectBounds(obj, [])
+        return bounds &&
+          bounds.minX <= maxX && bounds.maxX >= minX &&
+          bounds.minY <= maxY && bounds.maxY >= minY
+      })
+      .map(obj => obj.id)
+  }
+
+  /**
+   * Check if a handle matches the active handle.
+   * @param {string} handleType - Type of handle ('start', 'end', 'anchor', 'origin', 'rotate', 'scale')
+   * @param {number} handleIndex - Index of the handle
+   * @param {string} objectId - ID of the object
+   * @param {object|null} activeHandle - Active handle to compare against
+   * @returns {boolean} True if handle is active
+   * @protected
+   */
+  _isHandleActive(handleType, handleIndex, objectId, activeHandle) {
+    if (!activeHandle) return false
+    return (
+      activeHandle.type === handleType &&
+      activeHandle.index === handleIndex &&
+      String(activeHandle.objectId) === String(objectId)
+    )
+  }
+
   /**
    * Resize the render target.
    * @param {number} width - New width
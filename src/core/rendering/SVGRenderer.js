@@ -4,6 +4,7 @@
  */
 
 import { RenderEngine } from './RenderEngine.js'
+import { getObjectPivot, getStrokeScale, isGroup } from './Projection.js'
 import DEFAULT_CONFIG from '../../app/config.js'
 
 export class SVGRenderer extends RenderEngine {
@@ -18,16 +19,7 @@ export class SVGRenderer extends RenderEngine {
     this.defs = null
     this.objectsLayer = null
     this.controlsLayer = null
-    this.showControls = true
-    this.controlsConfig =
-      options.controls ||
-      (options.config && options.config.controls) ||
-      DEFAULT_CONFIG.controls
-    
-    // Zoom state
-    this.zoomLevel = 1.0 // 1.0 = 100%, minimum zoom
-    this.baseViewBoxWidth = this.options.viewBoxWidth || 1920
-    this.baseViewBoxHeight = this.options.viewBoxHeight || 1080
+    this.marqueeElement = null
   }
 
   /**
@@ -38,7 +30,7 @@ export class SVGRenderer extends RenderEngine {
     this.svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
     
     // Set initial viewBox (will be updated by zoom)
-    this._updateViewBox()
+    this._applyViewBox()
     
     // Set fixed pixel dimensions (like original preview)
     this.svg.setAttribute('width', this.baseViewBoxWidth)
@@ -71,77 +63,38 @@ export class SVGRenderer extends RenderEngine {
   }
 
   /**
-   * Recursively find an object in the scene (including nested in groups).
-   * @param {Array} objects - Array of objects to search
-   * @param {string} objectId - ID to find
-   * @returns {object|null} Found object or null
-   * @private
+   * @returns {SVGSVGElement|null}
    */
-  _findObjectInScene(objects, objectId) {
-    if (!objects || !Array.isArray(objects)) return null
-    
-    for (const obj of objects) {
-      if (obj.id === objectId) {
-        return obj
-      }
-      
-      // If it's a group, search in children
-      if ((obj.type === 'group' || obj.svg_element === 'g') && Array.isArray(obj.children)) {
-        const found = this._findObjectInScene(obj.children, objectId)
-        if (found) {
-          return found
-        }
-      }
-    }
-    
-    return null
+  getElement() {
+    return this.svg
   }
 
   /**
-   * Calculate accumulated transform for a nested object (including all parent groups).
-   * @param {Array} objects - Array of top-level objects
-   * @param {string} objectId - ID of the object
-   * @param {object} camera - Camera transform
-   * @returns {object} Accumulated transform { x, y, scale }
-   * @private
+   * @protected
    */
-  _calculateAccumulatedTransform(objects, objectId, camera) {
-    const findObjectAndParents = (objs, targetId, parents = []) => {
-      for (const obj of objs) {
-        if (obj.id === targetId) {
-          return { object: obj, parents }
-        }
-        
-        if ((obj.type === 'group' || obj.svg_element === 'g') && Array.isArray(obj.children)) {
-          const found = findObjectAndParents(obj.children, targetId, [...parents, obj])
-          if (found) {
-            return found
-          }
-        }
-      }
-      return null
-    }
-    
-    const result = findObjectAndParents(objects, objectId)
-    if (!result) {
-      // Not found, return object's own transform
-      return { x: 0, y: 0, scale: 1 }
-    }
-    
-    const { object, parents } = result
-    
-    // Accumulate transforms from all parents
-    let x = (object.offset?.x || 0) + (camera.x || 0)
-    let y = (object.offset?.y || 0) + (camera.y || 0)
-    const scale = camera.z ? 200 / camera.z : 1
-    
-    // Add parent group transforms
-    for (const parent of parents) {
-      x += parent.offset?.x || 0
-      y += parent.offset?.y || 0
+  _applyViewBox() {
+    if (!this.svg) return
+    const { x, y, width, height } = this.viewBox
+    this.svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`)
+  }
+
+  /**
+   * Convert client coordinates to viewBox coordinates through the SVG's own
+   * screen transform when the browser provides it.
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {{x: number, y: number}|null}
+   */
+  clientToView(clientX, clientY) {
+    const ctm = this.svg?.getScreenCTM?.()
+    if (ctm && typeof this.svg.createSVGPoint === 'function') {
+      const point = this.svg.createSVGPoint()
+      point.x = clientX
+      point.y = clientY
+      const transformed = point.matrixTransform(ctm.inverse())
+      return { x: transformed.x, y: transformed.y }
     }
-    
-    return { x, y, scale }
+    return super.clientToView(clientX, clientY)
   }
 
   /**
@@ -165,37 +118,42 @@ export class SVGRenderer extends RenderEngine {
       return
     }
     
+    this.lastScene = scene
     const selectedId = scene?.selectedId || null
+    const selectedIds = new Set(scene.selectedIds || (selectedId ? [selectedId] : []))
     const activeHandle = scene?.activeHandle || null
+    const camera = scene.camera || { x: 0, y: 0, z: 200 }
+
+    // Objects are emitted in projected stage coordinates; only camera pan/zoom stays an SVG transform
+    this.projection.setCamera(camera)
+    const scale = camera.z ? 200 / camera.z : 1
+    const cameraTransform = `translate(${camera.x || 0}, ${camera.y || 0}) scale(${scale})`
+    this.objectsLayer.setAttribute('transform', cameraTransform)
+    this.controlsLayer.setAttribute('transform', cameraTransform)
 
-    scene.objects.forEach(obj => {
-      const group = this._renderObject(obj, scene.camera, selectedId && obj.id === selectedId, selectedId)
+    this._sortByDepth(scene.objects).forEach(obj => {
+      const group = this._renderObject(obj, [], selectedIds.has(obj.id), selectedIds)
       if (group) {
         this.objectsLayer.appendChild(group)
       }
+    })
 
-      // Render controls for selected object (top-level only, nested objects handled below)
-      if (this.showControls && selectedId && obj.id === selectedId) {
-        const controls = this._renderControls(obj, scene.camera, null, activeHandle)
-        if (controls) {
-          this.controlsLayer.appendChild(controls)
-        }
+    // Several selected objects share one bounding box instead of per-object handles
+    if (this.showControls && selectedIds.size > 1) {
+      const bounds = this._renderSelectionBounds(scene.objects, selectedIds)
+      if (bounds) {
+        this.controlsLayer.appendChild(bounds)
       }
-    })
+      return
+    }
 
-    // Render controls for nested selected objects
+    // Render controls for the selected object (top-level or nested in groups)
     if (this.showControls && selectedId) {
-      const selectedObj = this._findObjectInScene(scene.objects, selectedId)
-      if (selectedObj) {
-        // Check if it's not a top-level object (already rendered above)
-        const isTopLevel = scene.objects.some(obj => obj.id === selectedId)
-        if (!isTopLevel) {
-          // Calculate accumulated transform for nested object
-          const accumulatedTransform = this._calculateAccumulatedTransform(scene.objects, selectedId, scene.camera)
-          const controls = this._renderControls(selectedObj, scene.camera, accumulatedTransform, activeHandle)
-          if (controls) {
-            this.controlsLayer.appendChild(controls)
-          }
+      const found = this._findObjectAndParents(scene.objects, selectedId)
+      if (found) {
+        const controls = this._renderControls(found.object, found.parents, activeHandle)
+        if (controls) {
+          this.controlsLayer.appendChild(controls)
         }
       }
     }
@@ -204,11 +162,13 @@ export class SVGRenderer extends RenderEngine {
   /**
    * Render a single object.
    * @param {object} obj - Object to render
-   * @param {object} camera - Camera transform
+   * @param {Array} parents - Parent groups, outermost first
+   * @param {boolean} isSelected - Whether to draw the selection outline
+   * @param {Set<string>} selectedIds - All selected ids (for children)
    * @returns {SVGGElement|null} SVG group element
    * @private
    */
-  _renderObject(obj, camera = { x: 0, y: 0, z: 200 }, isSelected = false, selectedId = null) {
+  _renderObject(obj, parents = [], isSelected = false, selectedIds = new Set()) {
     if (!obj) {
       return null
     }
@@ -219,19 +179,12 @@ export class SVGRenderer extends RenderEngine {
       group.setAttribute('data-selected', 'true')
     }
     
-    // Apply object transform
-    const x = (obj.offset?.x || 0) + (camera.x || 0)
-    const y = (obj.offset?.y || 0) + (camera.y || 0)
-    const scale = camera.z ? 200 / camera.z : 1
-    
-    group.setAttribute('transform', `translate(${x}, ${y}) scale(${scale})`)
-    
     // Handle group type - recursively render children
-    if (obj.type === 'group' || obj.svg_element === 'g') {
+    if (isGroup(obj)) {
       const children = obj.children || []
-      children.forEach(child => {
-        const childIsSelected = selectedId && child.id === selectedId
-        const childGroup = this._renderObject(child, { x: 0, y: 0, z: camera.z }, childIsSelected, selectedId)
+      const childParents = [...parents, obj]
+      this._sortByDepth(children, childParents).forEach(child => {
+        const childGroup = this._renderObject(child, childParents, selectedIds.has(child.id), selectedIds)
         if (childGroup) {
           group.appendChild(childGroup)
         }
@@ -242,7 +195,7 @@ export class SVGRenderer extends RenderEngine {
       
       // Add a transparent rect for easier clicking on empty group areas
       if (children.length > 0) {
-        const bounds = this._calculateGroupBounds(children)
+        const bounds = this._calculateGroupBounds(obj, parents)
         if (bounds) {
           const hitArea = document.createElementNS('http://www.w3.org/2000/svg', 'rect')
           hitArea.setAttribute('x', bounds.minX - 10)
@@ -251,6 +204,7 @@ export class SVGRenderer extends RenderEngine {
           hitArea.setAttribute('height', bounds.height + 20)
           hitArea.setAttribute('fill', 'transparent')
           hitArea.setAttribute('stroke', 'none')
+          hitArea.setAttribute('data-hit-area', 'true')
           hitArea.setAttribute('data-object', String(obj.id))
           // Make filled hit area draggable for origin movement
           hitArea.setAttribute('data-type', 'origin')
@@ -269,10 +223,13 @@ export class SVGRenderer extends RenderEngine {
     if (!obj.nodes || !Array.isArray(obj.nodes)) {
       return null
     }
+
+    const matrix = this.projection.getViewMatrix(obj, parents)
+    const lineScale = getStrokeScale(obj, parents)
     
     // Render based on SVG element type
     if (obj.svg_element === 'path' && obj.nodes.length >= 2) {
-      const path = this._renderPath(obj)
+      const path = this._renderPath(obj, matrix, lineScale)
       if (path) {
         // Add data-object for click selection
         path.setAttribute('data-object', String(obj.id))
@@ -304,7 +261,7 @@ export class SVGRenderer extends RenderEngine {
         group.appendChild(path)
       }
     } else if (obj.svg_element === 'circle') {
-      const circle = this._renderCircle(obj)
+      const circle = this._renderCircle(obj, matrix, lineScale)
       if (circle) {
         // Add data-object for click selection
         circle.setAttribute('data-object', String(obj.id))
@@ -323,7 +280,7 @@ export class SVGRenderer extends RenderEngine {
         group.appendChild(circle)
       }
     } else if (obj.svg_element === 'rect') {
-      const rect = this._renderRect(obj)
+      const rect = this._renderRect(obj, matrix, lineScale)
       if (rect) {
         // Add data-object for click selection
         rect.setAttribute('data-object', String(obj.id))
@@ -346,13 +303,29 @@ export class SVGRenderer extends RenderEngine {
     return group
   }
 
+  /**
+   * Apply fill/stroke attributes, scaling stroke width with depth.
+   * @param {SVGElement} element - Target element
+   * @param {object} obj - Object data
+   * @param {number} depthScale - Perspective scale at the object's pivot
+   * @private
+   */
+  _applyStyle(element, obj, depthScale = 1) {
+    element.setAttribute('fill', obj.fill || 'none')
+    element.setAttribute('stroke', obj.stroke || '#000')
+    element.setAttribute('stroke-width', (obj.strokeWidth || 1) * depthScale)
+    element.setAttribute('opacity', obj.opacity !== undefined ? obj.opacity : 1)
+  }
+
   /**
    * Render object as SVG path.
    * @param {object} obj - Object with nodes
+   * @param {number[]} matrix - View matrix for the object
+   * @param {number} lineScale - Stroke scale from the object's and its parents' scale
    * @returns {SVGPathElement} SVG path element
    * @private
    */
-  _renderPath(obj) {
+  _renderPath(obj, matrix, lineScale = 1) {
     const path = document.createElementNS('http://www.w3.org/2000/svg', 'path')
     
     let pathData = ''
@@ -361,9 +334,14 @@ export class SVGRenderer extends RenderEngine {
     if (nodes.length === 0) {
       return null
     }
+
+    // Control points are projected like anchors (exact for affine transforms,
+    // a close approximation under perspective)
+    const project = (point) => this._project(matrix, point)
+    const hasPoint = (point) => point && typeof point.x === 'number' && typeof point.y === 'number'
     
     // Move to first point
-    const first = nodes[0]
+    const first = project(nodes[0])
     pathData += `M ${first.x} ${first.y} `
     
     // Draw lines or curves
@@ -372,17 +350,16 @@ export class SVGRenderer extends RenderEngine {
       const node = nodes[i]
 
       if (!prev || !node) continue
-      
-      const prevEnd = prev.end || prev
-      const nodeStart = node.start || node
 
-      const hasBezier = (prev.end && typeof prev.end.x === 'number' && typeof prev.end.y === 'number') ||
-        (node.start && typeof node.start.x === 'number' && typeof node.start.y === 'number')
+      const point = project(node)
+      const hasBezier = hasPoint(prev.end) || hasPoint(node.start)
       
       if (hasBezier) {
-        pathData += `C ${prevEnd.x ?? prev.x} ${prevEnd.y ?? prev.y}, ${nodeStart.x ?? node.x} ${nodeStart.y ?? node.y}, ${node.x} ${node.y} `
+        const prevEnd = project({ ...prev, ...(prev.end || {}) })
+        const nodeStart = project({ ...node, ...(node.start || {}) })
+        pathData += `C ${prevEnd.x} ${prevEnd.y}, ${nodeStart.x} ${nodeStart.y}, ${point.x} ${point.y} `
       } else {
-        pathData += `L ${node.x} ${node.y} `
+        pathData += `L ${point.x} ${point.y} `
       }
     }
     
@@ -390,25 +367,20 @@ export class SVGRenderer extends RenderEngine {
     if (obj.closed !== false && nodes.length > 2) {
       const last = nodes[nodes.length - 1]
       const firstNode = nodes[0]
-      const lastEnd = last.end || last
-      const firstStart = firstNode.start || firstNode
-
-      const hasBezier = (last.end && typeof last.end.x === 'number' && typeof last.end.y === 'number') ||
-        (firstNode.start && typeof firstNode.start.x === 'number' && typeof firstNode.start.y === 'number')
+      const hasBezier = hasPoint(last.end) || hasPoint(firstNode.start)
 
       if (hasBezier) {
-        pathData += `C ${lastEnd.x ?? last.x} ${lastEnd.y ?? last.y}, ${firstStart.x ?? firstNode.x} ${firstStart.y ?? firstNode.y}, ${firstNode.x} ${firstNode.y} `
+        const lastEnd = project({ ...last, ...(last.end || {}) })
+        const firstStart = project({ ...firstNode, ...(firstNode.start || {}) })
+        pathData += `C ${lastEnd.x} ${lastEnd.y}, ${firstStart.x} ${firstStart.y}, ${first.x} ${first.y} `
       } else {
-        pathData += `L ${firstNode.x} ${firstNode.y} `
+        pathData += `L ${first.x} ${first.y} `
       }
       pathData += 'Z'
     }
     
     path.setAttribute('d', pathData.trim())
-    path.setAttribute('fill', obj.fill || 'none')
-    path.setAttribute('stroke', obj.stroke || '#000')
-    path.setAttribute('stroke-width', obj.strokeWidth || 1)
-    path.setAttribute('opacity', obj.opacity !== undefined ? obj.opacity : 1)
+    this._applyStyle(path, obj, this._project(matrix, getObjectPivot(obj)).scale * lineScale)
     
     return path
   }
@@ -416,149 +388,132 @@ export class SVGRenderer extends RenderEngine {
   /**
    * Render object as SVG circle.
    * @param {object} obj - Object data
+   * @param {number[]} matrix - View matrix for the object
+   * @param {number} lineScale - Radius and stroke scale from the object's and its parents' scale
    * @returns {SVGCircleElement} SVG circle element
    * @private
    */
-  _renderCircle(obj) {
+  _renderCircle(obj, matrix, lineScale = 1) {
     const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle')
     
-    const center = obj.nodes && obj.nodes[0] ? obj.nodes[0] : { x: 0, y: 0 }
-    const radius = obj.radius || 10
+    const center = this._project(matrix, obj.nodes && obj.nodes[0] ? obj.nodes[0] : { x: 0, y: 0 })
+    const radius = (obj.radius || 10) * center.scale * lineScale
     
     circle.setAttribute('cx', center.x)
     circle.setAttribute('cy', center.y)
     circle.setAttribute('r', radius)
-    circle.setAttribute('fill', obj.fill || 'none')
-    circle.setAttribute('stroke', obj.stroke || '#000')
-    circle.setAttribute('stroke-width', obj.strokeWidth || 1)
-    circle.setAttribute('opacity', obj.opacity !== undefined ? obj.opacity : 1)
+    this._applyStyle(circle, obj, center.scale * lineScale)
     
     return circle
   }
 
   /**
-   * Render object as SVG rect.
+   * Render object as a rect outline projected to a closed path (rotation may skew it).
    * @param {object} obj - Object data
-   * @returns {SVGRectElement} SVG rect element
+   * @param {number[]} matrix - View matrix for the object
+   * @param {number} lineScale - Stroke scale from the object's and its parents' scale
+   * @returns {SVGPathElement} SVG path element
    * @private
    */
-  _renderRect(obj) {
-    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect')
+  _renderRect(obj, matrix, lineScale = 1) {
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'path')
     
     const first = obj.nodes && obj.nodes[0] ? obj.nodes[0] : { x: 0, y: 0 }
     const width = obj.width || 10
     const height = obj.height || 10
+    const z = first.z || 0
+
+    const corners = [
+      { x: first.x - width / 2, y: first.y - height / 2, z },
+      { x: first.x + width / 2, y: first.y - height / 2, z },
+      { x: first.x + width / 2, y: first.y + height / 2, z },
+      { x: first.x - width / 2, y: first.y + height / 2, z }
+    ].map(corner => this._project(matrix, corner))
+
+    const pathData = corners
+      .map((corner, index) => `${index === 0 ? 'M' : 'L'} ${corner.x} ${corner.y}`)
+      .join(' ')
     
-    rect.setAttribute('x', first.x - width / 2)
-    rect.setAttribute('y', first.y - height / 2)
-    rect.setAttribute('width', width)
-    rect.setAttribute('height', height)
-    rect.setAttribute('fill', obj.fill || 'none')
-    rect.setAttribute('stroke', obj.stroke || '#000')
-    rect.setAttribute('stroke-width', obj.strokeWidth || 1)
-    rect.setAttribute('opacity', obj.opacity !== undefined ? obj.opacity : 1)
+    rect.setAttribute('d', `${pathData} Z`)
+    this._applyStyle(rect, obj, this._project(matrix, first).scale * lineScale)
     
     return rect
   }
 
   /**
-   * Calculate bounding box for a group's children.
-   * @param {Array} children - Array of child objects
-   * @returns {object|null} Bounding box { minX, minY, maxX, maxY, width, height }
+   * Render a dashed box around all selected objects.
+   * @param {Array} objects - Scene objects
+   * @param {Set<string>} selectedIds
+   * @returns {SVGGElement|null}
    * @private
    */
-  _calculateGroupBounds(children) {
-    if (!children || children.length === 0) return null
+  _renderSelectionBounds(objects, selectedIds) {
+    const bounds = this._calculateSelectionBounds(objects, selectedIds)
+    if (!bounds) return null
+    const { minX, minY, maxX, maxY } = bounds
 
-    let minX = Infinity
-    let minY = Infinity
-    let maxX = -Infinity
-    let maxY = -Infinity
+    const zoomScale = this._getZoomScale()
+    const controls = this.controlsConfig || DEFAULT_CONFIG.controls || {}
+    const padding = 5 / zoomScale
 
-    children.forEach(child => {
-      const offset = child.offset || { x: 0, y: 0 }
-      
-      if (child.type === 'group' || child.svg_element === 'g') {
-        // Recursively calculate bounds for nested groups
-        const childBounds = this._calculateGroupBounds(child.children || [])
-        if (childBounds) {
-          minX = Math.min(minX, childBounds.minX + offset.x)
-          minY = Math.min(minY, childBounds.minY + offset.y)
-          maxX = Math.max(maxX, childBounds.maxX + offset.x)
-          maxY = Math.max(maxY, childBounds.maxY + offset.y)
-        }
-      } else if (child.nodes && Array.isArray(child.nodes) && child.nodes.length > 0) {
-        // Calculate bounds from nodes
-        child.nodes.forEach(node => {
-          const nodeX = (node.x || 0) + offset.x
-          const nodeY = (node.y || 0) + offset.y
-          minX = Math.min(minX, nodeX)
-          minY = Math.min(minY, nodeY)
-          maxX = Math.max(maxX, nodeX)
-          maxY = Math.max(maxY, nodeY)
-        })
-      }
-    })
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g')
+    group.setAttribute('class', 'selection-bounds')
+    group.setAttribute('pointer-events', 'none')
 
-    if (minX === Infinity) return null
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect')
+    rect.setAttribute('x', minX - padding)
+    rect.setAttribute('y', minY - padding)
+    rect.setAttribute('width', maxX - minX + padding * 2)
+    rect.setAttribute('height', maxY - minY + padding * 2)
+    rect.setAttribute('fill', 'none')
+    rect.setAttribute('stroke', '#3b82f6')
+    rect.setAttribute('stroke-width', (controls.lineStrokeWidth || 1) / zoomScale)
+    const dash = (controls.bboxDashSize || 5) / zoomScale
+    rect.setAttribute('stroke-dasharray', `${dash},${dash}`)
+    group.appendChild(rect)
 
-    return {
-      minX,
-      minY,
-      maxX,
-      maxY,
-      width: maxX - minX,
-      height: maxY - minY
-    }
+    return group
   }
 
   /**
-   * Calculate zoom scale based on viewBox and actual rendered size.
-   * @returns {number} Zoom scale factor
-   * @private
+   * Show or hide the marquee rectangle.
+   * @param {object|null} rect - { x, y, width, height } in SVG viewBox coordinates
    */
-  _getZoomScale() {
-    if (!this.svg) return 1
-    
-    const viewBox = this.svg.viewBox?.baseVal
-    if (!viewBox || viewBox.width === 0) return 1
-    
-    const svgRect = this.svg.getBoundingClientRect()
-    if (!svgRect || svgRect.width === 0) return 1
-    
-    // Calculate zoom scale: viewBox width / actual rendered width
-    const zoomScale = viewBox.width / svgRect.width
-    return zoomScale
-  }
+  setMarquee(rect) {
+    if (!this.svg) return
 
-  /**
-   * Check if a handle matches the active handle.
-   * @param {string} handleType - Type of handle ('start', 'end', 'anchor', 'origin')
-   * @param {number} handleIndex - Index of the handle
-   * @param {string} objectId - ID of the object
-   * @param {object|null} activeHandle - Active handle to compare against
-   * @returns {boolean} True if handle is active
-   * @private
-   */
-  _isHandleActive(handleType, handleIndex, objectId, activeHandle) {
-    if (!activeHandle) return false
-    return (
-      activeHandle.type === handleType &&
-      activeHandle.index === handleIndex &&
-      String(activeHandle.objectId) === String(objectId)
-    )
+    if (!rect) {
+      this.marqueeElement?.remove()
+      this.marqueeElement = null
+      return
+    }
+
+    if (!this.marqueeElement) {
+      this.marqueeElement = document.createElementNS('http://www.w3.org/2000/svg', 'rect')
+      this.marqueeElement.setAttribute('class', 'selection-marquee')
+      this.marqueeElement.setAttribute('fill', 'rgba(59, 130, 246, 0.12)')
+      this.marqueeElement.setAttribute('stroke', '#3b82f6')
+      this.marqueeElement.setAttribute('pointer-events', 'none')
+      this.svg.appendChild(this.marqueeElement)
+    }
+
+    const zoomScale = this._getZoomScale()
+    this.marqueeElement.setAttribute('x', Math.min(rect.x, rect.x + rect.width))
+    this.marqueeElement.setAttribute('y', Math.min(rect.y, rect.y + rect.height))
+    this.marqueeElement.setAttribute('width', Math.abs(rect.width))
+    this.marqueeElement.setAttribute('height', Math.abs(rect.height))
+    this.marqueeElement.setAttribute('stroke-width', 1 / zoomScale)
   }
 
   /**
-   * Render control handles for an object.
+   * Render control handles for an object at their projected positions.
    * @param {object} obj - Object to render controls for
-   * @param {object} camera - Camera transform
-   * @param {object|null} accumulatedTransform - Optional accumulated transform for nested objects
+   * @param {Array} parents - Parent groups, outermost first
    * @param {object|null} activeHandle - Optional active handle being dragged { type, index, objectId }
    * @returns {SVGGElement|null} Controls group element
    * @private
    */
-  _renderControls(obj, camera = { x: 0, y: 0, z: 200 }, accumulatedTransform = null, activeHandle = null) {
+  _renderControls(obj, parents = [], activeHandle = null) {
     // Calculate zoom scale for fixed-size controls
     const zoomScale = this._getZoomScale()
     const controls = this.controlsConfig || DEFAULT_CONFIG.controls || {}
@@ -573,31 +528,22 @@ export class SVGRenderer extends RenderEngine {
     const labelOffset = (controls.labelOffset || 6) / zoomScale
     const lineDashSize = (controls.lineDashSize || 2) / zoomScale
     const bboxDashSize = (controls.bboxDashSize || 5) / zoomScale
+
+    const matrix = this.projection.getViewMatrix(obj, parents)
+    const pivot = this._project(matrix, getObjectPivot(obj))
+
     // Handle groups - show bounding box and origin handle
-    if (obj.type === 'group' || obj.svg_element === 'g') {
+    if (isGroup(obj)) {
       const children = obj.children || []
       if (children.length === 0) return null
 
-      const bounds = this._calculateGroupBounds(children)
+      const bounds = this._calculateGroupBounds(obj, parents)
       if (!bounds) return null
 
       const controlsGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g')
       controlsGroup.setAttribute('class', 'object-controls')
       controlsGroup.setAttribute('data-object-id', String(obj.id))
 
-      // Use accumulated transform if provided (for nested objects), otherwise calculate from object
-      let x, y, scale
-      if (accumulatedTransform) {
-        x = accumulatedTransform.x
-        y = accumulatedTransform.y
-        scale = accumulatedTransform.scale
-      } else {
-        x = (obj.offset?.x || 0) + (camera.x || 0)
-        y = (obj.offset?.y || 0) + (camera.y || 0)
-        scale = camera.z ? 200 / camera.z : 1
-      }
-      controlsGroup.setAttribute('transform', `translate(${x}, ${y}) scale(${scale})`)
-
       // Draw bounding box (make it draggable)
       const bboxPadding = 5 / zoomScale
       const bbox = document.createElementNS('http://www.w3.org/2000/svg', 'rect')
@@ -618,14 +564,11 @@ export class SVGRenderer extends RenderEngine {
       bbox.style.pointerEvents = 'all'
       controlsGroup.appendChild(bbox)
 
-      // Origin handle at center of bounding box
-      const centerX = (bounds.minX + bounds.maxX) / 2
-      const centerY = (bounds.minY + bounds.maxY) / 2
-
+      // Origin handle at the group's pivot
       const isOriginActive = this._isHandleActive('origin', 0, obj.id, activeHandle)
       const originHandle = document.createElementNS('http://www.w3.org/2000/svg', 'circle')
-      originHandle.setAttribute('cx', centerX)
-      originHandle.setAttribute('cy', centerY)
+      originHandle.setAttribute('cx', pivot.x)
+      originHandle.setAttribute('cy', pivot.y)
       originHandle.setAttribute('r', isOriginActive ? originRadius * 1.5 : originRadius)
       originHandle.setAttribute('fill', isOriginActive ? '#7c3aed' : '#8b5cf6')
       originHandle.setAttribute('stroke', isOriginActive ? '#6d28d9' : '#7c3aed')
@@ -637,6 +580,9 @@ export class SVGRenderer extends RenderEngine {
       originHandle.style.cursor = 'move'
       controlsGroup.appendChild(originHandle)
 
+      this._renderTransformHandles(obj, bounds, activeHandle)
+        .forEach(element => controlsGroup.appendChild(element))
+
       return controlsGroup
     }
 
@@ -649,27 +595,14 @@ export class SVGRenderer extends RenderEngine {
     controlsGroup.setAttribute('class', 'object-controls')
     controlsGroup.setAttribute('data-object-id', String(obj.id))
 
-    // Use accumulated transform if provided (for nested objects), otherwise calculate from object
-    let x, y, scale
-    if (accumulatedTransform) {
-      x = accumulatedTransform.x
-      y = accumulatedTransform.y
-      scale = accumulatedTransform.scale
-    } else {
-      x = (obj.offset?.x || 0) + (camera.x || 0)
-      y = (obj.offset?.y || 0) + (camera.y || 0)
-      scale = camera.z ? 200 / camera.z : 1
-    }
-    controlsGroup.setAttribute('transform', `translate(${x}, ${y}) scale(${scale})`)
-
-    // Transform nodes to screen coordinates for handle rendering
+    // Project nodes to stage coordinates for handle rendering
     const transformedNodes = obj.nodes.map(node => {
-      const start = node.start || { x: node.x, y: node.y }
-      const end = node.end || { x: node.x, y: node.y }
+      const start = { ...node, ...(node.start || {}) }
+      const end = { ...node, ...(node.end || {}) }
       return {
-        point: { x: node.x, y: node.y },
-        start: { x: start.x, y: start.y },
-        end: { x: end.x, y: end.y }
+        point: this._project(matrix, node),
+        start: this._project(matrix, start),
+        end: this._project(matrix, end)
       }
     })
 
@@ -761,21 +694,12 @@ export class SVGRenderer extends RenderEngine {
       // controlsGroup.appendChild(label)
     })
 
-    // Origin handle (center of object)
-    let cx = 0
-    let cy = 0
-    transformedNodes.forEach(tNode => {
-      cx += tNode.point.x
-      cy += tNode.point.y
-    })
-    cx /= transformedNodes.length
-    cy /= transformedNodes.length
-
+    // Origin handle (object pivot)
     // Check if origin handle is active (for regular objects, index is 0)
     const isOriginActive = this._isHandleActive('origin', 0, obj.id, activeHandle)
     const originHandle = document.createElementNS('http://www.w3.org/2000/svg', 'circle')
-    originHandle.setAttribute('cx', cx)
-    originHandle.setAttribute('cy', cy)
+    originHandle.setAttribute('cx', pivot.x)
+    originHandle.setAttribute('cy', pivot.y)
     originHandle.setAttribute('r', isOriginActive ? originRadius * 1.5 : originRadius)
     originHandle.setAttribute('fill', isOriginActive ? '#7c3aed' : '#8b5cf6')
     originHandle.setAttribute('stroke', isOriginActive ? '#6d28d9' : '#7c3aed')
@@ -787,103 +711,76 @@ export class SVGRenderer extends RenderEngine {
     originHandle.style.cursor = 'move'
     controlsGroup.appendChild(originHandle)
 
-    return controlsGroup
-  }
-
-  setControlsConfig(controls) {
-    this.controlsConfig = controls || DEFAULT_CONFIG.controls
-  }
-
-  /**
-   * Update viewBox based on zoom level.
-   * @private
-   */
-  _updateViewBox() {
-    if (!this.svg) return
-    
-    // Calculate new viewBox dimensions (smaller viewBox = zoomed in)
-    const viewBoxWidth = this.baseViewBoxWidth / this.zoomLevel
-    const viewBoxHeight = this.baseViewBoxHeight / this.zoomLevel
-    
-    // Center the viewBox
-    const viewBoxX = (this.baseViewBoxWidth - viewBoxWidth) / 2
-    const viewBoxY = (this.baseViewBoxHeight - viewBoxHeight) / 2
-    
-    this.svg.setAttribute('viewBox', `${viewBoxX} ${viewBoxY} ${viewBoxWidth} ${viewBoxHeight}`)
-  }
-
-  /**
-   * Set zoom level (1.0 = 100%, minimum)
-   * @param {number} zoom - Zoom level (>= 1.0)
-   */
-  setZoom(zoom) {
-    this.zoomLevel = Math.max(1.0, zoom)
-    this._updateViewBox()
-    // Trigger re-render if needed
-    if (this.needsRender && this.pendingScene) {
-      this.render(this.pendingScene)
+    const bounds = this._calculateObjectBounds(obj, parents)
+    if (bounds) {
+      this._renderTransformHandles(obj, bounds, activeHandle)
+        .forEach(element => controlsGroup.appendChild(element))
     }
-  }
 
-  /**
-   * Get current zoom level
-   * @returns {number} Current zoom level
-   */
-  getZoom() {
-    return this.zoomLevel
-  }
-
-  /**
-   * Zoom in by a factor
-   * @param {number} factor - Zoom factor (e.g., 1.5 for 50% zoom in)
-   */
-  zoomIn(factor = 1.5) {
-    this.setZoom(this.zoomLevel * factor)
-  }
-
-  /**
-   * Zoom out to 100% (can't zoom out beyond 100%)
-   */
-  zoomOut() {
-    this.setZoom(1.0)
+    return controlsGroup
   }
 
   /**
-   * Zoom to a specific point (for pinch-to-zoom)
-   * @param {number} zoom - New zoom level
-   * @param {number} centerX - X coordinate to zoom towards (in viewBox coordinates)
-   * @param {number} centerY - Y coordinate to zoom towards (in viewBox coordinates)
+   * Rotate handle above an object's bounds and scale handle at their
+   * bottom-right corner. Dragging them turns or scales the object about its
+   * pivot (the origin handle).
+   * @param {object} obj - Object the handles belong to
+   * @param {object} bounds - Projected bounds from _calculateObjectBounds
+   * @param {object|null} activeHandle - Handle being dragged
+   * @returns {SVGElement[]}
+   * @private
    */
-  zoomToPoint(zoom, centerX, centerY) {
-    const oldZoom = this.zoomLevel
-    this.zoomLevel = Math.max(1.0, zoom)
-    
-    if (!this.svg || oldZoom === this.zoomLevel) return
-    
-    // Calculate the point in the current viewBox
-    const currentViewBox = this.svg.viewBox?.baseVal
-    if (!currentViewBox) {
-      this._updateViewBox()
-      return
-    }
-    
-    // Calculate the point's position relative to current viewBox
-    const relX = (centerX - currentViewBox.x) / currentViewBox.width
-    const relY = (centerY - currentViewBox.y) / currentViewBox.height
-    
-    // Calculate new viewBox dimensions
-    const newWidth = this.baseViewBoxWidth / this.zoomLevel
-    const newHeight = this.baseViewBoxHeight / this.zoomLevel
-    
-    // Calculate new viewBox position to keep the point at the same relative position
-    const newX = centerX - (relX * newWidth)
-    const newY = centerY - (relY * newHeight)
-    
-    // Clamp to bounds
-    const clampedX = Math.max(0, Math.min(this.baseViewBoxWidth - newWidth, newX))
-    const clampedY = Math.max(0, Math.min(this.baseViewBoxHeight - newHeight, newY))
-    
-    this.svg.setAttribute('viewBox', `${clampedX} ${clampedY} ${newWidth} ${newHeight}`)
+  _renderTransformHandles(obj, bounds, activeHandle = null) {
+    const zoomScale = this._getZoomScale()
+    const controls = this.controlsConfig || DEFAULT_CONFIG.controls || {}
+    const handleRadius = (controls.handleRadius || 4) / zoomScale
+    const handleStrokeWidth = (controls.handleStrokeWidth || 1.5) / zoomScale
+    const lineStrokeWidth = (controls.lineStrokeWidth || 1) / zoomScale
+    const distance = (controls.rotateHandleDistance || 24) / zoomScale
+    const padding = 5 / zoomScale
+
+    const top = { x: (bounds.minX + bounds.maxX) / 2, y: bounds.minY - padding }
+    const stem = document.createElementNS('http://www.w3.org/2000/svg', 'line')
+    stem.setAttribute('x1', top.x)
+    stem.setAttribute('y1', top.y)
+    stem.setAttribute('x2', top.x)
+    stem.setAttribute('y2', top.y - distance)
+    stem.setAttribute('stroke', '#10b981')
+    stem.setAttribute('stroke-width', lineStrokeWidth)
+    stem.setAttribute('opacity', '0.6')
+    stem.setAttribute('pointer-events', 'none')
+
+    const isRotateActive = this._isHandleActive('rotate', 0, obj.id, activeHandle)
+    const rotateHandle = document.createElementNS('http://www.w3.org/2000/svg', 'circle')
+    rotateHandle.setAttribute('cx', top.x)
+    rotateHandle.setAttribute('cy', top.y - distance)
+    rotateHandle.setAttribute('r', isRotateActive ? handleRadius * 1.5 : handleRadius)
+    rotateHandle.setAttribute('fill', isRotateActive ? '#059669' : '#34d399')
+    rotateHandle.setAttribute('stroke', isRotateActive ? '#047857' : '#10b981')
+    rotateHandle.setAttribute('stroke-width', isRotateActive ? handleStrokeWidth * 1.5 : handleStrokeWidth)
+    rotateHandle.setAttribute('class', `handle rotate-handle ${isRotateActive ? 'handle-active' : ''}`)
+    rotateHandle.setAttribute('data-type', 'rotate')
+    rotateHandle.setAttribute('data-index', '0')
+    rotateHandle.setAttribute('data-object-id', String(obj.id))
+    rotateHandle.style.cursor = 'grab'
+
+    const isScaleActive = this._isHandleActive('scale', 0, obj.id, activeHandle)
+    const size = (isScaleActive ? handleRadius * 1.5 : handleRadius) * 2
+    const scaleHandle = document.createElementNS('http://www.w3.org/2000/svg', 'rect')
+    scaleHandle.setAttribute('x', bounds.maxX + padding - size / 2)
+    scaleHandle.setAttribute('y', bounds.maxY + padding - size / 2)
+    scaleHandle.setAttribute('width', size)
+    scaleHandle.setAttribute('height', size)
+    scaleHandle.setAttribute('fill', isScaleActive ? '#db2777' : '#f472b6')
+    scaleHandle.setAttribute('stroke', isScaleActive ? '#be185d' : '#ec4899')
+    scaleHandle.setAttribute('stroke-width', isScaleActive ? handleStrokeWidth * 1.5 : handleStrokeWidth)
+    scaleHandle.setAttribute('class', `handle scale-handle ${isScaleActive ? 'handle-active' : ''}`)
+    scaleHandle.setAttribute('data-type', 'scale')
+    scaleHandle.setAttribute('data-index', '0')
+    scaleHandle.setAttribute('data-object-id', String(obj.id))
+    scaleHandle.style.cursor = 'nwse-resize'
+
+    return [stem, rotateHandle, scaleHandle]
   }
 
   /**
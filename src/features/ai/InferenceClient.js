@@ -1,98 +1,285 @@
 /**
  * InferenceClient - Handles communication with the AI backend
+ * Requests go through a transport (see InferenceTransport): the real backend
+ * over HTTP by default, or a mock, recording or replaying stand-in.
+ *
+ * At most maxConcurrent requests run at once; the rest wait in a queue.
+ * Every method takes an optional AbortSignal ({ signal }) that cancels the
+ * request whether it is queued, running or waiting to retry. GET requests are
+ * idempotent and retried with exponential backoff after timeouts, network
+ * errors and 429/5xx responses. Failures are InferenceError subclasses.
+ *
+ * Subscribers get an event for every request start, response and error,
+ * with the number of active and queued requests (for activity indicators).
  */
 
+import { FetchTransport } from './InferenceTransport.js'
+import { InferenceAbortError, InferenceError, abortableDelay, throwIfAborted } from './InferenceErrors.js'
+
 export class InferenceClient {
-  constructor({ baseUrl = 'http://localhost:8000/api/v1', timeout = 30000 } = {}) {
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl - Backend API root (for the default HTTP transport)
+   * @param {number} options.timeout - Request timeout in milliseconds (HTTP transport)
+   * @param {object} options.transport - Transport to use instead of HTTP
+   * @param {number} options.maxConcurrent - Requests in flight at once
+   * @param {number} options.retries - Extra attempts for GET requests
+   * @param {number} options.retryDelay - Delay before the first retry (doubles each time)
+   */
+  constructor({
+    baseUrl = 'http://localhost:8000/api/v1',
+    timeout = 30000,
+    transport = null,
+    maxConcurrent = 4,
+    retries = 2,
+    retryDelay = 500
+  } = {}) {
     this.baseUrl = baseUrl.replace(/\/$/, '')
     this.timeout = timeout
+    this.transport = transport || new FetchTransport({ baseUrl: this.baseUrl, timeout })
+    this.maxConcurrent = Math.max(1, maxConcurrent)
+    this.retries = Math.max(0, retries)
+    this.retryDelay = retryDelay
+
+    this.active = 0
+    this.queue = [] // [{ start, signal, onAbort }]
+    this.listeners = new Set()
+    this.nextRequestId = 1
+  }
+
+  /**
+   * Switch transport, e.g. to the mock while working offline.
+   * @param {object} transport
+   */
+  setTransport(transport) {
+    this.transport = transport
+  }
+
+  /**
+   * Listen for request activity.
+   * @param {Function} listener - (event) => void, where event is
+   *   { type: 'request'|'response'|'error', id, method, path, attempt, duration, error, active, queued }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * @returns {{ active: number, queued: number }}
+   */
+  getActivity() {
+    return { active: this.active, queued: this.queue.length }
   }
 
-  async _request(path, { method = 'GET', body = null } = {}) {
-    const controller = new AbortController()
-    const timer = setTimeout(() => controller.abort(), this.timeout)
-
-    try {
-      const response = await fetch(`${this.baseUrl}${path}`, {
-        method,
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: body ? JSON.stringify(body) : null,
-        signal: controller.signal
-      })
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}))
-        const message = errorData.error || errorData.message || `HTTP ${response.status}`
-        throw new Error(message)
+  /**
+   * @private
+   */
+  _emit(event) {
+    const payload = { ...event, ...this.getActivity() }
+    this.listeners.forEach(listener => {
+      try {
+        listener(payload)
+      } catch (error) {
+        console.warn('InferenceClient listener failed:', error)
+      }
+    })
+  }
+
+  /**
+   * Run a task once a concurrency slot is free.
+   * @private
+   */
+  _enqueue(task, signal, context) {
+    return new Promise((resolve, reject) => {
+      throwIfAborted(signal, context)
+
+      const entry = { signal, onAbort: null }
+      entry.start = () => {
+        signal?.removeEventListener('abort', entry.onAbort)
+        this.active++
+        // The slot is freed before the caller continues, so follow-up requests see it
+        const settle = (callback) => (value) => {
+          this.active--
+          this._next()
+          callback(value)
+        }
+        Promise.resolve()
+          .then(task)
+          .then(settle(resolve), settle(reject))
+      }
+      entry.onAbort = () => {
+        this.queue = this.queue.filter(item => item !== entry)
+        try {
+          throwIfAborted(signal, context)
+        } catch (error) {
+          reject(error)
+        }
+      }
+
+      if (this.active < this.maxConcurrent) {
+        entry.start()
+      } else {
+        signal?.addEventListener('abort', entry.onAbort, { once: true })
+        this.queue.push(entry)
       }
+    })
+  }
 
-      return response.json().catch(() => ({}))
-    } finally {
-      clearTimeout(timer)
+  /**
+   * @private
+   */
+  _next() {
+    while (this.active < this.maxConcurrent && this.queue.length > 0) {
+      this.queue.shift().start()
     }
   }
 
-  callInference({ instruction, logId = null }) {
+  /**
+   * @param {string} path
+   * @param {object} options
+   * @param {string} options.method
+   * @param {object|null} options.body
+   * @param {AbortSignal|null} options.signal
+   * @param {number} options.retries - Overrides the client's retries (GET only)
+   * @returns {Promise<*>} Response body
+   * @throws {InferenceError}
+   */
+  _request(path, { method = 'GET', body = null, signal = null, retries = this.retries } = {}) {
+    const id = this.nextRequestId++
+    const context = { method, path }
+    const attempts = method === 'GET' ? retries + 1 : 1
+
+    return this._enqueue(async () => {
+      for (let attempt = 1; ; attempt++) {
+        const startedAt = Date.now()
+        this._emit({ type: 'request', id, ...context, attempt })
+        try {
+          const response = await this.transport.request({ method, path, body, signal })
+          this._emit({ type: 'response', id, ...context, attempt, duration: Date.now() - startedAt })
+          return response
+        } catch (caught) {
+          let error = caught
+          if (!(caught instanceof InferenceError)) {
+            error = signal?.aborted
+              ? new InferenceAbortError(undefined, { ...context, cause: caught })
+              : new InferenceError(caught?.message || String(caught), { ...context, cause: caught })
+          }
+          this._emit({ type: 'error', id, ...context, attempt, duration: Date.now() - startedAt, error })
+
+          if (attempt >= attempts || !error.retryable) {
+            throw error
+          }
+          await abortableDelay(this.retryDelay * 2 ** (attempt - 1), signal, context)
+        }
+      }
+    }, signal, context)
+  }
+
+  /**
+   * @param {object} request
+   * @param {string} request.instruction
+   * @param {string|null} request.logId - Log to continue (refining a draft)
+   * @param {AbortSignal} request.signal
+   */
+  callInference({ instruction, logId = null, signal = null }) {
     return this._request('/inference', {
       method: 'POST',
-      body: { instruction, logId }
+      body: { instruction, logId },
+      signal
     })
   }
 
-  fetchStats() {
-    return this._request('/stats')
+  fetchStats({ signal = null } = {}) {
+    return this._request('/stats', { signal })
+  }
+
+  fetchLogs(logId, { signal = null } = {}) {
+    return this._request(`/logs/${logId}`, { signal })
+  }
+
+  /**
+   * Embedding vectors for several texts, in order.
+   * Accepts { embeddings: [[...]] } or OpenAI-style { data: [{ embedding }] } responses.
+   * @param {string[]} texts
+   * @param {object} options
+   * @param {string} options.model - Embedding model (backend default when null)
+   * @param {AbortSignal} options.signal
+   * @returns {Promise<number[][]>}
+   */
+  async fetchEmbeddings(texts, { model = null, signal = null } = {}) {
+    const response = await this._request('/embeddings', {
+      method: 'POST',
+      body: { texts, model },
+      signal
+    })
+    const embeddings = response?.embeddings || response?.data?.map(item => item.embedding)
+    if (!Array.isArray(embeddings)) {
+      throw new InferenceError('Embeddings response has no embeddings', { code: 'invalid-response', method: 'POST', path: '/embeddings' })
+    }
+    return embeddings
   }
 
-  fetchLogs(logId) {
-    return this._request(`/logs/${logId}`)
+  listModules({ signal = null } = {}) {
+    return this._request('/modules', { signal })
   }
 
-  listModules() {
-    return this._request('/modules')
+  listJobs({ signal = null } = {}) {
+    return this._request('/training/jobs', { signal })
   }
 
-  listJobs() {
-    return this._request('/training/jobs')
+  getJob(jobId, { signal = null } = {}) {
+    return this._request(`/training/jobs/${jobId}`, { signal })
   }
 
-  getJob(jobId) {
-    return this._request(`/training/jobs/${jobId}`)
+  cancelJob(jobId, { signal = null } = {}) {
+    return this._request(`/training/jobs/${jobId}/cancel`, {
+      method: 'POST',
+      signal
+    })
   }
 
-  startJob(payload) {
+  startJob(payload, { signal = null } = {}) {
     return this._request('/training/train', {
       method: 'POST',
-      body: payload
+      body: payload,
+      signal
     })
   }
 
-  listAdapters() {
-    return this._request('/training/adapters')
+  listAdapters({ signal = null } = {}) {
+    return this._request('/training/adapters', { signal })
   }
 
-  getCurrentAdapter() {
-    return this._request('/training/adapters/current')
+  getCurrentAdapter({ signal = null } = {}) {
+    return this._request('/training/adapters/current', { signal })
   }
 
-  setCurrentAdapter(name) {
+  setCurrentAdapter(name, { signal = null } = {}) {
     return this._request('/training/adapters/current', {
       method: 'PUT',
-      body: { name }
+      body: { name },
+      signal
     })
   }
 
-  deleteAdapter(name) {
+  deleteAdapter(name, { signal = null } = {}) {
     return this._request(`/training/adapters/${encodeURIComponent(name)}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      signal
     })
   }
 
-  fetchPoseDetection(image, options = {}) {
+  /**
+   * @param {string} image - Base64 image data
+   * @param {object} options - Detection options sent to the backend, plus { signal }
+   */
+  fetchPoseDetection(image, { signal = null, ...options } = {}) {
     return this._request('/pose/detect', {
       method: 'POST',
-      body: { image, ...options }
+      body: { image, ...options },
+      signal
     })
   }
 }
@@ -0,0 +1,121 @@
+/**
+ * InferenceErrors - Typed errors for requests to the AI backend
+ * Every error thrown by InferenceClient and its transports is an
+ * InferenceError with a code, so callers can tell a slow backend from an
+ * unreachable one, a rejected request or their own cancellation:
+ *
+ *   timeout    InferenceTimeoutError   no response within the timeout
+ *   network    InferenceNetworkError   backend unreachable (offline, CORS, DNS)
+ *   http       InferenceHttpError      backend answered with an error status
+ *   aborted    InferenceAbortError     the caller's AbortSignal fired
+ */
+
+export class InferenceError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} options
+   * @param {string} options.code
+   * @param {string} options.method - Request method
+   * @param {string} options.path - Request path
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, { code = 'unknown', method = null, path = null, cause = null } = {}) {
+    super(message)
+    this.name = 'InferenceError'
+    this.code = code
+    this.method = method
+    this.path = path
+    this.cause = cause
+  }
+
+  /**
+   * Whether trying again may succeed.
+   * @returns {boolean}
+   */
+  get retryable() {
+    return false
+  }
+}
+
+export class InferenceTimeoutError extends InferenceError {
+  constructor(message, { timeout = null, ...options } = {}) {
+    super(message, { ...options, code: 'timeout' })
+    this.name = 'InferenceTimeoutError'
+    this.timeout = timeout
+  }
+
+  get retryable() {
+    return true
+  }
+}
+
+export class InferenceNetworkError extends InferenceError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'network' })
+    this.name = 'InferenceNetworkError'
+  }
+
+  get retryable() {
+    return true
+  }
+}
+
+export class InferenceHttpError extends InferenceError {
+  /**
+   * @param {string} message - Server message when there is one
+   * @param {object} options
+   * @param {number} options.status - HTTP status
+   * @param {*} options.body - Parsed error response
+   */
+  constructor(message, { status, body = null, ...options } = {}) {
+    super(message, { ...options, code: 'http' })
+    this.name = 'InferenceHttpError'
+    this.status = status
+    this.body = body
+  }
+
+  get retryable() {
+    // Overloaded or temporarily failing; client errors will fail again
+    return this.status === 429 || this.status >= 500
+  }
+}
+
+export class InferenceAbortError extends InferenceError {
+  constructor(message = 'Request was cancelled', options = {}) {
+    super(message, { ...options, code: 'aborted' })
+    this.name = 'InferenceAbortError'
+  }
+}
+
+/**
+ * Throw an InferenceAbortError if the signal has fired.
+ * @param {AbortSignal|null} signal
+ * @param {object} request - { method, path } for the error
+ */
+export function throwIfAborted(signal, { method = null, path = null } = {}) {
+  if (signal?.aborted) {
+    throw new InferenceAbortError(undefined, { method, path, cause: signal.reason ?? null })
+  }
+}
+
+/**
+ * Resolve after a delay, rejecting with InferenceAbortError when the signal fires first.
+ * @param {number} ms
+ * @param {AbortSignal|null} signal
+ * @param {object} request - { method, path } for the error
+ * @returns {Promise<void>}
+ */
+export function abortableDelay(ms, signal = null, request = {}) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal, request)
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(new InferenceAbortError(undefined, { ...request, cause: signal.reason ?? null }))
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
@@ -0,0 +1,237 @@
+/**
+ * InferenceTransport - How InferenceClient reaches the AI backend
+ * A transport has one method:
+ *
+ *   request({ method, path, body, signal }) -> Promise<response body>
+ *
+ * path is relative to the API base ("/inference"); the request may also carry
+ * an AbortSignal. Transports throw InferenceError subclasses (InferenceErrors.js).
+ * Available transports:
+ *
+ *   http     FetchTransport, the real backend at config.api.baseUrl
+ *   mock     MockInferenceTransport, fixtures in the browser
+ *   record   the real backend, saving every response to localStorage
+ *   replay   saved responses only (falling back to the mock when configured)
+ *
+ * Select one with config.api.transport (or ?transport=mock in the page URL).
+ */
+
+import { StorageManager } from '../../utils/storage.js'
+import {
+  InferenceAbortError,
+  InferenceHttpError,
+  InferenceNetworkError,
+  InferenceTimeoutError,
+  throwIfAborted
+} from './InferenceErrors.js'
+import { MockInferenceTransport, hashString } from './MockInferenceTransport.js'
+
+export const TRANSPORT_TYPES = ['http', 'mock', 'record', 'replay']
+
+const RECORDINGS_KEY = 'recordings'
+
+/**
+ * Key a recorded response is stored under: method, path and a body hash
+ * (bodies can hold whole images).
+ * @param {object} request - { method, path, body }
+ * @returns {string} e.g. "POST /inference #1a2b3c4d"
+ */
+export function requestKey({ method = 'GET', path, body = null }) {
+  return body ? `${method} ${path} #${hashString(JSON.stringify(body))}` : `${method} ${path}`
+}
+
+export class FetchTransport {
+  constructor({ baseUrl = 'http://localhost:8000/api/v1', timeout = 30000 } = {}) {
+    this.name = 'http'
+    this.baseUrl = baseUrl.replace(/\/$/, '')
+    this.timeout = timeout
+  }
+
+  /**
+   * @throws {InferenceTimeoutError|InferenceNetworkError|InferenceHttpError|InferenceAbortError}
+   */
+  async request({ method = 'GET', path, body = null, signal = null }) {
+    const context = { method, path }
+    throwIfAborted(signal, context)
+
+    const controller = new AbortController()
+    let timedOut = false
+    const timer = setTimeout(() => {
+      timedOut = true
+      controller.abort()
+    }, this.timeout)
+    const onAbort = () => controller.abort()
+    signal?.addEventListener('abort', onAbort, { once: true })
+
+    try {
+      let response
+      try {
+        response = await fetch(`${this.baseUrl}${path}`, {
+          method,
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: body ? JSON.stringify(body) : null,
+          signal: controller.signal
+        })
+      } catch (error) {
+        if (timedOut) {
+          throw new InferenceTimeoutError(`${method} ${path} timed out after ${this.timeout} ms`, {
+            ...context, timeout: this.timeout, cause: error
+          })
+        }
+        if (signal?.aborted) {
+          throw new InferenceAbortError(undefined, { ...context, cause: error })
+        }
+        throw new InferenceNetworkError(`Could not reach the AI backend at ${this.baseUrl}`, { ...context, cause: error })
+      }
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        const message = errorData.error || errorData.message || errorData.detail || `HTTP ${response.status}`
+        throw new InferenceHttpError(message, { ...context, status: response.status, body: errorData })
+      }
+
+      return response.json().catch(() => ({}))
+    } finally {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+    }
+  }
+}
+
+/**
+ * Passes requests to another transport and saves each response, so they can
+ * be replayed offline. Repeated requests (e.g. job polling) keep every
+ * distinct response in order.
+ */
+export class RecordingTransport {
+  /**
+   * @param {object} options
+   * @param {object} options.transport - Transport that makes the real requests
+   * @param {StorageManager} options.storage
+   * @param {number} options.maxResponses - Responses kept per request key
+   */
+  constructor({ transport, storage = new StorageManager('preview2-inference'), maxResponses = 50 } = {}) {
+    if (!transport) {
+      throw new Error('Transport to record is required')
+    }
+    this.name = 'record'
+    this.transport = transport
+    this.storage = storage
+    this.maxResponses = maxResponses
+  }
+
+  async request(request) {
+    const response = await this.transport.request(request)
+    this._save(requestKey(request), response)
+    return response
+  }
+
+  /**
+   * @returns {object} request key -> responses, in the order they were received
+   */
+  getRecordings() {
+    return this.storage.get(RECORDINGS_KEY, {})
+  }
+
+  /**
+   * Recordings as a JSON file body (for sharing fixtures).
+   * @returns {string}
+   */
+  exportRecordings() {
+    return JSON.stringify(this.getRecordings(), null, 2)
+  }
+
+  clearRecordings() {
+    this.storage.remove(RECORDINGS_KEY)
+  }
+
+  /**
+   * @private
+   */
+  _save(key, response) {
+    const recordings = this.getRecordings()
+    const responses = recordings[key] || []
+    const serialized = JSON.stringify(response)
+    if (responses.length > 0 && JSON.stringify(responses[responses.length - 1]) === serialized) {
+      return
+    }
+    recordings[key] = [...responses, JSON.parse(serialized)].slice(-this.maxResponses)
+    if (!this.storage.set(RECORDINGS_KEY, recordings)) {
+      console.warn(`Could not save the recorded response for ${key}`)
+    }
+  }
+}
+
+/**
+ * Serves recorded responses. Each request key steps through its responses and
+ * then keeps returning the last one. Unrecorded requests go to the fallback
+ * transport, or fail when there is none.
+ */
+export class ReplayTransport {
+  /**
+   * @param {object} options
+   * @param {object} options.recordings - request key -> responses (read from storage when omitted)
+   * @param {StorageManager} options.storage
+   * @param {object|null} options.fallback - Transport for unrecorded requests
+   */
+  constructor({ recordings = null, storage = new StorageManager('preview2-inference'), fallback = null } = {}) {
+    this.name = 'replay'
+    this.recordings = recordings || storage.get(RECORDINGS_KEY, {})
+    this.fallback = fallback
+    this.cursors = new Map() // request key -> index of the next response
+  }
+
+  /**
+   * Replace the recordings (e.g. with an exported file) and start over.
+   * @param {object|string} recordings
+   */
+  loadRecordings(recordings) {
+    this.recordings = typeof recordings === 'string' ? JSON.parse(recordings) : recordings
+    this.cursors.clear()
+  }
+
+  async request(request) {
+    throwIfAborted(request.signal, request)
+    const key = requestKey(request)
+    const responses = this.recordings[key]
+    if (!responses || responses.length === 0) {
+      if (this.fallback) {
+        return this.fallback.request(request)
+      }
+      throw new InferenceHttpError(`No recorded response for ${key}`, {
+        method: request.method,
+        path: request.path,
+        status: 404
+      })
+    }
+
+    const index = this.cursors.get(key) || 0
+    this.cursors.set(key, Math.min(index + 1, responses.length - 1))
+    return JSON.parse(JSON.stringify(responses[index]))
+  }
+}
+
+/**
+ * Transport for the config.api section.
+ * @param {object} api - { transport, baseUrl, timeout, mockLatency, replayFallback }
+ * @returns {object} Transport
+ */
+export function createTransport(api = {}) {
+  const http = () => new FetchTransport({ baseUrl: api.baseUrl, timeout: api.timeout })
+  const mock = () => new MockInferenceTransport({ latency: api.mockLatency })
+
+  switch (api.transport || 'http') {
+    case 'http':
+      return http()
+    case 'mock':
+      return mock()
+    case 'record':
+      return new RecordingTransport({ transport: http() })
+    case 'replay':
+      return new ReplayTransport({ fallback: api.replayFallback === 'mock' ? mock() : null })
+    default:
+      throw new Error(`Unknown API transport "${api.transport}" (use ${TRANSPORT_TYPES.join(', ')})`)
+  }
+}
@@ -1,38 +1,225 @@
 /**
  * LoRATrainingManager - Coordinates LoRA training workflows
+ * Keeps the last known state of every job, polls running jobs with backoff
+ * (fast while they make progress, slower while they don't or the backend
+ * errors) and tells subscribers whenever a job changes.
  */
 
+export const TERMINAL_JOB_STATUSES = ['completed', 'failed', 'cancelled']
+
+const STATUS_ALIASES = {
+  succeeded: 'completed',
+  success: 'completed',
+  done: 'completed',
+  finished: 'completed',
+  error: 'failed',
+  canceled: 'cancelled',
+  pending: 'queued'
+}
+
+/**
+ * @private
+ */
+function readLossHistory(job) {
+  const raw = job.lossHistory || job.loss_history || job.metrics?.loss || job.history || job.losses || []
+  if (!Array.isArray(raw)) return []
+  return raw
+    .map((entry, index) => (typeof entry === 'number'
+      ? { step: index + 1, loss: entry }
+      : { step: Number(entry.step ?? entry.iteration ?? index + 1), loss: Number(entry.loss ?? entry.value) }))
+    .filter(point => Number.isFinite(point.step) && Number.isFinite(point.loss))
+}
+
+/**
+ * Bring job responses from different backends (and the mock server) to one shape.
+ * @param {object} job - Job status response
+ * @returns {{ jobId: string, status: string, progress: number, lossHistory: object[], error: string|null, message: string|null }}
+ *   progress is 0..1; message only stands in for a missing error on failed jobs
+ *   (backends also use it for progress notes); every other field of the response is kept
+ */
+export function normalizeJob(job = {}) {
+  const status = String(job.status || job.state || 'queued').toLowerCase()
+  const totalSteps = Number(job.totalSteps ?? job.total_steps)
+  const step = Number(job.step ?? job.currentStep ?? job.current_step)
+  let progress = Number(job.progress)
+  if (!Number.isFinite(progress) && totalSteps > 0 && Number.isFinite(step)) {
+    progress = step / totalSteps
+  }
+  if (progress > 1) {
+    progress /= 100 // Percentages
+  }
+
+  const normalizedStatus = STATUS_ALIASES[status] || status
+  const message = job.message || null
+
+  return {
+    ...job,
+    jobId: String(job.jobId ?? job.job_id ?? job.id ?? ''),
+    status: normalizedStatus,
+    progress: Number.isFinite(progress) ? Math.min(Math.max(progress, 0), 1) : 0,
+    lossHistory: readLossHistory(job),
+    error: job.error || (normalizedStatus === 'failed' ? message : null),
+    message
+  }
+}
+
 export class LoRATrainingManager {
-  constructor({ client }) {
+  /**
+   * @param {object} options
+   * @param {InferenceClient} options.client
+   * @param {number} options.pollInterval - First and fastest poll delay (ms)
+   * @param {number} options.maxPollInterval - Slowest poll delay (ms)
+   * @param {number} options.backoffFactor - Delay growth while nothing changes
+   */
+  constructor({ client, pollInterval = 1000, maxPollInterval = 15000, backoffFactor = 1.6 } = {}) {
     if (!client) {
       throw new Error('InferenceClient instance is required')
     }
     this.client = client
+    this.pollInterval = pollInterval
+    this.maxPollInterval = maxPollInterval
+    this.backoffFactor = backoffFactor
     this.jobs = new Map()
+    this.watchers = new Map() // jobId -> { timer, delay }
+    this.listeners = new Set()
+  }
+
+  /**
+   * Listen for job changes.
+   * @param {Function} listener - (job, jobs) => void
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * @private
+   */
+  _notify(job) {
+    this.listeners.forEach(listener => listener(job, this.getJobs()))
+  }
+
+  /**
+   * Known jobs, newest first.
+   * @returns {object[]}
+   */
+  getJobs() {
+    return Array.from(this.jobs.values()).reverse()
+  }
+
+  /**
+   * @private
+   */
+  _storeJob(response) {
+    const update = normalizeJob(response)
+    if (!update.jobId) return update
+
+    // Partial responses (e.g. to cancel) keep what is already known
+    const previous = this.jobs.get(update.jobId)
+    const job = previous ? { ...previous, ...update } : update
+    if (previous && update.lossHistory.length === 0) {
+      job.lossHistory = previous.lossHistory
+    }
+    this.jobs.set(job.jobId, job)
+    this._notify(job)
+    return job
   }
 
   async startTraining(payload) {
     const response = await this.client.startJob(payload)
-    if (response.jobId) {
-      this.jobs.set(response.jobId, { status: 'queued', ...response })
+    const job = this._storeJob({ status: 'queued', ...response })
+    if (job.jobId) {
+      this.watchJob(job.jobId)
     }
-    return response
+    return job
   }
 
   async refreshJob(jobId) {
     const job = await this.client.getJob(jobId)
-    this.jobs.set(jobId, job)
-    return job
+    return this._storeJob({ jobId, ...job })
   }
 
   async listJobs() {
-    const list = await this.client.listJobs()
-    list.forEach(job => this.jobs.set(job.jobId, job))
-    return list
+    const response = await this.client.listJobs()
+    const list = Array.isArray(response) ? response : response?.jobs || []
+    const jobs = list.map(job => this._storeJob(job))
+    jobs
+      .filter(job => job.jobId && !TERMINAL_JOB_STATUSES.includes(job.status))
+      .forEach(job => this.watchJob(job.jobId))
+    return jobs
+  }
+
+  async cancelJob(jobId) {
+    const response = await this.client.cancelJob(jobId)
+    const job = this._storeJob({ jobId, status: 'cancelled', ...response })
+    if (TERMINAL_JOB_STATUSES.includes(job.status)) {
+      this.stopWatching(jobId)
+    }
+    return job
+  }
+
+  /**
+   * Poll a job until it finishes. Polling starts at pollInterval, backs off
+   * while the job does not change (or the request fails) and speeds up again
+   * when it does. Watching a watched job again restarts it at the fast rate.
+   * @param {string} jobId
+   * @returns {Function} Stops watching
+   */
+  watchJob(jobId) {
+    this.stopWatching(jobId)
+    const watcher = { timer: null, delay: this.pollInterval }
+    this.watchers.set(jobId, watcher)
+
+    const poll = async () => {
+      const before = this.jobs.get(jobId)
+      let changed = false
+      try {
+        const job = await this.refreshJob(jobId)
+        if (this.watchers.get(jobId) !== watcher) return
+        if (TERMINAL_JOB_STATUSES.includes(job.status)) {
+          this.watchers.delete(jobId)
+          return
+        }
+        changed = !before ||
+          before.status !== job.status ||
+          before.progress !== job.progress ||
+          before.lossHistory.length !== job.lossHistory.length
+      } catch (error) {
+        if (this.watchers.get(jobId) !== watcher) return
+        console.warn(`Polling training job ${jobId} failed:`, error)
+      }
+
+      watcher.delay = changed
+        ? this.pollInterval
+        : Math.min(watcher.delay * this.backoffFactor, this.maxPollInterval)
+      watcher.timer = setTimeout(poll, watcher.delay)
+    }
+
+    watcher.timer = setTimeout(poll, watcher.delay)
+    return () => this.stopWatching(jobId)
+  }
+
+  stopWatching(jobId) {
+    const watcher = this.watchers.get(jobId)
+    if (watcher) {
+      clearTimeout(watcher.timer)
+      this.watchers.delete(jobId)
+    }
+  }
+
+  stopAll() {
+    Array.from(this.watchers.keys()).forEach(jobId => this.stopWatching(jobId))
   }
 
+  /**
+   * @returns {Promise<Array<{ name: string }>>} Adapters; other response fields are kept
+   */
   async listAdapters() {
-    return this.client.listAdapters()
+    const response = await this.client.listAdapters()
+    const list = Array.isArray(response) ? response : response?.adapters || []
+    return list.map(adapter => (typeof adapter === 'string' ? { name: adapter } : adapter))
   }
 
   async setCurrentAdapter(name) {
@@ -43,7 +230,12 @@ export class LoRATrainingManager {
     return this.client.deleteAdapter(name)
   }
 
+  /**
+   * @returns {Promise<string|null>} Name of the active adapter
+   */
   async getCurrentAdapter() {
-    return this.client.getCurrentAdapter()
+    const response = await this.client.getCurrentAdapter()
+    if (typeof response === 'string') return response
+    return response?.name ?? response?.adapter ?? null
   }
 }
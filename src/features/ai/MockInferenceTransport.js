@@ -0,0 +1,322 @@
+/**
+ * MockInferenceTransport - In-browser stand-in for the AI backend
+ * Answers every InferenceClient endpoint from fixtures (mockFixtures.js):
+ * the same request always gets the same answer, so it works for offline
+ * development and for tests. Training jobs advance with the clock and
+ * produce a falling loss curve; adapters and logs live in memory.
+ *
+ * Instructions pick a module template by keyword; adapter names containing
+ * "fail" make a training job fail half way through.
+ */
+
+import { ADAPTERS, MODULE_TEMPLATES, POSE_KEYPOINTS } from './mockFixtures.js'
+import { analyzeText } from './TextVectorizers.js'
+import { InferenceHttpError, abortableDelay, throwIfAborted } from './InferenceErrors.js'
+
+const EMBEDDING_SIZE = 64
+const STEPS_PER_EPOCH = 20
+
+/**
+ * FNV-1a hash of a string, as 8 hex digits.
+ * @param {string} text
+ * @returns {string}
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
+
+/**
+ * Deterministic number in [0, 1) from a seed string.
+ * @private
+ */
+function seededRandom(seed) {
+  return parseInt(hashString(seed), 16) / 0x100000000
+}
+
+/**
+ * @private
+ */
+function notFound(message) {
+  return new InferenceHttpError(message, { status: 404 })
+}
+
+/**
+ * @private
+ */
+function badRequest(message) {
+  return new InferenceHttpError(message, { status: 400 })
+}
+
+export class MockInferenceTransport {
+  /**
+   * @param {object} options
+   * @param {number} options.latency - Simulated response time in milliseconds
+   * @param {number} options.stepDuration - Simulated training time per step in milliseconds
+   * @param {Function} options.now - Clock, () => milliseconds
+   */
+  constructor({ latency = 150, stepDuration = 500, now = () => Date.now() } = {}) {
+    this.name = 'mock'
+    this.latency = latency
+    this.stepDuration = stepDuration
+    this.now = now
+
+    this.logs = new Map() // logId -> { logId, steps }
+    this.jobs = new Map()
+    this.adapters = new Map(ADAPTERS.map(adapter => [adapter.name, { ...adapter }]))
+    this.currentAdapter = null
+    this.nextJobId = 1
+    this.requestCount = 0
+
+    this.routes = [
+      ['POST', /^\/inference$/, (_, body) => this._inference(body)],
+      ['GET', /^\/stats$/, () => this._stats()],
+      ['GET', /^\/logs\/([^/]+)$/, (logId) => this._log(logId)],
+      ['GET', /^\/modules$/, () => MODULE_TEMPLATES.map(({ name, keywords }) => ({ name, keywords }))],
+      ['POST', /^\/embeddings$/, (_, body) => this._embeddings(body)],
+      ['POST', /^\/pose\/detect$/, (_, body) => this._detectPose(body)],
+      ['GET', /^\/training\/jobs$/, () => Array.from(this.jobs.values()).map(job => this._jobStatus(job))],
+      ['GET', /^\/training\/jobs\/([^/]+)$/, (jobId) => this._jobStatus(this._getJob(jobId))],
+      ['POST', /^\/training\/jobs\/([^/]+)\/cancel$/, (jobId) => this._cancelJob(jobId)],
+      ['POST', /^\/training\/train$/, (_, body) => this._startJob(body)],
+      ['GET', /^\/training\/adapters$/, () => Array.from(this.adapters.values())],
+      ['GET', /^\/training\/adapters\/current$/, () => ({ name: this.currentAdapter })],
+      ['PUT', /^\/training\/adapters\/current$/, (_, body) => this._setCurrentAdapter(body)],
+      ['DELETE', /^\/training\/adapters\/([^/]+)$/, (name) => this._deleteAdapter(name)]
+    ]
+  }
+
+  /**
+   * @param {object} request
+   * @param {string} request.method
+   * @param {string} request.path - Path below the API base, e.g. "/stats"
+   * @param {object|null} request.body
+   * @param {AbortSignal} request.signal
+   * @returns {Promise<*>} Response body
+   * @throws {InferenceHttpError|InferenceAbortError}
+   */
+  async request({ method = 'GET', path, body = null, signal = null }) {
+    const context = { method, path }
+    if (this.latency > 0) {
+      await abortableDelay(this.latency, signal, context)
+    }
+    throwIfAborted(signal, context)
+    this.requestCount++
+
+    const cleanPath = path.split('?')[0]
+    for (const [routeMethod, pattern, handler] of this.routes) {
+      const match = cleanPath.match(pattern)
+      if (match && routeMethod === method) {
+        try {
+          // Copies, so callers cannot change the mock's state
+          return JSON.parse(JSON.stringify(handler(decodeURIComponent(match[1] || ''), body || {}) ?? {}))
+        } catch (error) {
+          Object.assign(error, context)
+          throw error
+        }
+      }
+    }
+    throw Object.assign(notFound(`Mock backend has no route for ${method} ${cleanPath}`), context)
+  }
+
+  /**
+   * @private
+   */
+  _inference({ instruction, logId = null }) {
+    if (!instruction || typeof instruction !== 'string') {
+      throw badRequest('instruction is required')
+    }
+
+    const words = instruction.toLowerCase().match(/[a-z]+/g) || []
+    const template = MODULE_TEMPLATES.find(item => item.keywords.some(keyword => words.includes(keyword))) ||
+      MODULE_TEMPLATES[MODULE_TEMPLATES.length - 1]
+    const count = Number(instruction.match(/\d+/)?.[0]) || template.defaultCount
+    const source = template.source.replace(/\{\{count\}\}/g, String(count))
+
+    // Follow-up requests continue the log they refer to
+    const log = (logId && this.logs.get(logId)) || { logId: `mock-log-${hashString(instruction)}`, steps: [] }
+    log.steps.push(
+      { type: 'instruction', text: instruction },
+      { type: 'match', text: `Template "${template.name}" with ${count}` },
+      { type: 'output', text: source }
+    )
+    this.logs.set(log.logId, log)
+
+    return { source, name: template.name, logId: log.logId }
+  }
+
+  /**
+   * @private
+   */
+  _stats() {
+    return {
+      backend: 'mock',
+      requests: this.requestCount,
+      templates: MODULE_TEMPLATES.length,
+      jobs: this.jobs.size,
+      adapters: this.adapters.size
+    }
+  }
+
+  /**
+   * @private
+   */
+  _log(logId) {
+    const log = this.logs.get(logId)
+    if (!log) throw notFound(`No log ${logId}`)
+    return log
+  }
+
+  /**
+   * Hashed bag of analyzed terms: texts that share terms point the same way.
+   * @private
+   */
+  _embeddings({ texts }) {
+    if (!Array.isArray(texts)) {
+      throw badRequest('texts must be an array')
+    }
+    return {
+      embeddings: texts.map(text => {
+        const vector = new Array(EMBEDDING_SIZE).fill(0)
+        analyzeText(text).forEach(({ term }) => {
+          const hash = parseInt(hashString(term), 16)
+          vector[hash % EMBEDDING_SIZE] += hash & 1 ? 1 : -1
+        })
+        return vector
+      })
+    }
+  }
+
+  /**
+   * One person filling most of the frame, slightly shifted per image.
+   * @private
+   */
+  _detectPose({ image, width = 640, height = 480 }) {
+    if (!image) {
+      throw badRequest('image is required')
+    }
+
+    const seed = hashString(String(image).slice(0, 4096))
+    const size = Math.min(width, height) * 0.9
+    const left = (width - size) / 2 + (seededRandom(`${seed}x`) - 0.5) * size * 0.2
+    const top = (height - size) / 2
+    const keypoints = POSE_KEYPOINTS.map(point => ({
+      name: point.name,
+      x: Number((left + point.x * size + (seededRandom(`${seed}${point.name}x`) - 0.5) * size * 0.02).toFixed(2)),
+      y: Number((top + point.y * size + (seededRandom(`${seed}${point.name}y`) - 0.5) * size * 0.02).toFixed(2)),
+      score: Number((0.75 + seededRandom(`${seed}${point.name}s`) * 0.25).toFixed(3))
+    }))
+
+    return {
+      poses: [{
+        keypoints,
+        confidence: Number((keypoints.reduce((sum, point) => sum + point.score, 0) / keypoints.length).toFixed(3))
+      }],
+      width,
+      height
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getJob(jobId) {
+    const job = this.jobs.get(jobId)
+    if (!job) throw notFound(`No job ${jobId}`)
+    return job
+  }
+
+  /**
+   * Bring a job up to date with the clock and return its public status.
+   * @private
+   */
+  _jobStatus(job) {
+    if (job.status === 'queued' || job.status === 'running') {
+      const step = Math.min(Math.floor((this.now() - job.startedAt) / this.stepDuration), job.totalSteps)
+      const failAt = job.adapterName.includes('fail') ? Math.floor(job.totalSteps / 2) : Infinity
+      for (let i = job.lossHistory.length + 1; i <= Math.min(step, failAt); i++) {
+        // Exponential decay with a little deterministic wobble
+        const loss = 0.4 + 2.2 * Math.exp(-i / (job.totalSteps / 4)) + 0.05 * Math.sin(i * 1.7)
+        job.lossHistory.push({ step: i, loss: Number(loss.toFixed(4)) })
+      }
+
+      job.step = Math.min(step, failAt)
+      if (step >= failAt) {
+        job.status = 'failed'
+        job.error = 'Mock failure: loss diverged'
+      } else if (step >= job.totalSteps) {
+        job.status = 'completed'
+        this.adapters.set(job.adapterName, { name: job.adapterName, createdAt: new Date(this.now()).toISOString() })
+      } else {
+        job.status = step > 0 ? 'running' : 'queued'
+      }
+    }
+
+    const { startedAt, ...status } = job
+    return { ...status, progress: job.step / job.totalSteps }
+  }
+
+  /**
+   * @private
+   */
+  _startJob({ adapterName, dataset, epochs = 1 }) {
+    if (!adapterName || !Array.isArray(dataset) || dataset.length === 0) {
+      throw badRequest('adapterName and a non-empty dataset are required')
+    }
+    const jobId = `mock-job-${this.nextJobId++}`
+    const job = {
+      jobId,
+      adapterName,
+      examples: dataset.length,
+      epochs,
+      totalSteps: Math.max(1, epochs) * STEPS_PER_EPOCH,
+      step: 0,
+      status: 'queued',
+      lossHistory: [],
+      error: null,
+      startedAt: this.now()
+    }
+    this.jobs.set(jobId, job)
+    return this._jobStatus(job)
+  }
+
+  /**
+   * @private
+   */
+  _cancelJob(jobId) {
+    const job = this._getJob(jobId)
+    this._jobStatus(job)
+    if (job.status === 'queued' || job.status === 'running') {
+      job.status = 'cancelled'
+    }
+    return this._jobStatus(job)
+  }
+
+  /**
+   * @private
+   */
+  _setCurrentAdapter({ name }) {
+    if (name !== null && !this.adapters.has(name)) {
+      throw notFound(`No adapter ${name}`)
+    }
+    this.currentAdapter = name
+    return { name }
+  }
+
+  /**
+   * @private
+   */
+  _deleteAdapter(name) {
+    if (!this.adapters.delete(name)) {
+      throw notFound(`No adapter ${name}`)
+    }
+    if (this.currentAdapter === name) {
+      this.currentAdapter = null
+    }
+    return { deleted: name }
+  }
+}
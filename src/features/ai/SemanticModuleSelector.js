@@ -1,69 +1,202 @@
 /**
  * SemanticModuleSelector - Ranks modules against a user prompt
+ * Modules are described by text (name, description, source comments) and
+ * compared to the prompt with a pluggable vectorizer (see TextVectorizers);
+ * TF-IDF over the module corpus is the default. Module vectors are cached
+ * until the module text or the corpus changes, and every match lists the
+ * terms that contributed most to it.
  */
 
-import { clamp } from '../../utils/math.js'
+import {
+  KeywordVectorizer,
+  TfIdfVectorizer,
+  analyzeText,
+  cosineSimilarity
+} from './TextVectorizers.js'
+
+/**
+ * Text a module is matched by.
+ * @param {object} module - Module metadata ({ name, description, source, prompt })
+ * @returns {string}
+ */
+export function describeModule(module) {
+  const comments = (String(module.source || '').match(/\/\/[^\n]*|\/\*[\s\S]*?\*\//g) || []).join(' ')
+  const prompt = typeof module.prompt === 'string' ? module.prompt : ''
+  // The name counts twice: it is the most deliberate description a module has
+  return [module.name, module.name, module.description, prompt, comments]
+    .filter(Boolean)
+    .join(' ')
+    .replace(/[-_./*]+/g, ' ')
+}
+
+/**
+ * @private
+ */
+function cacheKey(module) {
+  return module.id || `${module.name}@${module.version || ''}`
+}
 
 export class SemanticModuleSelector {
-  constructor({ minSimilarity = 0.1, topN = 5 } = {}) {
+  /**
+   * @param {object} options
+   * @param {number} options.minSimilarity - Matches below this are dropped
+   * @param {number} options.topN - Maximum number of matches
+   * @param {object} options.vectorizer - Vectorizer (TF-IDF when omitted)
+   * @param {object} options.fallbackVectorizer - Used when the vectorizer fails (e.g. embeddings offline)
+   * @param {Function} options.describe - module => text to match
+   */
+  constructor({
+    minSimilarity = 0.1,
+    topN = 5,
+    vectorizer = null,
+    fallbackVectorizer = undefined,
+    describe = describeModule
+  } = {}) {
     this.minSimilarity = minSimilarity
     this.topN = topN
+    this.describe = describe
+    this.keywords = new KeywordVectorizer()
+    this.explainer = new TfIdfVectorizer() // Sparse vectors for explanations, whatever ranks
+    this.vectorizer = null
+    this.fallbackVectorizer = null
+    this.cache = new Map() // `${vectorizer}|${module}` -> { text, vector }
+    this.fitted = new Map() // vectorizer name -> corpus signature it was fitted on
+    this.setVectorizer(vectorizer || new TfIdfVectorizer(), fallbackVectorizer)
+  }
+
+  /**
+   * Switch vectorizer; cached vectors of other vectorizers stay valid.
+   * @param {object} vectorizer
+   * @param {object|null} fallbackVectorizer - Defaults to TF-IDF for non-TF-IDF vectorizers
+   */
+  setVectorizer(vectorizer, fallbackVectorizer = undefined) {
+    this.vectorizer = vectorizer
+    this.fallbackVectorizer = fallbackVectorizer !== undefined
+      ? fallbackVectorizer
+      : vectorizer.name === 'tfidf' ? null : new TfIdfVectorizer()
   }
 
+  /**
+   * Keyword weights of a text (term frequency scaled to 0..1).
+   * @param {string} text
+   * @returns {object} term -> weight
+   */
   extractKeywords(text) {
-    if (!text) return {}
-    const tokens = text
-      .toLowerCase()
-      .replace(/[^a-z0-9\s]/g, ' ')
-      .split(/\s+/)
-      .filter(Boolean)
-
-    const weights = {}
-    tokens.forEach(token => {
-      weights[token] = (weights[token] || 0) + 1
-    })
-
-    const max = Math.max(...Object.values(weights), 1)
-    Object.keys(weights).forEach(key => {
-      weights[key] = clamp(weights[key] / max, 0, 1)
-    })
-
-    return weights
+    return this.keywords.vectorize([text])[0]
   }
 
   cosine(a, b) {
-    let dot = 0
-    let aNorm = 0
-    let bNorm = 0
-
-    const keys = new Set([...Object.keys(a), ...Object.keys(b)])
-    keys.forEach(key => {
-      const av = a[key] || 0
-      const bv = b[key] || 0
-      dot += av * bv
-      aNorm += av * av
-      bNorm += bv * bv
-    })
-
-    if (aNorm === 0 || bNorm === 0) return 0
-    return dot / (Math.sqrt(aNorm) * Math.sqrt(bNorm))
+    return cosineSimilarity(a, b)
   }
 
-  rankModules(userPrompt, modules) {
-    const promptVector = this.extractKeywords(userPrompt)
-    return modules
-      .map(module => {
-        const moduleVector = module.prompt || {}
-        const similarity = this.cosine(promptVector, moduleVector)
-        return { module, similarity }
-      })
+  /**
+   * Rank modules by similarity to a prompt.
+   * @param {string} userPrompt
+   * @param {object[]} modules - Module metadata
+   * @returns {Promise<Array<{ module: object, similarity: number, terms: object[] }>>}
+   *   Best first; terms are [{ term, weight, promptWords, moduleWords }]
+   */
+  async rankModules(userPrompt, modules) {
+    try {
+      return await this._rank(this.vectorizer, userPrompt, modules)
+    } catch (error) {
+      if (!this.fallbackVectorizer) throw error
+      console.warn(`Module ranking with ${this.vectorizer.name} failed, using ${this.fallbackVectorizer.name}:`, error)
+      return this._rank(this.fallbackVectorizer, userPrompt, modules)
+    }
+  }
+
+  async selectBest(userPrompt, modules) {
+    const ranked = await this.rankModules(userPrompt, modules)
+    return ranked.length > 0 ? ranked[0] : null
+  }
+
+  /**
+   * Terms shared by two texts, largest contribution to their similarity first.
+   * @param {string} promptText
+   * @param {string} moduleText
+   * @param {number} limit
+   * @returns {Array<{ term: string, weight: number, promptWords: string[], moduleWords: string[] }>}
+   */
+  explainMatch(promptText, moduleText, limit = 3) {
+    const [promptVector, moduleVector] = this.explainer.vectorize([promptText, moduleText])
+    const contributions = Object.keys(promptVector)
+      .filter(term => moduleVector[term])
+      .map(term => ({ term, score: promptVector[term] * moduleVector[term] }))
+    const total = contributions.reduce((sum, { score }) => sum + score, 0)
+    if (total === 0) return []
+
+    const wordsFor = (text, term) => Array.from(new Set(
+      analyzeText(text).filter(entry => entry.term === term).map(entry => entry.word)
+    ))
+
+    return contributions
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ term, score }) => ({
+        term,
+        weight: score / total,
+        promptWords: wordsFor(promptText, term),
+        moduleWords: wordsFor(moduleText, term)
+      }))
+  }
+
+  /**
+   * @private
+   */
+  async _rank(vectorizer, userPrompt, modules) {
+    const documents = modules.map(module => ({ id: cacheKey(module), text: this.describe(module), module }))
+    if (documents.length === 0) return []
+
+    await this._fit(vectorizer, documents)
+    await this._fit(this.explainer, documents)
+    const moduleVectors = await this._getVectors(vectorizer, documents)
+    const [promptVector] = await vectorizer.vectorize([userPrompt])
+
+    return documents
+      .map((document, index) => ({
+        document,
+        similarity: cosineSimilarity(promptVector, moduleVectors[index])
+      }))
       .filter(entry => entry.similarity >= this.minSimilarity)
       .sort((a, b) => b.similarity - a.similarity)
       .slice(0, this.topN)
+      .map(({ document, similarity }) => ({
+        module: document.module,
+        similarity,
+        terms: this.explainMatch(userPrompt, document.text)
+      }))
   }
 
-  selectBest(userPrompt, modules) {
-    const ranked = this.rankModules(userPrompt, modules)
-    return ranked.length > 0 ? ranked[0] : null
+  /**
+   * Refit when the corpus changed; corpus-dependent vectors are dropped then.
+   * @private
+   */
+  async _fit(vectorizer, documents) {
+    const signature = documents.map(({ id, text }) => `${id}:${text.length}:${text.slice(0, 32)}`).sort().join('|')
+    if (this.fitted.get(vectorizer.name) === signature) return
+
+    await vectorizer.fit(documents)
+    this.fitted.set(vectorizer.name, signature)
+    const prefix = `${vectorizer.name}|`
+    Array.from(this.cache.keys())
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => this.cache.delete(key))
+  }
+
+  /**
+   * Module vectors, vectorizing only modules missing from the cache.
+   * @private
+   */
+  async _getVectors(vectorizer, documents) {
+    const key = (document) => `${vectorizer.name}|${document.id}`
+    const missing = documents.filter(document => this.cache.get(key(document))?.text !== document.text)
+    if (missing.length > 0) {
+      const vectors = await vectorizer.vectorize(missing.map(document => document.text))
+      missing.forEach((document, index) => {
+        this.cache.set(key(document), { text: document.text, vector: vectors[index] })
+      })
+    }
+    return documents.map(document => this.cache.get(key(document)).vector)
   }
 }
@@ -0,0 +1,289 @@
+/**
+ * TextVectorizers - Turn prompts and module descriptions into comparable vectors
+ * Every vectorizer has the same shape so SemanticModuleSelector can swap them:
+ *
+ *   name                  Identifies the vectorizer in caches
+ *   fit(documents)        Learn from the module corpus ([{ id, text }]), may be async
+ *   vectorize(texts)      Vectors for several texts, may be async
+ *
+ * Sparse vectors are { term: weight } objects, dense vectors are number arrays.
+ * Text analysis lowercases, drops stopwords, maps synonyms to one term and
+ * stems, so "walking cat" and "feline walk cycle" share "cat" and "walk".
+ */
+
+import { clamp } from '../../utils/math.js'
+
+export const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'for', 'from',
+  'had', 'has', 'have', 'having', 'he', 'her', 'here', 'him', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'most', 'my',
+  'no', 'nor', 'not', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'out', 'over', 'own',
+  'please', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them',
+  'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+  'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while',
+  'who', 'why', 'will', 'with', 'would', 'you', 'your',
+  // Words every request to the editor contains
+  'make', 'draw', 'create', 'want', 'like', 'show', 'module', 'return', 'const', 'let', 'config'
+])
+
+// Each group maps to its first word
+const SYNONYM_GROUPS = [
+  ['cat', 'feline', 'kitten', 'kitty'],
+  ['dog', 'canine', 'puppy', 'hound'],
+  ['bird', 'avian'],
+  ['fish', 'aquatic'],
+  ['person', 'human', 'people', 'figure', 'character', 'man', 'woman'],
+  ['walk', 'stroll', 'stride', 'gait', 'step'],
+  ['run', 'sprint', 'jog', 'dash'],
+  ['jump', 'hop', 'leap', 'bounce'],
+  ['spin', 'rotate', 'rotation', 'turn', 'twirl', 'revolve'],
+  ['wave', 'wavy', 'ripple', 'undulate', 'sine'],
+  ['circle', 'round', 'ring', 'disc', 'disk'],
+  ['square', 'box', 'rectangle'],
+  ['star', 'sparkle', 'twinkle'],
+  ['flower', 'blossom', 'petal', 'bloom'],
+  ['tree', 'branch', 'plant'],
+  ['cycle', 'loop', 'repeat'],
+  ['big', 'large', 'huge', 'giant'],
+  ['small', 'tiny', 'little', 'mini'],
+  ['fast', 'quick', 'rapid'],
+  ['slow', 'gentle', 'calm']
+]
+
+// Keyed by word and by stem so "rotating" finds "rotate"
+export const SYNONYMS = new Map()
+SYNONYM_GROUPS.forEach(group => group.forEach(word => {
+  SYNONYMS.set(word, group[0])
+  SYNONYMS.set(stem(word), group[0])
+}))
+
+/**
+ * Light suffix-stripping stemmer (a small subset of Porter's rules).
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+export function stem(word) {
+  if (word.length <= 3) return word
+
+  let result = word
+  if (result.endsWith('ies') && result.length > 4) {
+    result = `${result.slice(0, -3)}y`
+  } else if (result.endsWith('sses')) {
+    result = result.slice(0, -2)
+  } else if (result.endsWith('s') && !result.endsWith('ss') && !result.endsWith('us')) {
+    result = result.slice(0, -1)
+  }
+
+  for (const suffix of ['ing', 'ed']) {
+    if (result.endsWith(suffix) && result.length - suffix.length >= 3 && /[aeiouy]/.test(result.slice(0, -suffix.length))) {
+      result = result.slice(0, -suffix.length)
+      // running -> runn -> run, hopped -> hopp -> hop
+      if (/([^aeiouslz])\1$/.test(result)) {
+        result = result.slice(0, -1)
+      }
+      break
+    }
+  }
+
+  if (result.endsWith('ly') && result.length > 5) {
+    result = result.slice(0, -2)
+  }
+  // dance / dancing -> danc
+  if (result.endsWith('e') && result.length > 4) {
+    result = result.slice(0, -1)
+  }
+  return result
+}
+
+/**
+ * Split text into analyzed terms, keeping the word each term came from.
+ * @param {string} text
+ * @param {object} options
+ * @param {Set<string>} options.stopwords
+ * @param {Map<string, string>} options.synonyms
+ * @returns {Array<{ term: string, word: string }>}
+ */
+export function analyzeText(text, { stopwords = STOPWORDS, synonyms = SYNONYMS } = {}) {
+  if (!text) return []
+  return String(text)
+    // Split camelCase and snake/kebab names into words
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !stopwords.has(word) && !/^\d+$/.test(word))
+    .map(word => {
+      const stemmed = stem(word)
+      const term = synonyms.get(word) || synonyms.get(stemmed) || stemmed
+      return { term, word }
+    })
+}
+
+/**
+ * Cosine similarity of two sparse or two dense vectors.
+ * @param {object|number[]} a
+ * @param {object|number[]} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0
+  let aNorm = 0
+  let bNorm = 0
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    const length = Math.min(a.length, b.length)
+    for (let i = 0; i < length; i++) {
+      dot += a[i] * b[i]
+      aNorm += a[i] * a[i]
+      bNorm += b[i] * b[i]
+    }
+  } else {
+    Object.entries(a || {}).forEach(([key, value]) => {
+      aNorm += value * value
+      dot += value * (b?.[key] || 0)
+    })
+    Object.values(b || {}).forEach(value => {
+      bNorm += value * value
+    })
+  }
+
+  if (aNorm === 0 || bNorm === 0) return 0
+  return dot / (Math.sqrt(aNorm) * Math.sqrt(bNorm))
+}
+
+/**
+ * Term frequencies normalized by the most frequent term (the original selector behaviour).
+ */
+export class KeywordVectorizer {
+  constructor({ analyze = analyzeText } = {}) {
+    this.name = 'keywords'
+    this.analyze = analyze
+  }
+
+  fit() {}
+
+  vectorize(texts) {
+    return texts.map(text => {
+      const weights = {}
+      this.analyze(text).forEach(({ term }) => {
+        weights[term] = (weights[term] || 0) + 1
+      })
+
+      const max = Math.max(...Object.values(weights), 1)
+      Object.keys(weights).forEach(key => {
+        weights[key] = clamp(weights[key] / max, 0, 1)
+      })
+      return weights
+    })
+  }
+}
+
+/**
+ * TF-IDF over the module corpus: terms that every module shares weigh little,
+ * distinctive terms weigh a lot.
+ */
+export class TfIdfVectorizer {
+  constructor({ analyze = analyzeText } = {}) {
+    this.name = 'tfidf'
+    this.analyze = analyze
+    this.idf = new Map() // term -> inverse document frequency
+    this.documentCount = 0
+  }
+
+  /**
+   * @param {Array<{ text: string }>} documents
+   */
+  fit(documents = []) {
+    const frequencies = new Map()
+    documents.forEach(({ text }) => {
+      new Set(this.analyze(text).map(({ term }) => term)).forEach(term => {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1)
+      })
+    })
+
+    this.documentCount = documents.length
+    this.idf = new Map()
+    frequencies.forEach((count, term) => {
+      // Smoothed so terms found in every document still count a little
+      this.idf.set(term, Math.log((1 + this.documentCount) / (1 + count)) + 1)
+    })
+  }
+
+  vectorize(texts) {
+    // Terms the corpus has never seen get the highest idf
+    const unseen = Math.log(1 + this.documentCount) + 1
+    return texts.map(text => {
+      const counts = {}
+      const terms = this.analyze(text)
+      terms.forEach(({ term }) => {
+        counts[term] = (counts[term] || 0) + 1
+      })
+
+      const vector = {}
+      Object.entries(counts).forEach(([term, count]) => {
+        vector[term] = (count / terms.length) * (this.idf.get(term) ?? unseen)
+      })
+      return vector
+    })
+  }
+}
+
+/**
+ * Dense vectors from the backend's embeddings endpoint (InferenceClient.fetchEmbeddings).
+ * Embeddings are cached per text, so unchanged modules are only sent once.
+ */
+export class EmbeddingVectorizer {
+  constructor({ client, model = null, cacheSize = 500 } = {}) {
+    if (!client) {
+      throw new Error('InferenceClient instance is required')
+    }
+    this.name = `embeddings:${model || 'default'}`
+    this.client = client
+    this.model = model
+    this.cacheSize = cacheSize
+    this.cache = new Map() // text -> number[]
+  }
+
+  fit() {}
+
+  async vectorize(texts) {
+    const missing = Array.from(new Set(texts.filter(text => !this.cache.has(text))))
+    if (missing.length > 0) {
+      const embeddings = await this.client.fetchEmbeddings(missing, { model: this.model })
+      if (!Array.isArray(embeddings) || embeddings.length !== missing.length) {
+        throw new Error('Embeddings endpoint returned an unexpected response')
+      }
+      missing.forEach((text, index) => this.cache.set(text, embeddings[index]))
+    }
+
+    const vectors = texts.map(text => this.cache.get(text))
+    // Forget the oldest entries first
+    while (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value)
+    }
+    return vectors
+  }
+}
+
+/**
+ * Vectorizer for a config.ai.vectorizer value.
+ * @param {'tfidf'|'keywords'|'embeddings'} type
+ * @param {object} options
+ * @param {InferenceClient} options.client - Required for embeddings
+ * @param {string} options.model - Embedding model
+ * @returns {object}
+ */
+export function createVectorizer(type = 'tfidf', { client = null, model = null } = {}) {
+  switch (type) {
+    case 'tfidf':
+      return new TfIdfVectorizer()
+    case 'keywords':
+      return new KeywordVectorizer()
+    case 'embeddings':
+      return new EmbeddingVectorizer({ client, model })
+    default:
+      throw new Error(`Unknown vectorizer: ${type}`)
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * TrainingDataset - Builds LoRA training examples from projects and modules
+ * Every example is an { instruction, output } pair in the format the
+ * training endpoint expects:
+ *
+ *   module          description (or name) -> module source
+ *   project         project title -> scene JSON (the project's objects)
+ *   pose-correction detected keypoints -> hand-corrected keypoints (PoseCorrectionStore)
+ *
+ * Each example also records where it came from so the panel can show it.
+ */
+
+const MAX_SCENE_LENGTH = 20000 // Characters; larger scenes are skipped
+
+/**
+ * @private
+ */
+function describeModuleName(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[-_.]+/g, ' ')
+    .toLowerCase()
+}
+
+/**
+ * Drop editor-only state so scenes look like what the model should produce.
+ * @private
+ */
+function cleanObject(object) {
+  const { id, selected, locked, hidden, ...rest } = object
+  if (Array.isArray(rest.children)) {
+    rest.children = rest.children.map(cleanObject)
+  }
+  return rest
+}
+
+/**
+ * "name x y score" per keypoint, one per line: far shorter than JSON for
+ * the dozens of keypoints a pose has.
+ * @private
+ */
+function formatKeypoints(keypoints) {
+  return keypoints.map(point => `${point.name} ${point.x} ${point.y} ${point.score}`).join('\n')
+}
+
+/**
+ * Build a training dataset.
+ * @param {object} options
+ * @param {object[]} options.projects - Projects from ProjectManager ({ id, title, assets })
+ * @param {object[]} options.modules - Modules from ModuleManager ({ name, version, description, source })
+ * @param {object[]} options.poseCorrections - Entries from PoseCorrectionStore
+ * @returns {{ examples: object[], skipped: string[] }}
+ *   examples are [{ instruction, output, origin }]; skipped explains left out items
+ */
+export function buildTrainingDataset({ projects = [], modules = [], poseCorrections = [] } = {}) {
+  const examples = []
+  const skipped = []
+
+  modules.forEach(module => {
+    const origin = `module:${module.name}@${module.version}`
+    if (!module.source?.trim()) {
+      skipped.push(`${origin} has no source`)
+      return
+    }
+    examples.push({
+      instruction: module.description?.trim() || `Create a ${describeModuleName(module.name)} module`,
+      output: module.source,
+      origin
+    })
+  })
+
+  projects.forEach(project => {
+    const origin = `project:${project.id}`
+    const assets = Array.isArray(project.assets) ? project.assets : []
+    if (assets.length === 0) {
+      skipped.push(`"${project.title}" is empty`)
+      return
+    }
+    const output = JSON.stringify(assets.map(cleanObject))
+    if (output.length > MAX_SCENE_LENGTH) {
+      skipped.push(`"${project.title}" is too large (${output.length} characters)`)
+      return
+    }
+    examples.push({
+      instruction: project.title,
+      output,
+      origin
+    })
+  })
+
+  poseCorrections.forEach(correction => {
+    const origin = `pose-correction:${correction.id}`
+    if (!Array.isArray(correction.detected) || !Array.isArray(correction.corrected) || correction.corrected.length === 0) {
+      skipped.push(`${origin} has no keypoints`)
+      return
+    }
+    const { width, height } = correction.image || {}
+    examples.push({
+      instruction: [
+        `Correct the ${correction.skeleton} pose keypoints detected on a ${width}x${height} image.`,
+        'Keypoints (name x y score):',
+        formatKeypoints(correction.detected)
+      ].join('\n'),
+      output: formatKeypoints(correction.corrected),
+      origin
+    })
+  })
+
+  return { examples, skipped }
+}
@@ -0,0 +1,194 @@
+/**
+ * mockFixtures - Canned data for MockInferenceTransport
+ * Module templates are real module sources (see ModuleSchema for the format);
+ * the mock picks one by keyword and fills in numbers found in the instruction.
+ */
+
+/**
+ * Module source templates. `{{count}}` is replaced with the first number in the
+ * instruction (or the template's defaultCount).
+ */
+export const MODULE_TEMPLATES = [
+  {
+    name: 'spiral-dots',
+    keywords: ['spiral', 'dot', 'dots', 'swirl'],
+    defaultCount: 12,
+    source: `// Dots along an Archimedean spiral
+return (helpers) => {
+  const build = (origin, config) => {
+    const children = []
+    for (let i = 0; i < config.count; i++) {
+      const angle = i * config.turn
+      const distance = config.spacing * i
+      const x = origin.x + distance * Math.cos(angle)
+      const y = origin.y + distance * Math.sin(angle)
+      const r = config.dotRadius
+      children.push({
+        name: \`Dot \${i + 1}\`,
+        nodes: [
+          { x: x - r, y }, { x, y: y - r }, { x: x + r, y }, { x, y: y + r }
+        ],
+        closed: true,
+        fill: config.fill
+      })
+    }
+    return { name: 'Spiral', children }
+  }
+
+  build.parameters = {
+    count: { type: 'integer', default: {{count}}, min: 1, max: 200 },
+    spacing: { type: 'number', default: 12, min: 1, max: 100 },
+    turn: { type: 'number', default: 0.6, min: 0.05, max: 3.14, step: 0.05 },
+    dotRadius: { type: 'number', default: 8, min: 1, max: 60 },
+    fill: { type: 'color', default: '#38bdf8' }
+  }
+  return build
+}
+`
+  },
+  {
+    name: 'star',
+    keywords: ['star', 'sparkle', 'twinkle'],
+    defaultCount: 5,
+    source: `// A star with alternating outer and inner points
+return (helpers) => {
+  const build = (origin, config) => {
+    const nodes = []
+    for (let i = 0; i < config.points * 2; i++) {
+      const radius = i % 2 === 0 ? config.radius : config.radius * config.inset
+      const angle = (Math.PI * i) / config.points - Math.PI / 2
+      nodes.push({ x: origin.x + radius * Math.cos(angle), y: origin.y + radius * Math.sin(angle) })
+    }
+    return { name: 'Star', nodes, closed: true, fill: config.fill, stroke: '#1f2937', strokeWidth: 2 }
+  }
+
+  build.parameters = {
+    points: { type: 'integer', default: {{count}}, min: 3, max: 24 },
+    radius: { type: 'number', default: 200, min: 10, max: 800 },
+    inset: { type: 'number', default: 0.5, min: 0.1, max: 1, step: 0.05 },
+    fill: { type: 'color', default: '#facc15' }
+  }
+  return build
+}
+`
+  },
+  {
+    name: 'wave-line',
+    keywords: ['wave', 'wavy', 'sine', 'ribbon', 'ripple'],
+    defaultCount: 3,
+    source: `// A sine wave drawn as one open path
+return (helpers) => {
+  const build = (origin, config) => {
+    const nodes = []
+    const steps = config.waves * 16
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps
+      nodes.push({
+        x: origin.x + (t - 0.5) * config.width,
+        y: origin.y + Math.sin(t * config.waves * Math.PI * 2) * config.amplitude
+      })
+    }
+    return { name: 'Wave', nodes, closed: false, fill: 'none', stroke: config.stroke, strokeWidth: 4 }
+  }
+
+  build.parameters = {
+    waves: { type: 'integer', default: {{count}}, min: 1, max: 20 },
+    width: { type: 'number', default: 800, min: 50, max: 2000 },
+    amplitude: { type: 'number', default: 80, min: 0, max: 400 },
+    stroke: { type: 'color', default: '#a78bfa' }
+  }
+  return build
+}
+`
+  },
+  {
+    name: 'grid',
+    keywords: ['grid', 'square', 'squares', 'tile', 'tiles', 'checker'],
+    defaultCount: 4,
+    source: `// A square grid of tiles
+return (helpers) => {
+  const build = (origin, config) => {
+    const children = []
+    const start = -((config.size - 1) * config.gap) / 2
+    for (let row = 0; row < config.size; row++) {
+      for (let column = 0; column < config.size; column++) {
+        const x = origin.x + start + column * config.gap
+        const y = origin.y + start + row * config.gap
+        const half = config.tile / 2
+        children.push({
+          name: \`Tile \${row + 1}-\${column + 1}\`,
+          nodes: [
+            { x: x - half, y: y - half }, { x: x + half, y: y - half },
+            { x: x + half, y: y + half }, { x: x - half, y: y + half }
+          ],
+          closed: true,
+          fill: (row + column) % 2 === 0 ? config.fill : 'none',
+          stroke: config.fill
+        })
+      }
+    }
+    return { name: 'Grid', children }
+  }
+
+  build.parameters = {
+    size: { type: 'integer', default: {{count}}, min: 1, max: 16 },
+    gap: { type: 'number', default: 120, min: 10, max: 400 },
+    tile: { type: 'number', default: 90, min: 5, max: 400 },
+    fill: { type: 'color', default: '#34d399' }
+  }
+  return build
+}
+`
+  },
+  {
+    name: 'polygon',
+    keywords: [],
+    defaultCount: 6,
+    source: `// A regular polygon (the mock's answer when nothing else fits)
+return (helpers) => {
+  const build = (origin, config) => {
+    const nodes = []
+    for (let i = 0; i < config.sides; i++) {
+      const angle = (Math.PI * 2 * i) / config.sides - Math.PI / 2
+      nodes.push({ x: origin.x + config.radius * Math.cos(angle), y: origin.y + config.radius * Math.sin(angle) })
+    }
+    return { name: 'Polygon', nodes, closed: true, fill: config.fill }
+  }
+
+  build.parameters = {
+    sides: { type: 'integer', default: {{count}}, min: 3, max: 64 },
+    radius: { type: 'number', default: 180, min: 10, max: 800 },
+    fill: { type: 'color', default: '#f472b6' }
+  }
+  return build
+}
+`
+  }
+]
+
+/**
+ * A standing person in COCO keypoint order, in a 1 x 1 box (x right, y down).
+ */
+export const POSE_KEYPOINTS = [
+  { name: 'nose', x: 0.5, y: 0.12 },
+  { name: 'left_eye', x: 0.52, y: 0.1 },
+  { name: 'right_eye', x: 0.48, y: 0.1 },
+  { name: 'left_ear', x: 0.55, y: 0.11 },
+  { name: 'right_ear', x: 0.45, y: 0.11 },
+  { name: 'left_shoulder', x: 0.6, y: 0.24 },
+  { name: 'right_shoulder', x: 0.4, y: 0.24 },
+  { name: 'left_elbow', x: 0.66, y: 0.38 },
+  { name: 'right_elbow', x: 0.34, y: 0.38 },
+  { name: 'left_wrist', x: 0.68, y: 0.51 },
+  { name: 'right_wrist', x: 0.32, y: 0.51 },
+  { name: 'left_hip', x: 0.56, y: 0.54 },
+  { name: 'right_hip', x: 0.44, y: 0.54 },
+  { name: 'left_knee', x: 0.57, y: 0.72 },
+  { name: 'right_knee', x: 0.43, y: 0.72 },
+  { name: 'left_ankle', x: 0.58, y: 0.9 },
+  { name: 'right_ankle', x: 0.42, y: 0.9 }
+]
+
+export const ADAPTERS = [
+  { name: 'base-style', createdAt: '2024-01-01T00:00:00.000Z' }
+]
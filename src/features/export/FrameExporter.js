@@ -0,0 +1,262 @@
+/**
+ * FrameExporter - Offline render of the animation to PNG frames, GIF or WebM
+ * Steps AnimationEngine.seek frame by frame (no requestAnimationFrame), so every
+ * frame lands on an exact time regardless of how long rasterizing takes.
+ * Frames are rasterized from SVGExporter markup, which keeps them identical to
+ * the stage (3D projection, groups and depth order included).
+ */
+
+import { SVGExporter } from './SVGExporter.js'
+import { GIFEncoder } from './GIFEncoder.js'
+import { createZip } from '../../utils/zip.js'
+import DEFAULT_CONFIG from '../../app/config.js'
+
+export const FRAME_FORMATS = ['png', 'gif', 'webm']
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+
+export class FrameExporter {
+  /**
+   * Create a frame exporter.
+   * @param {object} options
+   * @param {AnimationEngine} options.engine - Engine to step through the animation
+   * @param {Function} options.getScene - Returns { objects, camera } as currently animated
+   * @param {object} options.stage - Stage size { width, height } (defaults to config.stage)
+   * @param {number} options.perspective - Perspective distance
+   */
+  constructor({ engine, getScene, stage = DEFAULT_CONFIG.stage, perspective } = {}) {
+    if (!engine || typeof getScene !== 'function') {
+      throw new Error('AnimationEngine and getScene are required')
+    }
+
+    this.engine = engine
+    this.getScene = getScene
+    this.stage = {
+      width: stage?.width || 1920,
+      height: stage?.height || 1080
+    }
+    this.svgExporter = new SVGExporter({
+      width: this.stage.width,
+      height: this.stage.height,
+      perspective,
+      precision: 3
+    })
+    this.isExporting = false
+    this.cancelled = false
+  }
+
+  /**
+   * Stop an export in progress. The pending export() rejects.
+   */
+  cancel() {
+    if (this.isExporting) {
+      this.cancelled = true
+    }
+  }
+
+  /**
+   * Render the animation.
+   * @param {object} options
+   * @param {string} options.format - 'png' (zip of frames), 'gif' or 'webm'
+   * @param {number} options.fps - Frames per second
+   * @param {number} options.width - Output width in pixels (defaults to the stage width)
+   * @param {number} options.height - Output height in pixels (defaults to the stage height)
+   * @param {string|null} options.background - Fill colour; null keeps PNG frames transparent
+   * @param {boolean} options.loop - Loop the GIF
+   * @param {Function} options.onProgress - Called with { frame, total }
+   * @returns {Promise<Blob>}
+   */
+  async export({
+    format = 'png',
+    fps = 30,
+    width = this.stage.width,
+    height = this.stage.height,
+    background = format === 'png' ? null : '#ffffff',
+    loop = true,
+    onProgress = () => {}
+  } = {}) {
+    if (!FRAME_FORMATS.includes(format)) {
+      throw new Error(`Unknown frame format: ${format}`)
+    }
+    if (this.isExporting) {
+      throw new Error('An export is already running')
+    }
+    if (!(fps > 0) || !(width > 0) || !(height > 0)) {
+      throw new Error('Frame rate and size must be positive')
+    }
+
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.round(width)
+    canvas.height = Math.round(height)
+    const ctx = canvas.getContext('2d')
+    if (!ctx) {
+      throw new Error('Could not get 2D rendering context')
+    }
+
+    const wasPlaying = this.engine.isPlaying
+    const startTime = this.engine.currentTime
+    this.engine.pause()
+    this.isExporting = true
+    this.cancelled = false
+
+    try {
+      const options = { canvas, ctx, fps, background, loop, onProgress }
+      if (format === 'gif') return await this._exportGif(options)
+      if (format === 'webm') return await this._exportWebm(options)
+      return await this._exportPng(options)
+    } finally {
+      this.isExporting = false
+      this.engine.seek(startTime)
+      if (wasPlaying) {
+        this.engine.play()
+      }
+    }
+  }
+
+  /**
+   * Frame times covering the whole duration, last frame included.
+   * @param {number} fps
+   * @returns {number[]} Times in milliseconds
+   */
+  getFrameTimes(fps) {
+    const duration = this.engine.duration
+    const count = Math.max(1, Math.floor((duration / 1000) * fps + 1e-6) + 1)
+    return Array.from({ length: count }, (_, i) => Math.min((i * 1000) / fps, duration))
+  }
+
+  /**
+   * Seek to each frame time, rasterize it and hand the canvas to onFrame.
+   * @private
+   */
+  async _renderFrames({ canvas, ctx, fps, background, onProgress }, onFrame) {
+    const times = this.getFrameTimes(fps)
+    for (let i = 0; i < times.length; i++) {
+      if (this.cancelled) {
+        throw new Error('Export cancelled')
+      }
+
+      this.engine.seek(times[i])
+      await this._rasterize(this.getScene(), canvas, ctx, background)
+      await onFrame(i, times.length)
+      onProgress({ frame: i + 1, total: times.length })
+    }
+    return times.length
+  }
+
+  /**
+   * Draw a scene onto the canvas.
+   * @private
+   */
+  async _rasterize(scene, canvas, ctx, background) {
+    const markup = this.svgExporter.exportFrame(scene.objects || [], { camera: scene.camera })
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }))
+
+    try {
+      const image = new Image()
+      image.src = url
+      await image.decode()
+
+      ctx.clearRect(0, 0, canvas.width, canvas.height)
+      if (background) {
+        ctx.fillStyle = background
+        ctx.fillRect(0, 0, canvas.width, canvas.height)
+      }
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height)
+    } finally {
+      URL.revokeObjectURL(url)
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _exportPng(options) {
+    const files = []
+    const frameCount = this.getFrameTimes(options.fps).length
+    const digits = String(frameCount).length
+
+    await this._renderFrames(options, async (index) => {
+      const blob = await new Promise(resolve => options.canvas.toBlob(resolve, 'image/png'))
+      if (!blob) {
+        throw new Error('Could not encode frame as PNG')
+      }
+      files.push({
+        name: `frame_${String(index + 1).padStart(Math.max(4, digits), '0')}.png`,
+        data: new Uint8Array(await blob.arrayBuffer())
+      })
+    })
+
+    return new Blob([createZip(files)], { type: 'application/zip' })
+  }
+
+  /**
+   * @private
+   */
+  async _exportGif(options) {
+    const { canvas, ctx, fps, loop } = options
+    const encoder = new GIFEncoder(canvas.width, canvas.height, { loop })
+
+    await this._renderFrames(options, () => {
+      encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height), 1000 / fps)
+    })
+
+    return encoder.finish()
+  }
+
+  /**
+   * Record the canvas with MediaRecorder.
+   * MediaRecorder timestamps frames by wall clock, so frames are pushed on a
+   * real-time schedule; export takes at least as long as the animation.
+   * @private
+   */
+  async _exportWebm(options) {
+    const { canvas, fps } = options
+    if (typeof MediaRecorder === 'undefined' || typeof canvas.captureStream !== 'function') {
+      throw new Error('WebM export is not supported in this browser')
+    }
+
+    const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type))
+    if (!mimeType) {
+      throw new Error('This browser cannot record WebM video')
+    }
+
+    const stream = canvas.captureStream(0)
+    const [track] = stream.getVideoTracks()
+    const recorder = new MediaRecorder(stream, { mimeType })
+    const chunks = []
+    recorder.addEventListener('dataavailable', (event) => {
+      if (event.data && event.data.size > 0) {
+        chunks.push(event.data)
+      }
+    })
+    const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }))
+
+    const frameDuration = 1000 / fps
+    let nextFrameAt = 0
+
+    recorder.start()
+    try {
+      await this._renderFrames(options, async (index) => {
+        if (index === 0) {
+          nextFrameAt = performance.now()
+        }
+        const wait = nextFrameAt - performance.now()
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait))
+        }
+        if (typeof track.requestFrame === 'function') {
+          track.requestFrame()
+        }
+        nextFrameAt += frameDuration
+      })
+      // Hold the last frame for its full duration
+      await new Promise(resolve => setTimeout(resolve, frameDuration))
+    } finally {
+      recorder.stop()
+      track.stop()
+    }
+
+    await stopped
+    return new Blob(chunks, { type: 'video/webm' })
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * GIFEncoder - Minimal animated GIF (GIF89a) writer
+ * Each frame gets its own 256-colour palette built from a popularity histogram,
+ * which suits flat vector artwork with anti-aliased edges.
+ */
+
+const MAX_CODE = 4096
+
+/**
+ * LZW-compress palette indices into GIF data sub-blocks.
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @param {number} minCodeSize - LZW minimum code size
+ * @returns {number[]} Bytes (including sub-block lengths and terminator)
+ * @private
+ */
+function lzwEncode(indices, minCodeSize) {
+  const output = []
+  let block = []
+  let buffer = 0
+  let bufferBits = 0
+
+  const flushBlock = () => {
+    if (block.length > 0) {
+      output.push(block.length, ...block)
+      block = []
+    }
+  }
+  const emit = (code, size) => {
+    buffer |= code << bufferBits
+    bufferBits += size
+    while (bufferBits >= 8) {
+      block.push(buffer & 0xff)
+      if (block.length === 255) flushBlock()
+      buffer >>>= 8
+      bufferBits -= 8
+    }
+  }
+
+  const clearCode = 1 << minCodeSize
+  const endCode = clearCode + 1
+  let codeSize = minCodeSize + 1
+  let nextCode = endCode + 1
+  let table = new Map()
+
+  emit(clearCode, codeSize)
+
+  let current = indices[0]
+  for (let i = 1; i < indices.length; i++) {
+    const pixel = indices[i]
+    const key = (current << 8) | pixel
+    const existing = table.get(key)
+    if (existing !== undefined) {
+      current = existing
+      continue
+    }
+
+    emit(current, codeSize)
+    if (nextCode === MAX_CODE) {
+      emit(clearCode, codeSize)
+      codeSize = minCodeSize + 1
+      nextCode = endCode + 1
+      table = new Map()
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++
+      table.set(key, nextCode++)
+    }
+    current = pixel
+  }
+
+  emit(current, codeSize)
+  emit(endCode, codeSize)
+  if (bufferBits > 0) {
+    block.push(buffer & 0xff)
+  }
+  flushBlock()
+  output.push(0)
+  return output
+}
+
+/**
+ * Reduce RGBA pixels to at most 256 colours.
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @returns {{palette: number[], indices: Uint8Array}}
+ * @private
+ */
+function quantize(data) {
+  const pixelCount = data.length / 4
+  // 15-bit buckets (5 bits per channel): count and colour sums
+  const counts = new Uint32Array(32768)
+  const sums = new Float64Array(32768 * 3)
+  const buckets = new Uint16Array(pixelCount)
+
+  for (let i = 0; i < pixelCount; i++) {
+    const r = data[i * 4]
+    const g = data[i * 4 + 1]
+    const b = data[i * 4 + 2]
+    const bucket = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3)
+    buckets[i] = bucket
+    counts[bucket]++
+    sums[bucket * 3] += r
+    sums[bucket * 3 + 1] += g
+    sums[bucket * 3 + 2] += b
+  }
+
+  const used = []
+  for (let bucket = 0; bucket < counts.length; bucket++) {
+    if (counts[bucket] > 0) used.push(bucket)
+  }
+  used.sort((a, b) => counts[b] - counts[a])
+
+  const colors = used.slice(0, 256).map(bucket => [
+    Math.round(sums[bucket * 3] / counts[bucket]),
+    Math.round(sums[bucket * 3 + 1] / counts[bucket]),
+    Math.round(sums[bucket * 3 + 2] / counts[bucket])
+  ])
+
+  // Map every used bucket to its nearest palette entry
+  const lookup = new Int16Array(32768).fill(-1)
+  used.forEach(bucket => {
+    const r = sums[bucket * 3] / counts[bucket]
+    const g = sums[bucket * 3 + 1] / counts[bucket]
+    const b = sums[bucket * 3 + 2] / counts[bucket]
+    let best = 0
+    let bestDistance = Infinity
+    colors.forEach((color, index) => {
+      const distance = (color[0] - r) ** 2 + (color[1] - g) ** 2 + (color[2] - b) ** 2
+      if (distance < bestDistance) {
+        bestDistance = distance
+        best = index
+      }
+    })
+    lookup[bucket] = best
+  })
+
+  const indices = new Uint8Array(pixelCount)
+  for (let i = 0; i < pixelCount; i++) {
+    indices[i] = lookup[buckets[i]]
+  }
+
+  const palette = new Array(256 * 3).fill(0)
+  colors.forEach((color, index) => {
+    palette[index * 3] = color[0]
+    palette[index * 3 + 1] = color[1]
+    palette[index * 3 + 2] = color[2]
+  })
+
+  return { palette, indices }
+}
+
+export class GIFEncoder {
+  /**
+   * Create an encoder.
+   * @param {number} width - Frame width in pixels
+   * @param {number} height - Frame height in pixels
+   * @param {object} options
+   * @param {boolean} options.loop - Repeat forever (otherwise plays once)
+   */
+  constructor(width, height, options = {}) {
+    if (!(width > 0) || !(height > 0) || width > 65535 || height > 65535) {
+      throw new Error('GIF dimensions must be between 1 and 65535')
+    }
+
+    this.width = width
+    this.height = height
+    this.loop = options.loop !== false
+    this.chunks = []
+    this._writeHeader()
+  }
+
+  /**
+   * @private
+   */
+  _writeHeader() {
+    const bytes = [...'GIF89a'].map(char => char.charCodeAt(0))
+    bytes.push(
+      this.width & 0xff, this.width >> 8,
+      this.height & 0xff, this.height >> 8,
+      0x00, // No global colour table
+      0x00, // Background colour index
+      0x00 // Pixel aspect ratio
+    )
+
+    if (this.loop) {
+      // NETSCAPE2.0 application extension: loop forever
+      bytes.push(0x21, 0xff, 0x0b, ...[...'NETSCAPE2.0'].map(char => char.charCodeAt(0)), 0x03, 0x01, 0x00, 0x00, 0x00)
+    }
+
+    this.chunks.push(new Uint8Array(bytes))
+  }
+
+  /**
+   * Add a frame.
+   * @param {ImageData|{data: Uint8ClampedArray}} imageData - RGBA pixels of width x height
+   * @param {number} delay - Frame duration in milliseconds
+   */
+  addFrame(imageData, delay = 100) {
+    if (!imageData || imageData.data.length !== this.width * this.height * 4) {
+      throw new Error('Frame size does not match the GIF dimensions')
+    }
+
+    const { palette, indices } = quantize(imageData.data)
+    const centiseconds = Math.max(2, Math.round(delay / 10)) // Browsers clamp lower delays
+
+    const bytes = [
+      // Graphic control extension
+      0x21, 0xf9, 0x04, 0x00, centiseconds & 0xff, centiseconds >> 8, 0x00, 0x00,
+      // Image descriptor with a 256-entry local colour table
+      0x2c, 0x00, 0x00, 0x00, 0x00,
+      this.width & 0xff, this.width >> 8,
+      this.height & 0xff, this.height >> 8,
+      0x87,
+      ...palette,
+      0x08 // LZW minimum code size
+    ]
+
+    this.chunks.push(new Uint8Array(bytes), new Uint8Array(lzwEncode(indices, 8)))
+  }
+
+  /**
+   * Finish the file.
+   * @returns {Blob} image/gif blob
+   */
+  finish() {
+    this.chunks.push(new Uint8Array([0x3b]))
+    return new Blob(this.chunks, { type: 'image/gif' })
+  }
+}
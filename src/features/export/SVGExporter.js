@@ -0,0 +1,414 @@
+/**
+ * SVGExporter - Exports the scene as a standalone SVG document
+ * Renders through a detached SVGRenderer so the output matches the stage, then
+ * strips editor-only markup (handles, hit areas, data attributes, cursors).
+ * Animation is baked by sampling the keyframes at a fixed frame rate and
+ * emitting either SMIL <animate>/<animateTransform> or CSS @keyframes.
+ */
+
+import { SVGRenderer } from '../../core/rendering/SVGRenderer.js'
+import { KeyframeManager } from '../../core/animation/KeyframeManager.js'
+import { applyAnimatedValues, interpolateVector } from '../../core/animation/AnimatorUtils.js'
+import DEFAULT_CONFIG from '../../app/config.js'
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+const STYLE_ATTRIBUTES = ['fill', 'stroke', 'stroke-width', 'opacity']
+const GEOMETRY_ATTRIBUTES = {
+  path: ['d'],
+  circle: ['cx', 'cy', 'r']
+}
+const NUMBER_PATTERN = /-?\d*\.?\d+(?:e[+-]?\d+)?/gi
+
+export const ANIMATION_FORMATS = ['none', 'smil', 'css']
+
+/**
+ * Round every number in an attribute value.
+ * @param {string} value
+ * @param {number} precision - Decimal places
+ * @returns {string}
+ * @private
+ */
+function roundNumbers(value, precision) {
+  const factor = 10 ** precision
+  return value.replace(NUMBER_PATTERN, match => String(Math.round(Number(match) * factor) / factor))
+}
+
+/**
+ * Format a number for output (no trailing zeros).
+ * @private
+ */
+function formatNumber(value, precision = 4) {
+  return String(Number(value.toFixed(precision)))
+}
+
+export class SVGExporter {
+  /**
+   * Create an exporter.
+   * @param {object} options
+   * @param {number} options.width - Stage width
+   * @param {number} options.height - Stage height
+   * @param {number} options.perspective - Perspective distance (see Projection)
+   * @param {number} options.precision - Decimal places kept in coordinates
+   */
+  constructor(options = {}) {
+    this.width = options.width || 1920
+    this.height = options.height || 1080
+    this.perspective = options.perspective ?? DEFAULT_CONFIG.perspective
+    this.precision = options.precision ?? 2
+    this.renderer = null
+  }
+
+  /**
+   * Export objects as SVG markup.
+   * @param {Array} objects - Collection objects (keyframes are read from the objects)
+   * @param {object} options
+   * @param {object} options.camera - Camera state ({ x, y, z, rotation })
+   * @param {string} options.animation - 'none', 'smil' or 'css'
+   * @param {number} options.time - Frame to export when not animating (ms)
+   * @param {number} options.duration - Animation duration in milliseconds
+   * @param {number} options.fps - Samples per second when baking animation
+   * @param {boolean} options.loop - Repeat the animation indefinitely
+   * @returns {string} SVG document
+   */
+  export(objects, {
+    camera = { x: 0, y: 0, z: 200 },
+    animation = 'none',
+    time = 0,
+    duration = DEFAULT_CONFIG.animation.duration,
+    fps = 30,
+    loop = true
+  } = {}) {
+    if (!ANIMATION_FORMATS.includes(animation)) {
+      throw new Error(`Unknown animation format: ${animation}`)
+    }
+
+    const keyframes = this._createKeyframeManager(objects)
+    const animated = animation !== 'none' && keyframes.getAnimatedObjectIds().length > 0 && duration > 0
+
+    if (!animated) {
+      return this.exportFrame(this._sample(objects, keyframes, time), { camera })
+    }
+
+    const frameCount = Math.max(2, Math.round((duration / 1000) * fps) + 1)
+    const times = Array.from({ length: frameCount }, (_, i) => (i / (frameCount - 1)) * duration)
+
+    // Depth order is taken from the first frame; elements keep their position while animating
+    const frames = times.map(frameTime => this._renderFrame(this._sample(objects, keyframes, frameTime), camera))
+    const tracks = this._collectTracks(frames)
+    const base = frames[0]
+    const elements = this._indexShapes(base)
+
+    const css = []
+    tracks.forEach((attributes, objectId) => {
+      const element = elements.get(objectId)
+      if (!element) return
+
+      const id = `shape-${String(objectId).replace(/[^a-zA-Z0-9_-]/g, '_')}`
+      element.setAttribute('id', id)
+
+      if (animation === 'smil') {
+        this._appendSmil(element, attributes, times, duration, loop)
+      } else {
+        css.push(this._createCssRule(id, attributes, times, duration, loop))
+      }
+    })
+
+    this._clean(base)
+
+    const svg = this._createRoot()
+    if (css.length > 0) {
+      const style = document.createElementNS(SVG_NS, 'style')
+      style.textContent = `\n${css.join('\n')}\n`
+      svg.appendChild(style)
+    }
+    svg.appendChild(base)
+    return this._serialize(svg)
+  }
+
+  /**
+   * Export objects exactly as given, without sampling their keyframes.
+   * @param {Array} objects - Objects with any animated values already applied
+   * @param {object} options
+   * @param {object} options.camera - Camera state
+   * @returns {string} SVG document
+   */
+  exportFrame(objects, { camera = { x: 0, y: 0, z: 200 } } = {}) {
+    const svg = this._createRoot()
+    const layer = this._renderFrame(objects, camera)
+    this._clean(layer)
+    svg.appendChild(layer)
+    return this._serialize(svg)
+  }
+
+  /**
+   * @private
+   */
+  _createRoot() {
+    const svg = document.createElementNS(SVG_NS, 'svg')
+    svg.setAttribute('width', String(this.width))
+    svg.setAttribute('height', String(this.height))
+    svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`)
+    return svg
+  }
+
+  /**
+   * Build a keyframe manager from the keyframes stored on objects.
+   * @param {Array} objects
+   * @returns {KeyframeManager}
+   * @private
+   */
+  _createKeyframeManager(objects) {
+    const keyframes = new KeyframeManager()
+    const collect = (items) => {
+      items.forEach(obj => {
+        if (!obj) return
+        if (obj.id && obj.keyframes) {
+          keyframes.setObjectKeyframes(obj.id, obj.keyframes)
+        }
+        if (Array.isArray(obj.children)) {
+          collect(obj.children)
+        }
+      })
+    }
+    collect(objects || [])
+    return keyframes
+  }
+
+  /**
+   * Objects with animated values at a point in time.
+   * @private
+   */
+  _sample(objects, keyframes, time) {
+    const values = new Map()
+    keyframes.getAnimatedObjectIds().forEach(objectId => {
+      const overrides = {}
+      Object.keys(keyframes.getObjectKeyframes(objectId)).forEach(property => {
+        const value = keyframes.sample(objectId, property, time, interpolateVector)
+        if (value !== null && value !== undefined) {
+          overrides[property] = value
+        }
+      })
+      values.set(objectId, overrides)
+    })
+    return applyAnimatedValues(objects, values)
+  }
+
+  /**
+   * Render one frame and return a detached copy of the objects layer.
+   * @private
+   */
+  _renderFrame(objects, camera) {
+    if (!this.renderer) {
+      this.renderer = new SVGRenderer(document.createElement('div'), {
+        viewBoxWidth: this.width,
+        viewBoxHeight: this.height,
+        perspective: this.perspective
+      })
+      this.renderer.showControls = false
+    }
+
+    this.renderer.render({ objects, camera, selectedId: null, activeHandle: null })
+    return this.renderer.objectsLayer.cloneNode(true)
+  }
+
+  /**
+   * Map object id -> drawn shape element (groups and hit areas excluded).
+   * @private
+   */
+  _indexShapes(layer) {
+    const shapes = new Map()
+    layer.querySelectorAll('[data-object]').forEach(element => {
+      const tag = element.localName
+      if (!GEOMETRY_ATTRIBUTES[tag] || element.hasAttribute('data-hit-area')) return
+      shapes.set(element.getAttribute('data-object'), element)
+    })
+    return shapes
+  }
+
+  /**
+   * Collect per-frame attribute values, keeping only attributes that change.
+   * @param {Array<SVGGElement>} frames
+   * @returns {Map<string, object>} objectId -> { attribute: values[] }
+   * @private
+   */
+  _collectTracks(frames) {
+    const tracks = new Map()
+    const indexed = frames.map(frame => this._indexShapes(frame))
+
+    indexed[0].forEach((element, objectId) => {
+      const names = [...GEOMETRY_ATTRIBUTES[element.localName], ...STYLE_ATTRIBUTES]
+      const attributes = {}
+
+      names.forEach(name => {
+        const values = indexed.map(shapes => {
+          const value = shapes.get(objectId)?.getAttribute(name) ?? element.getAttribute(name) ?? ''
+          return roundNumbers(value, this.precision)
+        })
+        if (values.some(value => value !== values[0])) {
+          attributes[name] = values
+        }
+      })
+
+      // Paths that only move are exported as a translation instead of a morph
+      if (attributes.d) {
+        const offsets = this._getTranslation(attributes.d)
+        if (offsets) {
+          delete attributes.d
+          attributes.transform = offsets
+        }
+      }
+
+      if (Object.keys(attributes).length > 0) {
+        tracks.set(objectId, attributes)
+      }
+    })
+
+    return tracks
+  }
+
+  /**
+   * Detect path data that differs from the first frame only by a translation.
+   * @param {string[]} values - Path data per frame
+   * @returns {Array<{x: number, y: number}>|null} Offsets per frame
+   * @private
+   */
+  _getTranslation(values) {
+    const first = values[0].match(NUMBER_PATTERN) || []
+    if (first.length < 2) return null
+
+    // Allow for rounding of both values
+    const tolerance = 1.5 / 10 ** this.precision
+    const offsets = []
+    for (const value of values) {
+      const numbers = value.match(NUMBER_PATTERN) || []
+      if (numbers.length !== first.length) return null
+
+      const dx = Number(numbers[0]) - Number(first[0])
+      const dy = Number(numbers[1]) - Number(first[1])
+      for (let i = 0; i < numbers.length; i++) {
+        const expected = Number(first[i]) + (i % 2 === 0 ? dx : dy)
+        if (Math.abs(Number(numbers[i]) - expected) > tolerance) {
+          return null
+        }
+      }
+      offsets.push({ x: dx, y: dy })
+    }
+    return offsets
+  }
+
+  /**
+   * Drop samples equal to both neighbours (holds between keys).
+   * @private
+   */
+  _compact(values, times, duration) {
+    const keyTimes = []
+    const kept = []
+    values.forEach((value, index) => {
+      const isHold = index > 0 && index < values.length - 1 &&
+        value === values[index - 1] && value === values[index + 1]
+      if (!isHold) {
+        kept.push(value)
+        keyTimes.push(formatNumber(times[index] / duration))
+      }
+    })
+    return { values: kept, keyTimes }
+  }
+
+  /**
+   * Append SMIL animation elements to a shape.
+   * @private
+   */
+  _appendSmil(element, attributes, times, duration, loop) {
+    Object.entries(attributes).forEach(([name, track]) => {
+      const isTransform = name === 'transform'
+      const values = isTransform
+        ? track.map(offset => `${formatNumber(offset.x, this.precision)},${formatNumber(offset.y, this.precision)}`)
+        : track
+      const compact = this._compact(values, times, duration)
+
+      const animate = document.createElementNS(SVG_NS, isTransform ? 'animateTransform' : 'animate')
+      animate.setAttribute('attributeName', name)
+      if (isTransform) {
+        animate.setAttribute('type', 'translate')
+      }
+      animate.setAttribute('dur', `${formatNumber(duration / 1000)}s`)
+      animate.setAttribute('values', compact.values.join(';'))
+      animate.setAttribute('keyTimes', compact.keyTimes.join(';'))
+      animate.setAttribute('calcMode', 'linear')
+      animate.setAttribute('repeatCount', loop ? 'indefinite' : '1')
+      animate.setAttribute('fill', 'freeze')
+      element.appendChild(animate)
+    })
+  }
+
+  /**
+   * Build a CSS @keyframes rule and animation binding for a shape.
+   * @private
+   */
+  _createCssRule(id, attributes, times, duration, loop) {
+    const declarations = times.map((_, index) =>
+      Object.entries(attributes).map(([name, track]) => {
+        const value = track[index]
+        if (name === 'transform') {
+          return `transform: translate(${formatNumber(value.x, this.precision)}px, ${formatNumber(value.y, this.precision)}px)`
+        }
+        if (name === 'd') {
+          return `d: path("${value}")`
+        }
+        return `${name}: ${value}`
+      }).join('; ')
+    )
+
+    const compact = this._compact(declarations, times, duration)
+    const steps = compact.values.map((declaration, index) =>
+      `  ${formatNumber(Number(compact.keyTimes[index]) * 100, 2)}% { ${declaration} }`
+    )
+
+    return [
+      `@keyframes ${id}-anim {`,
+      ...steps,
+      '}',
+      `#${id} { animation: ${id}-anim ${formatNumber(duration / 1000)}s linear ${loop ? 'infinite' : '1 forwards'}; }`
+    ].join('\n')
+  }
+
+  /**
+   * Strip editor-only markup and round coordinates.
+   * @param {Element} root
+   * @private
+   */
+  _clean(root) {
+    root.querySelectorAll('[data-hit-area]').forEach(element => element.remove())
+
+    const elements = [root, ...root.querySelectorAll('*')]
+    elements.forEach(element => {
+      Array.from(element.attributes).forEach(({ name }) => {
+        if (name.startsWith('data-') || name === 'style' || name === 'class' || name === 'pointer-events') {
+          element.removeAttribute(name)
+        }
+      })
+
+      const tag = element.localName
+      ;(GEOMETRY_ATTRIBUTES[tag] || []).concat('stroke-width').forEach(name => {
+        const value = element.getAttribute(name)
+        if (value !== null) {
+          element.setAttribute(name, roundNumbers(value, this.precision))
+        }
+      })
+    })
+
+    // Groups left empty by the removal of hit areas add nothing
+    Array.from(root.querySelectorAll('g'))
+      .reverse()
+      .forEach(group => {
+        if (group.childElementCount === 0) group.remove()
+      })
+  }
+
+  /**
+   * @private
+   */
+  _serialize(svg) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}\n`
+  }
+}
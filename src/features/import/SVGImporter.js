@@ -0,0 +1,443 @@
+/**
+ * SVGImporter - Converts SVG documents into collection objects
+ * Shapes become editable cubic path objects, <g> elements become groups.
+ * Element transforms are split: translation goes into `offset`, while the
+ * linear part (scale/rotate/skew) is baked into node coordinates.
+ */
+
+import { parsePathData, subpathToNodes } from './SVGPathParser.js'
+
+const SHAPE_TAGS = ['path', 'rect', 'circle', 'ellipse', 'polygon', 'polyline', 'line']
+const SKIPPED_TAGS = ['defs', 'clipPath', 'mask', 'symbol', 'style', 'script', 'title', 'desc', 'metadata', 'pattern', 'linearGradient', 'radialGradient', 'filter', 'marker']
+const KAPPA = 0.5522847498307936 // Cubic approximation of a quarter circle
+
+const IDENTITY = [1, 0, 0, 1, 0, 0] // [a, b, c, d, e, f] as in SVG matrix()
+
+/**
+ * Multiply 2D affine matrices (result applies n first, then m).
+ * @private
+ */
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+  ]
+}
+
+/**
+ * Apply a 2D affine matrix to a point.
+ * @private
+ */
+function apply(m, point) {
+  return {
+    x: m[0] * point.x + m[2] * point.y + m[4],
+    y: m[1] * point.x + m[3] * point.y + m[5]
+  }
+}
+
+/**
+ * Parse an SVG transform attribute into a matrix.
+ * @param {string|null} value
+ * @returns {number[]}
+ */
+export function parseTransform(value) {
+  if (!value) return [...IDENTITY]
+
+  let matrix = [...IDENTITY]
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g
+  let match
+  while ((match = pattern.exec(value)) !== null) {
+    const args = match[2].split(/[\s,]+/).filter(Boolean).map(Number)
+    let next = IDENTITY
+
+    switch (match[1]) {
+      case 'matrix':
+        if (args.length === 6) next = args
+        break
+      case 'translate':
+        next = [1, 0, 0, 1, args[0] || 0, args[1] || 0]
+        break
+      case 'scale':
+        next = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0]
+        break
+      case 'rotate': {
+        const angle = ((args[0] || 0) * Math.PI) / 180
+        const cos = Math.cos(angle)
+        const sin = Math.sin(angle)
+        const cx = args[1] || 0
+        const cy = args[2] || 0
+        next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy]
+        break
+      }
+      case 'skewX':
+        next = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0]
+        break
+      case 'skewY':
+        next = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0]
+        break
+      default:
+        break
+    }
+
+    matrix = multiply(matrix, next)
+  }
+
+  return matrix
+}
+
+/**
+ * Read presentation attributes, with inline style taking precedence.
+ * @private
+ */
+function readStyle(element) {
+  const style = {}
+  ;['fill', 'stroke', 'stroke-width', 'opacity', 'display', 'visibility'].forEach(name => {
+    const value = element.getAttribute(name)
+    if (value !== null) style[name] = value.trim()
+  })
+
+  const inline = element.getAttribute('style')
+  if (inline) {
+    inline.split(';').forEach(rule => {
+      const [name, ...rest] = rule.split(':')
+      if (name && rest.length > 0) {
+        style[name.trim()] = rest.join(':').trim()
+      }
+    })
+  }
+
+  return style
+}
+
+/**
+ * Normalize a paint value to what the renderer accepts.
+ * @private
+ */
+function normalizePaint(value) {
+  if (!value || value === 'currentColor') return null
+  if (value.startsWith('url(')) return null // Gradients/patterns are not supported
+  if (/^#[0-9a-f]{3}$/i.test(value)) {
+    return '#' + value.slice(1).split('').map(c => c + c).join('').toLowerCase()
+  }
+  return value
+}
+
+function number(element, name, fallback = 0) {
+  const value = parseFloat(element.getAttribute(name))
+  return Number.isFinite(value) ? value : fallback
+}
+
+/**
+ * Build path data for a basic shape element.
+ * @param {Element} element
+ * @returns {string|null}
+ */
+export function shapeToPathData(element) {
+  const tag = element.localName
+
+  if (tag === 'path') {
+    return element.getAttribute('d')
+  }
+
+  if (tag === 'rect') {
+    const x = number(element, 'x')
+    const y = number(element, 'y')
+    const width = number(element, 'width')
+    const height = number(element, 'height')
+    if (width <= 0 || height <= 0) return null
+
+    let rx = element.hasAttribute('rx') ? number(element, 'rx') : null
+    let ry = element.hasAttribute('ry') ? number(element, 'ry') : null
+    rx = Math.min(Math.max(rx ?? ry ?? 0, 0), width / 2)
+    ry = Math.min(Math.max(ry ?? rx ?? 0, 0), height / 2)
+
+    if (rx === 0 || ry === 0) {
+      return `M ${x} ${y} H ${x + width} V ${y + height} H ${x} Z`
+    }
+    return [
+      `M ${x + rx} ${y}`,
+      `H ${x + width - rx}`,
+      `A ${rx} ${ry} 0 0 1 ${x + width} ${y + ry}`,
+      `V ${y + height - ry}`,
+      `A ${rx} ${ry} 0 0 1 ${x + width - rx} ${y + height}`,
+      `H ${x + rx}`,
+      `A ${rx} ${ry} 0 0 1 ${x} ${y + height - ry}`,
+      `V ${y + ry}`,
+      `A ${rx} ${ry} 0 0 1 ${x + rx} ${y}`,
+      'Z'
+    ].join(' ')
+  }
+
+  if (tag === 'circle' || tag === 'ellipse') {
+    const cx = number(element, 'cx')
+    const cy = number(element, 'cy')
+    const rx = tag === 'circle' ? number(element, 'r') : number(element, 'rx')
+    const ry = tag === 'circle' ? rx : number(element, 'ry')
+    if (rx <= 0 || ry <= 0) return null
+
+    const kx = rx * KAPPA
+    const ky = ry * KAPPA
+    return [
+      `M ${cx + rx} ${cy}`,
+      `C ${cx + rx} ${cy + ky} ${cx + kx} ${cy + ry} ${cx} ${cy + ry}`,
+      `C ${cx - kx} ${cy + ry} ${cx - rx} ${cy + ky} ${cx - rx} ${cy}`,
+      `C ${cx - rx} ${cy - ky} ${cx - kx} ${cy - ry} ${cx} ${cy - ry}`,
+      `C ${cx + kx} ${cy - ry} ${cx + rx} ${cy - ky} ${cx + rx} ${cy}`,
+      'Z'
+    ].join(' ')
+  }
+
+  if (tag === 'polygon' || tag === 'polyline') {
+    const values = (element.getAttribute('points') || '')
+      .trim()
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map(Number)
+    if (values.length < 4) return null
+
+    const pairs = []
+    for (let i = 0; i + 1 < values.length; i += 2) {
+      pairs.push(`${values[i]} ${values[i + 1]}`)
+    }
+    return `M ${pairs.join(' L ')}${tag === 'polygon' ? ' Z' : ''}`
+  }
+
+  if (tag === 'line') {
+    return `M ${number(element, 'x1')} ${number(element, 'y1')} L ${number(element, 'x2')} ${number(element, 'y2')}`
+  }
+
+  return null
+}
+
+export class SVGImporter {
+  constructor() {
+    this.warnings = []
+    this._idCounter = 0
+    this._nameCounters = new Map()
+  }
+
+  /**
+   * Read and convert an .svg file.
+   * @param {File} file
+   * @returns {Promise<object|null>} Object (or group) ready for CollectionManager.add
+   */
+  async importFile(file) {
+    if (!file) {
+      throw new Error('File is required')
+    }
+
+    const text = await file.text()
+    const name = (file.name || 'Imported SVG').replace(/\.svg$/i, '')
+    return this.parse(text, { name })
+  }
+
+  /**
+   * Convert SVG markup to a collection object.
+   * Multiple top-level elements are wrapped in a group named after the file.
+   * @param {string} svgText - SVG document source
+   * @param {object} options
+   * @param {string} options.name - Name for the wrapping group
+   * @returns {object|null}
+   */
+  parse(svgText, { name = 'Imported SVG' } = {}) {
+    this.warnings = []
+    this._nameCounters = new Map()
+
+    const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml')
+    if (doc.querySelector('parsererror')) {
+      throw new Error('File is not valid SVG')
+    }
+
+    const root = doc.documentElement
+    if (!root || root.localName !== 'svg') {
+      throw new Error('File is not valid SVG')
+    }
+
+    // Shift the viewBox origin to 0,0 so content lands on the stage
+    let rootMatrix = [...IDENTITY]
+    const viewBox = (root.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number)
+    if (viewBox.length === 4 && viewBox.every(Number.isFinite)) {
+      rootMatrix = [1, 0, 0, 1, -viewBox[0], -viewBox[1]]
+    }
+
+    const items = this._convertChildren(root, rootMatrix, {})
+    if (items.length === 0) return null
+    if (items.length === 1) return items[0]
+
+    return this._createGroup(name, items, { x: 0, y: 0 })
+  }
+
+  /**
+   * @private
+   */
+  _convertChildren(parent, linear, inherited) {
+    const items = []
+    Array.from(parent.children).forEach(child => {
+      items.push(...this._convertElement(child, linear, inherited))
+    })
+    return items
+  }
+
+  /**
+   * Convert one element.
+   * @param {Element} element
+   * @param {number[]} parentMatrix - Linear part (plus viewBox shift at root) inherited from ancestors
+   * @param {object} inherited - Inherited presentation styles
+   * @returns {Array} Converted objects
+   * @private
+   */
+  _convertElement(element, parentMatrix, inherited) {
+    const tag = element.localName
+    if (SKIPPED_TAGS.includes(tag)) return []
+
+    const own = readStyle(element)
+    if (own.display === 'none' || own.visibility === 'hidden') return []
+
+    const style = { ...inherited, ...own }
+    // Opacity is not inherited in SVG but multiplies down the tree
+    style.opacity = String(
+      (parseFloat(inherited.opacity ?? '1') || 0) * (parseFloat(own.opacity ?? '1') || 0)
+    )
+
+    const local = multiply(parentMatrix, parseTransform(element.getAttribute('transform')))
+    // Translation becomes the offset; children and nodes only see the linear part
+    const offset = { x: local[4], y: local[5] }
+    const linear = [local[0], local[1], local[2], local[3], 0, 0]
+
+    if (tag === 'g' || tag === 'svg' || tag === 'a') {
+      const children = this._convertChildren(element, linear, style)
+      if (children.length === 0) return []
+      return [this._createGroup(this._name(element, 'Group'), children, offset)]
+    }
+
+    if (!SHAPE_TAGS.includes(tag)) {
+      this.warnings.push(`Skipped unsupported <${tag}> element`)
+      return []
+    }
+
+    const d = shapeToPathData(element)
+    if (!d) return []
+
+    let subpaths
+    try {
+      subpaths = parsePathData(d)
+    } catch (error) {
+      this.warnings.push(`Skipped <${tag}>: ${error.message}`)
+      return []
+    }
+    if (subpaths.length === 0) return []
+
+    const name = this._name(element, tag.charAt(0).toUpperCase() + tag.slice(1))
+    const paint = this._resolvePaint(style, linear)
+    const objects = subpaths.map((subpath, index) => this._createPath(
+      subpaths.length > 1 ? `${name} ${index + 1}` : name,
+      subpathToNodes(subpath).map(node => this._transformNode(node, linear)),
+      subpath.closed,
+      paint,
+      subpaths.length > 1 ? { x: 0, y: 0 } : offset
+    ))
+
+    // Compound paths become a group of their subpaths
+    if (objects.length > 1) {
+      return [this._createGroup(name, objects, offset)]
+    }
+    return objects
+  }
+
+  /**
+   * @private
+   */
+  _resolvePaint(style, linear) {
+    const fill = style.fill === undefined ? '#000000' : normalizePaint(style.fill)
+    const stroke = normalizePaint(style.stroke)
+    const scale = Math.sqrt(Math.abs(linear[0] * linear[3] - linear[1] * linear[2])) || 1
+    const strokeWidth = parseFloat(style['stroke-width'])
+
+    if (style.fill?.startsWith('url(') || style.stroke?.startsWith('url(')) {
+      this.warnings.push('Gradient or pattern paint replaced with a flat colour')
+    }
+
+    return {
+      fill: fill || (style.fill?.startsWith('url(') ? '#808080' : 'none'),
+      stroke: stroke || 'none',
+      strokeWidth: Number(((Number.isFinite(strokeWidth) ? strokeWidth : 1) * scale).toFixed(3)),
+      opacity: Math.min(1, Math.max(0, parseFloat(style.opacity)))
+    }
+  }
+
+  /**
+   * @private
+   */
+  _transformNode(node, linear) {
+    const round = (point) => ({
+      x: Number(point.x.toFixed(3)),
+      y: Number(point.y.toFixed(3))
+    })
+    const point = round(apply(linear, node))
+    return {
+      ...point,
+      start: round(apply(linear, node.start)),
+      end: round(apply(linear, node.end))
+    }
+  }
+
+  /**
+   * @private
+   */
+  _createPath(name, nodes, closed, paint, offset) {
+    return {
+      id: this._generateId(),
+      type: 'object',
+      name,
+      label: name,
+      nodes,
+      svg_element: 'path',
+      ...paint,
+      offset: { x: offset.x, y: offset.y, z: 0 },
+      rotate: { x: 0, y: 0, z: 0 },
+      closed
+    }
+  }
+
+  /**
+   * @private
+   */
+  _createGroup(name, children, offset) {
+    return {
+      id: this._generateId(),
+      type: 'group',
+      svg_element: 'g',
+      name,
+      label: name,
+      children,
+      offset: { x: offset.x, y: offset.y, z: 0 },
+      rotate: { x: 0, y: 0, z: 0 }
+    }
+  }
+
+  /**
+   * Name from the element id, or "<Type> <n>".
+   * @private
+   */
+  _name(element, fallback) {
+    const id = element.getAttribute('id')
+    if (id) return id
+
+    const count = (this._nameCounters.get(fallback) || 0) + 1
+    this._nameCounters.set(fallback, count)
+    return `${fallback} ${count}`
+  }
+
+  /**
+   * Nested objects never pass through CollectionManager.add, so ids are generated here.
+   * @private
+   */
+  _generateId() {
+    this._idCounter++
+    return `obj_${Date.now()}_${this._idCounter}_${Math.random().toString(36).substr(2, 5)}`
+  }
+}
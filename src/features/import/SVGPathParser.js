@@ -0,0 +1,324 @@
+/**
+ * SVGPathParser - Converts SVG path data into cubic bezier subpaths
+ * Every command (lines, quadratics, arcs, smooth curves) is normalized to
+ * absolute cubic segments so imported shapes share the object node model.
+ */
+
+const COMMAND_PATTERN = /[MmLlHhVvCcSsQqTtAaZz]/
+const NUMBER_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/
+
+const PARAMETER_COUNTS = {
+  m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0
+}
+
+/**
+ * Split path data into commands with numeric arguments.
+ * @param {string} d - Path data
+ * @returns {Array<{command: string, args: number[]}>}
+ * @private
+ */
+function tokenize(d) {
+  const commands = []
+  let index = 0
+  let current = null
+
+  const skipSeparators = () => {
+    while (index < d.length && /[\s,]/.test(d[index])) index++
+  }
+
+  while (index < d.length) {
+    skipSeparators()
+    if (index >= d.length) break
+
+    const char = d[index]
+    if (COMMAND_PATTERN.test(char)) {
+      current = { command: char, args: [] }
+      commands.push(current)
+      index++
+      continue
+    }
+
+    if (!current) {
+      throw new Error(`Path data must start with a command: "${d.slice(0, 20)}"`)
+    }
+
+    // Arc flags may be written without separators ("a10 10 0 0110 10")
+    const lower = current.command.toLowerCase()
+    const position = current.args.length % PARAMETER_COUNTS.a
+    if (lower === 'a' && (position === 3 || position === 4) && (char === '0' || char === '1')) {
+      current.args.push(Number(char))
+      index++
+      continue
+    }
+
+    const match = NUMBER_PATTERN.exec(d.slice(index))
+    if (!match) {
+      throw new Error(`Invalid path data near "${d.slice(index, index + 20)}"`)
+    }
+    current.args.push(parseFloat(match[0]))
+    index += match[0].length
+  }
+
+  return commands
+}
+
+/**
+ * Convert an endpoint-parameterized elliptical arc to cubic segments (SVG spec F.6.5).
+ * @returns {Array<{c1: object, c2: object, p: object}>}
+ */
+export function arcToCubics(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+  if (x1 === x2 && y1 === y2) return []
+  if (rx === 0 || ry === 0) {
+    return [lineToCubic({ x: x1, y: y1 }, { x: x2, y: y2 })]
+  }
+
+  rx = Math.abs(rx)
+  ry = Math.abs(ry)
+  const phi = (angle * Math.PI) / 180
+  const cos = Math.cos(phi)
+  const sin = Math.sin(phi)
+
+  const dx = (x1 - x2) / 2
+  const dy = (y1 - y2) / 2
+  const x1p = cos * dx + sin * dy
+  const y1p = -sin * dx + cos * dy
+
+  // Scale radii up when they cannot span the endpoints
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry)
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda)
+    ry *= Math.sqrt(lambda)
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p
+  const sign = largeArc === sweep ? -1 : 1
+  const coef = sign * Math.sqrt(Math.max(0, numerator / denominator))
+  const cxp = (coef * rx * y1p) / ry
+  const cyp = (-coef * ry * x1p) / rx
+
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2
+
+  const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy)
+  const theta1 = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry)
+  let deltaTheta = vectorAngle(
+    (x1p - cxp) / rx, (y1p - cyp) / ry,
+    (-x1p - cxp) / rx, (-y1p - cyp) / ry
+  )
+  if (!sweep && deltaTheta > 0) deltaTheta -= 2 * Math.PI
+  if (sweep && deltaTheta < 0) deltaTheta += 2 * Math.PI
+
+  const segmentCount = Math.max(1, Math.ceil(Math.abs(deltaTheta) / (Math.PI / 2) - 1e-9))
+  const delta = deltaTheta / segmentCount
+  const t = (4 / 3) * Math.tan(delta / 4)
+
+  const point = (a) => ({
+    x: cx + rx * Math.cos(a) * cos - ry * Math.sin(a) * sin,
+    y: cy + rx * Math.cos(a) * sin + ry * Math.sin(a) * cos
+  })
+  const derivative = (a) => ({
+    x: -rx * Math.sin(a) * cos - ry * Math.cos(a) * sin,
+    y: -rx * Math.sin(a) * sin + ry * Math.cos(a) * cos
+  })
+
+  const segments = []
+  for (let i = 0; i < segmentCount; i++) {
+    const a1 = theta1 + i * delta
+    const a2 = a1 + delta
+    const p1 = point(a1)
+    const p2 = i === segmentCount - 1 ? { x: x2, y: y2 } : point(a2)
+    const d1 = derivative(a1)
+    const d2 = derivative(a2)
+    segments.push({
+      c1: { x: p1.x + t * d1.x, y: p1.y + t * d1.y },
+      c2: { x: p2.x - t * d2.x, y: p2.y - t * d2.y },
+      p: p2
+    })
+  }
+  return segments
+}
+
+/**
+ * Straight line as a cubic segment (handles sit on the endpoints).
+ * @private
+ */
+function lineToCubic(from, to) {
+  return { c1: { ...from }, c2: { ...to }, p: { ...to } }
+}
+
+/**
+ * Quadratic segment as an exact cubic.
+ * @private
+ */
+function quadraticToCubic(from, control, to) {
+  return {
+    c1: { x: from.x + (2 / 3) * (control.x - from.x), y: from.y + (2 / 3) * (control.y - from.y) },
+    c2: { x: to.x + (2 / 3) * (control.x - to.x), y: to.y + (2 / 3) * (control.y - to.y) },
+    p: { ...to }
+  }
+}
+
+/**
+ * Parse path data into subpaths of absolute cubic segments.
+ * @param {string} d - SVG path data
+ * @returns {Array<{start: {x: number, y: number}, segments: Array, closed: boolean}>}
+ */
+export function parsePathData(d) {
+  if (typeof d !== 'string' || d.trim() === '') return []
+
+  const subpaths = []
+  let subpath = null
+  let current = { x: 0, y: 0 }
+  let lastControl = null // Reflection point for S/T
+
+  const startSubpath = (point) => {
+    subpath = { start: { ...point }, segments: [], closed: false }
+    subpaths.push(subpath)
+  }
+
+  const addSegment = (segment) => {
+    if (!subpath) startSubpath(current)
+    subpath.segments.push(segment)
+    current = { ...segment.p }
+  }
+
+  tokenize(d).forEach(({ command, args }) => {
+    const lower = command.toLowerCase()
+    const relative = command !== command.toUpperCase()
+    const count = PARAMETER_COUNTS[lower]
+
+    if (lower === 'z') {
+      if (subpath) {
+        if (current.x !== subpath.start.x || current.y !== subpath.start.y) {
+          addSegment(lineToCubic(current, subpath.start))
+        }
+        subpath.closed = true
+        current = { ...subpath.start }
+        subpath = null
+      }
+      lastControl = null
+      return
+    }
+
+    if (args.length < count || args.length % count !== 0) {
+      throw new Error(`Command "${command}" expects ${count} parameters per segment`)
+    }
+
+    for (let i = 0; i < args.length; i += count) {
+      const a = args.slice(i, i + count)
+      const base = relative ? current : { x: 0, y: 0 }
+      const abs = (x, y) => ({ x: base.x + x, y: base.y + y })
+
+      switch (lower) {
+        case 'm': {
+          const point = abs(a[0], a[1])
+          if (i === 0) {
+            current = point
+            startSubpath(point)
+          } else {
+            // Extra coordinate pairs after M are implicit line-tos
+            addSegment(lineToCubic(current, point))
+          }
+          lastControl = null
+          break
+        }
+        case 'l':
+          addSegment(lineToCubic(current, abs(a[0], a[1])))
+          lastControl = null
+          break
+        case 'h':
+          addSegment(lineToCubic(current, { x: relative ? current.x + a[0] : a[0], y: current.y }))
+          lastControl = null
+          break
+        case 'v':
+          addSegment(lineToCubic(current, { x: current.x, y: relative ? current.y + a[0] : a[0] }))
+          lastControl = null
+          break
+        case 'c': {
+          const segment = { c1: abs(a[0], a[1]), c2: abs(a[2], a[3]), p: abs(a[4], a[5]) }
+          addSegment(segment)
+          lastControl = { type: 'c', point: segment.c2 }
+          break
+        }
+        case 's': {
+          const c1 = lastControl?.type === 'c'
+            ? { x: 2 * current.x - lastControl.point.x, y: 2 * current.y - lastControl.point.y }
+            : { ...current }
+          const segment = { c1, c2: abs(a[0], a[1]), p: abs(a[2], a[3]) }
+          addSegment(segment)
+          lastControl = { type: 'c', point: segment.c2 }
+          break
+        }
+        case 'q': {
+          const control = abs(a[0], a[1])
+          addSegment(quadraticToCubic(current, control, abs(a[2], a[3])))
+          lastControl = { type: 'q', point: control }
+          break
+        }
+        case 't': {
+          const control = lastControl?.type === 'q'
+            ? { x: 2 * current.x - lastControl.point.x, y: 2 * current.y - lastControl.point.y }
+            : { ...current }
+          addSegment(quadraticToCubic(current, control, abs(a[0], a[1])))
+          lastControl = { type: 'q', point: control }
+          break
+        }
+        case 'a': {
+          const end = abs(a[5], a[6])
+          arcToCubics(current.x, current.y, a[0], a[1], a[2], Boolean(a[3]), Boolean(a[4]), end.x, end.y)
+            .forEach(segment => addSegment(segment))
+          current = end
+          lastControl = null
+          break
+        }
+        default:
+          break
+      }
+    }
+  })
+
+  return subpaths.filter(path => path.segments.length > 0)
+}
+
+/**
+ * Convert a parsed subpath into object nodes.
+ * Segment i runs from node[i] (its end handle) to node[i+1] (its start handle);
+ * a closed subpath's last segment is carried by the last node's end and the first node's start.
+ * @param {object} subpath - From parsePathData
+ * @returns {Array} Nodes { x, y, start, end }
+ */
+export function subpathToNodes(subpath) {
+  const nodes = [{
+    x: subpath.start.x,
+    y: subpath.start.y,
+    start: { ...subpath.start },
+    end: { ...subpath.start }
+  }]
+
+  subpath.segments.forEach((segment, index) => {
+    const previous = nodes[nodes.length - 1]
+    previous.end = { ...segment.c1 }
+
+    const isClosing =
+      subpath.closed &&
+      index === subpath.segments.length - 1 &&
+      nodes.length > 1 &&
+      Math.abs(segment.p.x - subpath.start.x) < 1e-6 &&
+      Math.abs(segment.p.y - subpath.start.y) < 1e-6
+
+    if (isClosing) {
+      nodes[0].start = { ...segment.c2 }
+      return
+    }
+
+    nodes.push({
+      x: segment.p.x,
+      y: segment.p.y,
+      start: { ...segment.c2 },
+      end: { ...segment.p }
+    })
+  })
+
+  return nodes
+}
@@ -0,0 +1,67 @@
+/**
+ * OneEuroFilter - Speed-adaptive low-pass filter for noisy signals
+ * Casiez, Roussel & Vogel (CHI 2012). Slow movements are smoothed heavily to
+ * remove jitter; fast movements raise the cutoff so the output does not lag.
+ *
+ *   minCutoff  cutoff frequency (Hz) at rest: lower = smoother, more lag
+ *   beta       how fast the cutoff rises with speed: higher = less lag
+ *   dCutoff    cutoff frequency (Hz) for the speed estimate
+ */
+
+/**
+ * Weight of the new sample for a low-pass filter with the given cutoff.
+ * @private
+ */
+function smoothingFactor(cutoff, dt) {
+  const r = 2 * Math.PI * cutoff * dt
+  return r / (r + 1)
+}
+
+export class OneEuroFilter {
+  /**
+   * @param {object} options
+   * @param {number} options.minCutoff - Hz
+   * @param {number} options.beta
+   * @param {number} options.dCutoff - Hz
+   */
+  constructor({ minCutoff = 1, beta = 0, dCutoff = 1 } = {}) {
+    this.minCutoff = minCutoff
+    this.beta = beta
+    this.dCutoff = dCutoff
+    this.reset()
+  }
+
+  reset() {
+    this.value = null
+    this.derivative = 0
+    this.lastTime = null
+  }
+
+  /**
+   * @param {number} value - New sample
+   * @param {number} time - Sample time in seconds
+   * @returns {number} Filtered value
+   */
+  filter(value, time) {
+    if (this.lastTime === null) {
+      this.value = value
+      this.lastTime = time
+      return value
+    }
+
+    const dt = time - this.lastTime
+    if (!(dt > 0)) {
+      return this.value
+    }
+
+    const speed = (value - this.value) / dt
+    const derivativeAlpha = smoothingFactor(this.dCutoff, dt)
+    this.derivative = derivativeAlpha * speed + (1 - derivativeAlpha) * this.derivative
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative)
+    const alpha = smoothingFactor(cutoff, dt)
+    this.value = alpha * value + (1 - alpha) * this.value
+    this.lastTime = time
+    return this.value
+  }
+}
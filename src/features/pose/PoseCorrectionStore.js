@@ -0,0 +1,149 @@
+/**
+ * PoseCorrectionStore - Keeps hand-corrected pose detections
+ * When keypoints found on a reference image are dragged into place before
+ * building a skeleton, the detection and its correction are saved together.
+ * TrainingDataset turns them into examples, so a LoRA adapter can learn to
+ * fix the detector's mistakes. Entries look like:
+ *
+ *   {
+ *     id, createdAt,
+ *     image: { name, width, height },
+ *     skeleton: 'coco-17',
+ *     detected: [{ name, x, y, score }],     the pose as the backend found it
+ *     corrected: [{ name, x, y, score }]     after editing (moved keypoints score 1)
+ *   }
+ *
+ * Each corrected pose is one entry; poses without a moved keypoint are not
+ * kept. Coordinates are in image pixels.
+ */
+
+import { round } from '../../utils/math.js'
+import { keypointScore } from './PoseToObject.js'
+
+const STORAGE_KEY = 'corrections'
+
+let idCounter = 0
+
+/**
+ * @private
+ */
+function generateId() {
+  idCounter++
+  return `correction_${Date.now()}_${idCounter}_${Math.random().toString(36).substr(2, 5)}`
+}
+
+/**
+ * @private
+ */
+function compactKeypoints(keypoints) {
+  return keypoints.map(point => ({
+    name: point.name,
+    x: round(point.x, 1),
+    y: round(point.y, 1),
+    score: round(keypointScore(point), 3)
+  }))
+}
+
+export class PoseCorrectionStore {
+  /**
+   * @param {object} options
+   * @param {StorageManager} options.storage - Where entries are saved
+   * @param {number} options.maxEntries - Oldest entries are dropped past this
+   */
+  constructor({ storage, maxEntries = 200 } = {}) {
+    if (!storage) {
+      throw new Error('StorageManager instance is required')
+    }
+    this.storage = storage
+    this.maxEntries = maxEntries
+    this.entries = this.storage.get(STORAGE_KEY, [])
+    if (!Array.isArray(this.entries)) this.entries = []
+    this.listeners = new Set()
+  }
+
+  /**
+   * Listen for saved or removed corrections.
+   * @param {Function} listener - (entries) => void
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * @private
+   */
+  _notify() {
+    this.listeners.forEach(listener => listener(this.getAll()))
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    if (!this.storage.set(STORAGE_KEY, this.entries)) {
+      console.warn('Could not save the pose corrections')
+    }
+    this._notify()
+  }
+
+  /**
+   * @returns {object[]} Saved corrections, oldest first
+   */
+  getAll() {
+    return [...this.entries]
+  }
+
+  /**
+   * Save the corrected poses of one detection.
+   * @param {object} options
+   * @param {object} options.image - { name, width, height } of the image the poses were found on
+   * @param {string} options.skeleton - Skeleton id the keypoints follow
+   * @param {object} options.detected - Pose data as detected ({ poses: [{ keypoints }] })
+   * @param {object} options.corrected - The same poses after editing, in the same order
+   * @returns {object[]} New entries, one per corrected pose
+   */
+  add({ image, skeleton, detected, corrected }) {
+    const added = []
+    corrected.poses.forEach((pose, index) => {
+      if (!pose.keypoints.some(point => point.corrected)) return
+      const original = detected.poses[index]
+      if (!original) return
+      added.push({
+        id: generateId(),
+        createdAt: new Date().toISOString(),
+        image: {
+          name: image?.name || 'image',
+          width: image?.width || corrected.width,
+          height: image?.height || corrected.height
+        },
+        skeleton,
+        detected: compactKeypoints(original.keypoints),
+        corrected: compactKeypoints(pose.keypoints)
+      })
+    })
+    if (added.length === 0) return added
+
+    this.entries = [...this.entries, ...added].slice(-this.maxEntries)
+    this._save()
+    return added
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} Whether an entry was removed
+   */
+  remove(id) {
+    const count = this.entries.length
+    this.entries = this.entries.filter(entry => entry.id !== id)
+    if (this.entries.length === count) return false
+    this._save()
+    return true
+  }
+
+  clear() {
+    this.entries = []
+    this._save()
+  }
+}
@@ -1,7 +1,12 @@
 /**
  * PoseDetectionService - Handles pose detection API calls
+ * Detects poses on single images, or frame by frame on a video sampled by
+ * VideoFrameSampler. Results are normalized (see normalizePoseData).
  */
 
+import { normalizePoseData } from './PoseToObject.js'
+import { skeletonRegistry } from './SkeletonRegistry.js'
+
 export class PoseDetectionService {
   constructor({ client }) {
     if (!client) {
@@ -16,4 +21,38 @@ export class PoseDetectionService {
     }
     return this.client.fetchPoseDetection(imageBase64, options)
   }
+
+  /**
+   * Detect poses on every sampled frame of a video, in order.
+   * @param {VideoFrameSampler} sampler - With a video loaded
+   * @param {object} options
+   * @param {number} options.fps - Frames per second to sample
+   * @param {AbortSignal} options.signal - Stops sampling and cancels the pending request
+   * @param {Function} options.onProgress - ({ done, total, frame }) => void after each frame
+   * @param {object} options.detectOptions - Extra detection options sent to the backend
+   * @param {string|object} options.skeleton - Names unnamed keypoints (see normalizePoseData)
+   * @param {SkeletonRegistry} options.registry
+   * @returns {Promise<object[]>} [{ time, poses, width, height }], time in milliseconds
+   */
+  async detectVideo(sampler, {
+    fps = 10,
+    signal = null,
+    onProgress = null,
+    detectOptions = {},
+    skeleton = 'auto',
+    registry = skeletonRegistry
+  } = {}) {
+    const frames = []
+    await sampler.sample({
+      fps,
+      signal,
+      onFrame: async ({ count, time, image, width, height }) => {
+        const response = await this.detect(image, { ...detectOptions, width, height, signal })
+        const frame = { time, ...normalizePoseData(response, { width, height, skeleton, registry }) }
+        frames.push(frame)
+        onProgress?.({ done: frames.length, total: count, frame })
+      }
+    })
+    return frames
+  }
 }
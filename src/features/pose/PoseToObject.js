@@ -1,91 +1,361 @@
 /**
- * PoseToObject - Converts pose data into animation objects
+ * PoseToObject - Converts pose data into rigged skeleton objects
+ * Each detected pose becomes a group with one bone object per limb segment
+ * (torso, upper arm, forearm, thigh, ...). A bone is a two-node path from its
+ * proximal joint to its distal joint, with its pivot on the proximal joint so
+ * rotating it swings the limb around that joint.
+ *
+ * Which keypoints exist and how bones connect them comes from a skeleton
+ * definition (SkeletonRegistry): an id such as 'coco-17', a definition
+ * object, or 'auto' to pick the preset matching the keypoints. Keypoints may
+ * carry their detection score as `score` or `confidence`.
+ *
+ * Keypoints scoring below minScore are low confidence. With lowConfidence
+ * 'hide' they are left out; with 'dim' they are kept, and the bones using
+ * them are drawn faded and flagged in their metadata. Every bone node records
+ * its joint and score in `metadata`, so weak joints can be found and fixed.
+ *
+ * A tracked pose sequence (PoseTracker) becomes a skeleton whose bones are
+ * keyed frame by frame: offset moves a bone's joint, rotate turns the bone
+ * around it. Bones keep their length; only their joints follow the video exactly.
  */
 
+import { round } from '../../utils/math.js'
+import { getSkeletonSide, skeletonRegistry } from './SkeletonRegistry.js'
+
+// Opacity of bones that use a low-confidence joint (lowConfidence 'dim')
+const DIM_OPACITY = 0.4
+
+const BONE_COLORS = {
+  left: '#f97316',
+  right: '#38bdf8',
+  center: '#facc15'
+}
+
+/**
+ * Detection score of a keypoint (1 when the backend sends none).
+ * @param {object} keypoint
+ * @returns {number}
+ */
+export function keypointScore(keypoint) {
+  const score = keypoint?.score ?? keypoint?.confidence
+  return Number.isFinite(score) ? score : 1
+}
+
+/**
+ * Bring a pose detection response into one shape:
+ * { poses: [{ keypoints: [{ name, x, y, score }], confidence }], width, height }
+ * with keypoints in image pixels. Accepts keypoints as objects or as
+ * [x, y, score] arrays in the skeleton's keypoint order, and coordinates
+ * normalized to 0..1.
+ * @param {object} poseData - Backend response
+ * @param {object} options
+ * @param {number} options.width - Width of the image that was sent
+ * @param {number} options.height - Height of the image that was sent
+ * @param {string|object} options.skeleton - Names unnamed keypoints ('auto' goes by their count)
+ * @param {SkeletonRegistry} options.registry
+ * @returns {object}
+ */
+export function normalizePoseData(poseData, {
+  width = null,
+  height = null,
+  skeleton = 'auto',
+  registry = skeletonRegistry
+} = {}) {
+  const imageWidth = poseData?.width || width || 1
+  const imageHeight = poseData?.height || height || 1
+  const poses = Array.isArray(poseData?.poses) ? poseData.poses : []
+
+  return {
+    poses: poses
+      .filter(pose => pose && Array.isArray(pose.keypoints))
+      .map(pose => {
+        const names = registry.resolve(skeleton, pose.keypoints).keypoints
+        let keypoints = pose.keypoints
+          .map((point, index) => Array.isArray(point)
+            ? { name: names[index], x: point[0], y: point[1], score: point[2] }
+            : { ...point, name: point.name || names[index] })
+          .filter(point => point.name && Number.isFinite(point.x) && Number.isFinite(point.y))
+          .map(point => ({ ...point, score: keypointScore(point) }))
+
+        // Normalized coordinates when every keypoint lies inside the unit square
+        const normalized = poseData?.normalized ??
+          (keypoints.length > 0 && keypoints.every(point => point.x >= 0 && point.x <= 1 && point.y >= 0 && point.y <= 1))
+        if (normalized) {
+          keypoints = keypoints.map(point => ({ ...point, x: point.x * imageWidth, y: point.y * imageHeight }))
+        }
+
+        const confidence = Number.isFinite(pose.confidence ?? pose.score)
+          ? (pose.confidence ?? pose.score)
+          : keypoints.reduce((sum, point) => sum + point.score, 0) / (keypoints.length || 1)
+
+        return { keypoints, confidence }
+      }),
+    width: imageWidth,
+    height: imageHeight
+  }
+}
+
 export class PoseToObject {
-  constructor({ scale = 1, offset = { x: 0, y: 0 } } = {}) {
+  /**
+   * @param {object} options
+   * @param {number} options.scale - Image pixels to stage units (when no mapPoint is given)
+   * @param {object} options.offset - Stage position of the image's top-left corner
+   * @param {number} options.minScore - Keypoints scoring lower are low confidence
+   * @param {'dim'|'hide'} options.lowConfidence - Keep low-confidence keypoints (dimmed) or leave them out
+   * @param {string|object} options.skeleton - Skeleton id, definition or 'auto'
+   * @param {SkeletonRegistry} options.registry - Where skeleton ids are looked up
+   */
+  constructor({
+    scale = 1,
+    offset = { x: 0, y: 0 },
+    minScore = 0.3,
+    lowConfidence = 'hide',
+    skeleton = 'auto',
+    registry = skeletonRegistry
+  } = {}) {
     this.scale = scale
     this.offset = offset
+    this.minScore = minScore
+    this.lowConfidence = lowConfidence
+    this.skeleton = skeleton
+    this.registry = registry
   }
 
-  convert(poseData, { generateParts = false } = {}) {
+  /**
+   * One skeleton group per pose, with a bone child per limb segment whose
+   * keypoints were both detected. Poses with no bones are skipped.
+   * @param {object} poseData - { poses: [{ keypoints, confidence }] }, see normalizePoseData
+   * @param {object} options
+   * @param {Function} options.mapPoint - ({ x, y }) => { x, y }, image pixels to stage
+   *   coordinates; defaults to scale and offset
+   * @param {number} options.minScore - Overrides the constructor's minScore
+   * @param {'dim'|'hide'} options.lowConfidence - Overrides the constructor's lowConfidence
+   * @param {string|object} options.skeleton - Overrides the constructor's skeleton
+   * @param {string} options.name - Base name for the groups
+   * @returns {object[]} Groups for moduleResultToObjects / CollectionManager
+   */
+  convert(poseData, {
+    mapPoint = null,
+    minScore = this.minScore,
+    lowConfidence = this.lowConfidence,
+    skeleton = this.skeleton,
+    name = 'Pose'
+  } = {}) {
     if (!poseData || !poseData.poses || poseData.poses.length === 0) {
       return []
     }
 
-    const objects = []
+    const toStage = mapPoint || (point => this._createNode(point))
 
-    poseData.poses.forEach((pose, index) => {
-      const baseObject = this._createBaseObject(pose, index)
-      objects.push(baseObject)
+    return poseData.poses
+      .map((pose, index) => {
+        const keypoints = pose.keypoints || []
+        const definition = this.registry.resolve(skeleton, keypoints)
+        return this._createSkeleton({
+          joints: this._resolveJoints(keypoints, { minScore, lowConfidence }, toStage, definition),
+          confidence: pose.confidence
+        }, { name: `${name} ${index + 1}`, definition })
+      })
+      .filter(Boolean)
+  }
 
-      if (generateParts && pose.parts) {
-        Object.entries(pose.parts).forEach(([partName, partData], partIndex) => {
-          objects.push(this._createPartObject(pose, partName, partData, index, partIndex))
-        })
-      }
+  /**
+   * Rotoscoped skeleton for one tracked person. The skeleton is built from the
+   * frame where most bones are visible; every frame then keys each visible
+   * bone's offset (its joint's movement from there) and rotate (its turn
+   * around the joint, in radians). Low-confidence joints never set keys;
+   * the bone interpolates across them.
+   * @param {object} track - { frames: [{ time, keypoints, confidence }] } from PoseTracker
+   * @param {object} options - mapPoint, minScore, lowConfidence, skeleton and name as for convert
+   * @returns {object|null} Group whose bones carry keyframes, or null when no bone was seen
+   */
+  convertTrack(track, {
+    mapPoint = null,
+    minScore = this.minScore,
+    lowConfidence = this.lowConfidence,
+    skeleton = this.skeleton,
+    name = 'Pose'
+  } = {}) {
+    const toStage = mapPoint || (point => this._createNode(point))
+    const trackFrames = track?.frames || []
+    if (trackFrames.length === 0) return null
+
+    const definition = this.registry.resolve(skeleton, trackFrames[0].keypoints || [])
+    const frames = trackFrames.map(frame => ({
+      time: frame.time,
+      joints: this._resolveJoints(frame.keypoints || [], { minScore, lowConfidence }, toStage, definition),
+      confidence: frame.confidence
+    }))
+
+    const isConfident = (joint) => joint && !joint.lowConfidence
+    const visibleBones = (joints) => definition.bones.filter(bone => isConfident(joints[bone.from]) && isConfident(joints[bone.to])).length
+    const rest = frames.reduce((best, frame) => visibleBones(frame.joints) > visibleBones(best.joints) ? frame : best)
+    const skeletonGroup = this._createSkeleton(rest, { name, definition })
+    if (!skeletonGroup) return null
+
+    skeletonGroup.children.forEach(bone => {
+      bone.keyframes = this._createBoneKeyframes(bone.metadata.joints, rest.joints, frames)
+    })
+    return skeletonGroup
+  }
+
+  /**
+   * @private
+   */
+  _createBoneKeyframes([fromName, toName], restJoints, frames) {
+    const restFrom = restJoints[fromName]
+    const restTo = restJoints[toName]
+    const restAngle = Math.atan2(restTo.y - restFrom.y, restTo.x - restFrom.x)
+    const offset = []
+    const rotate = []
+    let previousAngle = 0
+
+    frames.forEach(({ time, joints }) => {
+      const from = joints[fromName]
+      const to = joints[toName]
+      if (!from || !to || from.lowConfidence || to.lowConfidence) return
+
+      // Unwrapped, so a bone passing straight up or down does not spin the long way round
+      const turn = Math.atan2(to.y - from.y, to.x - from.x) - restAngle - previousAngle
+      const angle = previousAngle + Math.atan2(Math.sin(turn), Math.cos(turn))
+      previousAngle = angle
+
+      offset.push({
+        time,
+        value: { x: round(from.x - restFrom.x, 2), y: round(from.y - restFrom.y, 2), z: 0 },
+        easing: 'linear'
+      })
+      rotate.push({ time, value: { x: 0, y: 0, z: round(angle, 4) }, easing: 'linear' })
     })
 
-    return objects
+    return offset.length > 0 ? { offset, rotate } : undefined
   }
 
-  _createBaseObject(pose, poseIndex) {
-    const nodes = this._buildPathNodes(pose.keypoints)
+  /**
+   * @param {object} pose - { joints, confidence }, joints from _resolveJoints
+   * @private
+   */
+  _createSkeleton({ joints, confidence }, { name, definition }) {
+    // Line weight follows the figure's size so small and large poses read the same
+    const size = this._jointSpan(joints)
+    const strokeWidth = Math.max(2, Math.round(size / 40))
+
+    const children = definition.bones
+      .filter(bone => joints[bone.from] && joints[bone.to])
+      .map(bone => this._createBone(bone, joints, { strokeWidth, name, definition }))
 
+    if (children.length === 0) {
+      return null
+    }
+
+    // The figure turns around the first bone's joint (the hips for body presets)
+    const root = joints[children[0].metadata.joints[0]]
     return {
-      id: `pose_${poseIndex}`,
-      name: `Pose ${poseIndex + 1}`,
-      type: 'object',
-      svg_element: 'path',
-      nodes,
-      closed: false,
-      opacity: 1,
-      fill: 'none',
-      stroke: '#38bdf8',
-      strokeWidth: 2,
+      type: 'group',
+      svg_element: 'g',
+      name,
+      label: name,
+      children,
+      pivot: { x: root.x, y: root.y, z: 0 },
       metadata: {
         source: 'pose_detection',
-        confidence: pose.confidence
+        skeleton: definition.id,
+        confidence
       }
     }
   }
 
-  _createPartObject(pose, partName, partData, poseIndex, partIndex) {
-    const nodes = this._buildPathNodes(partData.keypoints || [])
+  /**
+   * Stage positions of the usable keypoints and of the definition's joints,
+   * with their score and whether it is below minScore.
+   * @private
+   */
+  _resolveJoints(keypoints, { minScore, lowConfidence = 'hide' }, toStage, definition) {
+    const joints = {}
+    keypoints.forEach(point => {
+      if (!point?.name) return
+      const score = keypointScore(point)
+      const isLow = score < minScore
+      if (isLow && lowConfidence !== 'dim') return
+      joints[point.name] = {
+        ...toStage({ x: point.x, y: point.y }),
+        score,
+        lowConfidence: isLow,
+        corrected: Boolean(point.corrected)
+      }
+    })
+
+    // Derived joints sit at the center of their keypoints, when all were found
+    Object.entries(definition.joints).forEach(([name, sources]) => {
+      const points = sources.map(source => joints[source])
+      if (points.some(point => !point)) return
+      joints[name] = {
+        x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+        y: points.reduce((sum, point) => sum + point.y, 0) / points.length,
+        score: Math.min(...points.map(point => point.score)),
+        lowConfidence: points.some(point => point.lowConfidence),
+        corrected: points.some(point => point.corrected)
+      }
+    })
+
+    return joints
+  }
+
+  /**
+   * @private
+   */
+  _jointSpan(joints) {
+    const points = Object.values(joints)
+    if (points.length < 2) return 0
+    const xs = points.map(point => point.x)
+    const ys = points.map(point => point.y)
+    return Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys))
+  }
+
+  /**
+   * @private
+   */
+  _createBone(bone, joints, { strokeWidth, name, definition }) {
+    const from = joints[bone.from]
+    const to = joints[bone.to]
+    const fromSide = getSkeletonSide(definition, bone.from)
+    const side = fromSide !== 'center' ? fromSide : getSkeletonSide(definition, bone.to)
+    const lowConfidence = from.lowConfidence || to.lowConfidence
 
     return {
-      id: `pose_${poseIndex}_${partIndex}`,
-      name: `${partName} ${poseIndex + 1}`,
       type: 'object',
       svg_element: 'path',
-      nodes,
+      name: `${name} ${bone.label}`,
+      label: bone.label,
+      nodes: [
+        this._createBoneNode(bone.from, from),
+        this._createBoneNode(bone.to, to)
+      ],
       closed: false,
-      opacity: 1,
+      opacity: lowConfidence ? DIM_OPACITY : 1,
       fill: 'none',
-      stroke: '#f97316',
-      strokeWidth: 2,
+      stroke: BONE_COLORS[side],
+      strokeWidth,
+      pivot: { x: from.x, y: from.y, z: 0 },
       metadata: {
         source: 'pose_detection',
-        part: partName,
-        confidence: pose.confidence
+        bone: bone.name,
+        parent: bone.parent,
+        joints: [bone.from, bone.to],
+        confidence: Math.min(from.score, to.score),
+        lowConfidence
       }
     }
   }
 
-  _buildPathNodes(keypoints) {
-    const order = PoseToObject.DEFAULT_PATH_ORDER
-    const keypointMap = new Map(keypoints.map(k => [k.name, k]))
-
-    const nodes = order
-      .map(name => keypointMap.get(name))
-      .filter(Boolean)
-      .map(point => this._createNode(point))
-
-    if (nodes.length < 2) {
-      return keypoints.map(point => this._createNode(point)).slice(0, 2)
-    }
-
-    return nodes
+  /**
+   * @private
+   */
+  _createBoneNode(name, joint) {
+    const metadata = { joint: name, score: round(joint.score, 3), lowConfidence: joint.lowConfidence }
+    if (joint.corrected) metadata.corrected = true
+    return { x: joint.x, y: joint.y, metadata }
   }
 
   _createNode(point) {
@@ -95,11 +365,3 @@ export class PoseToObject {
     }
   }
 }
-
-PoseToObject.DEFAULT_PATH_ORDER = [
-  'left_ankle', 'left_knee', 'left_hip',
-  'right_hip', 'right_knee', 'right_ankle',
-  'right_wrist', 'right_elbow', 'right_shoulder',
-  'left_shoulder', 'left_elbow', 'left_wrist',
-  'left_ear', 'left_eye', 'nose', 'right_eye', 'right_ear'
-]
@@ -0,0 +1,169 @@
+/**
+ * PoseTracker - Follows people through a sequence of pose detections
+ * Each frame's poses are matched to the tracks of the previous frames by how
+ * far their keypoints moved (relative to the person's size), so the same
+ * person keeps the same track id while others enter and leave. Keypoint
+ * positions are smoothed per track with a One-Euro filter.
+ *
+ * Poses are in the normalizePoseData shape: { keypoints: [{ name, x, y, score }], confidence }.
+ */
+
+import { OneEuroFilter } from './OneEuroFilter.js'
+import { keypointScore } from './PoseToObject.js'
+
+/**
+ * Largest side of the bounding box of the confident keypoints.
+ * @private
+ */
+function poseSize(keypoints) {
+  if (keypoints.length < 2) return 0
+  const xs = keypoints.map(point => point.x)
+  const ys = keypoints.map(point => point.y)
+  return Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys))
+}
+
+export class PoseTracker {
+  /**
+   * @param {object} options
+   * @param {number} options.maxDistance - Largest mean keypoint movement between matched
+   *   poses, as a fraction of the person's size
+   * @param {number} options.maxMissedFrames - Frames a track may go undetected before it ends
+   * @param {number} options.minScore - Keypoints scoring lower are not matched or smoothed
+   * @param {object} options.smoothing - OneEuroFilter options ({ minCutoff, beta, dCutoff }),
+   *   null to keep raw positions
+   */
+  constructor({ maxDistance = 0.5, maxMissedFrames = 5, minScore = 0.3, smoothing = {} } = {}) {
+    this.maxDistance = maxDistance
+    this.maxMissedFrames = maxMissedFrames
+    this.minScore = minScore
+    this.smoothing = smoothing
+    this.reset()
+  }
+
+  reset() {
+    this.tracks = [] // [{ id, frames, last, missed, filters }]
+    this.nextTrackId = 1
+  }
+
+  /**
+   * Add one frame of detections.
+   * @param {object[]} poses - Poses detected in the frame
+   * @param {number} time - Frame time in milliseconds
+   * @returns {object[]} [{ trackId, keypoints, confidence }] for the frame, keypoints smoothed
+   */
+  update(poses, time) {
+    const candidates = (poses || []).filter(pose => Array.isArray(pose?.keypoints))
+    const active = this.tracks.filter(track => track.missed <= this.maxMissedFrames)
+
+    // Greedy matching, closest pairs first
+    const pairs = []
+    active.forEach(track => {
+      candidates.forEach((pose, index) => {
+        const distance = this._distance(track.last, pose.keypoints)
+        if (distance <= this.maxDistance) {
+          pairs.push({ track, index, distance })
+        }
+      })
+    })
+    pairs.sort((a, b) => a.distance - b.distance)
+
+    const assigned = new Map() // pose index -> track
+    const matchedTracks = new Set()
+    pairs.forEach(({ track, index }) => {
+      if (assigned.has(index) || matchedTracks.has(track)) return
+      assigned.set(index, track)
+      matchedTracks.add(track)
+    })
+
+    active.forEach(track => {
+      if (!matchedTracks.has(track)) track.missed++
+    })
+
+    return candidates.map((pose, index) => {
+      const track = assigned.get(index) || this._createTrack()
+      const keypoints = this._smooth(track, pose.keypoints, time)
+      track.last = keypoints
+      track.missed = 0
+      track.frames.push({ time, keypoints, confidence: pose.confidence })
+      return { trackId: track.id, keypoints, confidence: pose.confidence }
+    })
+  }
+
+  /**
+   * @param {object} options
+   * @param {number} options.minFrames - Leave out tracks seen in fewer frames (false detections)
+   * @returns {object[]} [{ id, frames: [{ time, keypoints, confidence }] }] in order of appearance
+   */
+  getTracks({ minFrames = 1 } = {}) {
+    return this.tracks
+      .filter(track => track.frames.length >= minFrames)
+      .map(track => ({ id: track.id, frames: track.frames }))
+  }
+
+  /**
+   * Track a whole sequence from the start.
+   * @param {object[]} frames - [{ time, poses }]
+   * @param {object} options - See getTracks
+   * @returns {object[]} Tracks
+   */
+  track(frames, options = {}) {
+    this.reset()
+    frames.forEach(frame => this.update(frame.poses, frame.time))
+    return this.getTracks(options)
+  }
+
+  /**
+   * @private
+   */
+  _createTrack() {
+    const track = { id: this.nextTrackId++, frames: [], last: [], missed: 0, filters: new Map() }
+    this.tracks.push(track)
+    return track
+  }
+
+  /**
+   * Mean movement of the keypoints both poses share, relative to the tracked person's size.
+   * @private
+   */
+  _distance(previous, keypoints) {
+    const confident = previous.filter(point => keypointScore(point) >= this.minScore)
+    const byName = new Map(keypoints
+      .filter(point => keypointScore(point) >= this.minScore)
+      .map(point => [point.name, point]))
+    const shared = confident.filter(point => byName.has(point.name))
+    if (shared.length < 3) return Infinity
+
+    const size = poseSize(confident) || 1
+    const total = shared.reduce((sum, point) => {
+      const other = byName.get(point.name)
+      return sum + Math.hypot(other.x - point.x, other.y - point.y)
+    }, 0)
+    return total / shared.length / size
+  }
+
+  /**
+   * @private
+   */
+  _smooth(track, keypoints, time) {
+    if (!this.smoothing) return keypoints.map(point => ({ ...point }))
+
+    return keypoints.map(point => {
+      // Unreliable keypoints would drag the filter off; pass them through as detected
+      if (keypointScore(point) < this.minScore) return { ...point }
+
+      if (!track.filters.has(point.name)) {
+        track.filters.set(point.name, {
+          x: new OneEuroFilter(this.smoothing),
+          y: new OneEuroFilter(this.smoothing)
+        })
+      }
+      const filters = track.filters.get(point.name)
+      const seconds = time / 1000
+      return {
+        ...point,
+        x: filters.x.filter(point.x, seconds),
+        y: filters.y.filter(point.y, seconds)
+      }
+    })
+  }
+}
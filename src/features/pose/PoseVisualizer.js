@@ -1,14 +1,60 @@
 /**
  * PoseVisualizer - Draws pose data overlays on a canvas
+ * Keypoints are drawn at their x/y in canvas pixels; map them first when the
+ * pose was detected on an image shown at another size. Lines follow the
+ * connections of the pose's skeleton definition (SkeletonRegistry).
+ *
+ * Keypoints scoring below minScore are drawn faded and hollow
+ * (lowConfidence 'dim') or not at all ('hide'). In editing mode every
+ * keypoint is drawn as a larger handle and corrected keypoints stand out.
  */
 
+import { keypointScore } from './PoseToObject.js'
+import { skeletonRegistry } from './SkeletonRegistry.js'
+
 export class PoseVisualizer {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} options
+   * @param {string|object} options.skeleton - Skeleton id, definition or 'auto'
+   * @param {SkeletonRegistry} options.registry
+   * @param {number} options.minScore - Keypoints scoring lower are low confidence
+   * @param {'dim'|'hide'} options.lowConfidence - How low-confidence keypoints are drawn
+   */
+  constructor(canvas, {
+    skeleton = 'auto',
+    registry = skeletonRegistry,
+    minScore = 0.2,
+    lowConfidence = 'dim'
+  } = {}) {
     this.canvas = canvas
     this.ctx = canvas ? canvas.getContext('2d') : null
     this.strokeStyle = '#38bdf8'
     this.keypointStyle = '#facc15'
+    this.correctedStyle = '#22c55e'
     this.lineWidth = 2
+    this.dimAlpha = 0.35
+    this.minScore = minScore
+    this.lowConfidence = lowConfidence
+    this.skeleton = skeleton
+    this.registry = registry
+  }
+
+  /**
+   * @param {object} options
+   * @param {number} options.minScore
+   * @param {'dim'|'hide'} options.lowConfidence
+   */
+  setConfidence({ minScore = this.minScore, lowConfidence = this.lowConfidence } = {}) {
+    this.minScore = minScore
+    this.lowConfidence = lowConfidence
+  }
+
+  /**
+   * @param {string|object} skeleton - Skeleton id, definition or 'auto'
+   */
+  setSkeleton(skeleton) {
+    this.skeleton = skeleton
   }
 
   setCanvas(canvas) {
@@ -27,60 +73,87 @@ export class PoseVisualizer {
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
   }
 
-  draw(poseData) {
+  /**
+   * @param {object} poseData - { poses: [{ keypoints }] }
+   * @param {object} options
+   * @param {string|object} options.skeleton - Overrides the visualizer's skeleton
+   * @param {boolean} options.editing - Draw every keypoint as a drag handle
+   * @param {object} options.active - { pose, name } of the keypoint being dragged
+   */
+  draw(poseData, { skeleton = this.skeleton, editing = false, active = null } = {}) {
     if (!this.ctx || !poseData || !poseData.poses || poseData.poses.length === 0) {
       return
     }
 
     this.clear()
-    poseData.poses.forEach(pose => {
+    poseData.poses.forEach((pose, index) => {
       if (!pose || !Array.isArray(pose.keypoints)) return
-      this._drawSkeleton(pose.keypoints)
-      this._drawKeypoints(pose.keypoints)
+      this._drawSkeleton(pose.keypoints, this.registry.resolve(skeleton, pose.keypoints), { editing })
+      this._drawKeypoints(pose.keypoints, {
+        editing,
+        activeName: active?.pose === index ? active.name : null
+      })
     })
+    this.ctx.globalAlpha = 1
+    this.ctx.setLineDash([])
+  }
+
+  /**
+   * Whether a keypoint is faded, or left out (null).
+   * @private
+   */
+  _isDimmed(point, editing) {
+    if (point.corrected || keypointScore(point) >= this.minScore) return false
+    return editing || this.lowConfidence === 'dim' ? true : null
   }
 
-  _drawSkeleton(keypoints) {
-    const connections = PoseVisualizer.SKELETON_CONNECTIONS
+  _drawSkeleton(keypoints, definition, { editing = false } = {}) {
+    const connections = definition.connections
     this.ctx.strokeStyle = this.strokeStyle
     this.ctx.lineWidth = this.lineWidth
-    this.ctx.globalAlpha = 0.8
 
     connections.forEach(([startName, endName]) => {
       const start = keypoints.find(k => k.name === startName)
       const end = keypoints.find(k => k.name === endName)
 
       if (!start || !end) return
-      if (start.confidence < 0.2 || end.confidence < 0.2) return
+      const startDimmed = this._isDimmed(start, editing)
+      const endDimmed = this._isDimmed(end, editing)
+      if (startDimmed === null || endDimmed === null) return
 
+      const dimmed = startDimmed || endDimmed
+      this.ctx.globalAlpha = dimmed ? this.dimAlpha : 0.8
+      this.ctx.setLineDash(dimmed ? [4, 4] : [])
       this.ctx.beginPath()
       this.ctx.moveTo(start.x, start.y)
       this.ctx.lineTo(end.x, end.y)
       this.ctx.stroke()
     })
+    this.ctx.setLineDash([])
   }
 
-  _drawKeypoints(keypoints) {
-    this.ctx.fillStyle = this.keypointStyle
-    this.ctx.globalAlpha = 1
-
+  _drawKeypoints(keypoints, { editing = false, activeName = null } = {}) {
     keypoints.forEach(point => {
-      if (!point || point.confidence < 0.2) return
+      if (!point) return
+      const dimmed = this._isDimmed(point, editing)
+      if (dimmed === null) return
+
+      const color = point.corrected ? this.correctedStyle : this.keypointStyle
+      const radius = point.name === activeName ? 7 : (editing ? 5 : 3)
+      this.ctx.globalAlpha = dimmed ? this.dimAlpha : 1
       this.ctx.beginPath()
-      this.ctx.arc(point.x, point.y, 3, 0, Math.PI * 2)
-      this.ctx.fill()
+      this.ctx.arc(point.x, point.y, radius, 0, Math.PI * 2)
+      if (dimmed) {
+        // Hollow, so weak joints read as guesses
+        this.ctx.strokeStyle = color
+        this.ctx.lineWidth = 1.5
+        this.ctx.stroke()
+      } else {
+        this.ctx.fillStyle = color
+        this.ctx.fill()
+      }
     })
+    this.ctx.strokeStyle = this.strokeStyle
+    this.ctx.lineWidth = this.lineWidth
   }
 }
-
-PoseVisualizer.SKELETON_CONNECTIONS = [
-  ['nose', 'left_eye'], ['nose', 'right_eye'],
-  ['left_eye', 'left_ear'], ['right_eye', 'right_ear'],
-  ['left_shoulder', 'right_shoulder'],
-  ['left_shoulder', 'left_elbow'], ['left_elbow', 'left_wrist'],
-  ['right_shoulder', 'right_elbow'], ['right_elbow', 'right_wrist'],
-  ['left_shoulder', 'left_hip'], ['right_shoulder', 'right_hip'],
-  ['left_hip', 'right_hip'],
-  ['left_hip', 'left_knee'], ['left_knee', 'left_ankle'],
-  ['right_hip', 'right_knee'], ['right_knee', 'right_ankle']
-]
@@ -0,0 +1,289 @@
+/**
+ * SkeletonRegistry - Skeleton topologies for pose models
+ * Pose models differ in which keypoints they return and in what order, so
+ * building rigs (PoseToObject) and drawing poses (PoseVisualizer) look the
+ * topology up here instead of assuming COCO. A definition is plain JSON:
+ *
+ *   {
+ *     "id": "coco-17",
+ *     "name": "COCO (17 keypoints)",
+ *     "keypoints": ["nose", "left_eye", ...],          names in model output order
+ *     "joints": { "hip_center": ["left_hip", "right_hip"] },   centers of keypoints
+ *     "bones": [{ "name": "torso", "from": "hip_center", "to": "shoulder_center", "parent": null }, ...],
+ *     "connections": [["nose", "left_eye"], ...],      lines drawn between keypoints
+ *     "symmetry": [["left_eye", "right_eye"], ...]     left/right pairs
+ *   }
+ *
+ * Bones are listed parents first and rotate around their `from` joint;
+ * `label` is optional. Connections default to the bones between keypoints.
+ * Presets (skeletonPresets.js) are registered in every registry.
+ */
+
+import { isObject, isString } from '../../utils/validation.js'
+import { SKELETON_PRESETS } from './skeletonPresets.js'
+
+/**
+ * Error for a definition that cannot be used. errors lists every problem as readable text.
+ */
+export class SkeletonDefinitionError extends Error {
+  constructor(message, { errors = [] } = {}) {
+    super(message)
+    this.name = 'SkeletonDefinitionError'
+    this.code = 'invalid-skeleton'
+    this.errors = errors
+  }
+}
+
+/**
+ * "left_upper_arm" -> "Left upper arm"
+ * @private
+ */
+function humanize(name) {
+  const text = name.replace(/[_-]+/g, ' ').trim()
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+/**
+ * @private
+ */
+function isPair(value) {
+  return Array.isArray(value) && value.length === 2 && value.every(isString)
+}
+
+/**
+ * Check a definition and fill its defaults.
+ * @param {object} definition
+ * @returns {object} Normalized copy
+ * @throws {SkeletonDefinitionError}
+ */
+export function normalizeSkeletonDefinition(definition) {
+  if (!isObject(definition)) {
+    throw new SkeletonDefinitionError('A skeleton definition must be an object')
+  }
+
+  const errors = []
+  const id = isString(definition.id) ? definition.id.trim() : ''
+  if (!id) errors.push('"id" must be a non-empty string')
+
+  const keypoints = Array.isArray(definition.keypoints) ? definition.keypoints : []
+  if (keypoints.length === 0 || !keypoints.every(name => isString(name) && name)) {
+    errors.push('"keypoints" must be a non-empty list of names')
+  } else if (new Set(keypoints).size !== keypoints.length) {
+    errors.push('"keypoints" must not repeat a name')
+  }
+  const keypointNames = new Set(keypoints)
+
+  const joints = {}
+  Object.entries(isObject(definition.joints) ? definition.joints : {}).forEach(([name, sources]) => {
+    if (keypointNames.has(name)) {
+      errors.push(`Joint "${name}" has the name of a keypoint`)
+    } else if (!Array.isArray(sources) || sources.length < 2 || !sources.every(source => keypointNames.has(source))) {
+      errors.push(`Joint "${name}" must list at least two keypoints`)
+    } else {
+      joints[name] = [...sources]
+    }
+  })
+
+  const bones = []
+  const boneNames = new Set()
+  const rawBones = Array.isArray(definition.bones) ? definition.bones : []
+  if (rawBones.length === 0) errors.push('"bones" must list at least one bone')
+  rawBones.forEach((bone, index) => {
+    const name = isString(bone?.name) ? bone.name : ''
+    const label = `Bone ${name ? `"${name}"` : index + 1}`
+    if (!name) return errors.push(`${label} needs a name`)
+    if (boneNames.has(name)) return errors.push(`${label} is defined twice`)
+    const missing = [bone.from, bone.to].filter(joint => !keypointNames.has(joint) && !joints[joint])
+    if (missing.length > 0) return errors.push(`${label} uses unknown joints: ${missing.join(', ')}`)
+    const parent = bone.parent ?? null
+    if (parent !== null && !boneNames.has(parent)) {
+      return errors.push(`${label} has parent "${parent}", which must be defined before it`)
+    }
+    boneNames.add(name)
+    bones.push({
+      name,
+      label: isString(bone.label) && bone.label ? bone.label : humanize(name),
+      from: bone.from,
+      to: bone.to,
+      parent
+    })
+  })
+
+  const pairsOf = (key) => {
+    const list = Array.isArray(definition[key]) ? definition[key] : []
+    return list.filter((pair, index) => {
+      if (isPair(pair) && pair.every(name => keypointNames.has(name))) return true
+      errors.push(`"${key}" entry ${index + 1} must be a pair of keypoint names`)
+      return false
+    }).map(pair => [...pair])
+  }
+  const connections = definition.connections === undefined
+    ? bones.filter(bone => keypointNames.has(bone.from) && keypointNames.has(bone.to)).map(bone => [bone.from, bone.to])
+    : pairsOf('connections')
+  const symmetry = pairsOf('symmetry')
+
+  if (errors.length > 0) {
+    throw new SkeletonDefinitionError(`Invalid skeleton definition${id ? ` "${id}"` : ''}: ${errors[0]}`, { errors })
+  }
+
+  return {
+    id,
+    name: isString(definition.name) && definition.name ? definition.name : id,
+    keypoints: [...keypoints],
+    joints,
+    bones,
+    connections,
+    symmetry
+  }
+}
+
+/**
+ * Which side of the body a keypoint or joint is on, from the symmetry pairs.
+ * Joints are on a side when all their keypoints are.
+ * @param {object} definition - Normalized definition
+ * @param {string} name - Keypoint or joint name
+ * @returns {'left'|'right'|'center'}
+ */
+export function getSkeletonSide(definition, name) {
+  const sources = definition.joints[name] || [name]
+  const sides = new Set(sources.map(source => {
+    const pair = definition.symmetry.find(([left, right]) => left === source || right === source)
+    return pair ? (pair[0] === source ? 'left' : 'right') : 'center'
+  }))
+  return sides.size === 1 ? [...sides][0] : 'center'
+}
+
+export class SkeletonRegistry {
+  constructor() {
+    this.definitions = new Map()
+    SKELETON_PRESETS.forEach(preset => this.register(preset, { builtIn: true }))
+  }
+
+  /**
+   * Add a definition, replacing a custom one with the same id.
+   * @param {object} definition
+   * @param {object} options
+   * @param {boolean} options.builtIn - Presets cannot be replaced or removed
+   * @returns {object} Normalized definition
+   * @throws {SkeletonDefinitionError}
+   */
+  register(definition, { builtIn = false } = {}) {
+    const normalized = normalizeSkeletonDefinition(definition)
+    if (this.definitions.get(normalized.id)?.builtIn) {
+      throw new SkeletonDefinitionError(`"${normalized.id}" is a built-in skeleton; choose another id`)
+    }
+    this.definitions.set(normalized.id, { ...normalized, builtIn })
+    return this.get(normalized.id)
+  }
+
+  /**
+   * Register a definition from JSON text.
+   * @param {string} json
+   * @returns {object} Normalized definition
+   * @throws {SkeletonDefinitionError}
+   */
+  registerJSON(json) {
+    let definition
+    try {
+      definition = JSON.parse(json)
+    } catch (error) {
+      throw new SkeletonDefinitionError(`Skeleton definition is not valid JSON: ${error.message}`)
+    }
+    return this.register(definition)
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} Whether a custom definition was removed
+   */
+  unregister(id) {
+    if (this.definitions.get(id)?.builtIn) return false
+    return this.definitions.delete(id)
+  }
+
+  has(id) {
+    return this.definitions.has(id)
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object}
+   * @throws {Error} When there is no such definition
+   */
+  get(id) {
+    const definition = this.definitions.get(id)
+    if (!definition) {
+      throw new Error(`Unknown skeleton "${id}"`)
+    }
+    return definition
+  }
+
+  /**
+   * @returns {object[]} Presets first, then custom definitions
+   */
+  list() {
+    return Array.from(this.definitions.values())
+  }
+
+  /**
+   * @returns {object[]} Custom definitions without the builtIn flag, for saving
+   */
+  getCustom() {
+    return this.list()
+      .filter(definition => !definition.builtIn)
+      .map(({ builtIn, ...definition }) => definition)
+  }
+
+  /**
+   * Definition whose keypoints best match a detected pose: by name when the
+   * keypoints are named, otherwise by count.
+   * @param {Array} keypoints - Objects with names, or unnamed points
+   * @returns {object|null}
+   */
+  detect(keypoints) {
+    if (!Array.isArray(keypoints) || keypoints.length === 0) return null
+
+    const names = keypoints.map(point => point?.name).filter(isString)
+    let best = null
+    let bestScore = 0
+    this.list().forEach(definition => {
+      let score
+      if (names.length > 0) {
+        const known = new Set(definition.keypoints)
+        const matched = names.filter(name => known.has(name)).length
+        // Share of the definition covered, penalized by names it does not know
+        score = (matched / definition.keypoints.length) * (matched / names.length)
+      } else {
+        score = keypoints.length === definition.keypoints.length ? 1 : 0
+      }
+      if (score > bestScore) {
+        best = definition
+        bestScore = score
+      }
+    })
+    return bestScore >= 0.5 ? best : null
+  }
+
+  /**
+   * Look up a skeleton option: an id, 'auto' (detected from the keypoints,
+   * COCO when nothing matches) or a definition object.
+   * @param {string|object} skeleton
+   * @param {Array} keypoints - For 'auto'
+   * @returns {object}
+   */
+  resolve(skeleton = 'auto', keypoints = []) {
+    if (isObject(skeleton)) {
+      // Definitions from this registry are already normalized
+      return 'builtIn' in skeleton ? skeleton : { ...normalizeSkeletonDefinition(skeleton), builtIn: false }
+    }
+    if (skeleton === 'auto') {
+      return this.detect(keypoints) || this.get('coco-17')
+    }
+    return this.get(skeleton)
+  }
+}
+
+/**
+ * Registry shared by PoseToObject and PoseVisualizer unless they are given another.
+ */
+export const skeletonRegistry = new SkeletonRegistry()
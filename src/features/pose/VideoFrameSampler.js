@@ -0,0 +1,159 @@
+/**
+ * VideoFrameSampler - Grabs still frames from a local video file
+ * The video plays nowhere: it is loaded into a detached <video> element and
+ * seeked to each sample time, and the frame is drawn onto a canvas and
+ * encoded as base64 for PoseDetectionService. Frames are scaled down so
+ * their longer side is at most maxSize pixels.
+ */
+
+// Seek target past any real video's end; see _resolveDuration
+const END_OF_VIDEO = Number.MAX_SAFE_INTEGER
+
+export class VideoFrameSampler {
+  /**
+   * @param {object} options
+   * @param {number} options.maxSize - Longest side of a sampled frame in pixels
+   * @param {string} options.mimeType - Frame encoding
+   * @param {number} options.quality - JPEG/WebP quality, 0..1
+   */
+  constructor({ maxSize = 640, mimeType = 'image/jpeg', quality = 0.85 } = {}) {
+    this.maxSize = maxSize
+    this.mimeType = mimeType
+    this.quality = quality
+    this.video = null
+    this.url = null
+  }
+
+  /**
+   * @param {File|Blob} file
+   * @returns {Promise<{duration: number, width: number, height: number}>} Duration in milliseconds
+   */
+  load(file) {
+    this.release()
+    if (!file || !file.type?.startsWith('video/')) {
+      return Promise.reject(new Error('Please select a video file'))
+    }
+
+    const video = document.createElement('video')
+    video.muted = true
+    video.playsInline = true
+    video.preload = 'auto'
+    this.video = video
+    this.url = URL.createObjectURL(file)
+
+    const loaded = new Promise((resolve, reject) => {
+      video.addEventListener('loadeddata', resolve, { once: true })
+      video.addEventListener('error', () => {
+        reject(new Error('The browser cannot play this video'))
+      }, { once: true })
+      video.src = this.url
+    })
+
+    return loaded
+      .then(() => this._resolveDuration())
+      .then(duration => ({
+        duration: duration * 1000,
+        width: video.videoWidth,
+        height: video.videoHeight
+      }))
+  }
+
+  /**
+   * Visit frames at a fixed rate. Each frame is handed to onFrame, which may be
+   * async; the next frame is grabbed once it settles.
+   * @param {object} options
+   * @param {number} options.fps - Frames per second to sample
+   * @param {Function} options.onFrame - ({ index, count, time, image, width, height }) => void|Promise,
+   *   time in milliseconds and image as base64 without the data URL prefix
+   * @param {AbortSignal} options.signal
+   * @returns {Promise<number>} Frames visited
+   */
+  async sample({ fps = 10, onFrame, signal = null } = {}) {
+    const video = this.video
+    if (!video) {
+      throw new Error('Load a video before sampling it')
+    }
+    if (!Number.isFinite(video.duration)) {
+      throw new Error('The video has no known length, so its frames cannot be sampled')
+    }
+
+    const step = 1 / Math.max(0.1, fps)
+    const count = Math.max(1, Math.floor(video.duration / step) + 1)
+    const scale = Math.min(1, this.maxSize / Math.max(video.videoWidth, video.videoHeight))
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.round(video.videoWidth * scale)
+    canvas.height = Math.round(video.videoHeight * scale)
+    const ctx = canvas.getContext('2d')
+
+    for (let index = 0; index < count; index++) {
+      signal?.throwIfAborted()
+      const seconds = Math.min(index * step, video.duration)
+      await this._seek(seconds)
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height)
+      const image = canvas.toDataURL(this.mimeType, this.quality).replace(/^data:[^,]*,/, '')
+      await onFrame?.({
+        index,
+        count,
+        time: Math.round(seconds * 1000),
+        image,
+        width: canvas.width,
+        height: canvas.height
+      })
+    }
+    return count
+  }
+
+  /**
+   * Stop using the video and free its object URL.
+   */
+  release() {
+    if (this.video) {
+      this.video.removeAttribute('src')
+      this.video.load()
+      this.video = null
+    }
+    if (this.url) {
+      URL.revokeObjectURL(this.url)
+      this.url = null
+    }
+  }
+
+  /**
+   * Length of the loaded video in seconds. Recordings made with MediaRecorder
+   * often report Infinity until played to the end; seeking past the end makes
+   * the browser find the real length.
+   * @returns {Promise<number>}
+   * @private
+   */
+  async _resolveDuration() {
+    const video = this.video
+    if (!Number.isFinite(video.duration)) {
+      await this._seek(END_OF_VIDEO)
+      await this._seek(0)
+    }
+    if (!Number.isFinite(video.duration) || video.duration <= 0) {
+      throw new Error('The video has no known length; re-encode it and try again')
+    }
+    return video.duration
+  }
+
+  /**
+   * @private
+   */
+  _seek(seconds) {
+    const video = this.video
+    return new Promise((resolve, reject) => {
+      const onSeeked = () => {
+        video.removeEventListener('error', onError)
+        resolve()
+      }
+      const onError = () => {
+        video.removeEventListener('seeked', onSeeked)
+        reject(new Error(`Could not read the video frame at ${seconds.toFixed(2)} s`))
+      }
+      video.addEventListener('seeked', onSeeked, { once: true })
+      video.addEventListener('error', onError, { once: true })
+      video.currentTime = seconds
+    })
+  }
+}
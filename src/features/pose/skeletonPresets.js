@@ -0,0 +1,153 @@
+/**
+ * skeletonPresets - Skeleton definitions for common pose models
+ * See SkeletonRegistry for the definition format.
+ *
+ *   coco-17       COCO keypoints (MoveNet, PoseNet, YOLO-pose, OpenPifPaf)
+ *   blazepose-33  MediaPipe BlazePose / Pose Landmarker
+ *   hands-21      MediaPipe Hands / Hand Landmarker, one hand
+ */
+
+/**
+ * Connections given as keypoint index pairs, as the model docs list them.
+ * @private
+ */
+function byIndex(keypoints, pairs) {
+  return pairs.map(([a, b]) => [keypoints[a], keypoints[b]])
+}
+
+const COCO_KEYPOINTS = [
+  'nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
+  'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow',
+  'left_wrist', 'right_wrist', 'left_hip', 'right_hip',
+  'left_knee', 'right_knee', 'left_ankle', 'right_ankle'
+]
+
+// Midpoints the spine runs between
+const BODY_JOINTS = {
+  shoulder_center: ['left_shoulder', 'right_shoulder'],
+  hip_center: ['left_hip', 'right_hip']
+}
+
+const BODY_BONES = [
+  { name: 'torso', from: 'hip_center', to: 'shoulder_center', parent: null },
+  { name: 'head', from: 'shoulder_center', to: 'nose', parent: 'torso' },
+  { name: 'left_upper_arm', from: 'left_shoulder', to: 'left_elbow', parent: 'torso' },
+  { name: 'left_forearm', from: 'left_elbow', to: 'left_wrist', parent: 'left_upper_arm' },
+  { name: 'right_upper_arm', from: 'right_shoulder', to: 'right_elbow', parent: 'torso' },
+  { name: 'right_forearm', from: 'right_elbow', to: 'right_wrist', parent: 'right_upper_arm' },
+  { name: 'left_thigh', from: 'left_hip', to: 'left_knee', parent: 'torso' },
+  { name: 'left_shin', from: 'left_knee', to: 'left_ankle', parent: 'left_thigh' },
+  { name: 'right_thigh', from: 'right_hip', to: 'right_knee', parent: 'torso' },
+  { name: 'right_shin', from: 'right_knee', to: 'right_ankle', parent: 'right_thigh' }
+]
+
+const BODY_SYMMETRY = [
+  ['left_shoulder', 'right_shoulder'], ['left_elbow', 'right_elbow'], ['left_wrist', 'right_wrist'],
+  ['left_hip', 'right_hip'], ['left_knee', 'right_knee'], ['left_ankle', 'right_ankle']
+]
+
+export const COCO_17 = {
+  id: 'coco-17',
+  name: 'COCO (17 keypoints)',
+  keypoints: COCO_KEYPOINTS,
+  joints: BODY_JOINTS,
+  bones: BODY_BONES,
+  connections: [
+    ['nose', 'left_eye'], ['nose', 'right_eye'],
+    ['left_eye', 'left_ear'], ['right_eye', 'right_ear'],
+    ['left_shoulder', 'right_shoulder'],
+    ['left_shoulder', 'left_elbow'], ['left_elbow', 'left_wrist'],
+    ['right_shoulder', 'right_elbow'], ['right_elbow', 'right_wrist'],
+    ['left_shoulder', 'left_hip'], ['right_shoulder', 'right_hip'],
+    ['left_hip', 'right_hip'],
+    ['left_hip', 'left_knee'], ['left_knee', 'left_ankle'],
+    ['right_hip', 'right_knee'], ['right_knee', 'right_ankle']
+  ],
+  symmetry: [
+    ['left_eye', 'right_eye'], ['left_ear', 'right_ear'],
+    ...BODY_SYMMETRY
+  ]
+}
+
+const BLAZEPOSE_KEYPOINTS = [
+  'nose', 'left_eye_inner', 'left_eye', 'left_eye_outer',
+  'right_eye_inner', 'right_eye', 'right_eye_outer', 'left_ear', 'right_ear',
+  'mouth_left', 'mouth_right', 'left_shoulder', 'right_shoulder',
+  'left_elbow', 'right_elbow', 'left_wrist', 'right_wrist',
+  'left_pinky', 'right_pinky', 'left_index', 'right_index', 'left_thumb', 'right_thumb',
+  'left_hip', 'right_hip', 'left_knee', 'right_knee', 'left_ankle', 'right_ankle',
+  'left_heel', 'right_heel', 'left_foot_index', 'right_foot_index'
+]
+
+export const BLAZEPOSE_33 = {
+  id: 'blazepose-33',
+  name: 'BlazePose (33 keypoints)',
+  keypoints: BLAZEPOSE_KEYPOINTS,
+  joints: BODY_JOINTS,
+  bones: [
+    ...BODY_BONES,
+    { name: 'left_hand', from: 'left_wrist', to: 'left_index', parent: 'left_forearm' },
+    { name: 'right_hand', from: 'right_wrist', to: 'right_index', parent: 'right_forearm' },
+    { name: 'left_foot', from: 'left_ankle', to: 'left_foot_index', parent: 'left_shin' },
+    { name: 'right_foot', from: 'right_ankle', to: 'right_foot_index', parent: 'right_shin' }
+  ],
+  connections: byIndex(BLAZEPOSE_KEYPOINTS, [
+    [0, 1], [1, 2], [2, 3], [3, 7], [0, 4], [4, 5], [5, 6], [6, 8], [9, 10],
+    [11, 12], [11, 13], [13, 15], [15, 17], [15, 19], [15, 21], [17, 19],
+    [12, 14], [14, 16], [16, 18], [16, 20], [16, 22], [18, 20],
+    [11, 23], [12, 24], [23, 24], [23, 25], [24, 26], [25, 27], [26, 28],
+    [27, 29], [28, 30], [29, 31], [30, 32], [27, 31], [28, 32]
+  ]),
+  symmetry: [
+    ['left_eye_inner', 'right_eye_inner'], ['left_eye', 'right_eye'], ['left_eye_outer', 'right_eye_outer'],
+    ['left_ear', 'right_ear'], ['mouth_left', 'mouth_right'],
+    ...BODY_SYMMETRY,
+    ['left_pinky', 'right_pinky'], ['left_index', 'right_index'], ['left_thumb', 'right_thumb'],
+    ['left_heel', 'right_heel'], ['left_foot_index', 'right_foot_index']
+  ]
+}
+
+const HAND_KEYPOINTS = [
+  'wrist',
+  'thumb_cmc', 'thumb_mcp', 'thumb_ip', 'thumb_tip',
+  'index_finger_mcp', 'index_finger_pip', 'index_finger_dip', 'index_finger_tip',
+  'middle_finger_mcp', 'middle_finger_pip', 'middle_finger_dip', 'middle_finger_tip',
+  'ring_finger_mcp', 'ring_finger_pip', 'ring_finger_dip', 'ring_finger_tip',
+  'pinky_mcp', 'pinky_pip', 'pinky_dip', 'pinky_tip'
+]
+
+/**
+ * Three phalanges per finger, each hanging off the previous one.
+ * @private
+ */
+function fingerBones(finger, [first, second, third, tip], parent) {
+  return [
+    { name: `${finger}_proximal`, from: first, to: second, parent },
+    { name: `${finger}_middle`, from: second, to: third, parent: `${finger}_proximal` },
+    { name: `${finger}_distal`, from: third, to: tip, parent: `${finger}_middle` }
+  ]
+}
+
+export const HANDS_21 = {
+  id: 'hands-21',
+  name: 'Hand (21 keypoints)',
+  keypoints: HAND_KEYPOINTS,
+  joints: {},
+  bones: [
+    { name: 'palm', from: 'wrist', to: 'middle_finger_mcp', parent: null },
+    ...fingerBones('thumb', ['thumb_cmc', 'thumb_mcp', 'thumb_ip', 'thumb_tip'], 'palm'),
+    ...['index_finger', 'middle_finger', 'ring_finger'].flatMap(finger =>
+      fingerBones(finger, ['mcp', 'pip', 'dip', 'tip'].map(joint => `${finger}_${joint}`), 'palm')),
+    ...fingerBones('pinky', ['pinky_mcp', 'pinky_pip', 'pinky_dip', 'pinky_tip'], 'palm')
+  ],
+  connections: byIndex(HAND_KEYPOINTS, [
+    [0, 1], [1, 2], [2, 3], [3, 4],
+    [0, 5], [5, 6], [6, 7], [7, 8],
+    [5, 9], [9, 10], [10, 11], [11, 12],
+    [9, 13], [13, 14], [14, 15], [15, 16],
+    [13, 17], [0, 17], [17, 18], [18, 19], [19, 20]
+  ]),
+  symmetry: []
+}
+
+export const SKELETON_PRESETS = [COCO_17, BLAZEPOSE_33, HANDS_21]
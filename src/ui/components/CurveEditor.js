@@ -0,0 +1,128 @@
+/**
+ * CurveEditor component factory
+ * Small SVG editor for cubic-bezier timing curves with two draggable control points.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+const Y_MIN = -0.5 // Room for overshooting curves (back/anticipate)
+const Y_MAX = 1.5
+
+export function createCurveEditor({
+  points = [0, 0, 1, 1],
+  size = 160,
+  onInput = null,
+  onChange = null
+} = {}) {
+  let current = [...points]
+
+  const svg = document.createElementNS(SVG_NS, 'svg')
+  svg.classList.add('curve-editor')
+  svg.setAttribute('viewBox', `0 0 ${size} ${size}`)
+  svg.setAttribute('width', String(size))
+  svg.setAttribute('height', String(size))
+
+  const toX = (x) => x * size
+  const toY = (y) => ((Y_MAX - y) / (Y_MAX - Y_MIN)) * size
+  const fromClient = (clientX, clientY) => {
+    const rect = svg.getBoundingClientRect()
+    const x = rect.width ? (clientX - rect.left) / rect.width : 0
+    const y = rect.height ? (clientY - rect.top) / rect.height : 0
+    return {
+      x: Math.min(Math.max(x, 0), 1),
+      y: Math.min(Math.max(Y_MAX - y * (Y_MAX - Y_MIN), Y_MIN), Y_MAX)
+    }
+  }
+
+  const create = (tag, attrs) => {
+    const element = document.createElementNS(SVG_NS, tag)
+    Object.entries(attrs).forEach(([key, value]) => element.setAttribute(key, String(value)))
+    svg.appendChild(element)
+    return element
+  }
+
+  create('rect', {
+    class: 'curve-editor__frame',
+    x: toX(0),
+    y: toY(1),
+    width: toX(1) - toX(0),
+    height: toY(0) - toY(1)
+  })
+  create('line', {
+    class: 'curve-editor__diagonal',
+    x1: toX(0),
+    y1: toY(0),
+    x2: toX(1),
+    y2: toY(1)
+  })
+  const arm1 = create('line', { class: 'curve-editor__arm' })
+  const arm2 = create('line', { class: 'curve-editor__arm' })
+  const curve = create('path', { class: 'curve-editor__curve' })
+  const handles = [
+    create('circle', { class: 'curve-editor__handle', r: 5 }),
+    create('circle', { class: 'curve-editor__handle', r: 5 })
+  ]
+
+  const update = () => {
+    const [x1, y1, x2, y2] = current
+    curve.setAttribute(
+      'd',
+      `M ${toX(0)} ${toY(0)} C ${toX(x1)} ${toY(y1)}, ${toX(x2)} ${toY(y2)}, ${toX(1)} ${toY(1)}`
+    )
+    arm1.setAttribute('x1', String(toX(0)))
+    arm1.setAttribute('y1', String(toY(0)))
+    arm1.setAttribute('x2', String(toX(x1)))
+    arm1.setAttribute('y2', String(toY(y1)))
+    arm2.setAttribute('x1', String(toX(1)))
+    arm2.setAttribute('y1', String(toY(1)))
+    arm2.setAttribute('x2', String(toX(x2)))
+    arm2.setAttribute('y2', String(toY(y2)))
+    handles[0].setAttribute('cx', String(toX(x1)))
+    handles[0].setAttribute('cy', String(toY(y1)))
+    handles[1].setAttribute('cx', String(toX(x2)))
+    handles[1].setAttribute('cy', String(toY(y2)))
+  }
+
+  handles.forEach((handle, index) => {
+    handle.addEventListener('pointerdown', (event) => {
+      event.preventDefault()
+      event.stopPropagation()
+      handle.setPointerCapture?.(event.pointerId)
+
+      const onMove = (moveEvent) => {
+        const { x, y } = fromClient(moveEvent.clientX, moveEvent.clientY)
+        current[index * 2] = x
+        current[index * 2 + 1] = y
+        update()
+        if (typeof onInput === 'function') {
+          onInput([...current])
+        }
+      }
+
+      const onUp = () => {
+        handle.removeEventListener('pointermove', onMove)
+        handle.removeEventListener('pointerup', onUp)
+        handle.removeEventListener('pointercancel', onUp)
+        if (typeof onChange === 'function') {
+          onChange([...current])
+        }
+      }
+
+      handle.addEventListener('pointermove', onMove)
+      handle.addEventListener('pointerup', onUp)
+      handle.addEventListener('pointercancel', onUp)
+    })
+  })
+
+  update()
+
+  return {
+    element: svg,
+    setPoints(next) {
+      current = [...next]
+      update()
+    },
+    getPoints() {
+      return [...current]
+    }
+  }
+}
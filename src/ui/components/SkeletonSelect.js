@@ -0,0 +1,59 @@
+/**
+ * SkeletonSelect component factory
+ * Field for choosing the skeleton definition pose results are read with:
+ * automatic, a preset or a custom definition, plus a button to load a
+ * custom definition from a JSON file.
+ */
+
+import { createButton } from './Button.js'
+
+export function createSkeletonSelect({
+  registry,
+  value = 'auto',
+  onChange = null,
+  onLoad = null,
+  disabled = false
+} = {}) {
+  const field = document.createElement('div')
+  field.classList.add('properties-field', 'skeleton-select')
+
+  const label = document.createElement('label')
+  label.textContent = 'Skeleton'
+  field.appendChild(label)
+
+  const row = document.createElement('div')
+  row.classList.add('skeleton-select__row')
+
+  const select = document.createElement('select')
+  const options = [
+    { id: 'auto', name: 'Automatic (match keypoints)' },
+    ...registry.list().map(definition => ({
+      id: definition.id,
+      name: definition.builtIn ? definition.name : `${definition.name} (custom)`
+    }))
+  ]
+  options.forEach(({ id, name }) => {
+    const option = document.createElement('option')
+    option.value = id
+    option.textContent = name
+    select.appendChild(option)
+  })
+  select.value = options.some(option => option.id === value) ? value : 'auto'
+  select.disabled = disabled
+  if (typeof onChange === 'function') {
+    select.addEventListener('change', (event) => onChange(event.target.value))
+  }
+  row.appendChild(select)
+
+  if (typeof onLoad === 'function') {
+    row.appendChild(createButton({
+      label: 'Load JSON',
+      variant: 'ghost',
+      onClick: onLoad,
+      disabled
+    }))
+  }
+
+  field.appendChild(row)
+  return field
+}
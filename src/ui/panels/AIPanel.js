@@ -0,0 +1,530 @@
+/**
+ * AIPanel - Turns a typed instruction into a module
+ * The instruction is first matched against local modules (SemanticModuleSelector);
+ * a good match is previewed directly, otherwise InferenceClient generates new
+ * module source. Generated source is compiled in the module sandbox and
+ * previewed as a draft, and only registered in ModuleManager when accepted.
+ */
+
+import { createPanel } from '../components/Panel.js'
+import { createButton } from '../components/Button.js'
+
+const CODE_FENCE_PATTERN = /```(?:javascript|js)?\s*\n([\s\S]*?)```/
+
+/**
+ * Pull module source and log id out of an inference response.
+ * @private
+ */
+function readInferenceResult(response = {}) {
+  const candidates = [
+    response.source,
+    response.code,
+    response.module?.source,
+    response.result?.source,
+    response.result,
+    response.output
+  ]
+  let source = candidates.find(value => typeof value === 'string' && value.trim()) || ''
+  const fenced = source.match(CODE_FENCE_PATTERN)
+  if (fenced) {
+    source = fenced[1]
+  }
+
+  return {
+    source: source.trim(),
+    name: response.module?.name || response.name || null,
+    logId: response.logId ?? response.log_id ?? null
+  }
+}
+
+/**
+ * "cat (feline), walk (walking)": the terms a match was made on, with the
+ * prompt words behind them when they differ.
+ * @private
+ */
+function describeTerms(terms = []) {
+  return terms
+    .map(({ term, promptWords }) => {
+      const words = promptWords.filter(word => word !== term)
+      return words.length > 0 ? `${term} (${words.join(', ')})` : term
+    })
+    .join(', ')
+}
+
+export class AIPanel {
+  /**
+   * @param {object} options
+   * @param {InferenceClient} options.client - Backend client
+   * @param {ModuleManager} options.manager - Local modules
+   * @param {SemanticModuleSelector} options.selector - Ranks local modules
+   * @param {number} options.matchThreshold - Similarity needed to use a local module instead of generating
+   * @param {Function} options.onRunModule - async (specifier, config, { preview }) => group
+   * @param {Function} options.onPreviewResult - (result, name) => group, shows a draft's build result
+   * @param {Function} options.onPreviewEnd - Remove the preview
+   * @param {Function} options.onAccept - async (module) after a draft was registered
+   */
+  constructor({
+    client,
+    manager,
+    selector,
+    matchThreshold = 0.5,
+    onRunModule = async () => {},
+    onPreviewResult = () => {},
+    onPreviewEnd = () => {},
+    onAccept = async () => {}
+  } = {}) {
+    if (!client || !manager || !selector) {
+      throw new Error('InferenceClient, ModuleManager and SemanticModuleSelector are required')
+    }
+
+    this.client = client
+    this.manager = manager
+    this.selector = selector
+    this.matchThreshold = matchThreshold
+    this.onRunModule = onRunModule
+    this.onPreviewResult = onPreviewResult
+    this.onPreviewEnd = onPreviewEnd
+    this.onAccept = onAccept
+
+    this.matches = [] // [{ module, similarity, terms }]
+    this.draft = null // { instruction, source, compiled }
+    this.logId = null
+    this.busy = false
+
+    this.root = null
+    this.instructionInput = null
+    this.matchList = null
+    this.status = null
+    this.draftSection = null
+    this.draftNameInput = null
+    this.draftSourceInput = null
+    this.logOutput = null
+    this.actions = {
+      ask: null,
+      generate: null,
+      recompile: null,
+      accept: null,
+      discard: null,
+      logs: null
+    }
+  }
+
+  render() {
+    const container = document.createElement('div')
+    container.classList.add('ai-panel')
+
+    this.instructionInput = document.createElement('textarea')
+    this.instructionInput.classList.add('ai-panel__instruction')
+    this.instructionInput.rows = 3
+    this.instructionInput.placeholder = 'Describe what to draw, e.g. "a spiral of 12 dots"'
+    this.instructionInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault()
+        this._ask()
+      }
+    })
+
+    this.actions.ask = createButton({
+      label: 'Ask',
+      variant: 'primary',
+      onClick: () => this._ask()
+    })
+    this.actions.generate = createButton({
+      label: 'Generate new',
+      variant: 'ghost',
+      onClick: () => this._generate(this.instructionInput.value.trim())
+    })
+
+    const askActions = document.createElement('div')
+    askActions.classList.add('module-editor__actions')
+    askActions.appendChild(this.actions.ask)
+    askActions.appendChild(this.actions.generate)
+
+    this.matchList = document.createElement('ul')
+    this.matchList.classList.add('module-list', 'ai-panel__matches')
+
+    this.status = document.createElement('pre')
+    this.status.classList.add('module-editor__status')
+
+    container.appendChild(this.instructionInput)
+    container.appendChild(askActions)
+    container.appendChild(this.matchList)
+    container.appendChild(this.status)
+    container.appendChild(this._renderDraftSection())
+    container.appendChild(this._renderLogSection())
+
+    this.root = createPanel({
+      title: 'AI',
+      content: container
+    })
+
+    this._renderMatches()
+    this._renderDraft()
+    return this.root
+  }
+
+  /**
+   * @private
+   */
+  _renderDraftSection() {
+    this.draftSection = document.createElement('div')
+    this.draftSection.classList.add('module-editor', 'ai-panel__draft')
+
+    this.draftNameInput = document.createElement('input')
+    this.draftNameInput.type = 'text'
+    this.draftNameInput.placeholder = 'Module name'
+    this.draftNameInput.classList.add('module-editor__name')
+
+    this.draftSourceInput = document.createElement('textarea')
+    this.draftSourceInput.classList.add('module-editor__source')
+    this.draftSourceInput.spellcheck = false
+    this.draftSourceInput.rows = 10
+
+    this.actions.recompile = createButton({
+      label: 'Recompile',
+      variant: 'ghost',
+      onClick: () => this._setDraft({
+        ...this.draft,
+        source: this.draftSourceInput.value
+      })
+    })
+    this.actions.accept = createButton({
+      label: 'Accept',
+      variant: 'primary',
+      onClick: () => this._acceptDraft()
+    })
+    this.actions.discard = createButton({
+      label: 'Discard',
+      variant: 'ghost',
+      onClick: () => this._discardDraft()
+    })
+
+    const draftActions = document.createElement('div')
+    draftActions.classList.add('module-editor__actions')
+    draftActions.appendChild(this.actions.accept)
+    draftActions.appendChild(this.actions.recompile)
+    draftActions.appendChild(this.actions.discard)
+
+    this.draftSection.appendChild(this.draftNameInput)
+    this.draftSection.appendChild(this.draftSourceInput)
+    this.draftSection.appendChild(draftActions)
+    return this.draftSection
+  }
+
+  /**
+   * @private
+   */
+  _renderLogSection() {
+    const section = document.createElement('div')
+    section.classList.add('ai-panel__logs')
+
+    this.actions.logs = createButton({
+      label: 'View log',
+      variant: 'ghost',
+      onClick: () => this._showLogs()
+    })
+
+    this.logOutput = document.createElement('pre')
+    this.logOutput.classList.add('module-editor__status', 'ai-panel__log')
+    this.logOutput.hidden = true
+
+    section.appendChild(this.actions.logs)
+    section.appendChild(this.logOutput)
+    return section
+  }
+
+  /**
+   * Rank local modules; preview the best one if it matches well, otherwise generate.
+   * @private
+   */
+  async _ask() {
+    const instruction = this.instructionInput.value.trim()
+    if (!instruction) {
+      this._setStatus('Type an instruction first', true)
+      return
+    }
+
+    try {
+      this.matches = await this._rankModules(instruction)
+    } catch (error) {
+      console.warn('Could not rank local modules:', error)
+      this.matches = []
+    }
+    this._renderMatches()
+
+    const best = this.matches[0]
+    if (best && best.similarity >= this.matchThreshold) {
+      await this._runMatch(best.module, { preview: true })
+      return
+    }
+    await this._generate(instruction)
+  }
+
+  /**
+   * @private
+   */
+  async _rankModules(instruction) {
+    const ranked = await this.selector.rankModules(instruction, this.manager.getAllModules())
+    return ranked.map(({ module, similarity, terms }) => ({
+      module: this.manager.getModule(module.name, module.version),
+      similarity,
+      terms
+    }))
+  }
+
+  /**
+   * @private
+   */
+  _renderMatches() {
+    if (!this.matchList) return
+    this.matchList.innerHTML = ''
+    this.matchList.hidden = this.matches.length === 0
+
+    this.matches.forEach(({ module, similarity, terms }) => {
+      const item = document.createElement('li')
+      item.classList.add('module-list__item')
+
+      const title = document.createElement('div')
+      title.classList.add('module-list__item-title')
+      title.textContent = module.name
+      const version = document.createElement('span')
+      version.classList.add('module-list__item-version')
+      version.textContent = `v${module.version} · ${Math.round(similarity * 100)}% match`
+      title.appendChild(version)
+
+      const explanation = document.createElement('div')
+      explanation.classList.add('module-list__item-meta')
+      explanation.textContent = terms.length > 0
+        ? `Matched on: ${describeTerms(terms)}`
+        : 'Matched on overall meaning'
+
+      const actions = document.createElement('div')
+      actions.classList.add('module-editor__actions')
+      actions.appendChild(createButton({
+        label: 'Preview',
+        variant: 'ghost',
+        onClick: () => this._runMatch(module, { preview: true })
+      }))
+      actions.appendChild(createButton({
+        label: 'Insert',
+        variant: 'ghost',
+        onClick: () => this._runMatch(module, { preview: false })
+      }))
+
+      item.appendChild(title)
+      item.appendChild(explanation)
+      item.appendChild(actions)
+      this.matchList.appendChild(item)
+    })
+  }
+
+  /**
+   * @private
+   */
+  async _runMatch(module, { preview }) {
+    const specifier = `${module.name}@${module.version}`
+    try {
+      await this.onRunModule(specifier, {}, { preview })
+      this._setStatus(preview ? `Previewing ${specifier}` : `Inserted ${specifier}`)
+    } catch (error) {
+      this._setStatus(error.message, true)
+    }
+  }
+
+  /**
+   * Ask the backend for new module source. While a draft is open its log is
+   * continued, so follow-up instructions refine the draft.
+   * @private
+   */
+  async _generate(instruction) {
+    if (!instruction) {
+      this._setStatus('Type an instruction first', true)
+      return
+    }
+    if (this.busy) return
+
+    this._setBusy(true)
+    this._setStatus('Generating…')
+    try {
+      const response = await this.client.callInference({
+        instruction,
+        logId: this.draft ? this.logId : null
+      })
+      const { source, name, logId } = readInferenceResult(response)
+      this.logId = logId
+      this._renderLogButton()
+      if (!source) {
+        throw new Error('The AI service returned no module source')
+      }
+
+      await this._setDraft({
+        instruction,
+        source,
+        name: name || this.draftNameInput.value.trim() || this._suggestName(instruction)
+      })
+    } catch (error) {
+      this._setStatus(`Generation failed: ${error.message}`, true)
+    } finally {
+      this._setBusy(false)
+    }
+  }
+
+  /**
+   * Compile a draft in the sandbox and preview it with its default parameters.
+   * @private
+   */
+  async _setDraft({ instruction, source, name }) {
+    this._releaseDraft()
+    this.draft = { instruction, source, compiled: null }
+    this.draftNameInput.value = name || this.draftNameInput.value
+    this._renderDraft()
+
+    this._setStatus('Compiling draft…')
+    try {
+      const compiled = await this.manager.compileDraft(source)
+      if (this.draft?.source !== source) {
+        this.manager.getLoader().release(compiled)
+        return
+      }
+      this.draft.compiled = compiled
+      this.onPreviewResult(await compiled.run({}), this.draftNameInput.value.trim() || 'Draft')
+      this._setStatus('Draft compiled and previewed. Accept to save it as a module.')
+    } catch (error) {
+      this._setStatus(`Draft failed: ${error.message}`, true)
+    }
+    this._renderDraft()
+  }
+
+  /**
+   * @private
+   */
+  async _acceptDraft() {
+    if (!this.draft?.compiled) {
+      this._setStatus('Only a draft that compiles can be accepted', true)
+      return
+    }
+
+    if (this.draftSourceInput.value !== this.draft.source) {
+      this._setStatus('The source was edited; recompile it before accepting', true)
+      return
+    }
+
+    const name = this.draftNameInput.value.trim()
+    let module
+    try {
+      module = this.manager.registerModule(name, this.draft.source, {
+        description: this.draft.instruction
+      })
+    } catch (error) {
+      this._setStatus(error.message, true)
+      return
+    }
+
+    this._releaseDraft()
+    this.draft = null
+    this._renderDraft()
+    try {
+      await this.onAccept(module)
+      this._setStatus(`Saved as ${module.name}@${module.version}`)
+    } catch (error) {
+      this._setStatus(error.message, true)
+    }
+  }
+
+  /**
+   * @private
+   */
+  _discardDraft() {
+    this._releaseDraft()
+    this.draft = null
+    this._renderDraft()
+    this.onPreviewEnd()
+    this._setStatus('Draft discarded')
+  }
+
+  /**
+   * @private
+   */
+  _releaseDraft() {
+    if (this.draft?.compiled) {
+      this.manager.getLoader().release(this.draft.compiled)
+      this.draft.compiled = null
+    }
+  }
+
+  /**
+   * @private
+   */
+  _renderDraft() {
+    if (!this.draftSection) return
+    this.draftSection.hidden = !this.draft
+    if (this.draft && this.draftSourceInput.value !== this.draft.source) {
+      this.draftSourceInput.value = this.draft.source
+    }
+    this.actions.accept.disabled = !this.draft?.compiled
+    this._renderLogButton()
+  }
+
+  /**
+   * @private
+   */
+  _renderLogButton() {
+    if (!this.actions.logs) return
+    this.actions.logs.disabled = !this.logId
+    this.actions.logs.title = this.logId ? `Log ${this.logId}` : 'No inference log yet'
+  }
+
+  /**
+   * @private
+   */
+  async _showLogs() {
+    if (!this.logId) return
+    this.logOutput.hidden = false
+    this.logOutput.textContent = 'Loading log…'
+    try {
+      const log = await this.client.fetchLogs(this.logId)
+      this.logOutput.textContent = JSON.stringify(log, null, 2)
+    } catch (error) {
+      this.logOutput.textContent = `Could not load log ${this.logId}: ${error.message}`
+    }
+  }
+
+  /**
+   * Module name from the first words of the instruction, unused locally.
+   * @private
+   */
+  _suggestName(instruction) {
+    const base = instruction
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !['a', 'an', 'the', 'of', 'with', 'and', 'draw', 'make', 'create'].includes(word))
+      .slice(0, 3)
+      .join('-') || 'generated'
+
+    let name = base
+    let index = 2
+    while (this.manager.getModuleVersions(name).length > 0) {
+      name = `${base}-${index++}`
+    }
+    return name
+  }
+
+  /**
+   * @private
+   */
+  _setBusy(busy) {
+    this.busy = busy
+    if (this.actions.ask) this.actions.ask.disabled = busy
+    if (this.actions.generate) this.actions.generate.disabled = busy
+  }
+
+  /**
+   * @private
+   */
+  _setStatus(message, isError = false) {
+    if (!this.status) return
+    this.status.textContent = message
+    this.status.classList.toggle('is-error', isError)
+  }
+}
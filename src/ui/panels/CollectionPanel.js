@@ -1,5 +1,6 @@
 /**
  * CollectionPanel - Displays collection of objects
+ * Shift/Ctrl/Cmd-click toggles items in a multi-selection; actions apply to every selected item.
  */
 
 import { createPanel } from '../components/Panel.js'
@@ -11,33 +12,43 @@ export class CollectionPanel {
     onSelect = () => {},
     onCreate = () => {},
     onCreateGroup = () => {},
+    onGroupSelection = () => {},
     onAssignToGroup = () => {},
     onDuplicate = () => {},
     onDelete = () => {},
     onReset = () => {},
-    onExport = () => {}
+    onExport = () => {},
+    onExportSvg = () => {},
+    onImport = () => {}
   } = {}) {
     this.manager = manager
     this.onSelect = onSelect
     this.onCreate = onCreate
     this.onCreateGroup = onCreateGroup
+    this.onGroupSelection = onGroupSelection
     this.onAssignToGroup = onAssignToGroup
     this.onDuplicate = onDuplicate
     this.onDelete = onDelete
     this.onReset = onReset
     this.onExport = onExport
-    this.selectedId = null
+    this.onExportSvg = onExportSvg
+    this.onImport = onImport
+    this.selectedId = null // Primary (most recently selected) id
+    this.selectedIds = []
     this.root = null
     this.list = null
     this.draggedItemId = null
     this.actions = {
       add: null,
       addGroup: null,
+      group: null,
       assignToGroup: null,
       duplicate: null,
       delete: null,
       reset: null,
-      export: null
+      export: null,
+      exportSvg: null,
+      import: null
     }
   }
 
@@ -63,37 +74,48 @@ export class CollectionPanel {
       onClick: () => this.onCreateGroup()
     })
 
+    this.actions.group = createButton({
+      label: 'Group Selection',
+      variant: 'ghost',
+      onClick: () => {
+        if (this.selectedIds.length > 1) {
+          this.onGroupSelection([...this.selectedIds])
+        }
+      },
+      disabled: this.selectedIds.length < 2
+    })
+
     this.actions.assignToGroup = createButton({
       label: 'Assign to Group',
       variant: 'ghost',
       onClick: () => {
-        if (this.selectedId) {
-          this.onAssignToGroup(this.selectedId)
+        if (this.selectedIds.length > 0) {
+          this.onAssignToGroup([...this.selectedIds])
         }
       },
-      disabled: !this.selectedId
+      disabled: this.selectedIds.length === 0
     })
 
     this.actions.duplicate = createButton({
       label: 'Duplicate',
       variant: 'ghost',
       onClick: () => {
-        if (this.selectedId) {
-          this.onDuplicate(this.selectedId)
+        if (this.selectedIds.length > 0) {
+          this.onDuplicate([...this.selectedIds])
         }
       },
-      disabled: !this.selectedId
+      disabled: this.selectedIds.length === 0
     })
 
     this.actions.delete = createButton({
       label: 'Delete',
       variant: 'ghost',
       onClick: () => {
-        if (this.selectedId) {
-          this.onDelete(this.selectedId)
+        if (this.selectedIds.length > 0) {
+          this.onDelete([...this.selectedIds])
         }
       },
-      disabled: !this.selectedId
+      disabled: this.selectedIds.length === 0
     })
 
     this.actions.reset = createButton({
@@ -108,16 +130,31 @@ export class CollectionPanel {
       onClick: () => this.onExport()
     })
 
+    this.actions.exportSvg = createButton({
+      label: 'Export SVG',
+      variant: 'ghost',
+      onClick: () => this.onExportSvg()
+    })
+
+    this.actions.import = createButton({
+      label: 'Import SVG',
+      variant: 'ghost',
+      onClick: () => this.onImport()
+    })
+
     this.root = createPanel({
       title: 'Collection',
       actions: [
         this.actions.add,
         this.actions.addGroup,
+        this.actions.group,
         this.actions.assignToGroup,
         this.actions.duplicate,
         this.actions.delete,
         this.actions.reset,
-        this.actions.export
+        this.actions.export,
+        this.actions.exportSvg,
+        this.actions.import
       ],
       content: this.list
     })
@@ -184,7 +221,7 @@ export class CollectionPanel {
     item.appendChild(content)
     item.appendChild(meta)
 
-    if (obj.id === this.selectedId) {
+    if (this.selectedIds.includes(obj.id)) {
       item.classList.add('is-selected')
     }
 
@@ -228,7 +265,11 @@ export class CollectionPanel {
         item.classList.remove('is-drop-target')
         
         if (this.draggedItemId && this.draggedItemId !== obj.id) {
-          this.onAssignToGroup(this.draggedItemId, obj.id)
+          // Dragging one item of a multi-selection moves the whole selection
+          const ids = this.selectedIds.includes(this.draggedItemId)
+            ? this.selectedIds.filter(id => id !== obj.id)
+            : [this.draggedItemId]
+          this.onAssignToGroup(ids, obj.id)
         }
       })
     }
@@ -236,8 +277,11 @@ export class CollectionPanel {
     item.addEventListener('click', (e) => {
       // Stop propagation to prevent parent selection when clicking children
       e.stopPropagation()
-      this.setSelected(obj.id)
-      this.onSelect(obj)
+      const toggle = e.shiftKey || e.ctrlKey || e.metaKey
+      if (!toggle) {
+        this.setSelected(obj.id)
+      }
+      this.onSelect(obj, { toggle })
     })
 
     // If it's a group, add children with indentation
@@ -262,14 +306,19 @@ export class CollectionPanel {
     return item
   }
 
-  setSelected(id) {
-    this.selectedId = id || null
+  /**
+   * Highlight the selection.
+   * @param {string|string[]|null} ids - One id or the full selection (last id is primary)
+   */
+  setSelected(ids) {
+    this.selectedIds = (Array.isArray(ids) ? ids : [ids]).filter(Boolean)
+    this.selectedId = this.selectedIds[this.selectedIds.length - 1] || null
 
     if (this.list) {
       // Find all items including nested children
       const items = this.list.querySelectorAll('.collection-list__item')
       items.forEach(item => {
-        if (item.dataset.id === this.selectedId) {
+        if (this.selectedIds.includes(item.dataset.id)) {
           item.classList.add('is-selected')
         } else {
           item.classList.remove('is-selected')
@@ -277,16 +326,22 @@ export class CollectionPanel {
       })
     }
 
+    const hasSelection = this.selectedIds.length > 0
+
+    if (this.actions.group) {
+      this.actions.group.disabled = this.selectedIds.length < 2
+    }
+
     if (this.actions.duplicate) {
-      this.actions.duplicate.disabled = !this.selectedId
+      this.actions.duplicate.disabled = !hasSelection
     }
 
     if (this.actions.delete) {
-      this.actions.delete.disabled = !this.selectedId
+      this.actions.delete.disabled = !hasSelection
     }
 
     if (this.actions.assignToGroup) {
-      this.actions.assignToGroup.disabled = !this.selectedId
+      this.actions.assignToGroup.disabled = !hasSelection
     }
   }
 
@@ -0,0 +1,648 @@
+/**
+ * ModulesPanel - Lists ModuleManager modules and edits, compiles and previews them
+ * Compile errors come back from the sandbox and are shown under the editor.
+ * The config form is generated from the module's parameter schema (see ModuleSchema).
+ * Saving changed source publishes a new version; older versions stay selectable.
+ */
+
+import { createPanel } from '../components/Panel.js'
+import { createButton } from '../components/Button.js'
+import { getDefaultConfig } from '../../core/modules/ModuleSchema.js'
+import { incrementVersion } from '../../utils/semver.js'
+
+const PREVIEW_DELAY = 200 // ms between the last edit and a live preview run
+
+const NEW_MODULE_SOURCE = `// Return a factory; it receives the whitelisted helpers and returns build().
+return (helpers) => {
+  const build = (origin, config) => {
+    const nodes = []
+    for (let i = 0; i < config.points * 2; i++) {
+      const radius = i % 2 === 0 ? config.radius : config.radius * config.inset
+      const angle = (Math.PI * i) / config.points - Math.PI / 2
+      nodes.push({ x: origin.x + radius * Math.cos(angle), y: origin.y + radius * Math.sin(angle) })
+    }
+    return { name: 'Star', nodes, closed: true, fill: config.fill, stroke: '#1f2937', strokeWidth: 2 }
+  }
+
+  build.parameters = {
+    points: { type: 'integer', default: 5, min: 3, max: 12 },
+    radius: { type: 'number', default: 200, min: 10, max: 800 },
+    inset: { type: 'number', default: 0.5, min: 0.1, max: 1, step: 0.05 },
+    fill: { type: 'color', default: '#facc15' }
+  }
+  return build
+}
+`
+
+export class ModulesPanel {
+  constructor({
+    manager,
+    onPreview = async () => {},
+    onPreviewEnd = () => {},
+    onInsert = async () => {},
+    onPin = () => {},
+    onExport = () => {},
+    onImport = () => {}
+  } = {}) {
+    if (!manager) {
+      throw new Error('ModuleManager is required')
+    }
+
+    this.manager = manager
+    this.onPreview = onPreview
+    this.onPreviewEnd = onPreviewEnd
+    this.onInsert = onInsert
+    this.onPin = onPin
+    this.onExport = onExport
+    this.onImport = onImport
+
+    this.selectedName = null
+    this.selectedVersion = null
+    this.schema = null // Parameter schema of the compiled selection
+    this.configs = new Map() // module name -> config values
+    this.livePreview = false
+    this.previewTimer = null
+
+    this.root = null
+    this.list = null
+    this.nameInput = null
+    this.versionSelect = null
+    this.versionInput = null
+    this.sourceInput = null
+    this.status = null
+    this.paramsContainer = null
+    this.actions = {
+      create: null,
+      compile: null,
+      remove: null,
+      pin: null,
+      insert: null,
+      exportPackage: null,
+      importPackage: null
+    }
+  }
+
+  render() {
+    const container = document.createElement('div')
+    container.classList.add('modules-panel')
+
+    this.list = document.createElement('ul')
+    this.list.classList.add('module-list')
+    container.appendChild(this.list)
+
+    const editor = document.createElement('div')
+    editor.classList.add('module-editor')
+
+    this.nameInput = document.createElement('input')
+    this.nameInput.type = 'text'
+    this.nameInput.placeholder = 'Module name'
+    this.nameInput.classList.add('module-editor__name')
+
+    this.versionSelect = document.createElement('select')
+    this.versionSelect.classList.add('module-editor__versions')
+    this.versionSelect.title = 'Saved versions'
+    this.versionSelect.addEventListener('change', (event) => {
+      this._selectModule(this.selectedName, event.target.value)
+    })
+
+    this.versionInput = document.createElement('input')
+    this.versionInput.type = 'text'
+    this.versionInput.classList.add('module-editor__version')
+    this.versionInput.title = 'Version to publish on save (leave empty to bump the patch version)'
+
+    const identity = document.createElement('div')
+    identity.classList.add('module-editor__identity')
+    identity.appendChild(this.nameInput)
+    identity.appendChild(this.versionSelect)
+    identity.appendChild(this.versionInput)
+
+    this.sourceInput = document.createElement('textarea')
+    this.sourceInput.classList.add('module-editor__source')
+    this.sourceInput.spellcheck = false
+    this.sourceInput.rows = 14
+    this.sourceInput.addEventListener('keydown', (event) => {
+      // Indent instead of leaving the editor
+      if (event.key === 'Tab' && !event.shiftKey) {
+        event.preventDefault()
+        const { selectionStart, selectionEnd, value } = this.sourceInput
+        this.sourceInput.value = `${value.slice(0, selectionStart)}  ${value.slice(selectionEnd)}`
+        this.sourceInput.selectionStart = this.sourceInput.selectionEnd = selectionStart + 2
+      }
+    })
+
+    this.status = document.createElement('pre')
+    this.status.classList.add('module-editor__status')
+
+    this.actions.compile = createButton({
+      label: 'Save & Compile',
+      variant: 'primary',
+      onClick: () => this._saveAndCompile()
+    })
+
+    this.actions.remove = createButton({
+      label: 'Delete',
+      variant: 'ghost',
+      onClick: () => this._removeSelected()
+    })
+
+    this.actions.pin = createButton({
+      label: 'Pin',
+      variant: 'ghost',
+      onClick: () => this._pinSelected()
+    })
+    this.actions.pin.title = 'Use this version in the current project'
+
+    const editorActions = document.createElement('div')
+    editorActions.classList.add('module-editor__actions')
+    editorActions.appendChild(this.actions.compile)
+    editorActions.appendChild(this.actions.pin)
+    editorActions.appendChild(this.actions.remove)
+
+    this.paramsContainer = document.createElement('div')
+    this.paramsContainer.classList.add('module-params')
+
+    const previewToggle = document.createElement('label')
+    previewToggle.classList.add('module-editor__toggle')
+    const previewCheckbox = document.createElement('input')
+    previewCheckbox.type = 'checkbox'
+    previewCheckbox.checked = this.livePreview
+    previewCheckbox.addEventListener('change', (event) => this._setLivePreview(event.target.checked))
+    previewToggle.appendChild(previewCheckbox)
+    previewToggle.appendChild(document.createTextNode('Live preview'))
+
+    this.actions.insert = createButton({
+      label: 'Insert',
+      variant: 'ghost',
+      onClick: () => this._insert()
+    })
+
+    const previewActions = document.createElement('div')
+    previewActions.classList.add('module-editor__actions')
+    previewActions.appendChild(previewToggle)
+    previewActions.appendChild(this.actions.insert)
+
+    editor.appendChild(identity)
+    editor.appendChild(this.sourceInput)
+    editor.appendChild(editorActions)
+    editor.appendChild(this.status)
+    editor.appendChild(this.paramsContainer)
+    editor.appendChild(previewActions)
+    container.appendChild(editor)
+
+    this.actions.create = createButton({
+      label: 'New',
+      variant: 'ghost',
+      onClick: () => this._selectModule(null)
+    })
+
+    this.actions.exportPackage = createButton({
+      label: 'Export',
+      variant: 'ghost',
+      onClick: () => this.onExport(this._getSpecifier())
+    })
+
+    this.actions.importPackage = createButton({
+      label: 'Import',
+      variant: 'ghost',
+      onClick: () => this.onImport()
+    })
+
+    this.root = createPanel({
+      title: 'Modules',
+      content: container,
+      actions: [this.actions.create, this.actions.importPackage, this.actions.exportPackage]
+    })
+
+    this._renderList()
+    this._selectModule(this.selectedName, this.selectedVersion)
+
+    return this.root
+  }
+
+  /**
+   * Rebuild the module list (e.g. after another part of the app registered one).
+   */
+  refresh() {
+    this._renderList()
+    this._renderVersions()
+  }
+
+  /**
+   * @private
+   */
+  _renderList() {
+    if (!this.list) return
+    this.list.innerHTML = ''
+
+    const modules = this.manager.getAllModules()
+    if (modules.length === 0) {
+      const empty = document.createElement('li')
+      empty.classList.add('module-list__empty')
+      empty.textContent = 'No modules yet. Write one below and compile it.'
+      this.list.appendChild(empty)
+      return
+    }
+
+    const pins = this.manager.getPins()
+    modules.forEach(module => {
+      // The selected module reports on the version open in the editor
+      const shown = module.name === this.selectedName
+        ? this.manager.getModule(module.name, this.selectedVersion || '') || module
+        : module
+      const item = document.createElement('li')
+      item.classList.add('module-list__item')
+      item.classList.toggle('is-selected', module.name === this.selectedName)
+      item.classList.toggle('has-error', Boolean(shown.lastError))
+
+      const title = document.createElement('div')
+      title.classList.add('module-list__item-title')
+      title.textContent = module.name
+
+      const version = document.createElement('span')
+      version.classList.add('module-list__item-version')
+      version.textContent = pins[module.name] && pins[module.name] !== module.version
+        ? `v${module.version} · pinned ${pins[module.name]}`
+        : `v${module.version}`
+      title.appendChild(version)
+
+      const meta = document.createElement('div')
+      meta.classList.add('module-list__item-meta')
+      meta.textContent = shown.lastError
+        ? `${shown.lastError.code} error`
+        : `Updated ${new Date(module.updatedAt).toLocaleString()}`
+
+      item.appendChild(title)
+      item.appendChild(meta)
+      item.addEventListener('click', () => this._selectModule(module.name))
+      this.list.appendChild(item)
+    })
+  }
+
+  /**
+   * Load a module version into the editor (null starts a new one).
+   * @private
+   */
+  _selectModule(name, version = null) {
+    const module = name ? this.manager.getModule(name, version || '') : null
+    if (name !== this.selectedName || (module?.version || null) !== this.selectedVersion) {
+      this._setLivePreview(false)
+    }
+
+    this.selectedName = module ? module.name : null
+    this.selectedVersion = module ? module.version : null
+    this.schema = null
+
+    if (this.nameInput) {
+      this.nameInput.value = module ? module.name : ''
+      this.sourceInput.value = module ? module.source : NEW_MODULE_SOURCE
+      this.actions.remove.disabled = !module
+      this.actions.pin.disabled = !module
+      this._setStatus(module?.lastError ? module.lastError.message : '', Boolean(module?.lastError))
+      this._renderVersions()
+      this._renderParameters()
+      this._renderList()
+    }
+
+    if (module) {
+      this._compile(this._getSpecifier())
+    }
+  }
+
+  /**
+   * Exact specifier of the version open in the editor, e.g. "wing@1.2.0".
+   * @private
+   */
+  _getSpecifier() {
+    return this.selectedName ? `${this.selectedName}@${this.selectedVersion}` : null
+  }
+
+  /**
+   * @private
+   */
+  _renderVersions() {
+    if (!this.versionSelect) return
+    this.versionSelect.innerHTML = ''
+
+    const versions = this.selectedName ? this.manager.getModuleVersions(this.selectedName) : []
+    const pinned = this.selectedName ? this.manager.getPins()[this.selectedName] : null
+    versions.slice().reverse().forEach(module => {
+      const option = document.createElement('option')
+      option.value = module.version
+      option.textContent = module.version === pinned ? `${module.version} (pinned)` : module.version
+      this.versionSelect.appendChild(option)
+    })
+    this.versionSelect.value = this.selectedVersion || ''
+    this.versionSelect.disabled = versions.length === 0
+
+    const latest = versions[versions.length - 1]
+    this.versionInput.value = ''
+    this.versionInput.placeholder = latest ? incrementVersion(latest.version) : '1.0.0'
+  }
+
+  /**
+   * Publish the editor source as a new version (or reuse an identical one).
+   * @private
+   */
+  _saveAndCompile() {
+    const name = this.nameInput.value.trim()
+    if (!name) {
+      this._setStatus('Module name is required', true)
+      return
+    }
+
+    let module
+    try {
+      module = this.manager.registerModule(name, this.sourceInput.value, {
+        version: this.versionInput.value.trim() || null
+      })
+    } catch (error) {
+      this._setStatus(error.message, true)
+      return
+    }
+
+    this._selectModule(module.name, module.version)
+  }
+
+  /**
+   * @private
+   */
+  async _compile(specifier) {
+    this._setStatus('Compiling…')
+    try {
+      const compiled = await this.manager.compileModule(specifier)
+      if (specifier !== this._getSpecifier()) return
+      this.schema = compiled.schema
+      this._setStatus(`Compiled ${specifier}`)
+      this._renderParameters()
+      this._schedulePreview()
+    } catch (error) {
+      if (specifier !== this._getSpecifier()) return
+      this.schema = null
+      this._setStatus(error.message, true)
+      this._renderParameters()
+    }
+    this._renderList()
+  }
+
+  /**
+   * @private
+   */
+  _removeSelected() {
+    const specifier = this._getSpecifier()
+    if (!specifier) return
+    if (!window.confirm(`Delete module version "${specifier}"?`)) return
+
+    this._setLivePreview(false)
+    const name = this.selectedName
+    this.manager.removeModule(name, this.selectedVersion)
+    if (this.manager.getModuleVersions(name).length > 0) {
+      this._selectModule(name)
+      return
+    }
+    this.configs.delete(name)
+    this._selectModule(null)
+  }
+
+  /**
+   * @private
+   */
+  async _pinSelected() {
+    const specifier = this._getSpecifier()
+    if (!specifier) return
+
+    try {
+      await this.onPin(this.selectedName, this.selectedVersion)
+      this._setStatus(`Project now uses ${specifier}`)
+    } catch (error) {
+      this._setStatus(error.message, true)
+    }
+    this._renderVersions()
+    this._renderList()
+  }
+
+  /**
+   * Current config of the selection: declared defaults overlaid with edits.
+   * @private
+   */
+  _getConfig() {
+    return {
+      ...getDefaultConfig(this.schema || {}),
+      ...(this.configs.get(this.selectedName) || {})
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setConfigValue(key, value) {
+    const values = { ...(this.configs.get(this.selectedName) || {}), [key]: value }
+    this.configs.set(this.selectedName, values)
+    this._schedulePreview()
+  }
+
+  /**
+   * @private
+   */
+  _renderParameters() {
+    if (!this.paramsContainer) return
+    this.paramsContainer.innerHTML = ''
+
+    const entries = Object.entries(this.schema || {})
+    if (entries.length === 0) return
+
+    const config = this._getConfig()
+    entries.forEach(([key, parameter]) => {
+      const field = this._createParameterField(key, parameter, config[key])
+      field.dataset.parameter = key
+      if (parameter.description) {
+        field.title = parameter.description
+      }
+      this.paramsContainer.appendChild(field)
+    })
+  }
+
+  /**
+   * Highlight fields named in a ModuleSchemaError.
+   * @private
+   */
+  _markInvalidFields(errors = []) {
+    if (!this.paramsContainer) return
+    const invalid = new Map(errors.map(error => [error.key, error.message]))
+    this.paramsContainer.querySelectorAll('[data-parameter]').forEach(field => {
+      const message = invalid.get(field.dataset.parameter)
+      field.classList.toggle('is-invalid', Boolean(message))
+      field.title = message || this.schema?.[field.dataset.parameter]?.description || ''
+    })
+  }
+
+  /**
+   * @private
+   */
+  _createParameterField(key, parameter, value) {
+    const wrapper = document.createElement('label')
+    wrapper.classList.add('properties-field')
+
+    const span = document.createElement('span')
+    span.textContent = `${parameter.label || key}${parameter.required ? ' *' : ''}`
+    wrapper.appendChild(span)
+
+    let input
+    switch (parameter.type) {
+      case 'boolean':
+        input = document.createElement('input')
+        input.type = 'checkbox'
+        input.checked = Boolean(value)
+        input.addEventListener('change', (event) => this._setConfigValue(key, event.target.checked))
+        break
+      case 'color':
+        input = document.createElement('input')
+        input.type = 'color'
+        input.value = /^#[0-9a-fA-F]{6}$/.test(value) ? value : '#000000'
+        input.addEventListener('input', (event) => this._setConfigValue(key, event.target.value))
+        break
+      case 'enum':
+        input = document.createElement('select')
+        ;(parameter.options || []).forEach(optionValue => {
+          const option = document.createElement('option')
+          option.value = String(optionValue)
+          option.textContent = String(optionValue)
+          input.appendChild(option)
+        })
+        input.value = String(value ?? '')
+        input.addEventListener('change', (event) => {
+          const selected = (parameter.options || []).find(option => String(option) === event.target.value)
+          this._setConfigValue(key, selected)
+        })
+        break
+      case 'number':
+      case 'integer':
+        input = document.createElement('input')
+        input.type = 'number'
+        input.value = Number.isFinite(value) ? String(value) : ''
+        if (Number.isFinite(parameter.min)) input.min = String(parameter.min)
+        if (Number.isFinite(parameter.max)) input.max = String(parameter.max)
+        input.step = String(parameter.step ?? (parameter.type === 'integer' ? 1 : 'any'))
+        input.addEventListener('input', (event) => {
+          const numeric = Number(event.target.value)
+          if (event.target.value === '' || !Number.isFinite(numeric)) return
+          this._setConfigValue(key, numeric)
+        })
+        break
+      case 'vector2':
+      case 'vector3': {
+        input = document.createElement('div')
+        input.classList.add('module-params__vector')
+        const axes = parameter.type === 'vector3' ? ['x', 'y', 'z'] : ['x', 'y']
+        const vector = { ...(value || {}) }
+        axes.forEach(axis => {
+          const axisInput = document.createElement('input')
+          axisInput.type = 'number'
+          axisInput.placeholder = axis
+          axisInput.title = axis
+          axisInput.value = Number.isFinite(vector[axis]) ? String(vector[axis]) : ''
+          if (Number.isFinite(parameter.min)) axisInput.min = String(parameter.min)
+          if (Number.isFinite(parameter.max)) axisInput.max = String(parameter.max)
+          axisInput.step = String(parameter.step ?? 'any')
+          axisInput.addEventListener('input', (event) => {
+            const numeric = Number(event.target.value)
+            if (event.target.value === '' || !Number.isFinite(numeric)) return
+            vector[axis] = numeric
+            this._setConfigValue(key, { ...vector })
+          })
+          input.appendChild(axisInput)
+        })
+        break
+      }
+      default:
+        input = document.createElement('input')
+        input.type = 'text'
+        input.value = value ?? ''
+        input.addEventListener('input', (event) => this._setConfigValue(key, event.target.value))
+    }
+
+    wrapper.appendChild(input)
+    return wrapper
+  }
+
+  /**
+   * @private
+   */
+  _setLivePreview(enabled) {
+    if (this.livePreview === enabled) return
+    this.livePreview = enabled
+    clearTimeout(this.previewTimer)
+
+    const checkbox = this.root?.querySelector('.module-editor__toggle input')
+    if (checkbox) {
+      checkbox.checked = enabled
+    }
+
+    if (enabled) {
+      this._schedulePreview()
+    } else {
+      this.onPreviewEnd()
+    }
+  }
+
+  /**
+   * @private
+   */
+  _schedulePreview() {
+    if (!this.livePreview || !this.selectedName) return
+    clearTimeout(this.previewTimer)
+    this.previewTimer = setTimeout(() => this._runPreview(), PREVIEW_DELAY)
+  }
+
+  /**
+   * @private
+   */
+  async _runPreview() {
+    const specifier = this._getSpecifier()
+    if (!this.livePreview || !specifier) return
+
+    try {
+      await this.onPreview(specifier, this._getConfig())
+      if (specifier === this._getSpecifier()) {
+        this._setStatus('Preview updated')
+        this._markInvalidFields()
+      }
+    } catch (error) {
+      if (specifier === this._getSpecifier()) {
+        this._setStatus(error.message, true)
+        this._markInvalidFields(error.errors)
+      }
+    }
+    this._renderList()
+  }
+
+  /**
+   * @private
+   */
+  async _insert() {
+    const specifier = this._getSpecifier()
+    if (!specifier) {
+      this._setStatus('Save and compile the module first', true)
+      return
+    }
+
+    clearTimeout(this.previewTimer)
+    try {
+      await this.onInsert(specifier, this._getConfig())
+      this._setStatus('Inserted into the collection')
+      this._markInvalidFields()
+    } catch (error) {
+      this._setStatus(error.message, true)
+      this._markInvalidFields(error.errors)
+    }
+    this._renderList()
+  }
+
+  /**
+   * @private
+   */
+  _setStatus(message, isError = false) {
+    if (!this.status) return
+    this.status.textContent = message
+    this.status.classList.toggle('is-error', isError)
+  }
+}
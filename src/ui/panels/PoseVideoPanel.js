@@ -0,0 +1,225 @@
+/**
+ * PoseVideoPanel - Rotoscope skeletons from a local video
+ * Picks a video file and a sample rate and hands them to the app, which
+ * detects poses frame by frame and keys skeleton bones from them. Shows
+ * progress while frames are processed and can cancel the run.
+ */
+
+import { createPanel } from '../components/Panel.js'
+import { createButton } from '../components/Button.js'
+import { createSkeletonSelect } from '../components/SkeletonSelect.js'
+
+export class PoseVideoPanel {
+  /**
+   * @param {object} options
+   * @param {Function} options.onImport - (file, { fps, signal, onProgress }) => Promise<string>,
+   *   resolving to a summary of what was created
+   * @param {number} options.sampleRate - Initial frames per second
+   * @param {SkeletonRegistry} options.registry - Skeletons to choose from
+   * @param {string} options.skeleton - Selected skeleton id or 'auto'
+   * @param {Function} options.onSkeletonChange - (id) => void
+   * @param {Function} options.onLoadSkeleton - () => void, pick a custom definition
+   */
+  constructor({
+    onImport,
+    sampleRate = 10,
+    registry = null,
+    skeleton = 'auto',
+    onSkeletonChange = null,
+    onLoadSkeleton = null
+  } = {}) {
+    if (typeof onImport !== 'function') {
+      throw new Error('onImport callback is required')
+    }
+
+    this.onImport = onImport
+    this.sampleRate = sampleRate
+    this.registry = registry
+    this.skeleton = skeleton
+    this.onSkeletonChange = onSkeletonChange
+    this.onLoadSkeleton = onLoadSkeleton
+    this.controller = null // AbortController of the running import
+
+    this.root = null
+    this.skeletonField = null
+    this.fileInput = null
+    this.rateInput = null
+    this.progress = null
+    this.status = null
+    this.actions = {
+      load: null,
+      cancel: null
+    }
+  }
+
+  render() {
+    const container = document.createElement('div')
+    container.classList.add('pose-video-panel')
+
+    this.fileInput = document.createElement('input')
+    this.fileInput.type = 'file'
+    this.fileInput.accept = 'video/*'
+    this.fileInput.style.display = 'none'
+    this.fileInput.addEventListener('change', (event) => {
+      const file = event.target.files?.[0]
+      event.target.value = ''
+      if (file) {
+        this._import(file)
+      }
+    })
+    container.appendChild(this.fileInput)
+
+    const rateField = document.createElement('div')
+    rateField.classList.add('properties-field')
+    const rateLabel = document.createElement('label')
+    rateLabel.textContent = 'Sample rate (frames per second)'
+    this.rateInput = document.createElement('input')
+    this.rateInput.type = 'number'
+    this.rateInput.min = '1'
+    this.rateInput.max = '30'
+    this.rateInput.step = '1'
+    this.rateInput.value = String(this.sampleRate)
+    this.rateInput.addEventListener('change', (event) => {
+      const value = parseFloat(event.target.value)
+      this.sampleRate = Number.isFinite(value) ? Math.min(30, Math.max(1, value)) : this.sampleRate
+      event.target.value = String(this.sampleRate)
+    })
+    rateField.appendChild(rateLabel)
+    rateField.appendChild(this.rateInput)
+    container.appendChild(rateField)
+
+    // Filled by _setRunning, which disables the choice during an import
+    this.skeletonField = document.createElement('div')
+    container.appendChild(this.skeletonField)
+
+    this.progress = document.createElement('progress')
+    this.progress.classList.add('training-panel__progress')
+    this.progress.max = 1
+    this.progress.value = 0
+    this.progress.hidden = true
+    container.appendChild(this.progress)
+
+    this.actions.load = createButton({
+      label: 'Load Video',
+      variant: 'primary',
+      onClick: () => this.fileInput.click()
+    })
+    this.actions.cancel = createButton({
+      label: 'Cancel',
+      variant: 'ghost',
+      onClick: () => this.controller?.abort(),
+      disabled: true
+    })
+    const actions = document.createElement('div')
+    actions.classList.add('module-editor__actions')
+    actions.appendChild(this.actions.load)
+    actions.appendChild(this.actions.cancel)
+    container.appendChild(actions)
+
+    this.status = document.createElement('pre')
+    this.status.classList.add('module-editor__status')
+    container.appendChild(this.status)
+
+    this.root = createPanel({
+      title: 'Pose From Video',
+      content: container
+    })
+    this._setRunning(Boolean(this.controller))
+    return this.root
+  }
+
+  /**
+   * Show another selected skeleton (or a newly loaded one).
+   * @param {string} skeleton - Skeleton id or 'auto'
+   */
+  setSkeleton(skeleton) {
+    this.skeleton = skeleton
+    this._renderSkeletonField()
+  }
+
+  /**
+   * @private
+   */
+  _renderSkeletonField() {
+    if (!this.skeletonField || !this.registry) return
+    this.skeletonField.innerHTML = ''
+    this.skeletonField.appendChild(createSkeletonSelect({
+      registry: this.registry,
+      value: this.skeleton,
+      disabled: Boolean(this.controller),
+      onChange: (id) => {
+        this.skeleton = id
+        this.onSkeletonChange?.(id)
+      },
+      onLoad: this.onLoadSkeleton
+    }))
+  }
+
+  /**
+   * @private
+   */
+  async _import(file) {
+    const controller = new AbortController()
+    this.controller = controller
+    this._setRunning(true)
+    this._setProgress(0, 0)
+    this._setStatus(`Reading ${file.name}…`)
+
+    try {
+      const summary = await this.onImport(file, {
+        fps: this.sampleRate,
+        signal: controller.signal,
+        onProgress: ({ done, total }) => {
+          this._setProgress(done, total)
+          this._setStatus(`Detecting poses: frame ${done} of ${total}`)
+        }
+      })
+      this._setStatus(summary || 'Done')
+    } catch (error) {
+      if (controller.signal.aborted) {
+        this._setStatus('Cancelled')
+      } else {
+        console.error('Pose video import failed:', error)
+        this._setStatus(`Could not rotoscope ${file.name}: ${error.message}`, true)
+      }
+    } finally {
+      if (this.controller === controller) {
+        this.controller = null
+      }
+      this._setRunning(false)
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setRunning(running) {
+    if (this.actions.load) this.actions.load.disabled = running
+    if (this.actions.cancel) this.actions.cancel.disabled = !running
+    if (this.rateInput) this.rateInput.disabled = running
+    if (this.progress) this.progress.hidden = !running
+    this._renderSkeletonField()
+  }
+
+  /**
+   * @private
+   */
+  _setProgress(done, total) {
+    if (!this.progress) return
+    if (total > 0) {
+      this.progress.value = done / total
+    } else {
+      // Indeterminate until the frame count is known
+      this.progress.removeAttribute('value')
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setStatus(message, isError = false) {
+    if (!this.status) return
+    this.status.textContent = message
+    this.status.classList.toggle('is-error', isError)
+  }
+}
@@ -1,9 +1,12 @@
 /**
  * PropertiesPanel - Shows selected object properties
+ * With several objects selected only the shared fields are shown; fields whose
+ * values differ are left blank with a "Mixed" placeholder and only emit when edited.
  */
 
 import { createPanel } from '../components/Panel.js'
 import { createButton } from '../components/Button.js'
+import { getObjectPivot } from '../../core/rendering/Projection.js'
 import { degToRad, radToDeg } from '../../utils/math.js'
 
 export class PropertiesPanel {
@@ -14,12 +17,21 @@ export class PropertiesPanel {
     this.form = null
   }
 
-  render(object = null) {
+  /**
+   * Render the panel.
+   * @param {object|object[]|null} selection - Selected object, or every selected object
+   */
+  render(selection = null) {
+    const objects = (Array.isArray(selection) ? selection : [selection]).filter(Boolean)
+    const object = objects[0] || null
     const container = document.createElement('div')
     container.classList.add('properties-panel')
 
     if (!object) {
       container.innerHTML = '<p>Select an object to see its properties.</p>'
+    } else if (objects.length > 1) {
+      this.form = this._createMultiForm(objects)
+      container.appendChild(this.form)
     } else {
       this.form = document.createElement('form')
       this.form.classList.add('properties-form')
@@ -93,10 +105,35 @@ export class PropertiesPanel {
         }, { step: '1' })
       ])
 
+      const scale = {
+        x: object.scale?.x ?? 1,
+        y: object.scale?.y ?? 1,
+        z: object.scale?.z ?? 1
+      }
+      const scaleSection = this._createSection('Scale', ['x', 'y', 'z'].map(axis =>
+        this._createNumberInput(`Scale ${axis.toUpperCase()}`, scale[axis], (value) => {
+          if (value === '' || !Number.isFinite(Number(value))) return
+          scale[axis] = Number(value)
+          this.onChange({ scale: { ...scale } })
+        }, { step: '0.05' })
+      ))
+
+      // Objects without a pivot of their own show the one they rotate about now
+      const pivot = getObjectPivot(object)
+      const pivotSection = this._createSection('Pivot', ['x', 'y', 'z'].map(axis =>
+        this._createNumberInput(`Pivot ${axis.toUpperCase()}`, pivot[axis], (value) => {
+          if (value === '' || !Number.isFinite(Number(value))) return
+          pivot[axis] = Number(value)
+          this.onChange({ pivot: { ...pivot } })
+        })
+      ))
+
       this.form.appendChild(generalSection)
       this.form.appendChild(appearanceSection)
       this.form.appendChild(offsetSection)
       this.form.appendChild(rotationSection)
+      this.form.appendChild(scaleSection)
+      this.form.appendChild(pivotSection)
 
       const nodesSection = this._createNodesSection(object)
       if (nodesSection) {
@@ -112,6 +149,98 @@ export class PropertiesPanel {
     return this.root
   }
 
+  /**
+   * Form for several objects. Edits are emitted as partial updates
+   * (e.g. { offset: { x } }) so unrelated values stay per object.
+   * @private
+   */
+  _createMultiForm(objects) {
+    const form = document.createElement('form')
+    form.classList.add('properties-form')
+
+    const info = document.createElement('p')
+    info.style.margin = '0 0 0.75rem 0'
+    info.style.fontSize = '0.8rem'
+    info.style.color = 'var(--text-secondary)'
+    info.textContent = `${objects.length} objects selected`
+    form.appendChild(info)
+
+    const shared = (read) => {
+      const first = read(objects[0])
+      return objects.every(obj => read(obj) === first) ? { value: first, mixed: false } : { value: '', mixed: true }
+    }
+    const numberField = (label, read, onValue, attrs = {}) => {
+      const { value, mixed } = shared(read)
+      const field = this._createNumberInput(label, mixed ? '' : value, (next) => {
+        if (next === '' || !Number.isFinite(Number(next))) return
+        field.classList.remove('is-mixed')
+        onValue(Number(next))
+      }, mixed ? { ...attrs, placeholder: 'Mixed' } : attrs)
+      field.classList.toggle('is-mixed', mixed)
+      return field
+    }
+    const colorField = (label, key, fallback) => {
+      const { value, mixed } = shared(obj => obj[key] ?? fallback)
+      const field = this._createColorInput(label, mixed ? '' : value, (next) => {
+        if (!next) return
+        field.classList.remove('is-mixed')
+        this.onChange({ [key]: next })
+      })
+      if (mixed) {
+        field.classList.add('is-mixed')
+        field.querySelector('input[type="text"]').placeholder = 'Mixed'
+      }
+      return field
+    }
+
+    const locked = shared(obj => Boolean(obj.locked))
+    const lockedField = this._createCheckbox('Locked', locked.value, (value) => {
+      lockedField.classList.remove('is-mixed')
+      this.onChange({ locked: value })
+    })
+    if (locked.mixed) {
+      lockedField.classList.add('is-mixed')
+      lockedField.querySelector('input').indeterminate = true
+    }
+
+    form.appendChild(this._createSection('General', [lockedField]))
+
+    // Appearance only applies to shapes; groups render their children
+    const shapes = objects.filter(obj => obj.type !== 'group' && obj.svg_element !== 'g')
+    if (shapes.length === objects.length) {
+      form.appendChild(this._createSection('Appearance', [
+        colorField('Fill', 'fill', '#ffffff'),
+        colorField('Stroke', 'stroke', '#000000'),
+        numberField('Stroke Width', obj => obj.strokeWidth ?? 1, (value) => {
+          this.onChange({ strokeWidth: value })
+        }, { step: '0.1', min: '0' }),
+        numberField('Opacity', obj => obj.opacity ?? 1, (value) => {
+          this.onChange({ opacity: Math.min(1, Math.max(0, value)) })
+        }, { step: '0.05', min: '0', max: '1' })
+      ]))
+    }
+
+    form.appendChild(this._createSection('Offset', ['x', 'y', 'z'].map(axis =>
+      numberField(`Offset ${axis.toUpperCase()}`, obj => obj.offset?.[axis] ?? 0, (value) => {
+        this.onChange({ offset: { [axis]: value } })
+      })
+    )))
+
+    form.appendChild(this._createSection('Rotation (deg)', ['x', 'y', 'z'].map(axis =>
+      numberField(`Rotate ${axis.toUpperCase()}`, obj => radToDeg(obj.rotate?.[axis] ?? 0), (value) => {
+        this.onChange({ rotate: { [axis]: degToRad(value) } })
+      }, { step: '1' })
+    )))
+
+    form.appendChild(this._createSection('Scale', ['x', 'y', 'z'].map(axis =>
+      numberField(`Scale ${axis.toUpperCase()}`, obj => obj.scale?.[axis] ?? 1, (value) => {
+        this.onChange({ scale: { [axis]: value } })
+      }, { step: '0.05' })
+    )))
+
+    return form
+  }
+
   _createInput(label, value, onInput, type = 'text', attrs = {}) {
     const wrapper = document.createElement('label')
     wrapper.classList.add('properties-field')
@@ -1,11 +1,28 @@
 import { createPanel } from '../components/Panel.js'
 
 export class SettingsPanel {
-  constructor({ controlScale = 1, onControlScaleChange = () => {}, onZoomIn = () => {}, onZoomOut = () => {} } = {}) {
+  constructor({
+    controlScale = 1,
+    onControlScaleChange = () => {},
+    onZoomIn = () => {},
+    onZoomOut = () => {},
+    perspective = 1200,
+    cameraRotation = { x: 0, y: 0, z: 0 },
+    onPerspectiveChange = () => {},
+    onCameraRotationChange = () => {},
+    renderer = 'svg',
+    onRendererChange = () => {}
+  } = {}) {
     this.controlScale = this._sanitizeScale(controlScale)
     this.onControlScaleChange = onControlScaleChange
     this.onZoomIn = onZoomIn
     this.onZoomOut = onZoomOut
+    this.perspective = perspective
+    this.cameraRotation = { x: 0, y: 0, z: 0, ...cameraRotation } // degrees
+    this.onPerspectiveChange = onPerspectiveChange
+    this.onCameraRotationChange = onCameraRotationChange
+    this.renderer = renderer
+    this.onRendererChange = onRendererChange
 
     this.root = null
     this.scaleSlider = null
@@ -14,6 +31,7 @@ export class SettingsPanel {
     this.zoomInBtn = null
     this.zoomOutBtn = null
     this.zoomLabel = null
+    this.rendererSelect = null
   }
 
   render() {
@@ -149,6 +167,9 @@ export class SettingsPanel {
     zoomSection.appendChild(zoomControlsRow)
     container.appendChild(zoomSection)
 
+    container.appendChild(this._createRendererSection())
+    container.appendChild(this._createViewSection())
+
     this.root = createPanel({
       title: 'Settings',
       content: container
@@ -157,6 +178,104 @@ export class SettingsPanel {
     return this.root
   }
 
+  _createRendererSection() {
+    const section = document.createElement('div')
+    section.classList.add('settings-panel__section')
+    section.style.display = 'flex'
+    section.style.flexDirection = 'column'
+    section.style.gap = '0.5rem'
+    section.style.marginTop = '1rem'
+
+    const title = document.createElement('label')
+    title.textContent = 'Renderer'
+    title.style.fontSize = '0.75rem'
+    title.style.color = 'var(--text-secondary)'
+    title.style.display = 'block'
+    section.appendChild(title)
+
+    this.rendererSelect = document.createElement('select')
+    ;[
+      { value: 'svg', label: 'SVG' },
+      { value: 'canvas', label: 'Canvas (large scenes)' }
+    ].forEach(({ value, label }) => {
+      const option = document.createElement('option')
+      option.value = value
+      option.textContent = label
+      this.rendererSelect.appendChild(option)
+    })
+    this.rendererSelect.value = this.renderer
+    this.rendererSelect.addEventListener('change', (event) => {
+      this.renderer = event.target.value
+      this.onRendererChange(this.renderer)
+    })
+    section.appendChild(this.rendererSelect)
+
+    return section
+  }
+
+  _createViewSection() {
+    const viewSection = document.createElement('div')
+    viewSection.classList.add('settings-panel__section')
+    viewSection.style.display = 'flex'
+    viewSection.style.flexDirection = 'column'
+    viewSection.style.gap = '0.5rem'
+    viewSection.style.marginTop = '1rem'
+
+    const viewTitle = document.createElement('label')
+    viewTitle.textContent = '3D View'
+    viewTitle.style.fontSize = '0.75rem'
+    viewTitle.style.color = 'var(--text-secondary)'
+    viewTitle.style.display = 'block'
+    viewSection.appendChild(viewTitle)
+
+    const createRow = (label, value, attrs, onChange) => {
+      const row = document.createElement('label')
+      row.style.display = 'flex'
+      row.style.alignItems = 'center'
+      row.style.justifyContent = 'space-between'
+      row.style.gap = '0.5rem'
+      row.style.fontSize = '0.7rem'
+      row.style.color = 'var(--text-secondary)'
+
+      const span = document.createElement('span')
+      span.textContent = label
+
+      const input = document.createElement('input')
+      input.type = 'number'
+      input.value = String(value)
+      input.style.width = '72px'
+      Object.entries(attrs).forEach(([key, val]) => input.setAttribute(key, val))
+      input.addEventListener('change', (event) => {
+        const numeric = parseFloat(event.target.value)
+        if (!Number.isFinite(numeric)) {
+          event.target.value = String(value)
+          return
+        }
+        value = numeric
+        onChange(numeric)
+      })
+
+      row.appendChild(span)
+      row.appendChild(input)
+      return row
+    }
+
+    viewSection.appendChild(createRow('Perspective', this.perspective, { min: '0', step: '50' }, (value) => {
+      this.perspective = Math.max(0, value)
+      this.onPerspectiveChange(this.perspective)
+    }))
+
+    ;['x', 'y', 'z'].forEach(axis => {
+      const label = `Camera ${axis.toUpperCase()} (deg)`
+      viewSection.appendChild(createRow(label, this.cameraRotation[axis], { step: '1' }, (value) => {
+        this.cameraRotation = { ...this.cameraRotation, [axis]: value }
+        this.onCameraRotationChange({ ...this.cameraRotation })
+      }))
+    })
+
+    return viewSection
+  }
+
   setZoom(zoom) {
     if (this.zoomLabel) {
       this.zoomLabel.textContent = `${Math.round(zoom * 100)}%`
@@ -167,6 +286,13 @@ export class SettingsPanel {
     }
   }
 
+  setRenderer(renderer) {
+    this.renderer = renderer
+    if (this.rendererSelect) {
+      this.rendererSelect.value = renderer
+    }
+  }
+
   setControlScale(scale) {
     const sanitized = this._sanitizeScale(scale)
     this._setControlScale(sanitized, { emit: false })
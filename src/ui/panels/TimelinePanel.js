@@ -1,14 +1,77 @@
 /**
- * TimelinePanel - Placeholder timeline UI
+ * TimelinePanel - Keyframe timeline UI
+ * Shows a time ruler, a draggable playhead and one row per animated object/property.
  */
 
 import { createPanel } from '../components/Panel.js'
 import { createButton } from '../components/Button.js'
+import { createCurveEditor } from '../components/CurveEditor.js'
+import {
+  EASING_PRESETS,
+  formatCubicBezier,
+  getBezierPoints
+} from '../../core/animation/Easing.js'
+
+const TICK_STEPS = [100, 250, 500, 1000, 2000, 5000, 10000, 30000]
+const DRAG_THRESHOLD = 3 // pixels
 
 export class TimelinePanel {
-  constructor({ onPlayPause = () => {}, onStop = () => {} } = {}) {
+  /**
+   * Create a timeline panel.
+   * @param {object} options - Panel options
+   * @param {AnimationEngine} options.engine - Animation engine instance
+   * @param {TimelineController} options.controller - Timeline controller instance
+   * @param {KeyframeManager} options.keyframes - Keyframe manager instance
+   * @param {Function} options.getObjects - Returns flat list of { id, name } for all objects
+   * @param {Function} options.onKeyframesChange - Called with objectId after keys were moved/removed
+   * @param {boolean} options.autoKey - Initial auto-key state
+   * @param {Function} options.onAutoKeyChange - Called with the new auto-key state
+   * @param {Function} options.onRender - Called to render the animation to frames/video
+   */
+  constructor({
+    engine,
+    controller,
+    keyframes,
+    getObjects = () => [],
+    onPlayPause = () => {},
+    onStop = () => {},
+    onSelectObject = () => {},
+    onKeyframesChange = () => {},
+    onDurationChange = () => {},
+    autoKey = false,
+    onAutoKeyChange = () => {},
+    onRender = () => {}
+  } = {}) {
+    if (!engine || !controller || !keyframes) {
+      throw new Error('AnimationEngine, TimelineController and KeyframeManager are required')
+    }
+
+    this.engine = engine
+    this.controller = controller
+    this.keyframes = keyframes
+    this.getObjects = getObjects
     this.onPlayPause = onPlayPause
     this.onStop = onStop
+    this.onSelectObject = onSelectObject
+    this.onKeyframesChange = onKeyframesChange
+    this.onDurationChange = onDurationChange
+    this.onAutoKeyChange = onAutoKeyChange
+    this.onRender = onRender
+    this.autoKey = Boolean(autoKey)
+
+    this.root = null
+    this.track = null
+    this.lanes = null
+    this.playhead = null
+    this.timeLabel = null
+    this.playButton = null
+    this.deleteKeyButton = null
+    this.durationInput = null
+    this.autoKeyInput = null
+    this.easingSection = null
+
+    this.selectedId = null
+    this.selectedKey = null // { objectId, property, time }
   }
 
   render() {
@@ -18,8 +81,8 @@ export class TimelinePanel {
     const controls = document.createElement('div')
     controls.classList.add('timeline-controls')
 
-    const playButton = createButton({
-      label: 'Play/Pause',
+    this.playButton = createButton({
+      label: this.engine.isPlaying ? 'Pause' : 'Play',
       variant: 'primary',
       onClick: this.onPlayPause
     })
@@ -30,20 +93,500 @@ export class TimelinePanel {
       onClick: this.onStop
     })
 
-    controls.appendChild(playButton)
+    this.deleteKeyButton = createButton({
+      label: 'Delete Key',
+      variant: 'ghost',
+      onClick: () => this._deleteSelectedKey(),
+      disabled: !this.selectedKey
+    })
+
+    const renderButton = createButton({
+      label: 'Render…',
+      variant: 'ghost',
+      onClick: () => this.onRender()
+    })
+
+    this.timeLabel = document.createElement('span')
+    this.timeLabel.classList.add('timeline-controls__time')
+
+    controls.appendChild(this.playButton)
     controls.appendChild(stopButton)
+    controls.appendChild(this.deleteKeyButton)
+    controls.appendChild(renderButton)
+    controls.appendChild(this.timeLabel)
 
-    const track = document.createElement('div')
-    track.classList.add('timeline-track')
-    track.innerHTML = '<p>Timeline visualization will appear here.</p>'
+    const settings = document.createElement('div')
+    settings.classList.add('timeline-settings')
+
+    const durationField = document.createElement('label')
+    durationField.classList.add('timeline-settings__field')
+
+    const durationLabel = document.createElement('span')
+    durationLabel.textContent = 'Duration (s)'
+
+    this.durationInput = document.createElement('input')
+    this.durationInput.type = 'number'
+    this.durationInput.min = '0.1'
+    this.durationInput.step = '0.1'
+    this.durationInput.value = String(this.engine.duration / 1000)
+    this.durationInput.addEventListener('change', (event) => {
+      const seconds = parseFloat(event.target.value)
+      if (!Number.isFinite(seconds) || seconds <= 0) {
+        event.target.value = String(this.engine.duration / 1000)
+        return
+      }
+      this.onDurationChange(Math.round(seconds * 1000))
+    })
+
+    const autoKeyLabel = document.createElement('label')
+    autoKeyLabel.classList.add('timeline-settings__field', 'timeline-settings__autokey')
+    autoKeyLabel.title = 'Record edits as keyframes at the playhead'
+
+    this.autoKeyInput = document.createElement('input')
+    this.autoKeyInput.type = 'checkbox'
+    this.autoKeyInput.checked = this.autoKey
+    this.autoKeyInput.addEventListener('change', (event) => {
+      this.setAutoKey(event.target.checked)
+      this.onAutoKeyChange(this.autoKey)
+    })
+
+    const autoKeyText = document.createElement('span')
+    autoKeyText.textContent = 'Auto-key'
+
+    autoKeyLabel.appendChild(this.autoKeyInput)
+    autoKeyLabel.appendChild(autoKeyText)
+
+    durationField.appendChild(durationLabel)
+    durationField.appendChild(this.durationInput)
+
+    settings.appendChild(durationField)
+    settings.appendChild(autoKeyLabel)
+
+    this.track = document.createElement('div')
+    this.track.classList.add('timeline-track')
+    this.track.tabIndex = 0
+    this.track.addEventListener('keydown', (event) => {
+      if (event.key === 'Delete' || event.key === 'Backspace') {
+        // Only the keyframe: the app's shortcut would delete the selected object too
+        event.preventDefault()
+        event.stopPropagation()
+        this._deleteSelectedKey()
+      }
+    })
+
+    this.easingSection = document.createElement('div')
+    this.easingSection.classList.add('timeline-easing')
+
+    this._renderTrack()
 
     wrapper.appendChild(controls)
-    wrapper.appendChild(track)
+    wrapper.appendChild(settings)
+    wrapper.appendChild(this.track)
+    wrapper.appendChild(this.easingSection)
+
+    wrapper.classList.toggle('is-recording', this.autoKey)
 
-    return createPanel({
+    this.root = createPanel({
       title: 'Timeline',
       content: wrapper,
       className: 'timeline-panel-wrapper'
     })
+
+    return this.root
+  }
+
+  /**
+   * Rebuild rows after keyframes or objects changed.
+   */
+  refresh() {
+    if (this.durationInput && document.activeElement !== this.durationInput) {
+      this.durationInput.value = String(this.engine.duration / 1000)
+    }
+    this._renderTrack()
+  }
+
+  /**
+   * Move the playhead (called on engine update/seek).
+   * @param {number} time - Time in milliseconds
+   */
+  setTime(time) {
+    this._updatePlayhead(time)
+  }
+
+  /**
+   * Update play button state.
+   * @param {boolean} isPlaying
+   */
+  setPlaying(isPlaying) {
+    if (this.playButton) {
+      this.playButton.textContent = isPlaying ? 'Pause' : 'Play'
+    }
+  }
+
+  /**
+   * Update auto-key state (highlights the panel while recording).
+   * @param {boolean} enabled
+   */
+  setAutoKey(enabled) {
+    this.autoKey = Boolean(enabled)
+    if (this.autoKeyInput) {
+      this.autoKeyInput.checked = this.autoKey
+    }
+    this.track?.parentElement?.classList.toggle('is-recording', this.autoKey)
+  }
+
+  /**
+   * Highlight rows of the selected object.
+   * @param {string|null} objectId
+   */
+  setSelected(objectId) {
+    this.selectedId = objectId || null
+    if (!this.track) return
+    this.track.querySelectorAll('[data-object-id]').forEach(element => {
+      element.classList.toggle('is-selected', element.dataset.objectId === this.selectedId)
+    })
+  }
+
+  /**
+   * Collect timeline rows from the keyframe manager.
+   * @returns {Array} Rows: { type: 'object'|'property', objectId, property, label, keys }
+   * @private
+   */
+  _collectRows() {
+    const rows = []
+    this.getObjects().forEach(obj => {
+      const tracks = this.keyframes.getObjectKeyframes(obj.id)
+      const properties = Object.keys(tracks)
+      if (properties.length === 0) return
+
+      const times = new Set()
+      properties.forEach(property => tracks[property].forEach(key => times.add(key.time)))
+
+      rows.push({
+        type: 'object',
+        objectId: obj.id,
+        property: null,
+        label: obj.name || obj.id,
+        keys: Array.from(times).sort((a, b) => a - b).map(time => ({ time }))
+      })
+
+      properties.forEach(property => {
+        rows.push({
+          type: 'property',
+          objectId: obj.id,
+          property,
+          label: property,
+          keys: tracks[property]
+        })
+      })
+    })
+    return rows
+  }
+
+  /**
+   * Render ruler, rows and playhead into the track element.
+   * @private
+   */
+  _renderTrack() {
+    if (!this.track) return
+    this.track.innerHTML = ''
+
+    const rows = this._collectRows()
+    if (this.selectedKey && !this._keyExists(this.selectedKey)) {
+      this.selectedKey = null
+    }
+    if (this.deleteKeyButton) {
+      this.deleteKeyButton.disabled = !this.selectedKey
+    }
+
+    const labels = document.createElement('div')
+    labels.classList.add('timeline-labels')
+
+    const spacer = document.createElement('div')
+    spacer.classList.add('timeline-labels__spacer')
+    labels.appendChild(spacer)
+
+    this.lanes = document.createElement('div')
+    this.lanes.classList.add('timeline-lanes')
+    this.lanes.appendChild(this._renderRuler())
+    this.lanes.addEventListener('pointerdown', (event) => this._startScrub(event))
+
+    rows.forEach(row => {
+      const label = document.createElement('div')
+      label.classList.add('timeline-row__label', `timeline-row__label--${row.type}`)
+      label.dataset.objectId = row.objectId
+      label.textContent = row.label
+      label.title = row.label
+      label.addEventListener('click', () => this.onSelectObject(row.objectId))
+      labels.appendChild(label)
+
+      const lane = document.createElement('div')
+      lane.classList.add('timeline-row__lane', `timeline-row__lane--${row.type}`)
+      lane.dataset.objectId = row.objectId
+      row.keys.forEach(key => lane.appendChild(this._createKeyElement(row, key)))
+      this.lanes.appendChild(lane)
+    })
+
+    if (rows.length === 0) {
+      const empty = document.createElement('div')
+      empty.classList.add('timeline-empty')
+      empty.textContent = 'No keyframes yet.'
+      this.lanes.appendChild(empty)
+    }
+
+    this.playhead = document.createElement('div')
+    this.playhead.classList.add('timeline-playhead')
+    this.lanes.appendChild(this.playhead)
+
+    this.track.appendChild(labels)
+    this.track.appendChild(this.lanes)
+
+    this.setSelected(this.selectedId)
+    this._updatePlayhead(this.engine.currentTime)
+    this._renderEasingEditor()
+  }
+
+  /**
+   * Render easing controls for the selected key.
+   * The easing of a key shapes the segment towards the next key.
+   * @private
+   */
+  _renderEasingEditor() {
+    if (!this.easingSection) return
+    this.easingSection.innerHTML = ''
+    this.easingSection.hidden = !this.selectedKey
+    if (!this.selectedKey) return
+
+    const { objectId, property, time } = this.selectedKey
+    const keys = this.keyframes.getKeyframes(objectId, property)
+    const index = keys.findIndex(key => key.time === time)
+    if (index === -1) return
+
+    const easing = keys[index].easing || 'linear'
+    const isLast = index === keys.length - 1
+
+    const header = document.createElement('div')
+    header.classList.add('timeline-easing__header')
+
+    const title = document.createElement('span')
+    title.textContent = `Easing · ${property} @ ${Number((time / 1000).toFixed(3))}s`
+
+    const select = document.createElement('select')
+    select.classList.add('timeline-easing__select')
+    const options = EASING_PRESETS.includes(easing) ? EASING_PRESETS : [...EASING_PRESETS, easing]
+    options.forEach(name => {
+      const option = document.createElement('option')
+      option.value = name
+      option.textContent = name.startsWith('cubic-bezier') ? 'custom' : name
+      option.selected = name === easing
+      select.appendChild(option)
+    })
+    select.addEventListener('change', (event) => this._setSelectedEasing(event.target.value))
+
+    header.appendChild(title)
+    header.appendChild(select)
+    this.easingSection.appendChild(header)
+
+    const value = document.createElement('code')
+    value.classList.add('timeline-easing__value')
+    value.textContent = easing
+
+    const points = getBezierPoints(easing)
+    if (points) {
+      const editor = createCurveEditor({
+        points,
+        size: 140,
+        onInput: (next) => {
+          value.textContent = formatCubicBezier(next)
+        },
+        onChange: (next) => this._setSelectedEasing(formatCubicBezier(next))
+      })
+      this.easingSection.appendChild(editor.element)
+    }
+
+    this.easingSection.appendChild(value)
+
+    if (isLast) {
+      const hint = document.createElement('p')
+      hint.classList.add('timeline-easing__hint')
+      hint.textContent = 'Last key: easing applies once another key follows it.'
+      this.easingSection.appendChild(hint)
+    }
+  }
+
+  _setSelectedEasing(easing) {
+    if (!this.selectedKey) return
+    const { objectId, property, time } = this.selectedKey
+    if (this.keyframes.setEasing(objectId, property, time, easing)) {
+      this.onKeyframesChange(objectId)
+    }
+    this._renderTrack()
+  }
+
+  /**
+   * Render time ruler with ticks every "nice" step.
+   * @returns {HTMLElement}
+   * @private
+   */
+  _renderRuler() {
+    const ruler = document.createElement('div')
+    ruler.classList.add('timeline-ruler')
+
+    const duration = this.engine.duration || 1
+    const step = TICK_STEPS.find(candidate => duration / candidate <= 8) || TICK_STEPS[TICK_STEPS.length - 1]
+
+    for (let time = 0; time <= duration; time += step) {
+      const tick = document.createElement('div')
+      tick.classList.add('timeline-ruler__tick')
+      tick.style.left = this._timeToPercent(time)
+      tick.textContent = `${Number((time / 1000).toFixed(2))}s`
+      ruler.appendChild(tick)
+    }
+
+    return ruler
+  }
+
+  /**
+   * Create a keyframe diamond.
+   * Object summary rows are display-only; property rows can be selected and dragged.
+   * @private
+   */
+  _createKeyElement(row, key) {
+    const element = document.createElement('div')
+    element.classList.add('timeline-key')
+    element.style.left = this._timeToPercent(key.time)
+    element.title = `${Number((key.time / 1000).toFixed(3))}s`
+
+    if (row.type !== 'property') {
+      element.classList.add('timeline-key--summary')
+      return element
+    }
+
+    const selected = this.selectedKey
+    if (
+      selected &&
+      selected.objectId === row.objectId &&
+      selected.property === row.property &&
+      selected.time === key.time
+    ) {
+      element.classList.add('is-selected')
+    }
+
+    element.addEventListener('pointerdown', (event) => this._startKeyDrag(event, row, key, element))
+    return element
+  }
+
+  /**
+   * Drag a keyframe in time; a click without movement selects it and seeks.
+   * @private
+   */
+  _startKeyDrag(event, row, key, element) {
+    event.preventDefault()
+    event.stopPropagation()
+    this.track?.focus()
+
+    const startX = event.clientX
+    let moved = false
+    let targetTime = key.time
+    element.setPointerCapture?.(event.pointerId)
+
+    const onMove = (moveEvent) => {
+      if (!moved && Math.abs(moveEvent.clientX - startX) < DRAG_THRESHOLD) return
+      moved = true
+      targetTime = this.controller.snapTime(this._timeFromClientX(moveEvent.clientX))
+      element.style.left = this._timeToPercent(targetTime)
+    }
+
+    const onUp = () => {
+      element.removeEventListener('pointermove', onMove)
+      element.removeEventListener('pointerup', onUp)
+      element.removeEventListener('pointercancel', onUp)
+
+      const { objectId, property } = row
+      if (moved && targetTime !== key.time) {
+        this.keyframes.moveKeyframe(objectId, property, key.time, targetTime)
+        this.selectedKey = { objectId, property, time: targetTime }
+        this.onKeyframesChange(objectId)
+      } else {
+        this.selectedKey = { objectId, property, time: key.time }
+        this.controller.seek(key.time)
+      }
+      this._renderTrack()
+    }
+
+    element.addEventListener('pointermove', onMove)
+    element.addEventListener('pointerup', onUp)
+    element.addEventListener('pointercancel', onUp)
+  }
+
+  /**
+   * Scrub the playhead by dragging on the ruler or an empty part of a lane.
+   * @private
+   */
+  _startScrub(event) {
+    if (event.button !== undefined && event.button !== 0) return
+    event.preventDefault()
+
+    const wasPlaying = this.engine.isPlaying
+    const target = this.lanes
+    this.controller.startScrub()
+    this.controller.scrubTo(this._timeFromClientX(event.clientX))
+    target.setPointerCapture?.(event.pointerId)
+
+    const onMove = (moveEvent) => {
+      this.controller.scrubTo(this._timeFromClientX(moveEvent.clientX))
+    }
+
+    const onUp = () => {
+      target.removeEventListener('pointermove', onMove)
+      target.removeEventListener('pointerup', onUp)
+      target.removeEventListener('pointercancel', onUp)
+      this.controller.endScrub(wasPlaying)
+    }
+
+    target.addEventListener('pointermove', onMove)
+    target.addEventListener('pointerup', onUp)
+    target.addEventListener('pointercancel', onUp)
+  }
+
+  _deleteSelectedKey() {
+    if (!this.selectedKey) return
+    const { objectId, property, time } = this.selectedKey
+    this.selectedKey = null
+
+    if (this.keyframes.removeKeyframe(objectId, property, time)) {
+      this.onKeyframesChange(objectId)
+    }
+    this._renderTrack()
+  }
+
+  _keyExists({ objectId, property, time }) {
+    const tracks = this.keyframes.getObjectKeyframes(objectId)
+    return Array.isArray(tracks[property]) && tracks[property].some(key => key.time === time)
+  }
+
+  _updatePlayhead(time) {
+    if (this.playhead) {
+      this.playhead.style.left = this._timeToPercent(time)
+    }
+    if (this.timeLabel) {
+      const current = (time / 1000).toFixed(2)
+      const total = (this.engine.duration / 1000).toFixed(2)
+      this.timeLabel.textContent = `${current}s / ${total}s`
+    }
+  }
+
+  _timeToPercent(time) {
+    const duration = this.engine.duration || 1
+    const ratio = Math.min(Math.max(time / duration, 0), 1)
+    return `${ratio * 100}%`
+  }
+
+  _timeFromClientX(clientX) {
+    if (!this.lanes) return 0
+    const rect = this.lanes.getBoundingClientRect()
+    if (rect.width === 0) return 0
+    const ratio = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1)
+    return ratio * this.engine.duration
   }
 }
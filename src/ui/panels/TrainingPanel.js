@@ -0,0 +1,508 @@
+/**
+ * TrainingPanel - LoRA training dashboard
+ * Builds a dataset from chosen projects, modules and saved pose corrections
+ * (TrainingDataset), starts training jobs and follows them through
+ * LoRATrainingManager: progress, loss chart and cancel per job. Also lists
+ * adapters and switches or deletes the one the backend currently uses.
+ */
+
+import { createPanel } from '../components/Panel.js'
+import { createButton } from '../components/Button.js'
+import { buildTrainingDataset } from '../../features/ai/TrainingDataset.js'
+import { TERMINAL_JOB_STATUSES } from '../../features/ai/LoRATrainingManager.js'
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+const CHART_WIDTH = 240
+const CHART_HEIGHT = 60
+
+/**
+ * Loss curve as a small SVG line chart.
+ * @private
+ */
+function createLossChart(points) {
+  const svg = document.createElementNS(SVG_NS, 'svg')
+  svg.setAttribute('viewBox', `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`)
+  svg.setAttribute('preserveAspectRatio', 'none')
+  svg.classList.add('training-panel__chart')
+
+  const steps = points.map(point => point.step)
+  const losses = points.map(point => point.loss)
+  const minStep = Math.min(...steps)
+  const stepRange = Math.max(...steps) - minStep || 1
+  const minLoss = Math.min(...losses)
+  const lossRange = Math.max(...losses) - minLoss || 1
+  const padding = 2
+
+  const line = document.createElementNS(SVG_NS, 'polyline')
+  line.setAttribute('points', points.map(({ step, loss }) => {
+    const x = padding + ((step - minStep) / stepRange) * (CHART_WIDTH - padding * 2)
+    const y = padding + (1 - (loss - minLoss) / lossRange) * (CHART_HEIGHT - padding * 2)
+    return `${x.toFixed(1)},${y.toFixed(1)}`
+  }).join(' '))
+  svg.appendChild(line)
+  return svg
+}
+
+export class TrainingPanel {
+  /**
+   * @param {object} options
+   * @param {LoRATrainingManager} options.manager - Training jobs and adapters
+   * @param {ProjectManager} options.projectManager - Projects to train on
+   * @param {ModuleManager} options.moduleManager - Modules to train on
+   * @param {PoseCorrectionStore} options.poseCorrections - Corrected pose detections to train on
+   */
+  constructor({ manager, projectManager, moduleManager, poseCorrections = null } = {}) {
+    if (!manager || !projectManager || !moduleManager) {
+      throw new Error('LoRATrainingManager, ProjectManager and ModuleManager are required')
+    }
+
+    this.manager = manager
+    this.projectManager = projectManager
+    this.moduleManager = moduleManager
+    this.poseCorrections = poseCorrections
+
+    this.selectedProjects = new Set()
+    this.selectedModules = new Set() // "name@version"
+    this.includePoseCorrections = false
+    this.adapters = []
+    this.currentAdapter = null
+
+    this.root = null
+    this.sourceList = null
+    this.datasetSummary = null
+    this.adapterNameInput = null
+    this.paramInputs = {}
+    this.jobList = null
+    this.adapterList = null
+    this.status = null
+    this.actions = {
+      refresh: null,
+      start: null
+    }
+
+    this.manager.subscribe(() => this._renderJobs())
+    this.projectManager.subscribe(() => this._renderSources())
+    this.poseCorrections?.subscribe(() => this._renderSources())
+  }
+
+  render() {
+    const container = document.createElement('div')
+    container.classList.add('training-panel')
+
+    this.actions.refresh = createButton({
+      label: 'Refresh',
+      variant: 'ghost',
+      onClick: () => this.refresh()
+    })
+
+    container.appendChild(this._renderDatasetSection())
+    container.appendChild(this._renderHeading('Jobs'))
+    this.jobList = document.createElement('ul')
+    this.jobList.classList.add('module-list')
+    container.appendChild(this.jobList)
+    container.appendChild(this._renderHeading('Adapters'))
+    this.adapterList = document.createElement('ul')
+    this.adapterList.classList.add('module-list')
+    container.appendChild(this.adapterList)
+
+    this.status = document.createElement('pre')
+    this.status.classList.add('module-editor__status')
+    container.appendChild(this.status)
+
+    this.root = createPanel({
+      title: 'Training',
+      content: container,
+      actions: [this.actions.refresh]
+    })
+
+    this._renderSources()
+    this._renderJobs()
+    this._renderAdapters()
+    return this.root
+  }
+
+  /**
+   * Reload dataset choices, and jobs and adapters from the backend.
+   */
+  async refresh() {
+    this._renderSources()
+    try {
+      await this.manager.listJobs()
+      this.adapters = await this.manager.listAdapters()
+      this.currentAdapter = await this.manager.getCurrentAdapter()
+      this._renderAdapters()
+      this._setStatus('')
+    } catch (error) {
+      this._setStatus(`Training backend unavailable: ${error.message}`, true)
+    }
+  }
+
+  /**
+   * @private
+   */
+  _renderHeading(text) {
+    const heading = document.createElement('div')
+    heading.classList.add('training-panel__heading')
+    heading.textContent = text
+    return heading
+  }
+
+  /**
+   * @private
+   */
+  _renderDatasetSection() {
+    const section = document.createElement('div')
+    section.classList.add('module-editor')
+    section.appendChild(this._renderHeading('Dataset'))
+
+    this.sourceList = document.createElement('div')
+    this.sourceList.classList.add('training-panel__sources')
+    section.appendChild(this.sourceList)
+
+    this.datasetSummary = document.createElement('div')
+    this.datasetSummary.classList.add('module-list__item-meta')
+    section.appendChild(this.datasetSummary)
+
+    this.adapterNameInput = document.createElement('input')
+    this.adapterNameInput.type = 'text'
+    this.adapterNameInput.placeholder = 'Adapter name'
+    this.adapterNameInput.classList.add('module-editor__name')
+    section.appendChild(this.adapterNameInput)
+
+    const params = document.createElement('div')
+    params.classList.add('training-panel__params')
+    params.appendChild(this._createParamField('epochs', 'Epochs', { value: 3, min: 1, step: 1 }))
+    params.appendChild(this._createParamField('learningRate', 'Learning rate', { value: 0.0002, min: 0, step: 0.0001 }))
+    params.appendChild(this._createParamField('rank', 'Rank', { value: 8, min: 1, step: 1 }))
+    section.appendChild(params)
+
+    this.actions.start = createButton({
+      label: 'Start training',
+      variant: 'primary',
+      onClick: () => this._startTraining()
+    })
+    const actions = document.createElement('div')
+    actions.classList.add('module-editor__actions')
+    actions.appendChild(this.actions.start)
+    section.appendChild(actions)
+    return section
+  }
+
+  /**
+   * @private
+   */
+  _createParamField(key, label, { value, min, step }) {
+    const field = document.createElement('div')
+    field.classList.add('properties-field')
+
+    const labelEl = document.createElement('label')
+    labelEl.textContent = label
+    const input = document.createElement('input')
+    input.type = 'number'
+    input.value = String(value)
+    input.min = String(min)
+    input.step = String(step)
+
+    field.appendChild(labelEl)
+    field.appendChild(input)
+    this.paramInputs[key] = input
+    return field
+  }
+
+  /**
+   * @private
+   */
+  _createCheckbox(label, checked, onChange) {
+    const toggle = document.createElement('label')
+    toggle.classList.add('module-editor__toggle')
+    const input = document.createElement('input')
+    input.type = 'checkbox'
+    input.checked = checked
+    input.addEventListener('change', (event) => onChange(event.target.checked))
+    toggle.appendChild(input)
+    toggle.appendChild(document.createTextNode(label))
+    return toggle
+  }
+
+  /**
+   * @private
+   */
+  _renderSources() {
+    if (!this.sourceList) return
+    this.sourceList.innerHTML = ''
+
+    const projects = this.projectManager.getAll()
+    const modules = this.moduleManager.getAllModules()
+    // Forget selections whose project or module is gone
+    this.selectedProjects.forEach(id => {
+      if (!projects.some(project => project.id === id)) this.selectedProjects.delete(id)
+    })
+
+    projects.forEach(project => {
+      this.sourceList.appendChild(this._createCheckbox(
+        `Project: ${project.title}`,
+        this.selectedProjects.has(project.id),
+        (checked) => {
+          checked ? this.selectedProjects.add(project.id) : this.selectedProjects.delete(project.id)
+          this._renderSummary()
+        }
+      ))
+    })
+    modules.forEach(module => {
+      const specifier = `${module.name}@${module.version}`
+      this.sourceList.appendChild(this._createCheckbox(
+        `Module: ${specifier}`,
+        this.selectedModules.has(specifier),
+        (checked) => {
+          checked ? this.selectedModules.add(specifier) : this.selectedModules.delete(specifier)
+          this._renderSummary()
+        }
+      ))
+    })
+    const corrections = this.poseCorrections?.getAll() || []
+    if (corrections.length > 0) {
+      this.sourceList.appendChild(this._createCheckbox(
+        `Pose corrections (${corrections.length})`,
+        this.includePoseCorrections,
+        (checked) => {
+          this.includePoseCorrections = checked
+          this._renderSummary()
+        }
+      ))
+    }
+    if (projects.length === 0 && modules.length === 0 && corrections.length === 0) {
+      this.sourceList.textContent = 'No projects or modules to train on yet.'
+    }
+    this._renderSummary()
+  }
+
+  /**
+   * @private
+   */
+  _buildDataset() {
+    return buildTrainingDataset({
+      projects: this.projectManager.getAll().filter(project => this.selectedProjects.has(project.id)),
+      modules: Array.from(this.selectedModules)
+        .map(specifier => this.moduleManager.getModule(specifier))
+        .filter(Boolean),
+      poseCorrections: this.includePoseCorrections ? (this.poseCorrections?.getAll() || []) : []
+    })
+  }
+
+  /**
+   * @private
+   */
+  _renderSummary() {
+    if (!this.datasetSummary) return
+    const { examples, skipped } = this._buildDataset()
+    const parts = [`${examples.length} example${examples.length === 1 ? '' : 's'}`]
+    if (skipped.length > 0) {
+      parts.push(`skipped: ${skipped.join(', ')}`)
+    }
+    this.datasetSummary.textContent = parts.join(' · ')
+  }
+
+  /**
+   * @private
+   */
+  async _startTraining() {
+    const { examples } = this._buildDataset()
+    if (examples.length === 0) {
+      this._setStatus('Select projects, modules or pose corrections to train on', true)
+      return
+    }
+    const adapterName = this.adapterNameInput.value.trim()
+    if (!adapterName) {
+      this._setStatus('Name the adapter first', true)
+      return
+    }
+
+    const hyperparameters = {}
+    for (const [key, input] of Object.entries(this.paramInputs)) {
+      const value = Number(input.value)
+      if (!Number.isFinite(value) || value < Number(input.min)) {
+        this._setStatus(`Invalid ${key}: ${input.value}`, true)
+        return
+      }
+      hyperparameters[key] = value
+    }
+
+    this.actions.start.disabled = true
+    try {
+      const job = await this.manager.startTraining({ adapterName, dataset: examples, ...hyperparameters })
+      this._setStatus(`Started job ${job.jobId || ''} with ${examples.length} examples`)
+    } catch (error) {
+      this._setStatus(`Could not start training: ${error.message}`, true)
+    } finally {
+      this.actions.start.disabled = false
+    }
+  }
+
+  /**
+   * @private
+   */
+  _renderJobs() {
+    if (!this.jobList) return
+    this.jobList.innerHTML = ''
+
+    const jobs = this.manager.getJobs()
+    if (jobs.length === 0) {
+      const empty = document.createElement('li')
+      empty.classList.add('module-list__empty')
+      empty.textContent = 'No training jobs'
+      this.jobList.appendChild(empty)
+      return
+    }
+
+    jobs.forEach(job => {
+      const item = document.createElement('li')
+      item.classList.add('module-list__item', 'training-panel__job')
+      item.classList.toggle('has-error', job.status === 'failed')
+
+      const title = document.createElement('div')
+      title.classList.add('module-list__item-title')
+      title.textContent = job.adapterName || job.adapter_name || job.jobId
+      const status = document.createElement('span')
+      status.classList.add('module-list__item-version')
+      status.textContent = `${job.status} · ${Math.round(job.progress * 100)}%`
+      title.appendChild(status)
+      item.appendChild(title)
+
+      const progress = document.createElement('progress')
+      progress.classList.add('training-panel__progress')
+      progress.max = 1
+      progress.value = job.progress
+      item.appendChild(progress)
+
+      if (job.lossHistory.length > 1) {
+        item.appendChild(createLossChart(job.lossHistory))
+      }
+
+      const meta = document.createElement('div')
+      meta.classList.add('module-list__item-meta')
+      const lastLoss = job.lossHistory[job.lossHistory.length - 1]
+      meta.textContent = job.status === 'failed' && job.error
+        ? job.error
+        : lastLoss ? `loss ${lastLoss.loss.toFixed(4)} at step ${lastLoss.step}` : job.message || ''
+      item.appendChild(meta)
+
+      if (!TERMINAL_JOB_STATUSES.includes(job.status)) {
+        const actions = document.createElement('div')
+        actions.classList.add('module-editor__actions')
+        actions.appendChild(createButton({
+          label: 'Cancel',
+          variant: 'ghost',
+          onClick: () => this._cancelJob(job.jobId)
+        }))
+        item.appendChild(actions)
+      }
+
+      this.jobList.appendChild(item)
+    })
+  }
+
+  /**
+   * @private
+   */
+  async _cancelJob(jobId) {
+    if (!window.confirm(`Cancel training job ${jobId}?`)) return
+    try {
+      await this.manager.cancelJob(jobId)
+      this._setStatus(`Cancelled job ${jobId}`)
+    } catch (error) {
+      this._setStatus(`Could not cancel job ${jobId}: ${error.message}`, true)
+    }
+  }
+
+  /**
+   * @private
+   */
+  _renderAdapters() {
+    if (!this.adapterList) return
+    this.adapterList.innerHTML = ''
+
+    if (this.adapters.length === 0) {
+      const empty = document.createElement('li')
+      empty.classList.add('module-list__empty')
+      empty.textContent = 'No adapters'
+      this.adapterList.appendChild(empty)
+      return
+    }
+
+    this.adapters.forEach(adapter => {
+      const isCurrent = adapter.name === this.currentAdapter
+      const item = document.createElement('li')
+      item.classList.add('module-list__item')
+      item.classList.toggle('is-selected', isCurrent)
+
+      const title = document.createElement('div')
+      title.classList.add('module-list__item-title')
+      title.textContent = adapter.name
+      if (isCurrent) {
+        const current = document.createElement('span')
+        current.classList.add('module-list__item-version')
+        current.textContent = 'current'
+        title.appendChild(current)
+      }
+
+      const actions = document.createElement('div')
+      actions.classList.add('module-editor__actions')
+      actions.appendChild(createButton({
+        label: isCurrent ? 'In use' : 'Use',
+        variant: 'ghost',
+        disabled: isCurrent,
+        onClick: () => this._useAdapter(adapter.name)
+      }))
+      actions.appendChild(createButton({
+        label: 'Delete',
+        variant: 'ghost',
+        onClick: () => this._deleteAdapter(adapter.name)
+      }))
+
+      item.appendChild(title)
+      item.appendChild(actions)
+      this.adapterList.appendChild(item)
+    })
+  }
+
+  /**
+   * @private
+   */
+  async _useAdapter(name) {
+    try {
+      await this.manager.setCurrentAdapter(name)
+      this.currentAdapter = name
+      this._renderAdapters()
+      this._setStatus(`Using adapter ${name}`)
+    } catch (error) {
+      this._setStatus(`Could not switch to ${name}: ${error.message}`, true)
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _deleteAdapter(name) {
+    if (!window.confirm(`Delete adapter "${name}"?`)) return
+    try {
+      await this.manager.deleteAdapter(name)
+      this.adapters = this.adapters.filter(adapter => adapter.name !== name)
+      if (this.currentAdapter === name) {
+        this.currentAdapter = null
+      }
+      this._renderAdapters()
+      this._setStatus(`Deleted adapter ${name}`)
+    } catch (error) {
+      this._setStatus(`Could not delete ${name}: ${error.message}`, true)
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setStatus(message, isError = false) {
+    if (!this.status) return
+    this.status.textContent = message
+    this.status.classList.toggle('is-error', isError)
+  }
+}
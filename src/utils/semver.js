@@ -0,0 +1,199 @@
+/**
+ * Semantic version utilities for Preview2
+ * Covers what module versioning needs: MAJOR.MINOR.PATCH versions (with an
+ * optional prerelease tag) and npm-style ranges: exact, x-ranges ("1", "1.2.x"),
+ * caret ("^1.2.0"), tilde ("~1.2.0"), comparators (">=1.0.0 <2.0.0") and "||".
+ */
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?$/
+const PARTIAL_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?$/
+const COMPARATOR_PATTERN = /^(\^|~|>=|<=|>|<|=)?\s*(.+)$/
+
+/**
+ * Parse a full version.
+ * @param {string} version - e.g. "1.4.2" or "2.0.0-beta.1"
+ * @returns {{major: number, minor: number, patch: number, prerelease: string|null}|null}
+ */
+export function parseVersion(version) {
+  const match = typeof version === 'string' ? version.trim().match(VERSION_PATTERN) : null
+  if (!match) return null
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] || null
+  }
+}
+
+/**
+ * Check that a string is a full semantic version.
+ * @param {string} version
+ * @returns {boolean}
+ */
+export function isValidVersion(version) {
+  return parseVersion(version) !== null
+}
+
+/**
+ * Compare two versions.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const left = parseVersion(a)
+  const right = parseVersion(b)
+  if (!left || !right) {
+    throw new Error(`Invalid version: ${!left ? a : b}`)
+  }
+
+  const diff = left.major - right.major || left.minor - right.minor || left.patch - right.patch
+  if (diff !== 0) return diff
+  // A prerelease sorts before its release
+  if (left.prerelease === right.prerelease) return 0
+  if (!left.prerelease) return 1
+  if (!right.prerelease) return -1
+  return left.prerelease < right.prerelease ? -1 : 1
+}
+
+/**
+ * Next version for a release type.
+ * @param {string} version
+ * @param {'major'|'minor'|'patch'} release
+ * @returns {string}
+ */
+export function incrementVersion(version, release = 'patch') {
+  const parsed = parseVersion(version)
+  if (!parsed) {
+    throw new Error(`Invalid version: ${version}`)
+  }
+  if (release === 'major') return `${parsed.major + 1}.0.0`
+  if (release === 'minor') return `${parsed.major}.${parsed.minor + 1}.0`
+  return `${parsed.major}.${parsed.minor}.${parsed.patch + 1}`
+}
+
+/**
+ * Expand one range term into [operator, version] comparators.
+ * @private
+ */
+function toComparators(term) {
+  const match = term.match(COMPARATOR_PATTERN)
+  if (!match) return null
+  const operator = match[1] || ''
+  const partial = match[2].trim().match(PARTIAL_PATTERN)
+  if (!partial) return null
+
+  const isWild = (part) => part === undefined || /^[xX*]$/.test(part)
+  const [major, minor, patch] = [partial[1], partial[2], partial[3]]
+  const pre = partial[4] ? `-${partial[4]}` : ''
+
+  if (isWild(major)) return operator === '<' || operator === '>' ? null : []
+
+  const M = Number(major)
+  if (isWild(minor)) {
+    if (operator === '' || operator === '=' || operator === '^' || operator === '~') {
+      return [['>=', `${M}.0.0`], ['<', `${M + 1}.0.0`]]
+    }
+    if (operator === '>') return [['>=', `${M + 1}.0.0`]]
+    if (operator === '<=') return [['<', `${M + 1}.0.0`]]
+    return [[operator, `${M}.0.0`]]
+  }
+
+  const m = Number(minor)
+  if (isWild(patch)) {
+    if (operator === '' || operator === '=' || operator === '~') {
+      return [['>=', `${M}.${m}.0`], ['<', `${M}.${m + 1}.0`]]
+    }
+    if (operator === '^') {
+      return M > 0
+        ? [['>=', `${M}.${m}.0`], ['<', `${M + 1}.0.0`]]
+        : [['>=', `0.${m}.0`], ['<', `0.${m + 1}.0`]]
+    }
+    if (operator === '>') return [['>=', `${M}.${m + 1}.0`]]
+    if (operator === '<=') return [['<', `${M}.${m + 1}.0`]]
+    return [[operator, `${M}.${m}.0`]]
+  }
+
+  const version = `${M}.${m}.${Number(patch)}${pre}`
+  if (operator === '^') {
+    const upper = M > 0 ? `${M + 1}.0.0` : m > 0 ? `0.${m + 1}.0` : `0.0.${Number(patch) + 1}`
+    return [['>=', version], ['<', upper]]
+  }
+  if (operator === '~') {
+    return [['>=', version], ['<', `${M}.${m + 1}.0`]]
+  }
+  return [[operator || '=', version]]
+}
+
+/**
+ * @private
+ */
+function testComparator(version, [operator, target]) {
+  const diff = compareVersions(version, target)
+  switch (operator) {
+    case '>': return diff > 0
+    case '>=': return diff >= 0
+    case '<': return diff < 0
+    case '<=': return diff <= 0
+    default: return diff === 0
+  }
+}
+
+/**
+ * Parse a range into alternatives of comparator lists.
+ * @param {string} range
+ * @returns {Array<Array<[string, string]>>|null} null when the range is invalid
+ */
+export function parseRange(range) {
+  const source = typeof range === 'string' ? range.trim() : ''
+  if (!source || source === 'latest') return [[]]
+
+  const alternatives = []
+  for (const alternative of source.split('||')) {
+    // Join operators to their version: ">= 1.2.0" -> ">=1.2.0"
+    const terms = alternative.trim().replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1').split(/\s+/).filter(Boolean)
+    const comparators = []
+    for (const term of terms) {
+      const expanded = toComparators(term)
+      if (!expanded) return null
+      comparators.push(...expanded)
+    }
+    alternatives.push(comparators)
+  }
+  return alternatives
+}
+
+/**
+ * Check whether a version satisfies a range.
+ * Prereleases only match when the range names a prerelease of the same version.
+ * @param {string} version
+ * @param {string} range
+ * @returns {boolean}
+ */
+export function satisfies(version, range) {
+  const parsed = parseVersion(version)
+  const alternatives = parseRange(range)
+  if (!parsed || !alternatives) return false
+
+  return alternatives.some(comparators => {
+    if (!comparators.every(comparator => testComparator(version, comparator))) return false
+    if (!parsed.prerelease) return true
+    return comparators.some(([, target]) => {
+      const other = parseVersion(target)
+      return other.prerelease && other.major === parsed.major && other.minor === parsed.minor && other.patch === parsed.patch
+    })
+  })
+}
+
+/**
+ * Highest version that satisfies a range.
+ * @param {string[]} versions
+ * @param {string} range
+ * @returns {string|null}
+ */
+export function maxSatisfying(versions, range) {
+  return versions
+    .filter(version => satisfies(version, range))
+    .sort(compareVersions)
+    .pop() || null
+}
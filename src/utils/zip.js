@@ -0,0 +1,194 @@
+/**
+ * Zip utilities for Preview2
+ * Builds uncompressed (stored) zip archives in the browser without dependencies.
+ * Used for exports whose entries are already compressed (e.g. PNG frames),
+ * and reads archives back (e.g. module packages).
+ */
+
+let crcTable = null
+
+/**
+ * Compute the CRC-32 checksum used by zip.
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      }
+      crcTable[n] = c >>> 0
+    }
+  }
+
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * Encode a date as MS-DOS time and date fields.
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ * @private
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+/**
+ * Create a zip archive with stored (uncompressed) entries.
+ * @param {Array<{name: string, data: Uint8Array}>} files - Entries in archive order
+ * @param {Date} modified - Modification time for every entry
+ * @returns {Uint8Array} Zip file bytes
+ */
+export function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder()
+  const { time, date } = toDosDateTime(modified)
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  files.forEach(({ name, data }) => {
+    if (!(data instanceof Uint8Array)) {
+      throw new Error(`Zip entry "${name}" must be a Uint8Array`)
+    }
+
+    const nameBytes = encoder.encode(name)
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true) // Version needed
+    local.setUint16(6, 0x0800, true) // UTF-8 names
+    local.setUint16(8, 0, true) // Stored
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, nameBytes.length, true)
+    local.setUint16(28, 0, true)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true)
+    central.setUint16(4, 20, true) // Version made by
+    central.setUint16(6, 20, true) // Version needed
+    central.setUint16(8, 0x0800, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(12, time, true)
+    central.setUint16(14, date, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, nameBytes.length, true)
+    central.setUint32(42, offset, true)
+
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data)
+    centralParts.push(new Uint8Array(central.buffer), nameBytes)
+    offset += 30 + nameBytes.length + data.length
+  })
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)]
+  const result = new Uint8Array(offset + centralSize + 22)
+  let position = 0
+  parts.forEach(part => {
+    result.set(part, position)
+    position += part.length
+  })
+  return result
+}
+
+/**
+ * Inflate raw deflate data (zip method 8).
+ * @private
+ */
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed zip entries')
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * Read the entries of a zip archive.
+ * Handles stored entries and, where the browser supports DecompressionStream, deflated ones.
+ * @param {Uint8Array|ArrayBuffer} input - Zip file bytes
+ * @returns {Promise<Array<{name: string, data: Uint8Array}>>} Entries in directory order
+ */
+export async function readZip(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input)
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const decoder = new TextDecoder()
+
+  // The end of central directory record is followed by an optional comment of up to 64 KiB
+  let end = -1
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i
+      break
+    }
+  }
+  if (end < 0) {
+    throw new Error('Not a zip file')
+  }
+
+  const count = view.getUint16(end + 10, true)
+  let position = view.getUint32(end + 16, true)
+  const files = []
+
+  for (let index = 0; index < count; index++) {
+    if (view.getUint32(position, true) !== 0x02014b50) {
+      throw new Error('Corrupt zip central directory')
+    }
+    const method = view.getUint16(position + 10, true)
+    const crc = view.getUint32(position + 16, true)
+    const compressedSize = view.getUint32(position + 20, true)
+    const nameLength = view.getUint16(position + 28, true)
+    const extraLength = view.getUint16(position + 30, true)
+    const commentLength = view.getUint16(position + 32, true)
+    const localOffset = view.getUint32(position + 42, true)
+    const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength))
+    position += 46 + nameLength + extraLength + commentLength
+
+    if (name.endsWith('/')) continue // Directory entry
+
+    const localNameLength = view.getUint16(localOffset + 26, true)
+    const localExtraLength = view.getUint16(localOffset + 28, true)
+    const start = localOffset + 30 + localNameLength + localExtraLength
+    const raw = bytes.subarray(start, start + compressedSize)
+
+    let data
+    if (method === 0) {
+      data = raw.slice()
+    } else if (method === 8) {
+      data = await inflateRaw(raw)
+    } else {
+      throw new Error(`Zip entry "${name}" uses unsupported compression method ${method}`)
+    }
+    if (crc32(data) !== crc) {
+      throw new Error(`Zip entry "${name}" is corrupt (checksum mismatch)`)
+    }
+
+    files.push({ name, data })
+  }
+
+  return files
+}
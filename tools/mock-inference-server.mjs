@@ -0,0 +1,59 @@
+/**
+ * mock-inference-server - The in-browser mock backend, served over HTTP
+ * Wraps MockInferenceTransport so tools that cannot use the in-page mock
+ * (curl, other apps, the app with transport 'http' or 'record') get the same
+ * fixtures. State lives in memory and is lost on restart. No dependencies:
+ *
+ *   node tools/mock-inference-server.mjs [port]     (default 8000)
+ *
+ * Jobs whose adapter name contains "fail" fail half way through.
+ */
+
+import { createServer } from 'node:http'
+import { MockInferenceTransport } from '../src/features/ai/MockInferenceTransport.js'
+
+const PORT = Number(process.argv[2]) || 8000
+const PREFIX = '/api/v1'
+
+const transport = new MockInferenceTransport({ latency: 0 })
+
+function send(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  })
+  response.end(body === undefined ? '' : JSON.stringify(body))
+}
+
+async function readBody(request) {
+  let text = ''
+  for await (const chunk of request) {
+    text += chunk
+  }
+  return text ? JSON.parse(text) : null
+}
+
+createServer(async (request, response) => {
+  if (request.method === 'OPTIONS') {
+    send(response, 204)
+    return
+  }
+
+  const path = new URL(request.url, 'http://localhost').pathname
+  if (!path.startsWith(PREFIX)) {
+    send(response, 404, { error: `The mock server only serves ${PREFIX}` })
+    return
+  }
+
+  try {
+    const body = ['POST', 'PUT'].includes(request.method) ? await readBody(request) : null
+    const result = await transport.request({ method: request.method, path: path.slice(PREFIX.length), body })
+    send(response, 200, result)
+  } catch (error) {
+    send(response, error.status || 400, { error: error.message })
+  }
+}).listen(PORT, () => {
+  console.log(`Mock inference server on http://localhost:${PORT}${PREFIX}`)
+})